@@ -0,0 +1,164 @@
+/**
+ * API key controller
+ * - Create / revoke keys from the user profile (HTML)
+ * - Guard for /api routes: `Authorization: ApiKey <key>` with scopes,
+ *   or fall back to the JWT guard
+ * Author: Kwanele Dladla
+ */
+
+import mongoose from "mongoose";
+import ApiKey, { API_SCOPES } from "../models/apiKey.js";
+import User from "../models/user.js";
+import userController from "./userController.js";
+import { recordAudit, auditTarget } from "../services/audit.js";
+import { sendError } from "../utils/apiResponse.js";
+
+/* --------------------------------- helpers -------------------------------- */
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+// Authorization: ApiKey <key>
+const getApiKey = (req) => {
+  const auth = String(req.headers?.authorization || "").trim();
+  const [type, rawKey] = auth.split(" ");
+  if (type !== "ApiKey" || !rawKey) return null;
+  return rawKey.trim();
+};
+
+// Allowed "expires in" choices on the form (days; "" = never)
+const EXPIRY_CHOICES = ["", "30", "90", "365"];
+
+/* --------------------------------- guards --------------------------------- */
+
+/**
+ * Middleware factory for /api routes.
+ * - ApiKey header → key must be active, belong to a verified user and carry `scope`
+ * - Otherwise → verifyJWT (JWT logins have every scope)
+ * Sets req.apiUser = { _id, email, apiKeyId?, scopes? }
+ */
+const verifyApiAccess = (scope) => {
+  const guard = asyncHandler(async (req, res, next) => {
+    const rawKey = getApiKey(req);
+    if (!rawKey) return userController.verifyJWT(req, res, next);
+
+    const apiKey = await ApiKey.findActiveByRawKey(rawKey).lean();
+    if (!apiKey) {
+      return sendError(res, 401, "unauthorized", "Invalid, expired or revoked API key.");
+    }
+
+    if (scope && !apiKey.scopes.includes(scope)) {
+      return sendError(res, 403, "insufficient_scope", `This API key is missing the "${scope}" scope.`);
+    }
+
+    const user = await User.findById(apiKey.user).select("email verified").lean();
+    if (!user?.verified) {
+      return sendError(
+        res,
+        403,
+        "email_unverified",
+        "Please confirm your email address before using the API."
+      );
+    }
+
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+
+    req.apiUser = {
+      _id: String(user._id),
+      email: user.email,
+      apiKeyId: String(apiKey._id),
+      scopes: apiKey.scopes,
+    };
+    return next();
+  });
+
+  // Read by utils/openapi.js
+  guard.openapi = {
+    security: [{ bearerAuth: [] }, { apiKeyAuth: scope ? [scope] : [] }],
+    responses: { 401: "Unauthorized", 403: "Forbidden" },
+  };
+  return guard;
+};
+
+/* --------------------------------- actions -------------------------------- */
+
+/**
+ * POST /users/:id/api-keys — create a key for the logged-in user.
+ * On success the raw key is put on res.locals.createdKey and the next
+ * handler (userController.showUser) renders it once. It is never stored.
+ */
+const createApiKey = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const name = String(req.body?.name || "").trim();
+  const scopes = [].concat(req.body?.scopes || []).filter((s) => API_SCOPES.includes(s));
+  const expiresInDays = String(req.body?.expiresInDays || "").trim();
+
+  const fail = (message) => {
+    req.flash("error", message);
+    return res.redirect(`/users/${id}`);
+  };
+
+  // Keys act as the user, so only the owner may create them
+  if (String(req.user?._id) !== String(id)) {
+    return fail("You can only create API keys for your own account.");
+  }
+  if (!req.user.verified) return fail("Please confirm your email address first.");
+  if (!name) return fail("Key name is required.");
+  if (!scopes.length) return fail("Choose at least one scope.");
+  if (!EXPIRY_CHOICES.includes(expiresInDays)) return fail("Invalid expiry.");
+
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+    : undefined;
+
+  try {
+    const { apiKey, rawKey } = await ApiKey.createForUser(id, { name, scopes, expiresAt });
+    await recordAudit(req, "apikey.created", {
+      target: auditTarget("apiKey", apiKey, { label: apiKey.name }),
+      details: { scopes, expiresAt },
+    });
+    res.set("Cache-Control", "no-store");
+    res.locals.createdKey = { name: apiKey.name, rawKey };
+    return next();
+  } catch (e) {
+    return fail(`Failed to create API key: ${e?.message || e}`);
+  }
+});
+
+// POST /users/:id/api-keys/:keyId/revoke — revoke (owner or admin)
+const revokeApiKey = asyncHandler(async (req, res, next) => {
+  const { id, keyId } = req.params;
+  res.locals.redirect = `/users/${id}`;
+
+  if (!mongoose.isValidObjectId(keyId)) {
+    req.flash("error", "API key not found.");
+    return next();
+  }
+
+  const result = await ApiKey.updateOne(
+    { _id: keyId, user: id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (!result.modifiedCount) {
+    req.flash("error", "API key not found or already revoked.");
+  } else {
+    await recordAudit(req, "apikey.revoked", {
+      target: auditTarget("apiKey", { _id: keyId }),
+      details: { owner: id },
+    });
+    req.flash("success", "API key revoked.");
+  }
+  return next();
+});
+
+export default {
+  // guards
+  verifyApiAccess,
+
+  // profile actions
+  createApiKey,
+  revokeApiKey,
+};
@@ -0,0 +1,576 @@
+/**
+ * API v1 controller (/api/v1)
+ * - JSON only, one envelope (utils/apiResponse.js)
+ * - Courses CRUD, enrollments, users (self + admin), subscribers (admin)
+ * - CSV import / export (admin)
+ * - Input is validated in routes/apiV1Routes.js before reaching these actions
+ * Author: Kwanele Dladla
+ */
+
+import Course, { seatsRemaining } from "../models/course.js";
+import User from "../models/user.js";
+import Subscriber from "../models/subscribers.js";
+import Enrollment from "../models/enrollment.js";
+import { revokeAllLogins } from "../services/apiTokens.js";
+import { signOutSessions } from "../services/webSessions.js";
+import enrollments from "../services/enrollments.js";
+import courseSearch from "../services/courseSearch.js";
+import courseFiles from "../services/courseFiles.js";
+import subscriptions from "../services/subscriptions.js";
+import identities from "../services/identities.js";
+import { runImport } from "../services/csvImport.js";
+import { recordAudit, auditSnapshot, auditTarget } from "../services/audit.js";
+import { exportCsv } from "../services/csvExport.js";
+import { sendData, sendError } from "../utils/apiResponse.js";
+import { normalizePostalCode } from "../utils/postalCodes.js";
+import { paginate, readPaging, setLinkHeader } from "../utils/pagination.js";
+import { itemsFromRecipes, recipesFromItems, scaleRecipe } from "../utils/recipes.js";
+
+/* --------------------------------- helpers -------------------------------- */
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+const notFound = (res, what) => sendError(res, 404, "not_found", `${what} not found.`);
+
+// A page of a list: data + meta, with first/prev/next/last in the Link header
+const sendPage = (req, res, data, pagination, extraMeta = {}) => {
+  setLinkHeader(req, res, pagination);
+  return sendData(res, data, { meta: { ...pagination, ...extraMeta } });
+};
+
+// Already checked by the route; "" / null clear the postal code
+const toZip = (v) => normalizePostalCode(v) || undefined;
+
+// Body recipes (checked by Course.recipeError in the router) → Course.recipes.
+// Sending a recipe's id back keeps it, so its links stay valid.
+const toRecipes = (recipes) =>
+  recipes.map(({ id, ...recipe }) => (id ? { ...recipe, _id: id } : recipe));
+
+// null/"" = unlimited seats
+const toCapacity = (v) => (v === null || v === "" ? null : Number(v));
+
+/* ------------------------------- serializers ------------------------------- */
+
+const serializeSession = (s) => ({
+  id: String(s._id),
+  startsAt: s.startsAt,
+  endsAt: s.endsAt,
+  location: { name: s.location?.name ?? null, address: s.location?.address ?? null },
+  instructorId: s.instructor ? String(s.instructor._id || s.instructor) : null,
+  notes: s.notes ?? null,
+});
+
+const serializeRecipe = (r) => ({
+  id: String(r._id),
+  title: r.title,
+  servings: r.servings,
+  prepMinutes: r.prepMinutes ?? null,
+  cookMinutes: r.cookMinutes ?? null,
+  dietaryTags: r.dietaryTags || [],
+  ingredients: (r.ingredients || []).map((i) => ({
+    name: i.name,
+    quantity: i.quantity ?? null,
+    unit: i.unit || "",
+  })),
+  steps: r.steps || [],
+});
+
+const serializeCourse = (c) => ({
+  id: String(c._id),
+  title: c.title,
+  description: c.description,
+  recipes: (c.recipes || []).map(serializeRecipe),
+  // Deprecated: ingredient names of all recipes, for clients of the old `items`
+  items: itemsFromRecipes(c.recipes),
+  zipCode: c.zipCode ?? null,
+  capacity: c.capacity ?? null,
+  seatsRemaining: seatsRemaining(c),
+  coverImage: courseFiles.coverUrls(c),
+  attachments: (c.attachments || []).map((a) => ({
+    id: String(a._id),
+    name: a.name,
+    contentType: a.contentType,
+    size: a.size,
+    url: courseFiles.attachmentUrl(c, a),
+  })),
+  sessions: (c.sessions || []).map(serializeSession),
+  createdAt: c.createdAt,
+  updatedAt: c.updatedAt,
+});
+
+const serializeEnrollment = (e, { position = null } = {}) => ({
+  id: String(e._id),
+  courseId: String(e.course?._id || e.course),
+  status: e.status,
+  enrolledAt: e.enrolledAt ?? null,
+  waitlistedAt: e.waitlistedAt ?? null,
+  waitlistPosition: position,
+});
+
+const serializeUser = (u) => ({
+  id: String(u._id),
+  first: u.name?.first ?? "",
+  last: u.name?.last ?? "",
+  email: u.email,
+  role: u.role || "member",
+  verified: Boolean(u.verified),
+  zipCode: u.zipCode ?? null,
+  subscriberAccount: u.subscriberAccount ? String(u.subscriberAccount._id || u.subscriberAccount) : null,
+  courses: (u.courses || []).map((c) => String(c._id || c)),
+  createdAt: u.createdAt,
+  updatedAt: u.updatedAt,
+});
+
+const serializeSubscriber = (s) => ({
+  id: String(s._id),
+  name: s.name,
+  email: s.email,
+  zipCode: s.zipCode ?? null,
+  status: s.status || "pending",
+  confirmedAt: s.confirmedAt ?? null,
+  unsubscribedAt: s.unsubscribedAt ?? null,
+  courses: (s.courses || []).map((c) => String(c._id || c)),
+  createdAt: s.createdAt,
+  updatedAt: s.updatedAt,
+});
+
+/* --------------------------------- guards --------------------------------- */
+
+/**
+ * Role guard for API routes (after verifyApiAccess).
+ * Loads the current user's role/verified flag onto req.apiUser.
+ */
+const requireApiRole = (...roles) => {
+  const guard = asyncHandler(async (req, res, next) => {
+    const user = await User.findById(req.apiUser?._id).select("role verified").lean();
+    if (!user) return sendError(res, 401, "unauthorized", "Account no longer exists.");
+
+    req.apiUser.role = user.role || "member";
+    req.apiUser.verified = Boolean(user.verified);
+
+    if (roles.length && !roles.includes(req.apiUser.role)) {
+      return sendError(res, 403, "forbidden", "You do not have permission to do that.");
+    }
+    return next();
+  });
+
+  // Read by utils/openapi.js
+  guard.openapi = { "x-roles": roles, responses: { 401: "Unauthorized" } };
+  return guard;
+};
+
+/* -------------------------------------------------------------------------- */
+/* COURSES                                                                    */
+/* -------------------------------------------------------------------------- */
+
+// GET /api/v1/courses?q=&tags=&area=&when=&availability=&near=&radius=&sort=&page=&limit=&after=&before=
+const listCourses = asyncHandler(async (req, res) => {
+  const params = courseSearch.parseSearchParams(req.query);
+  const paging = readPaging(req.query, { cursors: courseSearch.usesCursors(params) });
+  const { courses, pagination, facets } = await courseSearch.searchCourses(params, paging);
+
+  // With search words: relevance score + highlighted title / description; with near: distance
+  const data = courses.map((c) => ({
+    ...serializeCourse(c),
+    ...(params.q ? { score: c.score, highlights: courseSearch.highlightsFor(c, params.terms) } : {}),
+    ...(params.origin ? { distanceKm: c.distanceKm } : {}),
+  }));
+  return sendPage(req, res, data, pagination, { facets });
+});
+
+// GET /api/v1/courses/:id
+const getCourse = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id).lean();
+  if (!course) return notFound(res, "Course");
+  return sendData(res, serializeCourse(course));
+});
+
+// GET /api/v1/courses/:id/recipes/:recipeId?servings=N — quantities scaled to N
+const getRecipe = asyncHandler(async (req, res) => {
+  const course = await Course.findOne(
+    { _id: req.params.id, "recipes._id": req.params.recipeId },
+    { "recipes.$": 1 }
+  ).lean();
+  const recipe = course?.recipes?.[0];
+  if (!recipe) return notFound(res, "Recipe");
+
+  const scaled = scaleRecipe(recipe, req.query.servings);
+  return sendData(res, { ...serializeRecipe(scaled), baseServings: scaled.baseServings });
+});
+
+// POST /api/v1/courses (instructor/admin)
+const createCourse = asyncHandler(async (req, res) => {
+  const { title, description, recipes, items = [], zipCode, capacity = null } = req.body;
+
+  if (await Course.exists({ title })) {
+    return sendError(res, 409, "conflict", "A course with this title already exists.");
+  }
+
+  const course = await Course.create({
+    title,
+    description,
+    recipes: recipes ? toRecipes(recipes) : recipesFromItems(title, items),
+    zipCode: toZip(zipCode),
+    capacity: toCapacity(capacity),
+  });
+  await recordAudit(req, "course.created", {
+    target: auditTarget("course", course),
+    after: auditSnapshot("course", course),
+  });
+  res.location(`/api/v1/courses/${course._id}`);
+  return sendData(res, serializeCourse(course), { status: 201 });
+});
+
+// PATCH /api/v1/courses/:id (instructor/admin) — partial update
+const updateCourse = asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  if (!course) return notFound(res, "Course");
+
+  const { title, description, recipes, items, zipCode, capacity } = req.body;
+  const before = auditSnapshot("course", course);
+
+  if (title !== undefined && title !== course.title) {
+    if (await Course.exists({ _id: { $ne: course._id }, title })) {
+      return sendError(res, 409, "conflict", "A course with this title already exists.");
+    }
+    course.title = title;
+  }
+  if (description !== undefined) course.description = description;
+  if (recipes !== undefined) course.recipes = toRecipes(recipes);
+  else if (items !== undefined) course.recipes = recipesFromItems(course.title, items);
+  if (zipCode !== undefined) course.zipCode = toZip(zipCode);
+  if (capacity !== undefined) course.capacity = toCapacity(capacity);
+
+  await course.save();
+  await recordAudit(req, "course.updated", {
+    target: auditTarget("course", course),
+    before,
+    after: auditSnapshot("course", course),
+  });
+
+  // More seats → move people off the waitlist
+  if (capacity !== undefined && (await enrollments.fillSeats(course._id)).length) {
+    return sendData(res, serializeCourse(await Course.findById(course._id).lean()));
+  }
+  return sendData(res, serializeCourse(course));
+});
+
+// DELETE /api/v1/courses/:id (instructor/admin)
+const deleteCourse = asyncHandler(async (req, res) => {
+  const deleted = await Course.findByIdAndDelete(req.params.id);
+  if (!deleted) return notFound(res, "Course");
+
+  // Drop enrollments, dangling references and uploaded files
+  await Promise.all([enrollments.removeCourse(deleted._id), courseFiles.removeCourse(deleted._id)]);
+  await recordAudit(req, "course.deleted", {
+    target: auditTarget("course", deleted),
+    before: auditSnapshot("course", deleted),
+  });
+
+  return res.status(204).end();
+});
+
+/* -------------------------------------------------------------------------- */
+/* ENROLLMENT (seat or waitlist — see services/enrollments.js)                */
+/* -------------------------------------------------------------------------- */
+
+// POST /api/v1/courses/:id/enrollment — join, or join the waitlist when full
+const enroll = asyncHandler(async (req, res) => {
+  if (!req.apiUser.verified) {
+    return sendError(
+      res,
+      403,
+      "email_unverified",
+      "Please confirm your email address before joining courses."
+    );
+  }
+
+  const result = await enrollments.enroll(req.apiUser._id, req.params.id);
+  if (!result) return notFound(res, "Course");
+
+  const { enrollment, created } = result;
+  const position = await enrollments.waitlistPosition(enrollment);
+  return sendData(res, serializeEnrollment(enrollment, { position }), {
+    status: created ? 201 : 200,
+  });
+});
+
+// DELETE /api/v1/courses/:id/enrollment — leave the course or its waitlist
+const unenroll = asyncHandler(async (req, res) => {
+  const previous = await enrollments.leave(req.apiUser._id, req.params.id);
+  if (!previous) return notFound(res, "Enrollment");
+  return res.status(204).end();
+});
+
+// GET /api/v1/users/me/enrollments — active enrollments with their courses
+const listMyEnrollments = asyncHandler(async (req, res) => {
+  const rows = await Enrollment.find({ user: req.apiUser._id, status: { $ne: "cancelled" } })
+    .sort({ createdAt: -1 })
+    .populate("course")
+    .lean();
+
+  const items = await Promise.all(
+    rows
+      .filter((e) => e.course)
+      .map(async (e) => ({
+        ...serializeEnrollment(e, { position: await enrollments.waitlistPosition(e) }),
+        course: serializeCourse(e.course),
+      }))
+  );
+
+  return sendData(res, items);
+});
+
+/* -------------------------------------------------------------------------- */
+/* USERS — SELF                                                               */
+/* -------------------------------------------------------------------------- */
+
+// GET /api/v1/users/me
+const getMe = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.apiUser._id).lean();
+  if (!user) return notFound(res, "User");
+  return sendData(res, serializeUser(user));
+});
+
+// PATCH /api/v1/users/me — name and postal code (email/password stay on the website)
+const updateMe = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.apiUser._id);
+  if (!user) return notFound(res, "User");
+
+  const { first, last, zipCode } = req.body;
+  const before = auditSnapshot("user", user);
+  if (first !== undefined) user.name.first = first;
+  if (last !== undefined) user.name.last = last;
+  if (zipCode !== undefined) user.zipCode = toZip(zipCode);
+
+  await user.save();
+  await identities.syncFromUser(user);
+  await recordAudit(req, "user.updated", {
+    target: auditTarget("user", user),
+    before,
+    after: auditSnapshot("user", user),
+  });
+  return sendData(res, serializeUser(user));
+});
+
+/* -------------------------------------------------------------------------- */
+/* USERS — ADMIN                                                              */
+/* -------------------------------------------------------------------------- */
+
+const isLastAdmin = async (user) =>
+  user?.role === "admin" && (await User.countDocuments({ role: "admin" })) <= 1;
+
+// GET /api/v1/users?page=&limit=&after=&before=&role=
+const listUsers = asyncHandler(async (req, res) => {
+  const query = req.query.role ? { role: req.query.role } : {};
+  const { items, pagination } = await paginate(User, query, readPaging(req.query));
+  return sendPage(req, res, items.map(serializeUser), pagination);
+});
+
+// GET /api/v1/users/:id
+const getUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).lean();
+  if (!user) return notFound(res, "User");
+  return sendData(res, serializeUser(user));
+});
+
+// PATCH /api/v1/users/:id — name, postal code, role
+const updateUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) return notFound(res, "User");
+
+  const { first, last, zipCode, role } = req.body;
+  const before = auditSnapshot("user", user);
+
+  if (role !== undefined && role !== user.role) {
+    if (role !== "admin" && (await isLastAdmin(user))) {
+      return sendError(res, 409, "conflict", "Cannot demote the last admin.");
+    }
+    user.role = role;
+  }
+  if (first !== undefined) user.name.first = first;
+  if (last !== undefined) user.name.last = last;
+  if (zipCode !== undefined) user.zipCode = toZip(zipCode);
+
+  await user.save();
+  await identities.syncFromUser(user);
+  // A role change gets its own event (easy to filter for), the rest is user.updated
+  await recordAudit(req, before.role !== user.role ? "user.role_changed" : "user.updated", {
+    target: auditTarget("user", user),
+    before,
+    after: auditSnapshot("user", user),
+  });
+  return sendData(res, serializeUser(user));
+});
+
+// DELETE /api/v1/users/:id
+const deleteUser = asyncHandler(async (req, res) => {
+  if (String(req.apiUser._id) === String(req.params.id)) {
+    return sendError(res, 409, "conflict", "You cannot delete your own account.");
+  }
+
+  const user = await User.findById(req.params.id).select("name email zipCode role verified");
+  if (!user) return notFound(res, "User");
+  if (await isLastAdmin(user)) {
+    return sendError(res, 409, "conflict", "Cannot delete the last admin.");
+  }
+
+  await enrollments.leaveAll(user._id);
+  await user.deleteOne();
+  await revokeAllLogins(user._id, { reason: "account-deleted" });
+  await signOutSessions(user._id);
+  await recordAudit(req, "user.deleted", {
+    target: auditTarget("user", user),
+    before: auditSnapshot("user", user),
+  });
+  return res.status(204).end();
+});
+
+/* -------------------------------------------------------------------------- */
+/* SUBSCRIBERS — ADMIN                                                        */
+/* -------------------------------------------------------------------------- */
+
+// GET /api/v1/subscribers?page=&limit=&after=&before=
+const listSubscribers = asyncHandler(async (req, res) => {
+  const { items, pagination } = await paginate(Subscriber, {}, readPaging(req.query));
+  return sendPage(req, res, items.map(serializeSubscriber), pagination);
+});
+
+// GET /api/v1/subscribers/:id
+const getSubscriber = asyncHandler(async (req, res) => {
+  const subscriber = await Subscriber.findById(req.params.id).lean();
+  if (!subscriber) return notFound(res, "Subscriber");
+  return sendData(res, serializeSubscriber(subscriber));
+});
+
+// POST /api/v1/subscribers — pending until the emailed link is clicked (double opt-in)
+const createSubscriber = asyncHandler(async (req, res) => {
+  const { name, email, zipCode } = req.body;
+
+  if (await Subscriber.exists({ email })) {
+    return sendError(res, 409, "conflict", "This email is already subscribed.");
+  }
+
+  const { subscriber } = await subscriptions.subscribe(req, {
+    name,
+    email,
+    zipCode: toZip(zipCode),
+    source: "api",
+  });
+  res.location(`/api/v1/subscribers/${subscriber._id}`);
+  return sendData(res, serializeSubscriber(subscriber), { status: 201 });
+});
+
+// PATCH /api/v1/subscribers/:id
+const updateSubscriber = asyncHandler(async (req, res) => {
+  const subscriber = await Subscriber.findById(req.params.id);
+  if (!subscriber) return notFound(res, "Subscriber");
+
+  const { name, email, zipCode } = req.body;
+  const before = auditSnapshot("subscriber", subscriber);
+
+  // A linked subscriber's name and postal code follow its user account
+  const nameChanged = name !== undefined && name !== subscriber.name;
+  const zipChanged = zipCode !== undefined && toZip(zipCode) !== subscriber.zipCode;
+  if ((nameChanged || zipChanged) && (await User.exists({ subscriberAccount: subscriber._id }))) {
+    return sendError(
+      res,
+      409,
+      "conflict",
+      "This subscriber is linked to a user account; change the name and postal code on the user."
+    );
+  }
+
+  if (name !== undefined) subscriber.name = name;
+  if (email !== undefined) subscriber.email = email;
+  if (zipCode !== undefined) subscriber.zipCode = toZip(zipCode);
+
+  await subscriber.save();
+  await recordAudit(req, "subscriber.updated", {
+    target: auditTarget("subscriber", subscriber),
+    before,
+    after: auditSnapshot("subscriber", subscriber),
+  });
+  return sendData(res, serializeSubscriber(subscriber));
+});
+
+// DELETE /api/v1/subscribers/:id
+const deleteSubscriber = asyncHandler(async (req, res) => {
+  const deleted = await Subscriber.findByIdAndDelete(req.params.id);
+  if (!deleted) return notFound(res, "Subscriber");
+
+  await User.updateMany({ subscriberAccount: deleted._id }, { $unset: { subscriberAccount: 1 } });
+  await recordAudit(req, "subscriber.deleted", {
+    target: auditTarget("subscriber", deleted),
+    before: auditSnapshot("subscriber", deleted),
+  });
+  return res.status(204).end();
+});
+
+/* -------------------------------------------------------------------------- */
+/* CSV IMPORT / EXPORT — ADMIN                                                */
+/* -------------------------------------------------------------------------- */
+
+// POST /api/v1/imports/:kind?dryRun=false — text/csv body; a dry run unless dryRun=false
+const importCsv = asyncHandler(async (req, res) => {
+  if (typeof req.body !== "string") {
+    return sendError(res, 415, "unsupported_media_type", "Send the file as Content-Type: text/csv.");
+  }
+
+  const report = await runImport(req, req.params.kind, req.body, { dryRun: req.query.dryRun !== false });
+  if (report.error) return sendError(res, 422, "invalid_csv", report.error);
+  return sendData(res, report);
+});
+
+// GET /api/v1/exports/:kind — CSV streamed from the database
+const exportList = asyncHandler(async (req, res) => exportCsv(res, req.params.kind));
+
+/* --------------------------------- 404 ------------------------------------ */
+
+// Unknown /api/v1 path (mount after all v1 routes)
+const unknownRoute = (req, res) =>
+  sendError(res, 404, "not_found", `No route for ${req.method} ${req.originalUrl}.`);
+
+export default {
+  // guards
+  requireApiRole,
+
+  // courses
+  listCourses,
+  getCourse,
+  getRecipe,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+
+  // enrollment
+  enroll,
+  unenroll,
+  listMyEnrollments,
+
+  // users (self)
+  getMe,
+  updateMe,
+
+  // users (admin)
+  listUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+
+  // subscribers (admin)
+  listSubscribers,
+  getSubscriber,
+  createSubscriber,
+  updateSubscriber,
+  deleteSubscriber,
+
+  // csv (admin)
+  importCsv,
+  exportList,
+
+  unknownRoute,
+};
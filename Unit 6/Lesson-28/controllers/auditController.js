@@ -0,0 +1,60 @@
+/**
+ * Audit controller (admin)
+ * - Audit log: newest first, filtered by action, actor, record, outcome, IP and date
+ * - CSV download of the same filtered events
+ * Events are written by the controllers themselves (services/audit.js recordAudit).
+ * Author: Kwanele Dladla
+ */
+
+import AuditEvent, { AUDIT_ACTIONS, AUDIT_OUTCOMES } from "../models/auditEvent.js";
+import { AUDIT_AREAS, exportAuditCsv, readAuditFilter } from "../services/audit.js";
+import { pageLinks, paginate, readPaging } from "../utils/pagination.js";
+
+/* --------------------------------- helpers -------------------------------- */
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+// <select> options: each area ("All auth events"), then its actions
+const actionGroups = AUDIT_AREAS.map((area) => ({
+  area,
+  actions: Object.entries(AUDIT_ACTIONS)
+    .filter(([action]) => action.startsWith(`${area}.`))
+    .map(([value, label]) => ({ value, label })),
+}));
+
+// Same filters as the page, for the CSV link
+const exportHref = (values) => {
+  const params = new URLSearchParams(Object.entries(values).filter(([, value]) => value));
+  return `/admin/audit/export${params.size ? `?${params}` : ""}`;
+};
+
+/* --------------------------------- actions -------------------------------- */
+
+// GET /admin/audit?action=&actor=&target=&outcome=&ip=&from=&to=&page=
+const index = asyncHandler(async (req, res) => {
+  const { filter, values } = readAuditFilter(req.query);
+  const { items: events, pagination } = await paginate(AuditEvent, filter, readPaging(req.query));
+
+  res.render("admin_audit", {
+    title: "Audit Log — My Recipe Web",
+    events,
+    values,
+    actionGroups,
+    actionLabels: AUDIT_ACTIONS,
+    outcomes: AUDIT_OUTCOMES,
+    exportHref: exportHref(values),
+    pagination,
+    pager: pageLinks(req, pagination),
+  });
+});
+
+// GET /admin/audit/export?<same filters> — CSV download
+const exportEvents = asyncHandler(async (req, res) => {
+  const { filter } = readAuditFilter(req.query);
+  return exportAuditCsv(res, filter);
+});
+
+export default { index, exportEvents };
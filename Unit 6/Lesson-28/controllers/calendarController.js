@@ -0,0 +1,163 @@
+/**
+ * Calendar controller (iCalendar feeds)
+ * - Public feed of one course's sessions: /courses/:id/calendar.ics
+ * - Private feed of a user's enrolled sessions: /users/:id/calendar.ics?token=
+ *   (calendar apps send no cookie, so the signed token is the login)
+ * Author: Kwanele Dladla
+ */
+
+import mongoose from "mongoose";
+import Course from "../models/course.js";
+import User from "../models/user.js";
+import Enrollment from "../models/enrollment.js";
+import { buildCalendar } from "../utils/ical.js";
+import appUrl from "../utils/appUrl.js";
+
+/* --------------------------------- helpers -------------------------------- */
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+// Older sessions are left out to keep feeds small
+const FEED_HISTORY_DAYS = 90;
+
+const feedSince = () => new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+// Course + one session → VEVENT fields
+const toEvent = (req, course, session) => {
+  const instructor = session.instructor?.name
+    ? `${session.instructor.name.first || ""} ${session.instructor.name.last || ""}`.trim()
+    : "";
+
+  return {
+    uid: `${session._id}@${new URL(appUrl(req)).hostname}`,
+    start: session.startsAt,
+    end: session.endsAt,
+    summary: course.title,
+    description: [
+      course.description,
+      instructor && `Instructor: ${instructor}`,
+      session.notes,
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+    location: [session.location?.name, session.location?.address].filter(Boolean).join(", "),
+    url: appUrl(req, "/courses"),
+    updatedAt: session.updatedAt,
+  };
+};
+
+// Sessions of the given courses, oldest first
+const collectEvents = (req, courses) => {
+  const since = feedSince();
+  return courses
+    .flatMap((course) =>
+      (course.sessions || [])
+        .filter((s) => new Date(s.endsAt) >= since)
+        .map((s) => toEvent(req, course, s))
+    )
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+};
+
+const sendCalendar = (res, filename, calendar, { isPrivate = false } = {}) => {
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `inline; filename="${filename}.ics"`,
+    "Cache-Control": `${isPrivate ? "private" : "public"}, max-age=300`,
+  });
+  return res.send(buildCalendar(calendar));
+};
+
+// Calendar apps show the body as-is, so plain text beats the HTML 404 page
+const feedNotFound = (res) => res.status(404).type("text/plain").send("Calendar not found.");
+
+// "Knife Skills 101!" → "knife-skills-101"
+const slugify = (text) =>
+  String(text || "calendar")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "calendar";
+
+/* ---------------------------------- feeds --------------------------------- */
+
+// GET /courses/:id/calendar.ics — public
+const courseCalendar = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return feedNotFound(res);
+
+  const course = await Course.findById(req.params.id)
+    .select("title description sessions")
+    .populate({ path: "sessions.instructor", select: "name" })
+    .lean();
+  if (!course) return feedNotFound(res);
+
+  return sendCalendar(res, slugify(course.title), {
+    name: course.title,
+    description: course.description,
+    events: collectEvents(req, [course]),
+  });
+});
+
+// GET /users/:id/calendar.ics?token= — sessions of courses the user is enrolled in
+// (not waitlisted). Works with the feed token, or the owner's / an admin's login.
+const userCalendar = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return feedNotFound(res);
+
+  const user = await User.findById(id).select("name calendarFeedVersion");
+  if (!user) return feedNotFound(res);
+
+  const token = String(req.query.token || "");
+  const allowed =
+    (token && user.verifyCalendarFeedToken(token)) ||
+    String(req.user?._id) === String(user._id) ||
+    Boolean(req.user?.isAdmin);
+  // 404, not 403: don't confirm which ids exist
+  if (!allowed) return feedNotFound(res);
+
+  const courseIds = await Enrollment.find({ user: user._id, status: "enrolled" }).distinct("course");
+  const courses = await Course.find({ _id: { $in: courseIds } })
+    .select("title description sessions")
+    .populate({ path: "sessions.instructor", select: "name" })
+    .lean();
+
+  return sendCalendar(
+    res,
+    "my-courses",
+    {
+      name: `My Recipe Web — ${user.name?.first || "My"} courses`,
+      description: "Sessions of the courses you are enrolled in.",
+      events: collectEvents(req, courses),
+    },
+    { isPrivate: true }
+  );
+});
+
+/* ------------------------------ profile action ---------------------------- */
+
+// POST /users/:id/calendar/reset — new feed link; the old one stops working
+const resetCalendarFeed = asyncHandler(async (req, res, next) => {
+  const updated = await User.findByIdAndUpdate(req.params.id, { $inc: { calendarFeedVersion: 1 } });
+
+  if (!updated) {
+    req.flash("error", "User not found.");
+    res.locals.redirect = "/dashboard";
+  } else {
+    req.flash("success", "Calendar link reset. Subscribe again with the new link.");
+    res.locals.redirect = `/users/${req.params.id}`;
+  }
+  return next();
+});
+
+/* ---------------------------------- links --------------------------------- */
+
+// Private feed URL shown on the profile
+export const calendarFeedUrl = (req, user) =>
+  appUrl(req, `/users/${user._id}/calendar.ics?token=${user.calendarFeedToken()}`);
+
+export default {
+  courseCalendar,
+  userCalendar,
+  resetCalendarFeed,
+};
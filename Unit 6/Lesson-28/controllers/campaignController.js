@@ -0,0 +1,306 @@
+/**
+ * Campaign controller (admin newsletters)
+ * - Compose (Markdown or EJS), segment, preview and test-send drafts
+ * - Send queues deliveries; services/campaignSender.js works through them
+ * - Flash + redirectView pattern
+ * Author: Kwanele Dladla
+ */
+
+import mongoose from "mongoose";
+import ejs from "ejs";
+
+import Campaign, { BODY_FORMATS } from "../models/campaign.js";
+import Delivery from "../models/delivery.js";
+import Course from "../models/course.js";
+import campaigns from "../services/campaigns.js";
+import { pageLinks, paginate, readPaging } from "../utils/pagination.js";
+import { isValidEmail } from "../utils/validation.js";
+import { normalizePostalPrefix } from "../utils/postalCodes.js";
+import { HAS_APP_URL } from "../utils/appUrl.js";
+
+/* --------------------------------- helpers -------------------------------- */
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+const list = (v) =>
+  []
+    .concat(v ?? [])
+    .flatMap((s) => String(s).split(/[\s,]+/))
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const toDate = (v) => {
+  const d = v ? new Date(v) : null;
+  return d && !Number.isNaN(d.getTime()) ? d : undefined;
+};
+
+const dateInput = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+
+/**
+ * Form body → { fields, values, errors }.
+ * `values` re-fills the form; `fields` is what gets saved.
+ */
+const readCampaignForm = (body = {}) => {
+  const values = {
+    subject: String(body.subject || "").trim(),
+    body: String(body.body || ""),
+    format: BODY_FORMATS.includes(body.format) ? body.format : "markdown",
+    postalCodes: list(body.postalCodes).join(", "),
+    courses: list(body.courses).filter((id) => mongoose.isValidObjectId(id)),
+    signedUpFrom: String(body.signedUpFrom || ""),
+    signedUpTo: String(body.signedUpTo || ""),
+  };
+
+  const errors = {};
+  if (!values.subject) errors.subject = "Subject is required.";
+  if (!values.body.trim()) errors.body = "Body is required.";
+  else if (values.format === "ejs") {
+    try {
+      ejs.compile(values.body, { async: true });
+    } catch (e) {
+      errors.body = `EJS error: ${e.message}`;
+    }
+  }
+
+  const postalCodes = list(body.postalCodes).map((p) => normalizePostalPrefix(p));
+  if (postalCodes.includes(null)) {
+    errors.postalCodes = "Postal codes are codes or their first digits (e.g. 7, 8001), separated by commas.";
+  }
+
+  const signedUpFrom = toDate(values.signedUpFrom);
+  const signedUpTo = toDate(values.signedUpTo);
+  if (signedUpFrom && signedUpTo && signedUpFrom > signedUpTo) {
+    errors.signedUpTo = "The end date is before the start date.";
+  }
+
+  return {
+    values,
+    errors,
+    fields: {
+      subject: values.subject,
+      body: values.body,
+      format: values.format,
+      segment: { postalCodes, courses: values.courses, signedUpFrom, signedUpTo },
+    },
+  };
+};
+
+const formValues = (c) => ({
+  subject: c.subject,
+  body: c.body,
+  format: c.format,
+  postalCodes: (c.segment?.postalCodes || []).join(", "),
+  courses: (c.segment?.courses || []).map(String),
+  signedUpFrom: dateInput(c.segment?.signedUpFrom),
+  signedUpTo: dateInput(c.segment?.signedUpTo),
+});
+
+// Shared locals for campaign_new / campaign_edit
+const formLocals = async () => ({
+  formats: BODY_FORMATS,
+  mergeFields: campaigns.MERGE_FIELDS,
+  courseOptions: await Course.find().select("title").sort({ title: 1 }).lean(),
+});
+
+const findCampaign = async (req, res, next) => {
+  const campaign = mongoose.isValidObjectId(req.params.id) ? await Campaign.findById(req.params.id) : null;
+  if (!campaign) {
+    req.flash("error", "Campaign not found.");
+    res.locals.redirect = "/campaigns";
+    next();
+  }
+  return campaign;
+};
+
+// Drafts only; anything else can't be changed once it has started sending
+const ensureDraft = (req, res, next, campaign) => {
+  if (campaign.status === "draft") return true;
+  req.flash("error", `This campaign is ${campaign.status} and can no longer be changed.`);
+  res.locals.redirect = `/campaigns/${campaign._id}`;
+  next();
+  return false;
+};
+
+/* --------------------------------- actions -------------------------------- */
+
+// GET /campaigns — newest first
+const index = asyncHandler(async (req, res) => {
+  const { items, pagination } = await paginate(Campaign, {}, readPaging(req.query));
+  res.render("campaigns", { campaigns: items, pagination, pager: pageLinks(req, pagination) });
+});
+
+// GET /campaigns/new
+const newCampaign = asyncHandler(async (_req, res) => {
+  res.render("campaign_new", {
+    ...(await formLocals()),
+    errors: {},
+    values: { format: "markdown", body: "Hi {{name}},\n\n", courses: [] },
+  });
+});
+
+// POST /campaigns — save a draft
+const create = asyncHandler(async (req, res, next) => {
+  const { fields, values, errors } = readCampaignForm(req.body);
+  if (Object.keys(errors).length) {
+    return res.status(400).render("campaign_new", { ...(await formLocals()), errors, values });
+  }
+
+  const campaign = await Campaign.create({ ...fields, createdBy: req.user?._id });
+  req.flash("success", "Draft saved. Check the preview and send yourself a test.");
+  res.locals.redirect = `/campaigns/${campaign._id}`;
+  return next();
+});
+
+// GET /campaigns/:id — details, preview, test send, delivery stats
+const show = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req, res, next);
+  if (!campaign) return;
+
+  const [recipients, failures] = await Promise.all([
+    campaign.status === "draft" ? campaigns.countRecipients(campaign.segment) : campaign.stats.total,
+    Delivery.find({ campaign: campaign._id, status: "failed" }).sort({ updatedAt: -1 }).limit(20).lean(),
+  ]);
+  const courses = await Course.find({ _id: { $in: campaign.segment?.courses || [] } }).select("title").lean();
+
+  res.render("campaign_show", {
+    campaign,
+    recipients,
+    failures,
+    courses,
+    dateInput,
+    canSend: HAS_APP_URL,
+  });
+});
+
+// GET /campaigns/:id/preview — the email itself (shown in a sandboxed iframe)
+const preview = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req, res, next);
+  if (!campaign) return;
+
+  try {
+    const { html } = await campaigns.previewCampaign(campaign);
+    res.type("html").send(html);
+  } catch (e) {
+    res.status(422).type("text").send(`Preview failed: ${e.message}`);
+  }
+});
+
+// GET /campaigns/:id/edit
+const edit = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req, res, next);
+  if (!campaign || !ensureDraft(req, res, next, campaign)) return;
+
+  res.render("campaign_edit", { ...(await formLocals()), campaign, errors: {}, values: formValues(campaign) });
+});
+
+// PUT /campaigns/:id
+const update = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req, res, next);
+  if (!campaign || !ensureDraft(req, res, next, campaign)) return;
+
+  const { fields, values, errors } = readCampaignForm(req.body);
+  if (Object.keys(errors).length) {
+    return res.status(400).render("campaign_edit", { ...(await formLocals()), campaign, errors, values });
+  }
+
+  campaign.set(fields);
+  await campaign.save();
+  req.flash("success", "Draft updated.");
+  res.locals.redirect = `/campaigns/${campaign._id}`;
+  return next();
+});
+
+// POST /campaigns/:id/test — one [TEST] copy, to the admin by default
+const sendTest = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req, res, next);
+  if (!campaign) return;
+  res.locals.redirect = `/campaigns/${campaign._id}`;
+
+  const to = String(req.body.to || req.user?.email || "").trim().toLowerCase();
+  if (!isValidEmail(to)) {
+    req.flash("error", "Enter a valid email address for the test.");
+    return next();
+  }
+
+  try {
+    await campaigns.sendTest(campaign, to);
+    req.flash("success", `Test email sent to ${to}.`);
+  } catch (e) {
+    console.error("Campaign test send failed:", e);
+    req.flash("error", `Test send failed: ${e.message}`);
+  }
+  return next();
+});
+
+// POST /campaigns/:id/send — queue every recipient in the segment
+const send = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req, res, next);
+  if (!campaign || !ensureDraft(req, res, next, campaign)) return;
+  res.locals.redirect = `/campaigns/${campaign._id}`;
+
+  if (!HAS_APP_URL) {
+    req.flash("error", "Set APP_URL before sending: every campaign email needs a working unsubscribe link.");
+    return next();
+  }
+  if (!(await campaigns.countRecipients(campaign.segment))) {
+    req.flash("error", "No confirmed subscribers match this segment.");
+    return next();
+  }
+
+  const queued = await campaigns.queueCampaign(campaign._id);
+  if (!queued) {
+    req.flash("error", "This campaign was already sent.");
+    return next();
+  }
+
+  req.flash("success", `Sending to ${queued.stats.total} subscribers in the background.`);
+  return next();
+});
+
+// POST /campaigns/:id/cancel — stop the deliveries that haven't gone out yet
+const cancel = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req, res, next);
+  if (!campaign) return;
+  res.locals.redirect = `/campaigns/${campaign._id}`;
+
+  const cancelled = await campaigns.cancelCampaign(campaign._id);
+  if (cancelled) req.flash("success", `Cancelled. ${cancelled.stats.sent} emails had already been sent.`);
+  else req.flash("error", "Only a campaign that is queueing or sending can be cancelled.");
+  return next();
+});
+
+// DELETE /campaigns/:id — drafts only (sent campaigns are the delivery record)
+const destroy = asyncHandler(async (req, res, next) => {
+  const campaign = await findCampaign(req, res, next);
+  if (!campaign || !ensureDraft(req, res, next, campaign)) return;
+
+  await campaign.deleteOne();
+  req.flash("success", "Draft deleted.");
+  res.locals.redirect = "/campaigns";
+  return next();
+});
+
+// Redirect middleware (same as user controller)
+const redirectView = (req, res, next) => {
+  const redirectPath = res.locals.redirect;
+  if (redirectPath) res.redirect(redirectPath);
+  else next();
+};
+
+export default {
+  index,
+  newCampaign,
+  create,
+  show,
+  preview,
+  edit,
+  update,
+  sendTest,
+  send,
+  cancel,
+  destroy,
+  redirectView,
+};
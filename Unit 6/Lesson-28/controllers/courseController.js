@@ -1,8 +1,33 @@
 // controllers/courseController.js
 import mongoose from "mongoose";
 import httpStatus from "http-status-codes";
-import Course from "../models/course.js";
+import Course, {
+  MAX_ATTACHMENTS,
+  MAX_CAPACITY,
+  MAX_SESSIONS,
+  nextSession,
+  seatsRemaining,
+} from "../models/course.js";
 import User from "../models/user.js";
+import enrollments from "../services/enrollments.js";
+import courseFiles from "../services/courseFiles.js";
+import { recordAudit, auditSnapshot, auditTarget } from "../services/audit.js";
+import {
+  formatIngredient,
+  formatQuantity,
+  formRecipes,
+  parseRecipesForm,
+  recipesToForm,
+  scaleRecipe,
+} from "../utils/recipes.js";
+import { DIETARY_TAGS, MAX_RECIPES, MAX_SERVINGS } from "../models/recipe.js";
+import courseSearch from "../services/courseSearch.js";
+import { highlight, snippet } from "../utils/search.js";
+import { pageLinks, readPaging, setLinkHeader } from "../utils/pagination.js";
+import { parseCapacity } from "../utils/validation.js";
+import { normalizePostalCode, postalCodeError } from "../utils/postalCodes.js";
+import { RADIUS_OPTIONS_KM } from "../utils/geo.js";
+import { MAX_ATTACHMENTS_PER_UPLOAD, MAX_DOCUMENT_BYTES, MAX_IMAGE_BYTES } from "../middlewares/uploads.js";
 
 /**
  * Decide if the request prefers JSON.
@@ -12,10 +37,66 @@ const wantsJson = (req) =>
   req.accepts(["html", "json"]) === "json";
 
 /**
- * Quick ZA postal validator (4 digits).
- * Note: your routes also use express-validator isPostalCode("ZA").
+ * "2026-10-20T18:00" from <input type="datetime-local"> → Date.
+ * tzOffset is the browser's Date#getTimezoneOffset() (minutes, sent by the form);
+ * without it the server's time zone is used. Returns null when invalid.
  */
-const isValidZaPostal = (v) => /^\d{4}$/.test(String(v || "").trim());
+const parseLocalDateTime = (value, tzOffset) => {
+  const raw = String(value || "").trim();
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(raw);
+  const offset = Number.parseInt(tzOffset, 10);
+
+  const date =
+    m && Number.isInteger(offset) && Math.abs(offset) <= 14 * 60
+      ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]) + offset * 60 * 1000)
+      : new Date(raw);
+
+  return raw && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Session form → { session } or { error }.
+ * The instructor (optional) must have the instructor or admin role.
+ */
+const parseSession = async (body = {}) => {
+  const startsAt = parseLocalDateTime(body.startsAt, body.tzOffset);
+  const endsAt = parseLocalDateTime(body.endsAt, body.tzOffset);
+
+  if (!startsAt || !endsAt) return { error: "Start and end date/time are required." };
+  if (endsAt <= startsAt) return { error: "The session must end after it starts." };
+
+  const instructor = String(body.instructor || "").trim();
+  if (instructor) {
+    const ok = await User.exists({ _id: instructor, role: { $in: ["instructor", "admin"] } });
+    if (!ok) return { error: "Choose an instructor (or leave it empty)." };
+  }
+
+  return {
+    session: {
+      startsAt,
+      endsAt,
+      location: {
+        name: String(body.locationName || "").trim() || undefined,
+        address: String(body.locationAddress || "").trim() || undefined,
+      },
+      instructor: instructor || undefined,
+      notes: String(body.notes || "").trim() || undefined,
+    },
+  };
+};
+
+/**
+ * Cover + downloads of a course, as the views need them.
+ */
+const filesFor = (course) => ({
+  cover: courseFiles.coverUrls(course),
+  attachments: (course?.attachments || []).map((a) => ({
+    _id: a._id,
+    name: a.name,
+    size: a.size,
+    url: courseFiles.attachmentUrl(course, a),
+  })),
+});
 
 /**
  * Guard for Mongo ObjectId params.
@@ -34,39 +115,25 @@ const guardId = (req, res) => {
   return true;
 };
 
+// Choices for the recipe blocks and upload limits (UPLOAD_MAX_*_MB) on course_new / course_edit
+const MB = 1024 * 1024;
+const courseForm = {
+  dietaryTags: DIETARY_TAGS,
+  maxRecipes: MAX_RECIPES,
+  maxImageMb: MAX_IMAGE_BYTES / MB,
+  maxPdfMb: MAX_DOCUMENT_BYTES / MB,
+  maxFilesPerUpload: MAX_ATTACHMENTS_PER_UPLOAD,
+};
+
 /**
- * Parse "items" input into an array of strings.
- * Supports:
- *  - JSON array e.g. '["a","b"]'
- *  - Comma or newline separated values
+ * Recipe blocks from the form → { recipes } or { error }.
+ * Shape / limits come from the schema (Course.recipeError).
  */
-const parseItems = (input) => {
-  if (!input) return [];
-  const raw = String(input).trim();
-
-  // Try JSON first
-  if (
-    (raw.startsWith("[") && raw.endsWith("]")) ||
-    (raw.startsWith('"') && raw.endsWith('"'))
-  ) {
-    try {
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        const arr = parsed.map((s) => String(s).trim()).filter(Boolean);
-        return [...new Set(arr)].slice(0, 100);
-      }
-    } catch {
-      // fall through to split mode
-    }
-  }
-
-  // Fallback: split by comma / newline
-  const split = raw
-    .split(/[\n,]+/)
-    .map((s) => s.trim())
-    .filter(Boolean);
-
-  return [...new Set(split)].slice(0, 100);
+const readRecipes = (input) => {
+  const parsed = parseRecipesForm(input);
+  if (parsed.error) return parsed;
+  const error = Course.recipeError(parsed.recipes);
+  return error ? { error } : parsed;
 };
 
 /* -------------------------------------------------------------------------- */
@@ -74,50 +141,29 @@ const parseItems = (input) => {
 /* -------------------------------------------------------------------------- */
 export const showCourses = async (req, res) => {
   try {
-    const q = String(req.query.q || "").trim();
-    const page = Math.max(parseInt(req.query.page || "1", 10), 1);
-    const limit = Math.min(
-      Math.max(parseInt(req.query.limit || "25", 10), 1),
-      100
-    );
-    const skip = (page - 1) * limit;
-
-    const query = q
-      ? {
-          $or: [
-            { title: { $regex: q, $options: "i" } },
-            { description: { $regex: q, $options: "i" } },
-          ],
-        }
-      : {};
+    const params = courseSearch.parseSearchParams(req.query);
+    const paging = readPaging(req.query, { cursors: courseSearch.usesCursors(params) });
+    const { courses, pagination, facets } = await courseSearch.searchCourses(params, paging);
 
-    const [courses, total] = await Promise.all([
-      Course.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
-      Course.countDocuments(query),
-    ]);
-
-    const payload = {
-      courses,
-      search: q,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.max(1, Math.ceil(total / limit)),
-      },
-    };
+    const payload = { courses, search: params.q, facets, pagination };
 
     if (wantsJson(req)) {
+      setLinkHeader(req, res, pagination);
       return res.json(payload);
     }
 
     return res.render("courses", {
       title: "Courses — My Recipe Web",
       ...payload,
+      pager: pageLinks(req, pagination),
+      params,
+      sorts: courseSearch.SORTS,
+      radiusOptions: RADIUS_OPTIONS_KM,
+      searchHref: (changes) => courseSearch.searchHref(params, changes),
+      highlight: (text) => highlight(text, params.terms),
+      snippet: (text) => snippet(text, params.terms),
+      nextSession,
+      filesFor,
     });
   } catch (error) {
     console.error("Error retrieving courses:", error);
@@ -136,36 +182,17 @@ export const showCourses = async (req, res) => {
 /* -------------------------------------------------------------------------- */
 export const apiIndex = async (req, res, next) => {
   try {
-    const q = String(req.query.q || "").trim();
-    const page = Math.max(parseInt(req.query.page || "1", 10), 1);
-    const limit = Math.min(
-      Math.max(parseInt(req.query.limit || "25", 10), 1),
-      100
-    );
-    const skip = (page - 1) * limit;
-
-    const query = q
-      ? {
-          $or: [
-            { title: { $regex: q, $options: "i" } },
-            { description: { $regex: q, $options: "i" } },
-          ],
-        }
-      : {};
-
-    const [courses, total] = await Promise.all([
-      Course.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
-      Course.countDocuments(query),
-    ]);
-
-    res.locals.courses = courses;
-    res.locals.search = q;
-    res.locals.pagination = {
-      page,
-      limit,
-      total,
-      pages: Math.max(1, Math.ceil(total / limit)),
-    };
+    const params = courseSearch.parseSearchParams(req.query);
+    const paging = readPaging(req.query, { cursors: courseSearch.usesCursors(params) });
+    const { courses, pagination, facets } = await courseSearch.searchCourses(params, paging);
+
+    res.locals.courses = params.q
+      ? courses.map((course) => ({ ...course, highlights: courseSearch.highlightsFor(course, params.terms) }))
+      : courses;
+    res.locals.search = params.q;
+    res.locals.facets = facets;
+    res.locals.pagination = pagination;
+    setLinkHeader(req, res, pagination);
 
     return next();
   } catch (error) {
@@ -182,9 +209,10 @@ export const showCreateCourseForm = (req, res) => {
     return res.status(406).json({ error: "HTML form only" });
   }
   return res.render("course_new", {
+    ...courseForm,
     title: "New Course — My Recipe Web",
     errors: {},
-    values: { title: "", description: "", zipCode: "", items: "" },
+    values: { title: "", description: "", zipCode: "", recipes: [], capacity: "" },
   });
 };
 
@@ -193,18 +221,23 @@ export const showCreateCourseForm = (req, res) => {
 /* -------------------------------------------------------------------------- */
 export const createCourse = async (req, res, next) => {
   try {
-    let { title = "", description = "", zipCode = "", items = "" } = req.body;
+    let { title = "", description = "", zipCode = "", capacity = "" } = req.body;
     title = String(title).trim();
     description = String(description).trim();
     zipCode = String(zipCode).trim();
-    const itemsArr = parseItems(items);
+    const recipes = readRecipes(req.body.recipes);
+    const seats = parseCapacity(capacity, MAX_CAPACITY);
+    const uploads = await courseFiles.prepare(req.files);
 
-    const errors = {};
+    const errors = { ...req.uploadErrors, ...uploads.errors };
     if (!title) errors.title = "Title is required.";
     if (!description) errors.description = "Description is required.";
-    if (zipCode && !isValidZaPostal(zipCode)) {
-      errors.zipCode = "Postal code must be 4 digits (ZA).";
+    const zip = normalizePostalCode(zipCode);
+    if (zip === null) errors.zipCode = postalCodeError();
+    if (seats === undefined) {
+      errors.capacity = `Seats must be a whole number from 1 to ${MAX_CAPACITY} (empty = unlimited).`;
     }
+    if (recipes.error) errors.recipes = recipes.error;
 
     if (Object.keys(errors).length) {
       if (wantsJson(req)) {
@@ -213,9 +246,10 @@ export const createCourse = async (req, res, next) => {
           .json({ error: "Validation failed", details: errors });
       }
       return res.status(400).render("course_new", {
+        ...courseForm,
         title: "New Course — My Recipe Web",
         errors,
-        values: { title, description, zipCode, items },
+        values: { title, description, zipCode, recipes: formRecipes(req.body.recipes), capacity },
       });
     }
 
@@ -230,11 +264,27 @@ export const createCourse = async (req, res, next) => {
       return next();
     }
 
-    const doc = await Course.create({
+    const doc = new Course({
       title,
       description,
-      zipCode: zipCode ? Number(zipCode) : undefined,
-      items: itemsArr,
+      zipCode: zip || undefined,
+      recipes: recipes.recipes,
+      capacity: seats,
+    });
+
+    // Files first (they need the id); undo them if the course can't be saved
+    const stored = await courseFiles.save(doc._id, uploads);
+    doc.coverImage = stored.coverImage;
+    doc.attachments = stored.attachments;
+    try {
+      await doc.save();
+    } catch (error) {
+      await courseFiles.remove(courseFiles.keysOf(stored));
+      throw error;
+    }
+    await recordAudit(req, "course.created", {
+      target: auditTarget("course", doc),
+      after: auditSnapshot("course", doc),
     });
 
     if (wantsJson(req)) {
@@ -274,7 +324,9 @@ export const showEditCourseForm = async (req, res) => {
   if (!guardId(req, res)) return;
 
   try {
-    const course = await Course.findById(req.params.id).lean();
+    const course = await Course.findById(req.params.id)
+      .populate({ path: "sessions.instructor", select: "name" })
+      .lean();
     if (!course) {
       if (wantsJson(req)) {
         return res.status(404).json({ error: "Course not found" });
@@ -286,15 +338,29 @@ export const showEditCourseForm = async (req, res) => {
       return res.json({ course });
     }
 
+    // Choices for the session form
+    const instructors = await User.find({ role: { $in: ["instructor", "admin"] } })
+      .select("name")
+      .sort({ "name.first": 1, "name.last": 1 })
+      .lean();
+
     return res.render("course_edit", {
+      ...courseForm,
       title: `Edit: ${course.title} — My Recipe Web`,
       errors: {},
       values: {
         title: course.title,
         description: course.description,
         zipCode: course.zipCode ?? "",
-        items: (course.items || []).join(", "),
+        recipes: recipesToForm(course.recipes),
+        capacity: course.capacity ?? "",
       },
+      enrolledCount: course.enrolledCount || 0,
+      files: filesFor(course),
+      maxAttachments: MAX_ATTACHMENTS,
+      sessions: course.sessions || [],
+      instructors,
+      maxSessions: MAX_SESSIONS,
       id: course._id,
     });
   } catch (error) {
@@ -316,18 +382,24 @@ export const updateCourse = async (req, res, next) => {
   if (!guardId(req, res)) return;
 
   try {
-    let { title = "", description = "", zipCode = "", items = "" } = req.body;
+    let { title = "", description = "", zipCode = "", capacity = "" } = req.body;
     title = String(title).trim();
     description = String(description).trim();
     zipCode = String(zipCode).trim();
-    const itemsArr = parseItems(items);
+    const recipes = readRecipes(req.body.recipes);
+    const seats = parseCapacity(capacity, MAX_CAPACITY);
+    const removeCover = ["on", "true", "1"].includes(String(req.body.removeCover || ""));
+    const uploads = await courseFiles.prepare(req.files);
 
-    const errors = {};
+    const errors = { ...req.uploadErrors, ...uploads.errors };
     if (!title) errors.title = "Title is required.";
     if (!description) errors.description = "Description is required.";
-    if (zipCode && !isValidZaPostal(zipCode)) {
-      errors.zipCode = "Postal code must be 4 digits (ZA).";
+    const zip = normalizePostalCode(zipCode);
+    if (zip === null) errors.zipCode = postalCodeError();
+    if (seats === undefined) {
+      errors.capacity = `Seats must be a whole number from 1 to ${MAX_CAPACITY} (empty = unlimited).`;
     }
+    if (recipes.error) errors.recipes = recipes.error;
 
     if (Object.keys(errors).length) {
       if (wantsJson(req)) {
@@ -336,9 +408,10 @@ export const updateCourse = async (req, res, next) => {
           .json({ error: "Validation failed", details: errors });
       }
       return res.status(400).render("course_edit", {
+        ...courseForm,
         title: `Edit: ${title || "Course"} — My Recipe Web`,
         errors,
-        values: { title, description, zipCode, items },
+        values: { title, description, zipCode, recipes: formRecipes(req.body.recipes), capacity },
         id: req.params.id,
       });
     }
@@ -364,26 +437,68 @@ export const updateCourse = async (req, res, next) => {
           return res.status(409).json({ error: "Duplicate title" });
         }
         return res.status(409).render("course_edit", {
+          ...courseForm,
           title: `Edit: ${title} — My Recipe Web`,
           errors: { title: "A course with this title already exists." },
-          values: { title, description, zipCode, items },
+          values: { title, description, zipCode, recipes: formRecipes(req.body.recipes), capacity },
           id: req.params.id,
         });
       }
     }
 
+    if (course.attachments.length + uploads.attachments.length > MAX_ATTACHMENTS) {
+      const message = `A course can have at most ${MAX_ATTACHMENTS} files. Remove some first.`;
+      if (wantsJson(req)) {
+        return res.status(400).json({ error: "Validation failed", details: { attachments: message } });
+      }
+      req.flash("error", message);
+      res.locals.redirect = `/courses/${course._id}/edit`;
+      return next();
+    }
+
+    const before = auditSnapshot("course", course);
     course.title = title;
     course.description = description;
-    course.zipCode = zipCode ? Number(zipCode) : undefined;
-    course.items = itemsArr;
-
-    const saved = await course.save();
+    course.zipCode = zip || undefined;
+    course.recipes = recipes.recipes;
+    course.capacity = seats;
+
+    // New cover replaces the old one; old files go once the save went through
+    const stored = await courseFiles.save(course._id, uploads);
+    const replaced =
+      stored.coverImage || removeCover ? courseFiles.keysOf({ coverImage: course.coverImage }) : [];
+    if (stored.coverImage) course.coverImage = stored.coverImage;
+    else if (removeCover) course.coverImage = null;
+    course.attachments.push(...stored.attachments);
+
+    let saved;
+    try {
+      saved = await course.save();
+    } catch (error) {
+      await courseFiles.remove(courseFiles.keysOf(stored));
+      throw error;
+    }
+    await courseFiles.remove(replaced);
+
+    // More seats → move people off the waitlist
+    const promoted = await enrollments.fillSeats(saved._id);
+    await recordAudit(req, "course.updated", {
+      target: auditTarget("course", saved),
+      before,
+      after: auditSnapshot("course", saved),
+      details: promoted.length ? { promotedFromWaitlist: promoted.length } : undefined,
+    });
 
     if (wantsJson(req)) {
       return res.json({ course: saved, message: "Updated" });
     }
 
-    req.flash("success", `Course "${title}" updated successfully.`);
+    req.flash(
+      "success",
+      promoted.length
+        ? `Course "${title}" updated. ${promoted.length} waitlisted student(s) got a seat.`
+        : `Course "${title}" updated successfully.`
+    );
     res.locals.redirect = "/courses";
     return next();
   } catch (error) {
@@ -394,9 +509,10 @@ export const updateCourse = async (req, res, next) => {
         return res.status(409).json({ error: "Duplicate title" });
       }
       return res.status(409).render("course_edit", {
+        ...courseForm,
         title: "Edit Course — My Recipe Web",
         errors: { title: "A course with this title already exists." },
-        values: { ...req.body },
+        values: { ...req.body, recipes: formRecipes(req.body.recipes) },
         id: req.params.id,
       });
     }
@@ -419,6 +535,14 @@ export const deleteCourse = async (req, res, next) => {
 
   try {
     const deleted = await Course.findByIdAndDelete(req.params.id);
+    if (deleted) {
+      await enrollments.removeCourse(deleted._id);
+      await courseFiles.removeCourse(deleted._id);
+      await recordAudit(req, "course.deleted", {
+        target: auditTarget("course", deleted),
+        before: auditSnapshot("course", deleted),
+      });
+    }
 
     if (wantsJson(req)) {
       return res.json({ deleted: Boolean(deleted) });
@@ -444,40 +568,198 @@ export const deleteCourse = async (req, res, next) => {
 };
 
 /* -------------------------------------------------------------------------- */
-/* JOIN COURSE (GET /api/courses/:id/join)                                    */
+/* RECIPE (GET /courses/:id/recipes/:recipeId?servings=N)                     */
 /* -------------------------------------------------------------------------- */
-export const join = async (req, res, next) => {
+export const showRecipe = async (req, res, next) => {
+  if (!guardId(req, res)) return;
+
   try {
-    const courseId = req.params.id;
+    const course = await Course.findOne(
+      { _id: req.params.id, "recipes._id": req.params.recipeId },
+      { title: 1, "recipes.$": 1 }
+    ).lean();
+    const stored = course?.recipes?.[0];
+    if (!stored) {
+      if (wantsJson(req)) {
+        return res.status(404).json({ error: "Recipe not found" });
+      }
+      return res.status(404).render("404", { title: "Not Found — My Recipe Web" });
+    }
 
-    // IMPORTANT: for API JWT routes, user is on req.apiUser (from verifyJWT)
-    // Fallback to session user (req.user) if you ever call this outside the API.
-    const currentUserId = req.apiUser?._id || req.user?._id;
+    // Quantities are recalculated; the stored recipe is never changed
+    const recipe = scaleRecipe(stored, req.query.servings);
 
-    if (!currentUserId) {
-      res.locals.api = { success: false, error: "User must log in." };
+    if (wantsJson(req)) {
+      return res.json({ course: { _id: course._id, title: course.title }, recipe });
+    }
+
+    return res.render("recipe_show", {
+      title: `${recipe.title} — My Recipe Web`,
+      course,
+      recipe,
+      maxServings: MAX_SERVINGS,
+      formatIngredient,
+      formatQuantity,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* DOWNLOAD FILE (GET /courses/:id/attachments/:attachmentId)                 */
+/* -------------------------------------------------------------------------- */
+export const downloadAttachment = async (req, res, next) => {
+  if (!guardId(req, res)) return;
+
+  try {
+    const course = await Course.findOne(
+      { _id: req.params.id, "attachments._id": req.params.attachmentId },
+      { "attachments.$": 1 }
+    ).lean();
+    const file = course?.attachments?.[0];
+    if (!file) {
+      return res.status(404).render("404", { title: "Not Found — My Recipe Web" });
+    }
+
+    const stream = courseFiles.open(file.key);
+    stream.on("error", (error) => {
+      console.error("Error reading course file:", error);
+      if (!res.headersSent) {
+        res.status(404).render("404", { title: "Not Found — My Recipe Web" });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    res.attachment(file.name);
+    res.type(file.contentType);
+    return stream.pipe(res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* REMOVE FILE (DELETE /courses/:id/attachments/:attachmentId)                */
+/* -------------------------------------------------------------------------- */
+export const removeAttachment = async (req, res, next) => {
+  if (!guardId(req, res)) return;
+  res.locals.redirect = `/courses/${req.params.id}/edit`;
+
+  try {
+    // Returns the course as it was, so we know which file to delete
+    const before = await Course.findOneAndUpdate(
+      { _id: req.params.id, "attachments._id": req.params.attachmentId },
+      { $pull: { attachments: { _id: req.params.attachmentId } } },
+      { projection: { attachments: 1 } }
+    ).lean();
+    const file = before?.attachments?.find((a) => String(a._id) === req.params.attachmentId);
+    if (file) await courseFiles.remove([file.key]);
+
+    if (wantsJson(req)) {
+      return res.json({ deleted: Boolean(file) });
+    }
+
+    if (!file) {
+      req.flash("error", "File not found.");
+    } else {
+      req.flash("success", `Removed "${file.name}".`);
+    }
+    return next();
+  } catch (error) {
+    console.error("Error removing course file:", error);
+    if (wantsJson(req)) {
+      return res.status(500).json({ error: "Failed to remove file." });
+    }
+    req.flash("error", "Failed to remove file.");
+    return next();
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* ADD SESSION (POST /courses/:id/sessions)                                   */
+/* -------------------------------------------------------------------------- */
+export const addSession = async (req, res, next) => {
+  if (!guardId(req, res)) return;
+  res.locals.redirect = `/courses/${req.params.id}/edit`;
+
+  try {
+    const { session, error } = await parseSession(req.body);
+    if (error) {
+      if (wantsJson(req)) {
+        return res.status(400).json({ error: "Validation failed", details: { session: error } });
+      }
+      req.flash("error", error);
       return next();
     }
 
-    if (!mongoose.isValidObjectId(courseId)) {
-      res.locals.api = { success: false, error: "Invalid course id." };
+    // Push in date order; the filter refuses a full schedule
+    const result = await Course.updateOne(
+      { _id: req.params.id, [`sessions.${MAX_SESSIONS - 1}`]: { $exists: false } },
+      { $push: { sessions: { $each: [session], $sort: { startsAt: 1 } } } },
+      { runValidators: true }
+    );
+
+    if (!result.matchedCount) {
+      const exists = await Course.exists({ _id: req.params.id });
+      const message = exists
+        ? `A course can have at most ${MAX_SESSIONS} sessions.`
+        : "Course not found.";
+      if (wantsJson(req)) {
+        return res.status(exists ? 409 : 404).json({ error: message });
+      }
+      req.flash("error", message);
+      if (!exists) res.locals.redirect = "/courses";
       return next();
     }
 
-    await User.findByIdAndUpdate(
-      currentUserId,
-      { $addToSet: { courses: courseId } },
-      { runValidators: true, context: "query" }
+    if (wantsJson(req)) {
+      return res.status(201).json({ message: "Session added" });
+    }
+
+    req.flash("success", "Session added.");
+    return next();
+  } catch (error) {
+    console.error("Error adding session:", error);
+    if (wantsJson(req)) {
+      return res.status(500).json({ error: "Failed to add session." });
+    }
+    req.flash("error", "Failed to add session.");
+    return next();
+  }
+};
+
+/* -------------------------------------------------------------------------- */
+/* REMOVE SESSION (DELETE /courses/:id/sessions/:sessionId)                   */
+/* -------------------------------------------------------------------------- */
+export const removeSession = async (req, res, next) => {
+  if (!guardId(req, res)) return;
+  res.locals.redirect = `/courses/${req.params.id}/edit`;
+
+  try {
+    const result = await Course.updateOne(
+      { _id: req.params.id },
+      { $pull: { sessions: { _id: req.params.sessionId } } }
     );
 
-    // Keep API responses consistent (your respondJSON returns res.locals)
-    res.locals.success = true;
-    res.locals.message = "Joined course successfully.";
-    res.locals.courseId = courseId;
+    if (wantsJson(req)) {
+      return res.json({ deleted: result.modifiedCount > 0 });
+    }
 
+    if (!result.modifiedCount) {
+      req.flash("error", "Session not found.");
+    } else {
+      req.flash("success", "Session removed.");
+    }
     return next();
   } catch (error) {
-    return next(error);
+    console.error("Error removing session:", error);
+    if (wantsJson(req)) {
+      return res.status(500).json({ error: "Failed to remove session." });
+    }
+    req.flash("error", "Failed to remove session.");
+    return next();
   }
 };
 
@@ -491,16 +773,25 @@ export const filterUserCourses = async (req, res, next) => {
     const currentUserId = req.apiUser?._id || res.locals.currentUser?._id;
     const courses = res.locals.courses || [];
 
-    if (!currentUserId || !Array.isArray(courses)) return next();
+    if (!Array.isArray(courses)) return next();
 
-    // Only load user when needed (keeps API fast)
-    const user = await User.findById(currentUserId).select("courses").lean();
-    const joinedSet = new Set((user?.courses || []).map((id) => String(id)));
+    // Only load enrollments when needed (keeps API fast)
+    const statuses = currentUserId
+      ? await enrollments.statusesForUser(
+          currentUserId,
+          courses.map((c) => c._id)
+        )
+      : {};
 
-    const mappedCourses = courses.map((course) => ({
-      ...course,
-      joined: joinedSet.has(String(course._id)),
-    }));
+    const mappedCourses = courses.map((course) => {
+      const status = statuses[String(course._id)] || null;
+      return {
+        ...course,
+        seatsRemaining: seatsRemaining(course),
+        enrollmentStatus: status,
+        joined: status === "enrolled",
+      };
+    });
 
     res.locals.courses = mappedCourses;
     return next();
@@ -512,13 +803,18 @@ export const filterUserCourses = async (req, res, next) => {
 /* -------------------------------------------------------------------------- */
 /* JSON HELPERS FOR API                                                       */
 /* -------------------------------------------------------------------------- */
+// Only these locals are API output (res.locals also holds session, currentUser, …)
+const API_LOCALS = ["courses", "search", "facets", "pagination"];
+
 export const respondJSON = (_req, res) => {
-  // If you set res.locals.api anywhere, prefer that.
-  if (res.locals.api) return res.json(res.locals.api);
+  const data = {};
+  for (const key of API_LOCALS) {
+    if (res.locals[key] !== undefined) data[key] = res.locals[key];
+  }
 
   res.json({
     status: httpStatus.OK,
-    data: res.locals,
+    data,
   });
 };
 
@@ -550,7 +846,11 @@ export default {
   showEditCourseForm,
   updateCourse,
   deleteCourse,
-  join,
+  showRecipe,
+  downloadAttachment,
+  removeAttachment,
+  addSession,
+  removeSession,
   filterUserCourses,
   respondJSON,
   errorJSON,
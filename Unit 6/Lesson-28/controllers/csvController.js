@@ -0,0 +1,64 @@
+/**
+ * CSV controller (admin)
+ * - Import: upload → dry-run report → confirm (re-posts the checked CSV) → result
+ * - Export: streamed downloads of the subscriber, user and course lists
+ * Author: Kwanele Dladla
+ */
+
+import { INVITE_TTL_DAYS } from "../models/user.js";
+import { IMPORT_KINDS, MAX_IMPORT_ROWS, runImport } from "../services/csvImport.js";
+import { EXPORT_KINDS, exportCsv } from "../services/csvExport.js";
+
+/* --------------------------------- helpers -------------------------------- */
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+const kindOptions = Object.entries(IMPORT_KINDS).map(([value, def]) => ({
+  value,
+  label: def.label,
+  required: def.columns.required,
+  optional: def.columns.optional,
+}));
+
+const renderImport = (res, locals = {}) =>
+  res.render("admin_import", {
+    title: "Import CSV — My Recipe Web",
+    kinds: kindOptions,
+    maxRows: MAX_IMPORT_ROWS,
+    inviteDays: INVITE_TTL_DAYS,
+    kind: "subscribers",
+    report: null,
+    csv: "",
+    error: null,
+    ...locals,
+  });
+
+/* --------------------------------- actions -------------------------------- */
+
+// GET /admin/import
+const showImport = (req, res) =>
+  renderImport(res, { kind: IMPORT_KINDS[req.query.kind] ? req.query.kind : "subscribers" });
+
+// POST /admin/import — dry run, or the real import with commit=1
+const importCsv = asyncHandler(async (req, res) => {
+  const kind = IMPORT_KINDS[req.body.kind] ? req.body.kind : null;
+  const csv = req.file ? req.file.buffer.toString("utf8") : String(req.body.csv || "");
+  const dryRun = req.body.commit !== "1";
+
+  if (!kind) return renderImport(res.status(400), { error: "Choose what to import." });
+  if (!csv.trim()) return renderImport(res.status(400), { kind, error: "Choose a CSV file." });
+
+  const report = await runImport(req, kind, csv, { dryRun });
+  return renderImport(res.status(report.error ? 400 : 200), { kind, report, csv: dryRun ? csv : "" });
+});
+
+// GET /admin/export/:kind — CSV download
+const exportList = asyncHandler(async (req, res, next) => {
+  if (!EXPORT_KINDS[req.params.kind]) return next();
+  return exportCsv(res, req.params.kind);
+});
+
+export default { showImport, importCsv, exportList };
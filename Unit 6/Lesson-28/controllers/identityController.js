@@ -0,0 +1,167 @@
+/**
+ * Identity controller (admin)
+ * - Likely duplicate subscribers / users and linked pairs that drifted apart
+ * - Merge screen: pick the values to keep, move course memberships across
+ *   (each merge goes to the audit log)
+ * - Flash + redirectView pattern
+ * Author: Kwanele Dladla
+ */
+
+import mongoose from "mongoose";
+
+import User from "../models/user.js";
+import Subscriber from "../models/subscribers.js";
+import identities from "../services/identities.js";
+import { recordAudit, auditTarget } from "../services/audit.js";
+
+/* --------------------------------- helpers -------------------------------- */
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+const KINDS = ["user", "subscriber"];
+
+// "subscriber:<id>" → { kind, id } (null if malformed)
+const parseRef = (value) => {
+  const [kind, id] = String(value || "").split(":");
+  return KINDS.includes(kind) && mongoose.isValidObjectId(id) ? { kind, id } : null;
+};
+
+const refOf = ({ kind, id }) => `${kind}:${id}`;
+
+// Keep = the user if there is one; two users can't be merged (each has a login)
+const readPair = (keepValue, mergeValue) => {
+  let keep = parseRef(keepValue);
+  let merge = parseRef(mergeValue);
+  if (!keep || !merge || keep.id === merge.id) return { error: "Pick two different records to merge." };
+  if (merge.kind === "user") [keep, merge] = [merge, keep];
+  if (merge.kind === "user") return { error: "Two user accounts can't be merged." };
+  return { keep, merge };
+};
+
+const loadUser = (id) =>
+  User.findById(id)
+    .select("name email zipCode verified subscriberAccount courses createdAt")
+    .populate({ path: "courses", select: "title" })
+    .lean();
+
+const loadSubscriber = (id) =>
+  Subscriber.findById(id).populate({ path: "courses", select: "title" }).lean();
+
+/* --------------------------------- actions -------------------------------- */
+
+// GET /admin/identities — duplicates and out-of-sync links
+const index = asyncHandler(async (_req, res) => {
+  const { pairs, drifted } = await identities.findDuplicates();
+  res.render("admin_identities", {
+    title: "Duplicates — My Recipe Web",
+    pairs,
+    drifted,
+    refOf,
+  });
+});
+
+// POST /admin/identities/sync — copy every user's name / postal code to its subscriber
+const syncAll = asyncHandler(async (req, res, next) => {
+  const { checked, synced, unlinked } = await identities.syncAllLinked();
+  req.flash(
+    "success",
+    `Checked ${checked} linked accounts: ${synced} subscribers updated, ${unlinked} links to deleted subscribers removed.`
+  );
+  res.locals.redirect = "/admin/identities";
+  return next();
+});
+
+// GET /admin/merge?keep=user:<id>&merge=subscriber:<id>
+const showMerge = asyncHandler(async (req, res, next) => {
+  const pair = readPair(req.query.keep, req.query.merge);
+  if (pair.error) {
+    req.flash("error", pair.error);
+    res.locals.redirect = "/admin/identities";
+    return next();
+  }
+
+  const [keep, merge] = await Promise.all([
+    pair.keep.kind === "user" ? loadUser(pair.keep.id) : loadSubscriber(pair.keep.id),
+    loadSubscriber(pair.merge.id),
+  ]);
+  if (!keep || !merge) {
+    req.flash("error", "One of these records no longer exists.");
+    res.locals.redirect = "/admin/identities";
+    return next();
+  }
+
+  // A user is already linked to another subscriber: merging replaces that link
+  const replacesLink =
+    pair.keep.kind === "user" && keep.subscriberAccount && String(keep.subscriberAccount) !== pair.merge.id;
+  const enrolledIds = new Set((keep.courses || []).map((c) => String(c._id)));
+
+  return res.render("admin_merge", {
+    title: "Merge — My Recipe Web",
+    keepKind: pair.keep.kind,
+    keep,
+    merge,
+    keepRef: refOf(pair.keep),
+    mergeRef: refOf(pair.merge),
+    // subscriber → user: courses the user could be enrolled in
+    enrollable: (merge.courses || []).filter((c) => !enrolledIds.has(String(c._id))),
+    replacesLink,
+  });
+});
+
+// POST /admin/merge — body: keep, merge, name, email, zipCode, enroll[]
+const merge = asyncHandler(async (req, res, next) => {
+  const pair = readPair(req.body.keep, req.body.merge);
+  res.locals.redirect = "/admin/identities";
+  if (pair.error) {
+    req.flash("error", pair.error);
+    return next();
+  }
+
+  try {
+    if (pair.keep.kind === "user") {
+      const picks = { name: req.body.name, zipCode: req.body.zipCode };
+      const enrollIn = [].concat(req.body.enroll ?? []).filter((id) => mongoose.isValidObjectId(id));
+      const { user, enrolled, waitlisted } = await identities.mergeSubscriberIntoUser(
+        pair.keep.id,
+        pair.merge.id,
+        picks,
+        enrollIn
+      );
+
+      await recordAudit(req, "subscriber.merged", {
+        target: auditTarget("subscriber", { _id: pair.merge.id }),
+        details: { into: refOf(pair.keep), intoEmail: user.email, enrolled, waitlisted },
+      });
+
+      let message = `Subscriber linked to ${user.fullName || user.email}.`;
+      if (enrolled) message += ` Enrolled in ${enrolled} course${enrolled === 1 ? "" : "s"}.`;
+      if (waitlisted) message += ` Waitlisted for ${waitlisted} full course${waitlisted === 1 ? "" : "s"}.`;
+      req.flash("success", message);
+    } else {
+      const picks = { name: req.body.name, email: req.body.email, zipCode: req.body.zipCode };
+      const kept = await identities.mergeSubscribers(pair.keep.id, pair.merge.id, picks);
+      await recordAudit(req, "subscriber.merged", {
+        target: auditTarget("subscriber", { _id: pair.merge.id }),
+        details: { into: refOf(pair.keep), intoEmail: kept.email },
+      });
+      req.flash("success", `Merged into ${kept.email}.`);
+    }
+  } catch (e) {
+    if (!e?.status) throw e;
+    req.flash("error", e.message);
+    res.locals.redirect = `/admin/merge?keep=${refOf(pair.keep)}&merge=${refOf(pair.merge)}`;
+  }
+  return next();
+});
+
+// Redirect middleware (same as user controller)
+const redirectView = (req, res, next) => {
+  const redirectPath = res.locals.redirect;
+  if (redirectPath) res.redirect(redirectPath);
+  else next();
+};
+
+export default { index, syncAll, showMerge, merge, redirectView };
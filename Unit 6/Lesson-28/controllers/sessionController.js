@@ -0,0 +1,102 @@
+/**
+ * Session controller
+ * - "Your active sessions": browsers signed in to an account (HTML)
+ * - Sign out one / all other sessions; admin force-logout
+ * Author: Kwanele Dladla
+ */
+
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import { listSessions, signOutSession, signOutSessions } from "../services/webSessions.js";
+import { revokeAllLogins } from "../services/apiTokens.js";
+import { recordAudit, auditTarget } from "../services/audit.js";
+
+/* --------------------------------- helpers -------------------------------- */
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+const sessionsPage = (id) => `/users/${id}/sessions`;
+
+/* --------------------------------- actions -------------------------------- */
+
+// GET /users/:id/sessions — list signed-in browsers
+const showSessions = asyncHandler(async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findById(req.params.id).select("name email").lean()
+    : null;
+  if (!user) return res.status(404).render("error", { message: "User not found." });
+
+  const sessions = await listSessions(user._id, req.sessionID);
+  return res.render("user_sessions", {
+    title: "Active sessions — My Recipe Web",
+    user,
+    sessions,
+    isOwner: String(req.user?._id) === String(user._id),
+  });
+});
+
+// POST /users/:id/sessions/:key/revoke — sign one browser out
+const revokeSession = asyncHandler(async (req, res, next) => {
+  res.locals.redirect = sessionsPage(req.params.id);
+
+  const done =
+    mongoose.isValidObjectId(req.params.id) && (await signOutSession(req.params.id, req.params.key));
+  if (done) {
+    await recordAudit(req, "auth.session_revoked", {
+      target: auditTarget("user", { _id: req.params.id }),
+      details: { count: 1 },
+    });
+  }
+  req.flash(done ? "success" : "error", done ? "Session signed out." : "Session not found.");
+  return next();
+});
+
+// POST /users/:id/sessions/revoke-others — sign out everywhere except here
+const revokeOtherSessions = asyncHandler(async (req, res, next) => {
+  res.locals.redirect = sessionsPage(req.params.id);
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    req.flash("error", "User not found.");
+    return next();
+  }
+
+  const count = await signOutSessions(req.params.id, { except: req.sessionID });
+  await recordAudit(req, "auth.session_revoked", {
+    target: auditTarget("user", { _id: req.params.id }),
+    details: { count, allOthers: true },
+  });
+  req.flash("success", `Signed out of ${count} other session(s).`);
+  return next();
+});
+
+// POST /users/:id/sessions/revoke — force-logout: every browser + API client (admin)
+const forceLogout = asyncHandler(async (req, res, next) => {
+  res.locals.redirect = "/users";
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    req.flash("error", "User not found.");
+    return next();
+  }
+
+  // An admin doing this to themselves keeps the session they are using
+  const except = String(req.user?._id) === String(req.params.id) ? req.sessionID : undefined;
+  const sessions = await signOutSessions(req.params.id, { except });
+  const apiLogins = await revokeAllLogins(req.params.id, { reason: "admin" });
+  const target = auditTarget("user", { _id: req.params.id });
+  await recordAudit(req, "auth.session_revoked", { target, details: { count: sessions, reason: "admin" } });
+  await recordAudit(req, "auth.token_revoked", {
+    target,
+    details: { reason: "admin", all: true, count: apiLogins },
+  });
+
+  req.flash("success", `Signed out of ${sessions} browser session(s) and ${apiLogins} API session(s).`);
+  return next();
+});
+
+export default {
+  showSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forceLogout,
+};
@@ -1,18 +1,20 @@
 /**
  * @author: Kwanele Dladla
- * @description: Subscribers controller (full CRUD) with SA postal validation,
+ * @description: Subscribers controller (full CRUD) with postal code validation,
  * email normalization, basic ID guards, flashes, and redirect middleware.
  */
 
 import mongoose from "mongoose";
 import Subscriber from "../models/subscribers.js";
+import User from "../models/user.js";
+import subscriptions from "../services/subscriptions.js";
+import { recordAudit, auditSnapshot, auditTarget } from "../services/audit.js";
+import { pageLinks, paginate, readPaging } from "../utils/pagination.js";
+import { isValidEmail } from "../utils/validation.js";
+import { normalizePostalCode, postalCodeError } from "../utils/postalCodes.js";
 
 /* ------------------------------- helpers ---------------------------------- */
 
-const isValidZaPostal = (v) => /^\d{4}$/.test(String(v || "").trim());
-const isValidEmail = (v) =>
-  /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v || "").trim());
-
 export const ensureAuthenticated = (req, res, next) => {
   if (req.isAuthenticated?.()) return next();
   req.flash("error", "Please log in to continue.");
@@ -30,15 +32,17 @@ const guardId = (req, res) => {
 
 /* --------------------------------- actions -------------------------------- */
 
-// GET /subscribers — list all with populated courses
+// GET /subscribers — one page (?page= / ?after= / ?before=, ?limit=) with populated courses
 const showSubscribers = async (req, res) => {
   try {
-    const subscribers = await Subscriber.find()
-      .populate({ path: "courses", select: "title" })
-      .sort({ createdAt: -1 })
-      .lean();
+    const { items: subscribers, pagination } = await paginate(
+      Subscriber,
+      {},
+      readPaging(req.query),
+      (q) => q.populate({ path: "courses", select: "title" })
+    );
 
-    res.render("subscribers", { subscribers });
+    res.render("subscribers", { subscribers, pagination, pager: pageLinks(req, pagination) });
   } catch (error) {
     console.error("Error retrieving subscribers:", error);
     res.status(500).render("error", { message: "Failed to load subscribers." });
@@ -60,9 +64,8 @@ const createSubscriber = async (req, res, next) => {
     if (!name) errors.name = "Name is required.";
     if (!email) errors.email = "Email is required.";
     else if (!isValidEmail(email)) errors.email = "Enter a valid email address.";
-    if (zipCode && !isValidZaPostal(zipCode)) {
-      errors.zipCode = "Postal code must be 4 digits (ZA).";
-    }
+    const zip = normalizePostalCode(zipCode);
+    if (zip === null) errors.zipCode = postalCodeError();
 
     if (Object.keys(errors).length) {
       return res.status(400).render("contact", {
@@ -71,33 +74,91 @@ const createSubscriber = async (req, res, next) => {
       });
     }
 
-    // Prevent duplicates
-    const exists = await Subscriber.findOne({ email }).lean();
-    if (exists) {
-      req.flash("error", "This email is already subscribed.");
-      res.locals.redirect = "/contact";
-      return next();
-    }
-
-    await Subscriber.create({
+    // Same answer whether or not the email is already on the list,
+    // so the form can't be used to find out who subscribed
+    await subscriptions.subscribe(req, {
       name,
       email,
-      zipCode: zipCode ? Number(zipCode) : undefined,
+      zipCode: zip || undefined,
     });
 
-    req.flash("success", `${name} subscribed successfully!`);
-    res.locals.redirect = "/subscribers";
+    req.flash("success", `Thanks, ${name}! Check ${email} for a link to confirm your subscription.`);
+    // The subscriber list is admin-only; send the public back home
+    res.locals.redirect = "/home";
     return next();
   } catch (error) {
     console.error("Error saving subscriber:", error);
-    if (error?.code === 11000) {
-      req.flash("error", "This email is already subscribed.");
+    req.flash("error", "Failed to create subscriber. Please try again.");
+    res.locals.redirect = "/contact";
+    return next();
+  }
+};
+
+// GET /subscribers/:id/confirm/:token — double opt-in link from the confirmation email
+const confirmSubscription = async (req, res, next) => {
+  res.locals.redirect = "/home";
+  try {
+    const subscriber = mongoose.isValidObjectId(req.params.id)
+      ? await subscriptions.confirm(req, req.params.id, req.params.token)
+      : null;
+
+    if (!subscriber) {
+      req.flash("error", "This confirmation link is invalid or has expired. Please subscribe again.");
       res.locals.redirect = "/contact";
       return next();
     }
-    req.flash("error", "Failed to create subscriber. Please try again.");
-    res.locals.redirect = "/contact";
+
+    req.flash("success", "Thanks! Your subscription is confirmed.");
     return next();
+  } catch (error) {
+    console.error("Error confirming subscriber:", error);
+    req.flash("error", "Failed to confirm your subscription. Please try again.");
+    return next();
+  }
+};
+
+// GET /subscribers/:id/unsubscribe?sig= — ask first: mail scanners open links too
+const showUnsubscribe = async (req, res, next) => {
+  try {
+    const subscriber = mongoose.isValidObjectId(req.params.id)
+      ? await subscriptions.findByUnsubscribeLink(req.params.id, req.query.sig)
+      : null;
+
+    if (!subscriber) {
+      req.flash("error", "This unsubscribe link is invalid.");
+      res.locals.redirect = "/home";
+      return next();
+    }
+
+    return res.render("unsubscribe", {
+      subscriber,
+      done: subscriber.status === "unsubscribed",
+      action: req.originalUrl,
+    });
+  } catch (error) {
+    console.error("Error loading unsubscribe page:", error);
+    return res.status(500).render("error", { message: "Failed to load subscription." });
+  }
+};
+
+// POST /subscribers/:id/unsubscribe?sig= — the button above, or a mail client's
+// one-click unsubscribe (List-Unsubscribe-Post)
+const unsubscribe = async (req, res, next) => {
+  try {
+    const subscriber = mongoose.isValidObjectId(req.params.id)
+      ? await subscriptions.unsubscribe(req.params.id, req.query.sig)
+      : null;
+
+    if (!subscriber) {
+      req.flash("error", "This unsubscribe link is invalid.");
+      res.locals.redirect = "/home";
+      return next();
+    }
+
+    return res.render("unsubscribe", { subscriber, done: true, action: req.originalUrl });
+  } catch (error) {
+    console.error("Error unsubscribing:", error);
+    return res.status(500).render("error", { message: "Failed to unsubscribe. Please try again." });
   }
 };
 
@@ -138,9 +199,8 @@ const updateSubscriber = async (req, res, next) => {
     if (!name) errors.name = "Name is required.";
     if (!email) errors.email = "Email is required.";
     else if (!isValidEmail(email)) errors.email = "Enter a valid email address.";
-    if (zipCode && !isValidZaPostal(zipCode)) {
-      errors.zipCode = "Postal code must be 4 digits (ZA).";
-    }
+    const zip = normalizePostalCode(zipCode);
+    if (zip === null) errors.zipCode = postalCodeError();
 
     if (Object.keys(errors).length) {
       return res.status(400).render("subscriber_edit", {
@@ -157,11 +217,27 @@ const updateSubscriber = async (req, res, next) => {
       return next();
     }
 
+    // A linked subscriber's name and postal code follow its user account
+    const owner = await User.findOne({ subscriberAccount: subscriber._id }).select("_id").lean();
+    if (owner && (name !== subscriber.name || (zip || undefined) !== subscriber.zipCode)) {
+      return res.status(409).render("subscriber_edit", {
+        errors: { name: "Linked to a user account: change the name and postal code on the user." },
+        values: { name, email, zipCode },
+        id: req.params.id,
+      });
+    }
+
+    const before = auditSnapshot("subscriber", subscriber);
     subscriber.name = name;
     subscriber.email = email;
-    subscriber.zipCode = zipCode ? Number(zipCode) : undefined;
+    subscriber.zipCode = zip || undefined;
 
     await subscriber.save();
+    await recordAudit(req, "subscriber.updated", {
+      target: auditTarget("subscriber", subscriber),
+      before,
+      after: auditSnapshot("subscriber", subscriber),
+    });
 
     req.flash("success", "Subscriber updated successfully.");
     res.locals.redirect = "/subscribers";
@@ -189,6 +265,11 @@ const deleteSubscriber = async (req, res, next) => {
     if (!deleted) {
       req.flash("error", "Subscriber not found.");
     } else {
+      await User.updateMany({ subscriberAccount: deleted._id }, { $unset: { subscriberAccount: 1 } });
+      await recordAudit(req, "subscriber.deleted", {
+        target: auditTarget("subscriber", deleted),
+        before: auditSnapshot("subscriber", deleted),
+      });
       req.flash("success", "Subscriber deleted successfully.");
     }
     res.locals.redirect = "/subscribers";
@@ -212,6 +293,9 @@ export default {
   showSubscribers,
   showSubscriptionForm,
   createSubscriber,
+  confirmSubscription,
+  showUnsubscribe,
+  unsubscribe,
   showEditSubscriberForm,
   updateSubscriber,
   deleteSubscriber,
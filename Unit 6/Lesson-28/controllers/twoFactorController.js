@@ -0,0 +1,157 @@
+/**
+ * Two-factor controller
+ * - Set up an authenticator app (QR code for the otpauth:// URI), confirm with a code
+ * - Recovery codes: shown once, only hashes are stored
+ * - Turn off (owner with a code; an admin for someone who lost their phone)
+ * The login step itself is in userController (form + API).
+ * Author: Kwanele Dladla
+ */
+
+import mongoose from "mongoose";
+import QRCode from "qrcode";
+import User from "../models/user.js";
+import { otpauthUri } from "../utils/totp.js";
+import { recordAudit, auditTarget } from "../services/audit.js";
+
+/* --------------------------------- helpers -------------------------------- */
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+// Shown as the account name in authenticator apps
+const TOTP_ISSUER = "My Recipe Web";
+
+const twoFactorPage = (id) => `/users/${id}/two-factor`;
+
+const isOwner = (req) => String(req.user?._id) === String(req.params.id);
+
+const findUser = (id, select = "") =>
+  mongoose.isValidObjectId(id) ? User.findById(id).select(select) : null;
+
+/* --------------------------------- actions -------------------------------- */
+
+// GET /users/:id/two-factor — status, setup (QR code) and recovery codes
+// res.locals.recoveryCodes is set by enableTwoFactor / regenerateRecoveryCodes (shown once)
+const showTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUser(req.params.id, "+twoFactor.pendingSecret +twoFactor.recoveryCodes");
+  if (!user) return res.status(404).render("error", { message: "User not found." });
+
+  // Only the owner ever sees the secret
+  const secret = isOwner(req) && !user.twoFactor?.enabled ? user.pendingTwoFactorSecret() : null;
+  let setup = null;
+  if (secret) {
+    const uri = otpauthUri({ secret, account: user.email, issuer: TOTP_ISSUER });
+    setup = { secret: secret.replace(/(.{4})/g, "$1 ").trim(), qrCode: await QRCode.toDataURL(uri) };
+    res.set("Cache-Control", "no-store");
+  }
+  if (res.locals.recoveryCodes) res.set("Cache-Control", "no-store");
+
+  return res.render("user_two_factor", {
+    title: "Two-factor authentication — My Recipe Web",
+    user,
+    isOwner: isOwner(req),
+    setup,
+    recoveryCodesLeft: user.twoFactor?.recoveryCodes?.length || 0,
+  });
+});
+
+// POST /users/:id/two-factor/setup — new secret to scan (two-factor stays off until confirmed)
+const startSetup = asyncHandler(async (req, res, next) => {
+  res.locals.redirect = twoFactorPage(req.params.id);
+
+  if (!isOwner(req)) {
+    req.flash("error", "Only the account owner can set up two-factor authentication.");
+    return next();
+  }
+
+  const user = await findUser(req.params.id);
+  if (user.twoFactor?.enabled) {
+    req.flash("info", "Two-factor authentication is already on.");
+    return next();
+  }
+
+  user.startTwoFactorSetup();
+  await user.save();
+  return next();
+});
+
+// POST /users/:id/two-factor/enable — confirm the app with a code; shows recovery codes
+const enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const fail = (message) => {
+    req.flash("error", message);
+    return res.redirect(twoFactorPage(req.params.id));
+  };
+
+  if (!isOwner(req)) return fail("Only the account owner can set up two-factor authentication.");
+
+  const user = await findUser(req.params.id, "+twoFactor.pendingSecret");
+  if (user.twoFactor?.enabled) return fail("Two-factor authentication is already on.");
+  if (!user.twoFactor?.pendingSecret) return fail("Start the setup first.");
+
+  const recoveryCodes = user.enableTwoFactor(req.body?.code);
+  if (!recoveryCodes) return fail("That code didn't match. Check the time on your phone and try again.");
+
+  await user.save();
+  await recordAudit(req, "auth.two_factor_enabled", { target: auditTarget("user", user) });
+  res.locals.recoveryCodes = recoveryCodes;
+  return next();
+});
+
+// POST /users/:id/two-factor/recovery-codes — new recovery codes (needs a current code)
+const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const fail = (message) => {
+    req.flash("error", message);
+    return res.redirect(twoFactorPage(req.params.id));
+  };
+
+  if (!isOwner(req)) return fail("Only the account owner can create recovery codes.");
+  if (!req.user.twoFactor?.enabled) return fail("Two-factor authentication is off.");
+  if (!(await User.useTwoFactorCode(req.user._id, req.body?.code))) return fail("Invalid code.");
+
+  const user = await findUser(req.params.id);
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save();
+  await recordAudit(req, "auth.recovery_codes_created", { target: auditTarget("user", user) });
+  res.locals.recoveryCodes = recoveryCodes;
+  return next();
+});
+
+// POST /users/:id/two-factor/disable — owner with a code, or an admin (lost phone)
+const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  res.locals.redirect = twoFactorPage(req.params.id);
+
+  const user = await findUser(req.params.id);
+  if (!user) {
+    req.flash("error", "User not found.");
+    return next();
+  }
+
+  // (Cancelling a setup that was never confirmed needs no code)
+  if (isOwner(req) && user.twoFactor?.enabled && !(await User.useTwoFactorCode(user._id, req.body?.code))) {
+    req.flash("error", "Invalid code.");
+    return next();
+  }
+
+  // Turning off a confirmed setup (cancelling one that never was isn't worth an event)
+  const wasEnabled = Boolean(user.twoFactor?.enabled);
+  user.disableTwoFactor();
+  await user.save();
+  if (wasEnabled) {
+    await recordAudit(req, "auth.two_factor_disabled", {
+      target: auditTarget("user", user),
+      details: { byAdmin: !isOwner(req) },
+    });
+  }
+  req.flash("success", "Two-factor authentication is off.");
+  return next();
+});
+
+export default {
+  showTwoFactor,
+  startSetup,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -1,6 +1,6 @@
 /**
  * User controller (Passport registration + login)
- * - ZA postal code (4 digits)
+ * - Postal codes via utils/postalCodes.js (ZA 4 digits by default)
  * - Safe trims / lowercases
  * - Flash + redirectView pattern
  * - API JWT auth for /api routes
@@ -9,24 +9,49 @@
 
 import mongoose from "mongoose";
 import passport from "passport";
-import jwt from "jsonwebtoken";
 
-import User from "../models/user.js";
+import User, { USER_ROLES } from "../models/user.js";
 import Subscriber from "../models/subscribers.js";
 import Course from "../models/course.js";
+import ApiKey, { API_SCOPES } from "../models/apiKey.js";
+import { sendMail, renderEmail } from "../services/mailer.js";
+import { enroll as enrollInCourse, leaveAll as leaveAllCourses } from "../services/enrollments.js";
+import identities from "../services/identities.js";
+import { emailUrl } from "../utils/appUrl.js";
+import { pageLinks, paginate, readPaging } from "../utils/pagination.js";
+import { normalizePostalCode, postalCodeError } from "../utils/postalCodes.js";
+import { passwordError, passwordStrength } from "../utils/passwordPolicy.js";
+import { calendarFeedUrl } from "./calendarController.js";
+import { sendError } from "../utils/apiResponse.js";
+import {
+  issueTokens,
+  verifyAccessToken,
+  rotateRefreshToken,
+  issueTwoFactorChallenge,
+  readTwoFactorChallenge,
+  findActiveLogin,
+  revokeLogin,
+  revokeAllLogins,
+  listActiveLogins,
+} from "../services/apiTokens.js";
+import { signOutSessions } from "../services/webSessions.js";
+import { recordAudit, auditSnapshot, auditTarget } from "../services/audit.js";
+import {
+  normalizeLoginEmail,
+  checkLogin,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  accountLockedUntil,
+} from "../services/loginAttempts.js";
 
 /* --------------------------------- helpers -------------------------------- */
 
-const isValidZaPostal = (val) => /^\d{4}$/.test(String(val || "").trim());
-
 const asyncHandler =
   (fn) =>
   (req, res, next) =>
     Promise.resolve(fn(req, res, next)).catch(next);
 
-// Simple token guard (for query-string token usage)
-const token = process.env.TOKEN || "recipeToiken";
-
 // Bearer token helper: Authorization: Bearer <token>
 const getBearerToken = (req) => {
   const auth = String(req.headers?.authorization || "").trim();
@@ -35,6 +60,143 @@ const getBearerToken = (req) => {
   return rawToken.trim();
 };
 
+// Email a fresh verification link (replaces any earlier link)
+const sendVerificationEmail = async (userDoc) => {
+  const rawToken = userDoc.createVerificationToken();
+  await userDoc.save();
+
+  const verifyUrl = emailUrl(`/users/${userDoc._id}/verify/${rawToken}`);
+  try {
+    await sendMail({
+      to: userDoc.email,
+      subject: "Confirm your My Recipe Web email",
+      text: `Hi ${userDoc.name?.first || ""},\n\nPlease confirm your email address:\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`,
+      html: await renderEmail("verify_email", { user: userDoc, verifyUrl }),
+    });
+  } catch (e) {
+    console.error("Failed to send verification email:", e);
+  }
+};
+
+// Tell the owner their account was locked by failed logins (unknown emails: nobody to tell)
+const sendLockoutNotice = async (req, email, lockedUntil) => {
+  const user = await User.findOne({ email }).select("name email").lean();
+  if (!user) return;
+
+  const resetUrl = emailUrl("/users/forgot-password");
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Your My Recipe Web account was locked",
+      text: `Hi ${user.name?.first || ""},\n\nThere were too many failed attempts to log in to your account (last one from ${req.ip || "an unknown address"}), so logins are paused until ${lockedUntil.toUTCString()}.\n\nIf this was you, wait until then or reset your password:\n${resetUrl}\n\nIf it wasn't you, someone may be guessing your password; choosing a new, unique password keeps the account safe.`,
+      html: await renderEmail("account_locked", { user, lockedUntil, resetUrl, ip: req.ip }),
+    });
+  } catch (e) {
+    console.error("Failed to send account locked email:", e);
+  }
+};
+
+// Both login paths: count the failure, email the owner if it locked the account.
+// `step`: what was wrong ("password", "two-factor", "current-password"), for the audit log.
+// Returns the wait that now applies (or null).
+const loginFailed = async (req, email, step = "password") => {
+  const { accountLockedUntil: lockedUntil, refusal } = await recordFailedLogin({ email, ip: req.ip });
+  const target = auditTarget("user", null, { label: email });
+  await recordAudit(req, "auth.login_failed", { target, outcome: "failure", details: { step } });
+  if (lockedUntil) {
+    await recordAudit(req, "auth.lockout", { target, outcome: "failure", details: { lockedUntil } });
+    await sendLockoutNotice(req, email, lockedUntil);
+  }
+  return refusal;
+};
+
+// 429 + Retry-After for a refused API login
+const sendTooManyLogins = (res, refusal) => {
+  res.set("Retry-After", String(Math.ceil(refusal.retryAfterMs / 1000)));
+  return res.status(429).json({ success: false, error: refusal.message });
+};
+
+// New API login → { success, token, refreshToken, expiresIn, user }
+const sendLoginTokens = async (req, res, user) => {
+  const device = describeDevice(req);
+  const tokens = await issueTokens(user, { device, ip: req.ip });
+  await recordAudit(req, "auth.token_issued", {
+    actor: user,
+    target: auditTarget("user", user),
+    details: { device },
+  });
+
+  return res.json({
+    success: true,
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    user: buildApiUser(user),
+  });
+};
+
+// passport.authenticate("local") as a promise → { user, info }
+const checkPassword = (req, res) =>
+  new Promise((resolve, reject) => {
+    passport.authenticate("local", (err, user, info) => (err ? reject(err) : resolve({ user, info })))(
+      req,
+      res,
+      reject
+    );
+  });
+
+// Re-check the logged-in user's password before a sensitive change (error message or null).
+// Counts against the same login limits, so it cannot be used to guess passwords.
+const confirmCurrentPassword = async (req, password) => {
+  if (!password) return "Enter your current password to set a new one.";
+
+  const email = normalizeLoginEmail(req.user.email);
+  const allowed = await checkLogin({ email, ip: req.ip });
+  if (!allowed.allowed) return allowed.message;
+
+  // passport-local-mongoose
+  const { user } = await req.user.authenticate(password);
+  if (!user) {
+    const refusal = await loginFailed(req, email, "current-password");
+    return refusal?.message || "Current password is incorrect.";
+  }
+  return null;
+};
+
+// Second login step (two-factor) must follow the password within this time
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
+
+// Password (and code, with two-factor on) checked: start the session
+const completeLogin = async (req, res, user, email) => {
+  await recordSuccessfulLogin({ email });
+
+  // Read before logIn(), which starts a new session
+  const redirectTo = req.session?.returnTo || "/dashboard";
+  await new Promise((resolve, reject) => req.logIn(user, (err) => (err ? reject(err) : resolve())));
+  await recordAudit(req, "auth.login", {
+    target: auditTarget("user", user),
+    details: { twoFactor: Boolean(user.twoFactor?.enabled) },
+  });
+
+  req.flash("success", "Welcome back!");
+  return res.redirect(redirectTo);
+};
+
+// Login waiting for its two-factor code (null if none or expired)
+const pendingTwoFactorLogin = (req) => {
+  const pending = req.session?.twoFactorLogin;
+  return pending && pending.expiresAt > Date.now() ? pending : null;
+};
+
+// Where to send a user after editing an account (non-admins cannot see /users)
+const usersHomeFor = (req) => (req.user?.isAdmin ? "/users" : "/dashboard");
+
+// Short label for an API login (client may send { device: "Kwanele's phone" })
+const describeDevice = (req) =>
+  String(req.body?.device || req.get?.("user-agent") || "unknown")
+    .trim()
+    .slice(0, 120);
+
 // Builds the payload for API user responses
 const buildApiUser = (userDoc) => ({
   id: String(userDoc?._id),
@@ -51,30 +213,23 @@ const buildApiUser = (userDoc) => ({
 
 // GET /users — list (consider admin-only)
 const showUsers = asyncHandler(async (req, res) => {
-  // Optional simple pagination
-  const page = Math.max(parseInt(req.query.page || "1", 10), 1);
-  const limit = Math.min(Math.max(parseInt(req.query.limit || "25", 10), 1), 100);
-  const skip = (page - 1) * limit;
-
-  const [users, total] = await Promise.all([
-    User.find({})
+  const { items: users, pagination } = await paginate(User, {}, readPaging(req.query), (q) =>
+    q
       .populate({ path: "subscriberAccount", select: "email" })
       .populate({ path: "courses", select: "title" })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean(),
-    User.countDocuments({}),
-  ]);
+  );
+
+  // Accounts locked by failed logins: user id → locked until
+  const loginLocks = Object.fromEntries(
+    await Promise.all(users.map(async (u) => [String(u._id), await accountLockedUntil(u.email)]))
+  );
 
   return res.render("users", {
     users,
-    pagination: {
-      page,
-      limit,
-      total,
-      pages: Math.max(1, Math.ceil(total / limit)),
-    },
+    loginLocks,
+    roles: USER_ROLES,
+    pagination,
+    pager: pageLinks(req, pagination),
   });
 });
 
@@ -99,10 +254,10 @@ const createUser = asyncHandler(async (req, res, next) => {
   if (!first) errors.first = "First name is required.";
   if (!last) errors.last = "Last name is required.";
   if (!email) errors.email = "Email is required.";
-  if (!password || password.length < 6)
-    errors.password = "Password must be at least 6 characters.";
-  if (zipCodeStr && !isValidZaPostal(zipCodeStr))
-    errors.zipCode = "Postal code must be 4 digits (ZA).";
+  const passwordProblem = passwordError(password, { email, first, last });
+  if (passwordProblem) errors.password = passwordProblem;
+  const zipCode = normalizePostalCode(zipCodeStr);
+  if (zipCode === null) errors.zipCode = postalCodeError();
 
   if (Object.keys(errors).length) {
     return res.status(400).render("user_new", {
@@ -114,25 +269,26 @@ const createUser = asyncHandler(async (req, res, next) => {
   const userDoc = new User({
     name: { first, last },
     email,
-    zipCode: zipCodeStr ? Number(zipCodeStr) : undefined,
+    zipCode: zipCode || undefined,
   });
 
   try {
     // passport-local-mongoose
     const user = await User.register(userDoc, password);
+    await recordAudit(req, "user.created", {
+      actor: user,
+      target: auditTarget("user", user),
+      after: auditSnapshot("user", user),
+    });
 
-    // Auto-link subscriber if emails match
-    const sub = await Subscriber.findOne({ email }).lean();
-    if (sub) {
-      await User.findByIdAndUpdate(
-        user._id,
-        { $set: { subscriberAccount: sub._id } },
-        { runValidators: true, context: "query" }
-      );
-    }
+    // Subscriber auto-link happens in verifyEmail, after the email is proven
+    await sendVerificationEmail(user);
 
-    req.flash("success", `${first} ${last} created successfully!`);
-    res.locals.redirect = "/users";
+    req.flash(
+      "success",
+      `${first} ${last} created successfully! Check ${email} for a link to confirm your email.`
+    );
+    res.locals.redirect = "/users/login";
     return next();
   } catch (e) {
     if (e?.name === "UserExistsError" || e?.code === 11000) {
@@ -150,30 +306,89 @@ const createUser = asyncHandler(async (req, res, next) => {
 // GET /users/login — form
 const showLoginForm = (_req, res) => res.render("login");
 
-// POST /users/login — Passport local with returnTo support
-const authenticate = (req, res, next) => {
-  passport.authenticate("local", (err, user, info) => {
-    if (err) return next(err);
+// POST /users/login — Passport local with returnTo support + failed-login limits.
+// Accounts with two-factor on continue at /users/login/two-factor.
+const authenticate = asyncHandler(async (req, res) => {
+  const email = normalizeLoginEmail(req.body?.email);
 
-    if (!user) {
-      req.flash("error", info?.message || "Invalid email or password.");
-      return res.redirect("/users/login");
-    }
+  const allowed = await checkLogin({ email, ip: req.ip });
+  if (!allowed.allowed) {
+    req.flash("error", allowed.message);
+    return res.redirect("/users/login");
+  }
 
-    req.logIn(user, (loginErr) => {
-      if (loginErr) return next(loginErr);
+  const { user, info } = await checkPassword(req, res);
+  if (!user) {
+    const refusal = await loginFailed(req, email);
+    const invalid = info?.message || "Invalid email or password.";
+    req.flash("error", refusal ? `${invalid} ${refusal.message}` : invalid);
+    return res.redirect("/users/login");
+  }
 
-      req.flash("success", "Welcome back!");
-      const redirectTo = req.session?.returnTo || "/dashboard";
-      if (req.session) delete req.session.returnTo;
+  if (user.twoFactor?.enabled) {
+    // Not logged in yet; the failure counter is only cleared after the code
+    req.session.twoFactorLogin = {
+      userId: String(user._id),
+      email,
+      expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS,
+    };
+    return res.redirect("/users/login/two-factor");
+  }
 
-      return res.redirect(redirectTo);
-    });
-  })(req, res, next);
+  return completeLogin(req, res, user, email);
+});
+
+// GET /users/login/two-factor — code form (after the password)
+const showTwoFactorLogin = (req, res) => {
+  if (!pendingTwoFactorLogin(req)) {
+    req.flash("error", "Please log in first.");
+    return res.redirect("/users/login");
+  }
+  return res.render("login_two_factor", { title: "Two-factor login — My Recipe Web" });
 };
 
-// GET /users/logout — clear session
-const logout = (req, res, next) => {
+// POST /users/login/two-factor — app code or recovery code; wrong codes count as failed logins
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const pending = pendingTwoFactorLogin(req);
+  if (!pending) {
+    req.flash("error", "That took too long. Please log in again.");
+    return res.redirect("/users/login");
+  }
+
+  const allowed = await checkLogin({ email: pending.email, ip: req.ip });
+  if (!allowed.allowed) {
+    req.flash("error", allowed.message);
+    return res.redirect("/users/login/two-factor");
+  }
+
+  const method = await User.useTwoFactorCode(pending.userId, req.body?.code);
+  if (!method) {
+    const refusal = await loginFailed(req, pending.email, "two-factor");
+    req.flash("error", refusal ? `Invalid code. ${refusal.message}` : "Invalid code.");
+    return res.redirect("/users/login/two-factor");
+  }
+
+  const user = await User.findById(pending.userId).select("+twoFactor.recoveryCodes");
+  delete req.session.twoFactorLogin;
+  if (!user) {
+    req.flash("error", "Please log in again.");
+    return res.redirect("/users/login");
+  }
+
+  if (method === "recovery") {
+    req.flash(
+      "info",
+      `You used a recovery code; ${user.twoFactor.recoveryCodes?.length || 0} left. You can create new ones on your profile.`
+    );
+  }
+  return completeLogin(req, res, user, pending.email);
+});
+
+// POST /users/logout — clear session
+const logout = asyncHandler(async (req, res, next) => {
+  // While req.user is still set
+  await recordAudit(req, "auth.logout", { target: auditTarget("user", req.user) });
+
   req.logout((err) => {
     if (err) return next(err);
 
@@ -181,8 +396,225 @@ const logout = (req, res, next) => {
     res.locals.redirect = "/";
     return next();
   });
+});
+
+/* -----------------------------
+   EMAIL VERIFICATION
+------------------------------ */
+
+// GET /users/:id/verify/:token — confirm email ownership
+const verifyEmail = asyncHandler(async (req, res, next) => {
+  const { id, token: rawToken } = req.params;
+  const loggedIn = req.isAuthenticated?.();
+
+  const user = mongoose.isValidObjectId(id)
+    ? await User.verifyEmailToken(id, rawToken)
+    : null;
+
+  if (!user) {
+    req.flash("error", "This verification link is invalid or has expired.");
+    res.locals.redirect = loggedIn ? "/dashboard" : "/users/login";
+    return next();
+  }
+
+  // Link the subscriber with this email (only once the email is proven)
+  await identities.linkByEmail(user);
+  await recordAudit(req, "user.email_verified", {
+    actor: req.user || user,
+    target: auditTarget("user", user),
+  });
+
+  req.flash("success", "Thanks! Your email is confirmed.");
+  res.locals.redirect = loggedIn ? "/dashboard" : "/users/login";
+  return next();
+});
+
+// POST /users/:id/verify/resend — send a new verification link
+const resendVerification = asyncHandler(async (req, res, next) => {
+  res.locals.redirect = "/dashboard";
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    req.flash("error", "User not found.");
+    return next();
+  }
+
+  if (user.verified) {
+    req.flash("info", "This email is already confirmed.");
+    return next();
+  }
+
+  await sendVerificationEmail(user);
+  req.flash("success", `A new confirmation link was sent to ${user.email}.`);
+  return next();
+});
+
+/* -----------------------------
+   PASSWORD RESET (public)
+------------------------------ */
+
+// Same message whether or not the email exists (no account enumeration)
+const RESET_SENT_MESSAGE =
+  "If an account exists for that email, a reset link has been sent.";
+
+// GET /users/forgot-password — form
+const showForgotPasswordForm = (_req, res) =>
+  res.render("forgot_password", {
+    title: "Forgot Password — My Recipe Web",
+    errors: {},
+    values: { email: "" },
+  });
+
+// POST /users/forgot-password — email a single-use reset link
+const sendPasswordReset = asyncHandler(async (req, res, next) => {
+  const email = String(req.body?.email || "").trim().toLowerCase();
+
+  if (!email) {
+    return res.status(400).render("forgot_password", {
+      title: "Forgot Password — My Recipe Web",
+      errors: { email: "Email is required." },
+      values: { email },
+    });
+  }
+
+  const user = await User.findOne({ email });
+  if (user) {
+    const rawToken = user.createPasswordResetToken();
+    await user.save();
+    await recordAudit(req, "auth.password_reset_requested", { target: auditTarget("user", user) });
+
+    const resetUrl = emailUrl(`/users/reset-password/${rawToken}`);
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your My Recipe Web password",
+        text: `Hi ${user.name?.first || ""},\n\nReset your password here (valid for a limited time, one use only):\n${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`,
+        html: await renderEmail("password_reset", { user, resetUrl }),
+      });
+    } catch (e) {
+      console.error("Failed to send password reset email:", e);
+    }
+  }
+
+  req.flash("success", RESET_SENT_MESSAGE);
+  res.locals.redirect = "/users/login";
+  return next();
+});
+
+// GET /users/reset-password/:token — form (only for valid tokens)
+const showResetPasswordForm = asyncHandler(async (req, res, next) => {
+  const user = await User.findByPasswordResetToken(req.params.token).select("_id").lean();
+  if (!user) {
+    req.flash("error", "This reset link is invalid or has expired.");
+    res.locals.redirect = "/users/forgot-password";
+    return next();
+  }
+
+  return res.render("reset_password", {
+    title: "Reset Password — My Recipe Web",
+    errors: {},
+    token: req.params.token,
+  });
+});
+
+// POST /users/reset-password/:token — set the new password
+const resetPassword = asyncHandler(async (req, res, next) => {
+  const { token: rawToken } = req.params;
+  const password = String(req.body?.password || "");
+  const confirm = String(req.body?.confirmPassword || "");
+
+  // Name and email for the policy (the link itself is checked again when consumed below)
+  const owner = await User.findByPasswordResetToken(rawToken).select("name email").lean();
+
+  const errors = {};
+  const passwordProblem = passwordError(password, {
+    email: owner?.email,
+    first: owner?.name?.first,
+    last: owner?.name?.last,
+  });
+  if (passwordProblem) errors.password = passwordProblem;
+  else if (password !== confirm) errors.confirmPassword = "Passwords do not match.";
+
+  if (Object.keys(errors).length) {
+    return res.status(400).render("reset_password", {
+      title: "Reset Password — My Recipe Web",
+      errors,
+      token: rawToken,
+    });
+  }
+
+  // Validate first, then consume: a typo above must not burn the link
+  const user = await User.consumePasswordResetToken(rawToken);
+  if (!user) {
+    req.flash("error", "This reset link is invalid or has expired.");
+    res.locals.redirect = "/users/forgot-password";
+    return next();
+  }
+
+  // passport-local-mongoose
+  await user.setPassword(password);
+  // The link was emailed, so it also proves the address (e.g. imported, invited accounts)
+  const newlyVerified = !user.verified;
+  if (newlyVerified) {
+    user.verified = true;
+    user.verifiedAt = new Date();
+  }
+  await user.save();
+  if (newlyVerified) await identities.linkByEmail(user);
+  // Proves the owner: lift a lock from failed logins
+  await unlockAccount(user.email);
+  // Whoever knew the old password is logged out everywhere
+  await signOutSessions(user._id);
+  await recordAudit(req, "auth.password_reset", {
+    actor: user,
+    target: auditTarget("user", user),
+    details: newlyVerified ? { emailVerified: true } : undefined,
+  });
+
+  req.flash("success", "Your password has been reset. Please log in.");
+  res.locals.redirect = "/users/login";
+  return next();
+});
+
+// POST /users/password-check — strength meter on the password forms (JSON in, JSON out).
+// Uses the name / email typed on the form, else the logged-in user's.
+const checkPasswordStrength = (req, res) => {
+  const field = (name, fallback) => String(req.body?.[name] ?? fallback ?? "").trim();
+  res.set("Cache-Control", "no-store");
+  return res.json(
+    passwordStrength(String(req.body?.password || ""), {
+      email: field("email", req.user?.email),
+      first: field("first", req.user?.name?.first),
+      last: field("last", req.user?.name?.last),
+    })
+  );
 };
 
+// GET /users/:id — profile (owner or admin), incl. API keys
+// res.locals.createdKey is set by apiKeyController.createApiKey (shown once)
+const showUser = asyncHandler(async (req, res) => {
+  const [user, apiKeys] = await Promise.all([
+    User.findById(req.params.id)
+      .populate({ path: "subscriberAccount", select: "email" })
+      .populate({ path: "courses", select: "title" }),
+    ApiKey.find({ user: req.params.id }).sort({ createdAt: -1 }),
+  ]);
+
+  if (!user) return res.status(404).render("error", { message: "User not found." });
+
+  const isOwner = String(req.user?._id) === String(user._id);
+
+  return res.render("user_show", {
+    title: `${user.fullName} — My Recipe Web`,
+    user,
+    apiKeys,
+    apiScopes: API_SCOPES,
+    isOwner,
+    // The feed link is a credential: only its owner sees it
+    calendarUrl: isOwner ? calendarFeedUrl(req, user) : null,
+  });
+});
+
 // GET /users/:id/edit — form
 const showEditUserForm = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id).lean();
@@ -208,47 +640,86 @@ const updateUser = asyncHandler(async (req, res, next) => {
   const email = String(req.body.email || "").trim().toLowerCase();
   const zipCodeStr = String(req.body.zipCode || "").trim();
   const newPassword = String(req.body.password || "");
+  const currentPassword = String(req.body.currentPassword || "");
 
   const userDoc = await User.findById(req.params.id);
   if (!userDoc) {
     req.flash("error", "User not found.");
-    res.locals.redirect = "/users";
+    res.locals.redirect = usersHomeFor(req);
     return next();
   }
 
   // Validate postal (only if provided)
-  if (zipCodeStr && !isValidZaPostal(zipCodeStr)) {
+  const zipCode = normalizePostalCode(zipCodeStr);
+  if (zipCode === null) {
     return res.status(400).render("user_edit", {
-      errors: { zipCode: "Postal code must be 4 digits (ZA)." },
+      errors: { zipCode: postalCodeError() },
       values: { ...req.body, password: "" },
       id: req.params.id,
     });
   }
 
-  // Update fields
-  if (!userDoc.name) userDoc.name = {};
-  userDoc.name.first = first;
-  userDoc.name.last = last;
-  userDoc.email = email;
-  userDoc.zipCode = zipCodeStr ? Number(zipCodeStr) : undefined;
-
-  // Optional password change
+  // Optional password change: the editor's current password first, then the policy for the new one
   if (newPassword) {
-    if (newPassword.length < 6) {
+    const errors = {};
+    const wrongPassword = await confirmCurrentPassword(req, currentPassword);
+    if (wrongPassword) errors.currentPassword = wrongPassword;
+    else {
+      const passwordProblem = passwordError(newPassword, {
+        email: email || userDoc.email,
+        first: first || userDoc.name?.first,
+        last: last || userDoc.name?.last,
+      });
+      if (passwordProblem) errors.password = passwordProblem;
+    }
+    if (Object.keys(errors).length) {
       return res.status(400).render("user_edit", {
-        errors: { password: "Password must be at least 6 characters." },
-        values: { ...req.body, password: "" },
+        errors,
+        values: { ...req.body, password: "", currentPassword: "" },
         id: req.params.id,
       });
     }
-    // passport-local-mongoose
-    await userDoc.setPassword(newPassword);
   }
 
+  const before = auditSnapshot("user", userDoc);
+
+  // A new email must be confirmed again
+  const previousEmail = userDoc.email;
+  const emailChanged = Boolean(email) && email !== previousEmail;
+
+  // Update fields
+  if (!userDoc.name) userDoc.name = {};
+  userDoc.name.first = first;
+  userDoc.name.last = last;
+  userDoc.email = email;
+  if (emailChanged) {
+    userDoc.verified = false;
+    userDoc.verifiedAt = undefined;
+  }
+  userDoc.zipCode = zipCode || undefined;
+
+  // passport-local-mongoose
+  if (newPassword) await userDoc.setPassword(newPassword);
+
   try {
     await userDoc.save();
+    // Keep the linked subscriber in step (name, postal code; the link itself on an email change)
+    if (emailChanged) await identities.relinkAfterEmailChange(userDoc, previousEmail);
+    await identities.syncFromUser(userDoc);
+    // A new password ends the account's other browser sessions (this one stays logged in)
+    if (newPassword) await signOutSessions(userDoc._id, { except: req.sessionID });
+    await recordAudit(req, "user.updated", {
+      target: auditTarget("user", userDoc),
+      before,
+      after: auditSnapshot("user", userDoc),
+      details: newPassword ? { passwordChanged: true } : undefined,
+    });
+    if (emailChanged) {
+      await sendVerificationEmail(userDoc);
+      req.flash("info", `We sent a confirmation link to ${email}.`);
+    }
     req.flash("success", "User updated successfully.");
-    res.locals.redirect = "/users";
+    res.locals.redirect = usersHomeFor(req);
     return next();
   } catch (e) {
     if (e?.code === 11000) {
@@ -260,35 +731,9 @@ const updateUser = asyncHandler(async (req, res, next) => {
     }
 
     req.flash("error", `Failed to update user: ${e?.message || e}`);
-    res.locals.redirect = "/users";
-    return next();
-  }
-});
-
-/* -----------------------------
-   API TOKEN (query string) GUARD
------------------------------- */
-
-// Middleware: verify token via query string (?apiToken=xxxx)
-const verifyToken = asyncHandler(async (req, _res, next) => {
-  const apiToken = String(req.query?.apiToken || "").trim();
-
-  // 1) Must exist
-  if (!apiToken) {
-    return next(new Error("Missing apiToken query parameter."));
-  }
-
-  // 2) Find user by token
-  const user = await User.findOne({ apiToken }).select("_id email").lean();
-
-  // 3) If user exists, allow request
-  if (user) {
-    req.apiUser = user;
+    res.locals.redirect = usersHomeFor(req);
     return next();
   }
-
-  // 4) If not found, raise error
-  return next(new Error("Invalid API token."));
 });
 
 /* -----------------------------
@@ -297,13 +742,19 @@ const verifyToken = asyncHandler(async (req, _res, next) => {
 
 /**
  * POST /api/authenticate
- * Body: { email, password }
- * Returns JSON: { success, token, user }
+ * Body: { email, password, device? }
+ * Returns JSON: { success, token, refreshToken, expiresIn, user }
+ * or, with two-factor on: { success, twoFactorRequired: true, challengeToken, expiresIn }
+ * → POST /api/authenticate/two-factor
+ *
+ * `token` is a short-lived access JWT; use /api/token/refresh for a new one.
  *
  * Uses passport-local-mongoose: user.authenticate(password)
+ * Failed logins count against the same limits as the login form
+ * (services/loginAttempts.js); refused attempts get 429 + Retry-After.
  */
 const apiAuthenticate = asyncHandler(async (req, res) => {
-  const email = String(req.body?.email || "").trim().toLowerCase();
+  const email = normalizeLoginEmail(req.body?.email);
   const password = String(req.body?.password || "");
 
   if (!email || !password) {
@@ -313,83 +764,350 @@ const apiAuthenticate = asyncHandler(async (req, res) => {
     });
   }
 
+  const allowed = await checkLogin({ email, ip: req.ip });
+  if (!allowed.allowed) return sendTooManyLogins(res, allowed);
+
   const user = await User.findOne({ email });
-  if (!user) {
+
+  // passport-local-mongoose gives user.authenticate(password)
+  // (returns a Promise when called without a callback)
+  // authResult: { user, error }
+  const authResult = user ? await user.authenticate(password) : null;
+
+  if (!authResult || authResult.error) {
+    const refusal = await loginFailed(req, email);
+    if (refusal) res.set("Retry-After", String(Math.ceil(refusal.retryAfterMs / 1000)));
     return res.status(401).json({
       success: false,
       error: "Invalid email or password.",
     });
   }
 
-  // passport-local-mongoose gives user.authenticate(password)
-  const authResult = user.authenticate(password);
+  if (!user.verified) {
+    return res.status(403).json({
+      success: false,
+      error: "Please confirm your email address before using the API.",
+    });
+  }
 
-  // authResult: { user, error }
-  if (authResult?.error) {
+  if (user.twoFactor?.enabled) {
+    // The failure counter is only cleared after the code
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: issueTwoFactorChallenge(user),
+      expiresIn: "5m",
+    });
+  }
+
+  await recordSuccessfulLogin({ email });
+  return sendLoginTokens(req, res, user);
+});
+
+/**
+ * POST /api/authenticate/two-factor
+ * Body: { challengeToken, code, device? } (code: from the authenticator app, or a recovery code)
+ * Returns JSON: { success, token, refreshToken, expiresIn, user }
+ * Wrong codes count as failed logins (same limits as the password).
+ */
+const apiAuthenticateTwoFactor = asyncHandler(async (req, res) => {
+  const challenge = readTwoFactorChallenge(req.body?.challengeToken);
+  const code = String(req.body?.code || "").trim();
+
+  if (!challenge || !mongoose.isValidObjectId(challenge.userId)) {
     return res.status(401).json({
       success: false,
-      error: "Invalid email or password.",
+      error: "Invalid or expired challengeToken. Log in again.",
     });
   }
+  if (!code) {
+    return res.status(400).json({ success: false, error: "code is required." });
+  }
 
-  const secret = process.env.JWT_SECRET || "dev_secret_change_me";
-  const expiresIn = process.env.JWT_EXPIRES_IN || "1d";
+  const allowed = await checkLogin({ email: challenge.email, ip: req.ip });
+  if (!allowed.allowed) return sendTooManyLogins(res, allowed);
 
-  const jwtToken = jwt.sign(
-    { sub: String(user._id), email: user.email },
-    secret,
-    { expiresIn }
-  );
+  if (!(await User.useTwoFactorCode(challenge.userId, code))) {
+    const refusal = await loginFailed(req, challenge.email, "two-factor");
+    if (refusal) res.set("Retry-After", String(Math.ceil(refusal.retryAfterMs / 1000)));
+    return res.status(401).json({ success: false, error: "Invalid code." });
+  }
+
+  const user = await User.findById(challenge.userId);
+  if (!user?.verified) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid or expired challengeToken. Log in again.",
+    });
+  }
+
+  await recordSuccessfulLogin({ email: challenge.email });
+  return sendLoginTokens(req, res, user);
+});
+
+/**
+ * POST /api/token/refresh
+ * Body: { refreshToken }
+ * Returns JSON: { success, token, refreshToken, expiresIn, user }
+ *
+ * The old refresh token stops working; replaying it revokes the login.
+ */
+const apiRefreshToken = asyncHandler(async (req, res) => {
+  const rawRefreshToken = String(req.body?.refreshToken || "").trim();
+
+  if (!rawRefreshToken) {
+    return res.status(400).json({
+      success: false,
+      error: "refreshToken is required.",
+    });
+  }
+
+  // Refuse deleted or no-longer-verified accounts
+  const loadUser = async (userId) => {
+    const user = await User.findById(userId).select("name email verified").lean();
+    return user?.verified ? user : null;
+  };
+
+  const tokens = await rotateRefreshToken(rawRefreshToken, loadUser, { ip: req.ip });
+  if (!tokens) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid or expired refresh token.",
+    });
+  }
+
+  await recordAudit(req, "auth.token_refreshed", {
+    actor: tokens.user,
+    target: auditTarget("user", tokens.user),
+  });
 
   return res.json({
     success: true,
-    token: jwtToken,
-    user: buildApiUser(user),
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    user: buildApiUser(tokens.user),
+  });
+});
+
+/**
+ * POST /api/logout (JWT)
+ * Body: { all?: boolean }
+ * Revokes this device's login, or every login of the user with { all: true }.
+ */
+const apiLogout = asyncHandler(async (req, res) => {
+  const all = req.body?.all === true || req.body?.all === "true";
+
+  const revoked = all
+    ? await revokeAllLogins(req.apiUser._id, { reason: "logout" })
+    : Number(
+        await revokeLogin(req.apiUser.sessionId, {
+          userId: req.apiUser._id,
+          reason: "logout",
+        })
+      );
+  await recordAudit(req, "auth.token_revoked", {
+    target: auditTarget("user", req.apiUser),
+    details: { reason: "logout", all, count: revoked },
+  });
+
+  return res.json({ success: true, revoked });
+});
+
+// GET /api/sessions (JWT) — list this user's active API logins
+const apiListSessions = asyncHandler(async (req, res) => {
+  const sessions = await listActiveLogins(req.apiUser._id);
+
+  return res.json({
+    success: true,
+    sessions: sessions.map((s) => ({
+      id: String(s._id),
+      device: s.device || "unknown",
+      ip: s.ip || null,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      expiresAt: s.expiresAt,
+      current: String(s._id) === String(req.apiUser.sessionId),
+    })),
+  });
+});
+
+// DELETE /api/sessions/:id (JWT) — sign out one of this user's devices
+const apiRevokeSession = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Session not found." });
+  }
+
+  const revoked = await revokeLogin(req.params.id, {
+    userId: req.apiUser._id,
+    reason: "user",
   });
+
+  if (!revoked) {
+    return res.status(404).json({ success: false, error: "Session not found." });
+  }
+  await recordAudit(req, "auth.token_revoked", {
+    target: auditTarget("user", req.apiUser),
+    details: { reason: "user", session: req.params.id },
+  });
+  return res.json({ success: true });
 });
 
 /**
  * Middleware: verify JWT
  * Reads Authorization: Bearer <token>
- * Sets req.apiUser = { _id, email }
+ * Sets req.apiUser = { _id, email, sessionId }
+ *
+ * Besides the signature/expiry, the login (`sid`) must still be active,
+ * so logout and admin revocation take effect immediately.
  */
-const verifyJWT = (req, res, next) => {
+const verifyJWT = async (req, res, next) => {
+  let payload;
   try {
     const jwtToken = getBearerToken(req);
     if (!jwtToken) {
-      return res.status(401).json({
-        success: false,
-        error: "Missing Bearer token.",
-      });
+      return sendError(res, 401, "unauthorized", "Missing Bearer token.");
     }
 
-    const secret = process.env.JWT_SECRET || "dev_secret_change_me";
-    const payload = jwt.verify(jwtToken, secret);
+    payload = verifyAccessToken(jwtToken);
+  } catch (_err) {
+    return sendError(res, 401, "unauthorized", "Invalid or expired token.");
+  }
+
+  try {
+    const login =
+      mongoose.isValidObjectId(payload?.sid) && mongoose.isValidObjectId(payload?.sub)
+        ? await findActiveLogin(payload.sid, payload.sub)
+        : null;
+
+    if (!login) {
+      return sendError(res, 401, "unauthorized", "Token has been revoked.");
+    }
 
     req.apiUser = {
-      _id: payload?.sub,
-      email: payload?.email,
+      _id: payload.sub,
+      email: payload.email,
+      sessionId: payload.sid,
     };
 
     return next();
-  } catch (_err) {
-    return res.status(401).json({
-      success: false,
-      error: "Invalid or expired token.",
-    });
+  } catch (err) {
+    return next(err);
   }
 };
 
+// Read by utils/openapi.js
+verifyJWT.openapi = {
+  security: [{ bearerAuth: [] }],
+  responses: { 401: "Unauthorized" },
+};
+
 /* -----------------------------
    USERS (CRUD actions)
 ------------------------------ */
 
+// Admins cannot remove the last admin (no way back in without the CLI script)
+const isLastAdmin = async (userDoc) => {
+  if (userDoc?.role !== "admin") return false;
+  const admins = await User.countDocuments({ role: "admin" });
+  return admins <= 1;
+};
+
 // DELETE /users/:id/delete — delete
 const deleteUser = asyncHandler(async (req, res, next) => {
-  await User.findByIdAndDelete(req.params.id);
+  res.locals.redirect = "/users";
+
+  if (String(req.user?._id) === String(req.params.id)) {
+    req.flash("error", "You cannot delete your own account while logged in.");
+    return next();
+  }
+
+  const userDoc = await User.findById(req.params.id).select("name email zipCode role verified");
+  if (!userDoc) {
+    req.flash("error", "User not found.");
+    return next();
+  }
+
+  if (await isLastAdmin(userDoc)) {
+    req.flash("error", "Cannot delete the last admin.");
+    return next();
+  }
+
+  await leaveAllCourses(userDoc._id);
+  await userDoc.deleteOne();
+  await revokeAllLogins(userDoc._id, { reason: "account-deleted" });
+  await signOutSessions(userDoc._id);
+  await recordAudit(req, "user.deleted", {
+    target: auditTarget("user", userDoc),
+    before: auditSnapshot("user", userDoc),
+  });
 
   req.flash("success", "User deleted.");
+  return next();
+});
+
+// POST /users/:id/api-sessions/revoke — sign a user out of every API client (admin)
+const revokeUserApiSessions = asyncHandler(async (req, res, next) => {
+  const revoked = await revokeAllLogins(req.params.id, { reason: "admin" });
+  await recordAudit(req, "auth.token_revoked", {
+    target: auditTarget("user", { _id: req.params.id }),
+    details: { reason: "admin", all: true, count: revoked },
+  });
+
+  req.flash("success", `Revoked ${revoked} API session(s).`);
+  res.locals.redirect = "/users";
+  return next();
+});
+
+// POST /users/:id/unlock — lift a lock from failed logins (admin)
+const unlockLogin = asyncHandler(async (req, res, next) => {
   res.locals.redirect = "/users";
+
+  const userDoc = mongoose.isValidObjectId(req.params.id)
+    ? await User.findById(req.params.id).select("email").lean()
+    : null;
+  if (!userDoc) {
+    req.flash("error", "User not found.");
+    return next();
+  }
+
+  await unlockAccount(userDoc.email);
+  await recordAudit(req, "user.login_unlocked", { target: auditTarget("user", userDoc) });
+  req.flash("success", `Login unlocked for ${userDoc.email}.`);
+  return next();
+});
+
+// PUT /users/:id/role — change role (admin only)
+const updateRole = asyncHandler(async (req, res, next) => {
+  const role = String(req.body?.role || "").trim();
+  res.locals.redirect = "/users";
+
+  if (!USER_ROLES.includes(role)) {
+    req.flash("error", "Unknown role.");
+    return next();
+  }
+
+  const userDoc = await User.findById(req.params.id);
+  if (!userDoc) {
+    req.flash("error", "User not found.");
+    return next();
+  }
+
+  if (role !== "admin" && (await isLastAdmin(userDoc))) {
+    req.flash("error", "Cannot demote the last admin.");
+    return next();
+  }
+
+  const before = auditSnapshot("user", userDoc);
+  userDoc.role = role;
+  await userDoc.save();
+  await recordAudit(req, "user.role_changed", {
+    target: auditTarget("user", userDoc),
+    before,
+    after: auditSnapshot("user", userDoc),
+  });
+
+  req.flash("success", `${userDoc.fullName || userDoc.email} is now ${role}.`);
   return next();
 });
 
@@ -405,8 +1123,8 @@ const linkCourse = asyncHandler(async (req, res, next) => {
   }
 
   const [user, course] = await Promise.all([
-    User.findById(id).select("_id").lean(),
-    Course.findById(courseId).select("_id").lean(),
+    User.findById(id).select("email").lean(),
+    Course.findById(courseId).select("title").lean(),
   ]);
 
   if (!user) {
@@ -421,13 +1139,17 @@ const linkCourse = asyncHandler(async (req, res, next) => {
     return next();
   }
 
-  await User.findByIdAndUpdate(
-    id,
-    { $addToSet: { courses: course._id } },
-    { runValidators: true, context: "query" }
-  );
+  // Same rules as joining: a seat if one is free, otherwise the waitlist
+  const { enrollment } = await enrollInCourse(id, course._id);
+  await recordAudit(req, "user.course_linked", {
+    target: auditTarget("user", user),
+    details: { course: course.title, courseId: String(course._id), status: enrollment.status },
+  });
 
-  req.flash("success", "Course linked.");
+  req.flash(
+    "success",
+    enrollment.status === "waitlisted" ? "Course is full — user added to the waitlist." : "Course linked."
+  );
   res.locals.redirect = "/users";
   return next();
 });
@@ -450,7 +1172,7 @@ const linkSubscriberByEmail = asyncHandler(async (req, res, next) => {
   }
 
   const [user, sub] = await Promise.all([
-    User.findById(id).select("_id").lean(),
+    User.findById(id).select("name email zipCode subscriberAccount"),
     Subscriber.findOne({ email }).select("_id").lean(),
   ]);
 
@@ -466,13 +1188,14 @@ const linkSubscriberByEmail = asyncHandler(async (req, res, next) => {
     return next();
   }
 
-  await User.findByIdAndUpdate(
-    id,
-    { $set: { subscriberAccount: sub._id } },
-    { runValidators: true, context: "query" }
-  );
+  // The subscriber takes the user's name and postal code from now on
+  await identities.linkSubscriber(user, sub._id);
+  await recordAudit(req, "user.subscriber_linked", {
+    target: auditTarget("user", user),
+    details: { subscriber: email, subscriberId: String(sub._id) },
+  });
 
-  req.flash("success", "Subscriber linked.");
+  req.flash("success", "Subscriber linked. Its name and postal code now follow the user account.");
   res.locals.redirect = "/users";
   return next();
 });
@@ -491,17 +1214,34 @@ export default {
   createUser,
   showLoginForm,
   authenticate,
+  showTwoFactorLogin,
+  verifyTwoFactorLogin,
   logout,
+  showUser,
+  verifyEmail,
+  resendVerification,
+  showForgotPasswordForm,
+  sendPasswordReset,
+  showResetPasswordForm,
+  resetPassword,
+  checkPasswordStrength,
   showEditUserForm,
   updateUser,
 
   // API guards + auth
-  verifyToken,
   apiAuthenticate,
+  apiAuthenticateTwoFactor,
+  apiRefreshToken,
+  apiLogout,
+  apiListSessions,
+  apiRevokeSession,
   verifyJWT,
 
   // CRUD + linking
   deleteUser,
+  updateRole,
+  revokeUserApiSessions,
+  unlockLogin,
   linkCourse,
   linkSubscriberByEmail,
 
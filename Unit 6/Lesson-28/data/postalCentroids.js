@@ -0,0 +1,140 @@
+// data/postalCentroids.js
+// Approximate centre of postal codes as [latitude, longitude], shipped with the app
+// so "near me" works without a geocoding service.
+// - Keyed by country (POSTAL_FORMATS in utils/postalCodes.js), then normalized code.
+// - ZA: the main code of each town / suburb. Codes not listed here are placed at the
+//   listed code that shares their first digits and is numerically closest
+//   (utils/geo.js), which is good enough for a radius search.
+// Add a country by adding its table; run scripts/backfillLocations.js afterwards.
+
+export default {
+  ZA: {
+    // Gauteng: Pretoria / Tshwane
+    "0001": [-25.7461, 28.1881], // Pretoria Central
+    "0002": [-25.7479, 28.2093], // Arcadia
+    "0081": [-25.7664, 28.2722], // Lynnwood
+    "0157": [-25.8603, 28.1894], // Centurion
+    "0182": [-25.6796, 28.1319], // Pretoria North
+    "0400": [-25.4000, 28.2833], // Hammanskraal
+
+    // North West / Limpopo
+    "0250": [-25.6272, 27.7781], // Brits
+    "0299": [-25.6676, 27.2421], // Rustenburg
+    "0480": [-24.8846, 28.2921], // Bela-Bela
+    "0510": [-24.7000, 28.4000], // Modimolle
+    "0600": [-24.1944, 29.0097], // Mokopane
+    "0699": [-23.9045, 29.4689], // Polokwane
+    "0850": [-23.8332, 30.1635], // Tzaneen
+    "0900": [-22.3470, 30.0412], // Musina
+    "0950": [-22.9456, 30.4850], // Thohoyandou
+
+    // Mpumalanga
+    "1035": [-25.8713, 29.2332], // eMalahleni
+    "1050": [-25.7751, 29.4648], // Middelburg
+    "1120": [-25.0950, 30.4500], // Mashishing
+    "1200": [-25.4753, 30.9694], // Mbombela
+    "1240": [-25.3319, 31.0097], // White River
+    "1300": [-25.7860, 31.0530], // Barberton
+    "1340": [-25.4333, 31.9500], // Komatipoort
+    "2302": [-26.5500, 29.1700], // Secunda
+    "2351": [-26.5333, 29.9833], // Ermelo
+
+    // Gauteng: East Rand / West Rand / Vaal
+    "1401": [-26.2309, 28.1668], // Germiston
+    "1459": [-26.2125, 28.2625], // Boksburg
+    "1501": [-26.1885, 28.3208], // Benoni
+    "1559": [-26.2500, 28.4400], // Springs
+    "1610": [-26.1411, 28.1528], // Edenvale
+    "1619": [-26.1000, 28.2333], // Kempton Park
+    "1724": [-26.1625, 27.8725], // Roodepoort
+    "1739": [-26.1000, 27.7667], // Krugersdorp
+    "1804": [-26.2678, 27.8585], // Soweto
+    "1911": [-26.7110, 27.8370], // Vanderbijlpark
+    "1930": [-26.6736, 27.9261], // Vereeniging
+
+    // Gauteng: Johannesburg
+    "2001": [-26.2041, 28.0473], // Johannesburg Central
+    "2092": [-26.1762, 28.0086], // Melville
+    "2194": [-26.0936, 28.0064], // Randburg
+    "2196": [-26.1076, 28.0567], // Sandton
+
+    // North West
+    "2531": [-26.7145, 27.0970], // Potchefstroom
+    "2570": [-26.8521, 26.6667], // Klerksdorp
+    "2740": [-26.1500, 26.1600], // Lichtenburg
+    "2745": [-25.8560, 25.6403], // Mahikeng
+
+    // KwaZulu-Natal
+    "2940": [-27.7580, 29.9318], // Newcastle
+    "3000": [-28.1667, 30.2333], // Dundee
+    "3100": [-27.7695, 30.7916], // Vryheid
+    "3201": [-29.6006, 30.3794], // Pietermaritzburg
+    "3290": [-29.4776, 30.2321], // Howick
+    "3310": [-29.0000, 29.8667], // Estcourt
+    "3370": [-28.5539, 29.7784], // Ladysmith
+    "3610": [-29.8152, 30.8528], // Pinetown
+    "3629": [-29.8397, 30.9250], // Westville
+    "3650": [-29.7800, 30.7600], // Hillcrest
+    "3880": [-28.7614, 31.8931], // Empangeni
+    "3900": [-28.7830, 32.0377], // Richards Bay
+    "4001": [-29.8587, 31.0218], // Durban Central
+    "4051": [-29.7898, 31.0340], // Durban North
+    "4126": [-30.0500, 30.8833], // Amanzimtoti
+    "4240": [-30.7414, 30.4550], // Port Shepstone
+    "4319": [-29.7260, 31.0845], // Umhlanga
+    "4420": [-29.5389, 31.2142], // Ballito
+    "4450": [-29.3383, 31.2917], // KwaDukuza
+    "4700": [-30.5472, 29.4244], // Kokstad
+
+    // Eastern Cape
+    "5100": [-31.5889, 28.7844], // Mthatha
+    "5201": [-33.0153, 27.9116], // East London
+    "5320": [-31.8976, 26.8753], // Komani
+    "5880": [-32.1644, 25.6192], // Cradock
+    "6001": [-33.9608, 25.6022], // Gqeberha
+    "6139": [-33.3042, 26.5328], // Makhanda
+    "6229": [-33.7570, 25.3971], // Kariega
+    "6280": [-32.2522, 24.5308], // Graaff-Reinet
+
+    // Western Cape: Garden Route / Karoo / Boland
+    "6500": [-34.1831, 22.1460], // Mossel Bay
+    "6529": [-33.9630, 22.4617], // George
+    "6570": [-34.0351, 23.0465], // Knysna
+    "6625": [-33.5906, 22.2014], // Oudtshoorn
+    "6850": [-33.6464, 19.4485], // Worcester
+    "6970": [-32.3567, 22.5828], // Beaufort West
+
+    // Western Cape: Cape Town and surrounds
+    "7130": [-34.0757, 18.8433], // Somerset West
+    "7140": [-34.1100, 18.8260], // Strand
+    "7200": [-34.4187, 19.2345], // Hermanus
+    "7300": [-33.4608, 18.7271], // Malmesbury
+    "7395": [-33.0117, 17.9442], // Saldanha
+    "7441": [-33.8720, 18.4976], // Milnerton
+    "7500": [-33.9000, 18.5833], // Parow
+    "7530": [-33.9000, 18.6333], // Bellville
+    "7600": [-33.9321, 18.8602], // Stellenbosch
+    "7646": [-33.7342, 18.9621], // Paarl
+    "7700": [-33.9634, 18.4761], // Rondebosch
+    "7784": [-34.0403, 18.6778], // Khayelitsha
+    "7800": [-34.0000, 18.4667], // Wynberg
+    "7975": [-34.1367, 18.4331], // Fish Hoek
+    "8001": [-33.9249, 18.4241], // Cape Town Central
+    "8005": [-33.9030, 18.4100], // Green Point
+
+    // Northern Cape
+    "8240": [-29.6643, 17.8865], // Springbok
+    "8301": [-28.7282, 24.7499], // Kimberley
+    "8601": [-26.9566, 24.7284], // Vryburg
+    "8801": [-28.4478, 21.2561], // Upington
+
+    // Free State
+    "9301": [-29.0852, 26.1596], // Bloemfontein
+    "9459": [-27.9772, 26.7351], // Welkom
+    "9500": [-27.6504, 27.2349], // Kroonstad
+    "9701": [-28.2308, 28.3071], // Bethlehem
+    "9750": [-30.6936, 26.7114], // Aliwal North
+    "9866": [-28.5333, 28.8167], // Phuthaditjhaba
+    "9880": [-28.2723, 29.1293], // Harrismith
+  },
+};
@@ -5,9 +5,10 @@
  * Sessions, flash, Passport, routers, security, logging, and graceful shutdown.
  */
 
+// Load .env first: imported modules read their settings as they load
+import "dotenv/config";
 import express from "express";
 import mongoose from "mongoose";
-import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import passport from "passport";
@@ -25,16 +26,36 @@ import errorsRouter from "./routes/errors.js";
 import subscribersRouter from "./routes/subscribers.js";
 import usersRouter from "./routes/users.js";
 import coursesRouter from "./routes/courses.js";
+import campaignsRouter from "./routes/campaigns.js";
+import adminRouter from "./routes/admin.js";
 import apiRoutes from "./routes/apiRoutes.js";
 
 // Models
 import User from "./models/user.js";
 
-// Shared error middlewares
-import { notFound, errorHandler } from "./middlewares/errors.js";
+// Uploaded files (cover images, recipe PDFs)
+import { getStorage } from "./services/storage.js";
+
+// Postal code rules for the forms
+import { postalInput } from "./utils/postalCodes.js";
+import { passwordInput } from "./utils/passwordPolicy.js";
+
+// Emailed links and the mail transport (checked at startup in production)
+import { emailUrl } from "./utils/appUrl.js";
+import { getTransport } from "./services/mailer.js";
+
+// Sessions in MongoDB (+ who / where, for "your active sessions")
+import { MongooseSessionStore } from "./services/webSessions.js";
+import { sessionInfo } from "./middlewares/sessionInfo.js";
 
-// Load environment variables
-dotenv.config();
+// CSRF tokens for the session-based forms
+import { csrfProtection } from "./middlewares/csrf.js";
+
+// Newsletter deliveries (background batches)
+import { startCampaignSender, stopCampaignSender } from "./services/campaignSender.js";
+
+// Shared error middlewares
+import { notFound, csrfErrorHandler, errorHandler } from "./middlewares/errors.js";
 
 // __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -48,6 +69,14 @@ const MONGO_URL =
 const SESSION_SECRET = process.env.SESSION_SECRET || "change-me";
 const NODE_ENV = process.env.NODE_ENV || "development";
 const IS_PRODUCTION = NODE_ENV === "production";
+const storage = getStorage();
+
+// Production needs APP_URL for emailed links and a chosen mail transport: stop now, not at the first email
+if (IS_PRODUCTION) {
+  emailUrl();
+  getTransport();
+  getTransport("bulk");
+}
 
 // ---- MongoDB ----
 mongoose.set("strictQuery", false);
@@ -56,6 +85,7 @@ mongoose
   .connect(MONGO_URL)
   .then(() => {
     console.log("✓ MongoDB connected");
+    startCampaignSender();
   })
   .catch((err) => {
     console.error("✗ MongoDB connection error:", err);
@@ -71,6 +101,7 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(methodOverride("_method")); // enables PUT/DELETE via forms ?_method=PUT
 app.use(express.static(path.join(__dirname, "public")));
+if (storage.serve) app.use(storage.publicPath, storage.serve());
 
 // ---- Security (Helmet) ----
 // CSP tuned for:
@@ -93,7 +124,8 @@ app.use(
           "https://cdn.jsdelivr.net",
         ],
         fontSrc: ["'self'", "https://cdn.jsdelivr.net"],
-        imgSrc: ["'self'", "data:"],
+        // + the storage origin when uploads are served from elsewhere
+        imgSrc: ["'self'", "data:", ...(storage.origin ? [storage.origin] : [])],
         connectSrc: ["'self'"], // fetch/XHR back to same origin
         objectSrc: ["'none'"],
         frameAncestors: ["'self'"],
@@ -104,11 +136,15 @@ app.use(
 );
 
 app.use(compression());
+// Multipart forms carry the CSRF token in the URL; keep it out of the logs
+morgan.token("url", (req) => (req.originalUrl || req.url).replace(/([?&]_csrf=)[^&]*/, "$1-"));
 app.use(morgan(IS_PRODUCTION ? "combined" : "dev"));
 
 // ---- Sessions (before flash & passport) ----
+// Stored in MongoDB ("sessions" collection, expired ones removed by a TTL index)
 app.use(
   session({
+    store: new MongooseSessionStore(),
     secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
@@ -130,6 +166,7 @@ passport.serializeUser(User.serializeUser());
 passport.deserializeUser(User.deserializeUser());
 app.use(passport.initialize());
 app.use(passport.session());
+app.use(sessionInfo);
 
 // ---- Locals (after flash + passport) ----
 app.use((req, res, next) => {
@@ -138,9 +175,25 @@ app.use((req, res, next) => {
   res.locals.loggedIn =
     typeof req.isAuthenticated === "function" ? req.isAuthenticated() : false;
   res.locals.currentUser = req.user || null;
+  // Views: <% if (hasRole("admin")) { %> ... <% } %>
+  res.locals.hasRole = (...roles) => Boolean(req.user?.hasRole?.(...roles));
+  // Postal code <input> attributes: <input pattern="<%= postal.pattern %>" ...>
+  res.locals.postal = postalInput();
+  // New-password <input> attributes + hint: <input minlength="<%= passwordRules.minLength %>" ...>
+  res.locals.passwordRules = passwordInput();
   next();
 });
 
+// ---- CSRF (after session; method-override has already run) ----
+// Every form POST needs the session's token (res.locals.csrfToken, views/partials/_csrf.ejs).
+// Exempt: /api (Bearer / ApiKey headers, no cookies) and the signed one-click
+// unsubscribe that mail clients POST without a session.
+app.use(
+  csrfProtection({
+    exempt: [/^\/api(\/|$)/, /^\/subscribers\/[^/]+\/unsubscribe$/],
+  })
+);
+
 // ---- View engine (EJS + express-ejs-layouts) ----
 app.set("views", path.join(__dirname, "views"));
 app.set("view engine", "ejs");
@@ -159,6 +212,8 @@ app.use("/errors", errorsRouter);
 app.use("/subscribers", subscribersRouter);
 app.use("/users", usersRouter);
 app.use("/courses", coursesRouter);
+app.use("/campaigns", campaignsRouter);
+app.use("/admin", adminRouter);
 
 // ---- Fallback EJS routes for /home and /about ----
 // If homeRouter already defines these, it will handle them first.
@@ -178,6 +233,7 @@ app.get("/health", (_req, res) => {
 
 // ---- 404 and 500 handlers ----
 app.use(notFound);
+app.use(csrfErrorHandler);
 app.use(errorHandler);
 
 // ---- Start server ----
@@ -189,6 +245,7 @@ const server = app.listen(PORT, () => {
 async function shutdown(signal) {
   console.log(`\n${signal} received. Closing server and MongoDB connection...`);
   try {
+    stopCampaignSender();
     await new Promise((resolve) => server.close(resolve));
     await mongoose.disconnect();
     console.log("✓ Shutdown complete.");
@@ -1,7 +1,10 @@
 // middlewares/auth.js
 
+const isLoggedIn = (req) =>
+  typeof req.isAuthenticated === "function" && req.isAuthenticated();
+
 export const ensureAuthenticated = (req, res, next) => {
-  if (typeof req.isAuthenticated === "function" && req.isAuthenticated()) {
+  if (isLoggedIn(req)) {
     return next();
   }
   req.flash?.("error", "Please log in first.");
@@ -9,14 +12,41 @@ export const ensureAuthenticated = (req, res, next) => {
 };
 
 export const ensureGuest = (req, res, next) => {
-  if (typeof req.isAuthenticated === "function" && req.isAuthenticated()) {
+  if (isLoggedIn(req)) {
     return res.redirect("/dashboard");
   }
   return next();
 };
 
+/**
+ * Role guard factory.
+ * Usage: router.get("/x", ensureRole("instructor", "admin"), handler)
+ * - Not logged in → login page
+ * - Logged in without one of the roles → dashboard with flash
+ */
+export const ensureRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!isLoggedIn(req)) return ensureAuthenticated(req, res, next);
+    if (req.user?.hasRole?.(...roles)) return next();
+
+    req.flash?.("error", "You do not have permission to do that.");
+    return res.redirect("/dashboard");
+  };
+
 export const ensureAdmin = (req, res, next) => {
-  if (req.isAuthenticated?.() && req.user?.isAdmin) return next();
+  if (!isLoggedIn(req)) return ensureAuthenticated(req, res, next);
+  if (req.user?.isAdmin) return next();
   req.flash?.("error", "Admins only.");
   return res.redirect("/dashboard");
 };
+
+// Allow the account owner (/:id matches the session user) or any admin
+export const ensureSelfOrAdmin = (req, res, next) => {
+  if (!isLoggedIn(req)) return ensureAuthenticated(req, res, next);
+  if (String(req.user?._id) === String(req.params.id) || req.user?.isAdmin) {
+    return next();
+  }
+  req.flash?.("error", "You can only manage your own account.");
+  return res.redirect("/dashboard");
+};
@@ -0,0 +1,65 @@
+// middlewares/csrf.js
+// CSRF protection for the session-based site (synchronizer token).
+// - One random token per session (req.session.csrfToken), shown to views as
+//   res.locals.csrfToken; forms send it back as the hidden field `_csrf`
+//   (views/partials/_csrf.ejs) and scripts as the X-CSRF-Token header.
+// - Checked on every POST (PUT / DELETE arrive as POST + ?_method=).
+// - multipart/form-data bodies are only parsed later by multer, so those forms
+//   carry the token in the action URL instead: action="...?_csrf=<%= csrfToken %>".
+// - Failures go to next(err) with err.code "EBADCSRFTOKEN" (middlewares/errors.js).
+
+import crypto from "crypto";
+import { generateToken } from "../utils/tokens.js";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+export const CSRF_FIELD = "_csrf";
+export const CSRF_HEADER = "x-csrf-token";
+
+// The session's token, created on first use
+export const csrfTokenFor = (req) => {
+  if (!req.session) throw new Error("CSRF protection needs express-session");
+  if (!req.session.csrfToken) req.session.csrfToken = generateToken();
+  return req.session.csrfToken;
+};
+
+const sameToken = (given, expected) => {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(String(expected || ""));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const submittedToken = (req) =>
+  req.body?.[CSRF_FIELD] ||
+  req.get(CSRF_HEADER) ||
+  (req.is("multipart/form-data") ? req.query?.[CSRF_FIELD] : undefined);
+
+const csrfError = () => {
+  const err = new Error("Invalid or missing CSRF token.");
+  err.code = "EBADCSRFTOKEN";
+  err.status = 403;
+  return err;
+};
+
+/**
+ * Token for the views + check on unsafe requests.
+ * @param {{ exempt?: RegExp[] }} [options] paths (req.path) that are not checked:
+ *   token-authenticated APIs, signed one-click links
+ */
+export const csrfProtection = ({ exempt = [] } = {}) =>
+  (req, res, next) => {
+    // Lazy: only responses that render a view create a token (and so a session)
+    Object.defineProperty(res.locals, "csrfToken", {
+      configurable: true,
+      enumerable: true,
+      get: () => csrfTokenFor(req),
+    });
+
+    const method = req.originalMethod || req.method;
+    if (SAFE_METHODS.includes(method)) return next();
+    if (exempt.some((pattern) => pattern.test(req.path))) return next();
+
+    if (!sameToken(submittedToken(req), req.session?.csrfToken)) return next(csrfError());
+    return next();
+  };
+
+export default csrfProtection;
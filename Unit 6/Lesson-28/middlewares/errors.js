@@ -8,6 +8,34 @@ export const notFound = (req, res, _next) => {
   return res.render("404", { title: "Not Found" });
 };
 
+// Referer path if it's a page of this site (never redirect "back" to another site)
+const sameSiteReferrer = (req) => {
+  try {
+    const url = new URL(req.get("referer"));
+    return url.host === req.get("host") ? url.pathname + url.search : null;
+  } catch {
+    return null;
+  }
+};
+
+// CSRF token missing or wrong (middlewares/csrf.js): usually a tab left open
+// until the session expired, or a form posted from another site
+export const csrfErrorHandler = (err, req, res, next) => {
+  if (err?.code !== "EBADCSRFTOKEN") return next(err);
+
+  const message = "This form has expired or didn't come from this site. Please try again.";
+  if (req.accepts("json") && !req.accepts("html")) {
+    return res.status(403).json({ error: message });
+  }
+
+  const back = sameSiteReferrer(req);
+  if (back && req.session) {
+    req.flash("error", message);
+    return res.redirect(303, back);
+  }
+  return res.status(403).render("403", { title: "Forbidden", message });
+};
+
 export const errorHandler = (err, req, res, _next) => {
   console.error(err);
   const status = res.statusCode >= 400 ? res.statusCode : 500;
@@ -8,3 +8,12 @@ export const limitPublicPosts = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
+
+// Strength meter on the password forms: one request per pause in typing
+export const limitPasswordChecks = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: "Too many requests, please try again later.",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -0,0 +1,30 @@
+// middlewares/sessionInfo.js
+// Notes who is signed in on a session and from where, for the active-sessions
+// page (services/webSessions.js copies it out when the session is saved).
+// - Mount after passport.session(), so req.user is known.
+// - Only writes when something changed; unchanged sessions are just "touched".
+
+import { describeUserAgent } from "../utils/userAgent.js";
+
+export const sessionInfo = (req, _res, next) => {
+  if (!req.session) return next();
+
+  if (!req.user) {
+    if (req.session.userId) {
+      delete req.session.userId;
+      delete req.session.client;
+    }
+    return next();
+  }
+
+  const userId = String(req.user._id);
+  const client = { device: describeUserAgent(req.get("user-agent")), ip: req.ip };
+
+  if (req.session.userId !== userId) req.session.userId = userId;
+  if (req.session.client?.device !== client.device || req.session.client?.ip !== client.ip) {
+    req.session.client = client;
+  }
+  return next();
+};
+
+export default sessionInfo;
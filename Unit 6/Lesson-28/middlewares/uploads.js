@@ -0,0 +1,123 @@
+// middlewares/uploads.js
+// Multipart parsing for the course form (cover image + recipe PDFs)
+// and the admin CSV import form.
+// Files stay in memory; services/courseFiles.js checks the bytes and stores them.
+//
+// Bad files do not abort the request: they are dropped and described in
+// req.uploadErrors ({ coverImage?, attachments? }) so the form can show them.
+// Only hard limits (too big, too many) end the request here.
+
+import multer from "multer";
+import { MAX_IMPORT_BYTES } from "../services/csvImport.js";
+
+const MB = 1024 * 1024;
+
+export const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+export const DOCUMENT_TYPES = ["application/pdf"];
+export const MAX_ATTACHMENTS_PER_UPLOAD = 5;
+
+export const MAX_IMAGE_BYTES = Number(process.env.UPLOAD_MAX_IMAGE_MB || 5) * MB;
+export const MAX_DOCUMENT_BYTES = Number(process.env.UPLOAD_MAX_PDF_MB || 10) * MB;
+
+// First bytes of each accepted type (the browser's Content-Type is only a hint)
+const SIGNATURES = {
+  "image/jpeg": (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  "image/png": (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/webp": (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP",
+  "application/pdf": (b) => b.toString("latin1", 0, 5) === "%PDF-",
+};
+
+const FIELD_RULES = {
+  coverImage: { types: IMAGE_TYPES, maxBytes: MAX_IMAGE_BYTES, label: "Cover image", kinds: "JPEG, PNG or WebP" },
+  attachments: { types: DOCUMENT_TYPES, maxBytes: MAX_DOCUMENT_BYTES, label: "Recipe file", kinds: "PDF" },
+};
+
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    // Per-field sizes are checked below; this is the hard ceiling
+    fileSize: Math.max(MAX_IMAGE_BYTES, MAX_DOCUMENT_BYTES),
+    files: 1 + MAX_ATTACHMENTS_PER_UPLOAD,
+    // Each recipe block posts ~15 fields (see views/courses/_recipeFields.ejs)
+    fields: 400,
+  },
+}).fields([
+  { name: "coverImage", maxCount: 1 },
+  { name: "attachments", maxCount: MAX_ATTACHMENTS_PER_UPLOAD },
+]);
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: "That file is too large.",
+  LIMIT_FILE_COUNT: `Upload at most ${MAX_ATTACHMENTS_PER_UPLOAD} recipe files at a time.`,
+  LIMIT_UNEXPECTED_FILE: `Upload at most ${MAX_ATTACHMENTS_PER_UPLOAD} recipe files at a time.`,
+};
+
+const wantsJson = (req) =>
+  String(req.query.format || "").toLowerCase() === "json" ||
+  req.accepts(["html", "json"]) === "json";
+
+// Drop files that fail the type / size / signature checks
+const checkFiles = (req) => {
+  const errors = {};
+  const files = req.files || {};
+
+  for (const [field, rule] of Object.entries(FIELD_RULES)) {
+    const kept = [];
+    for (const file of files[field] || []) {
+      const name = file.originalname || "file";
+      if (!file.size) continue; // empty <input type="file">
+      if (!rule.types.includes(file.mimetype) || !SIGNATURES[file.mimetype]?.(file.buffer)) {
+        errors[field] = `${rule.label} "${name}" must be ${rule.kinds}.`;
+      } else if (file.size > rule.maxBytes) {
+        errors[field] = `${rule.label} "${name}" is larger than ${Math.round(rule.maxBytes / MB)} MB.`;
+      } else {
+        kept.push(file);
+      }
+    }
+    files[field] = kept;
+  }
+
+  req.files = files;
+  req.uploadErrors = errors;
+};
+
+/**
+ * Parse multipart/form-data for course forms.
+ * Sets req.body (text fields), req.files.coverImage[], req.files.attachments[]
+ * and req.uploadErrors.
+ */
+export const uploadCourseFiles = (req, res, next) => {
+  parser(req, res, (err) => {
+    if (!err) {
+      checkFiles(req);
+      return next();
+    }
+    if (!(err instanceof multer.MulterError)) return next(err);
+
+    const message = LIMIT_MESSAGES[err.code] || "Upload failed.";
+    if (wantsJson(req)) {
+      return res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ error: message });
+    }
+    req.flash("error", message);
+    return res.redirect("back");
+  });
+};
+
+/**
+ * Parse the CSV import form: req.file (field "file", optional) and req.body.
+ * The confirm step re-posts the checked CSV as a text field, hence the field size.
+ */
+export const uploadCsv = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_BYTES, fieldSize: MAX_IMPORT_BYTES, files: 1 },
+  }).single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (!(err instanceof multer.MulterError)) return next(err);
+
+    req.flash("error", `CSV files can be at most ${Math.round(MAX_IMPORT_BYTES / MB)} MB.`);
+    return res.redirect("back");
+  });
+};
+
+export default uploadCourseFiles;
@@ -1,4 +1,6 @@
 // middlewares/validateSubscriber.js
+import { normalizePostalCode, postalCodeError } from "../utils/postalCodes.js";
+
 export default function validateSubscriber(req, res, next) {
   const { name = "", email = "", zipCode = "" } = req.body;
   const errors = {};
@@ -15,9 +17,10 @@ export default function validateSubscriber(req, res, next) {
   if (!trimmedEmail) errors.email = "Email is required.";
   else if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(trimmedEmail)) errors.email = "Enter a valid email.";
 
-  // Zip: optional, but if provided, must be 5 digits
+  // Postal code: optional, but if provided, must fit a configured country
   const trimmedZip = String(zipCode).trim();
-  if (trimmedZip && !/^\d{5}$/.test(trimmedZip)) errors.zipCode = "Zip Code must be 5 digits.";
+  const normalizedZip = normalizePostalCode(trimmedZip);
+  if (normalizedZip === null) errors.zipCode = postalCodeError();
 
   if (Object.keys(errors).length) {
     // Re-render the form with errors + previously entered values
@@ -30,6 +33,6 @@ export default function validateSubscriber(req, res, next) {
   // Put sanitized values back on req for controller
   req.body.name = trimmedName;
   req.body.email = trimmedEmail;
-  req.body.zipCode = trimmedZip;
+  req.body.zipCode = normalizedZip;
   next();
 }
@@ -0,0 +1,105 @@
+/**
+ * @file models/apiKey.js
+ * @description Named, scoped API keys for scripts and integrations.
+ *
+ * - The full key is shown ONCE when created; only its SHA-256 hash is stored.
+ * - `prefix` (first characters of the key) lets users tell keys apart.
+ * - Sent as `Authorization: ApiKey <key>` (never in the query string).
+ */
+
+import mongoose from "mongoose";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+// What a key may do. JWT logins are not limited by scopes.
+// Admin/instructor endpoints also check the owner's role.
+export const API_SCOPES = [
+  "courses:read",
+  "courses:join",
+  "courses:write",
+  "profile:read",
+  "profile:write",
+  "admin",
+];
+
+const KEY_PREFIX = "rcp_";
+const MAX_KEYS_PER_USER = 10;
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Key name is required"],
+      trim: true,
+      maxlength: [60, "Key name must be 60 characters or fewer"],
+    },
+
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    scopes: {
+      type: [{ type: String, enum: API_SCOPES }],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length > 0,
+        message: "Choose at least one scope",
+      },
+    },
+
+    lastUsedAt: Date,
+    expiresAt: Date, // optional; no value = never expires
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.virtual("isActive").get(function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// Create a key and return { apiKey, rawKey } — rawKey is never retrievable again
+apiKeySchema.statics.createForUser = async function (userId, { name, scopes, expiresAt }) {
+  const active = await this.countDocuments({ user: userId, revokedAt: null });
+  if (active >= MAX_KEYS_PER_USER) {
+    throw new Error(`You can have at most ${MAX_KEYS_PER_USER} active API keys.`);
+  }
+
+  const rawKey = `${KEY_PREFIX}${generateToken(24)}`;
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    prefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(rawKey),
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Active key by raw value (not revoked, not expired)
+apiKeySchema.statics.findActiveByRawKey = function (rawKey) {
+  return this.findOne({
+    keyHash: hashToken(rawKey),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+export default ApiKey;
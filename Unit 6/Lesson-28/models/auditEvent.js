@@ -0,0 +1,98 @@
+/**
+ * @file models/auditEvent.js
+ * @description Audit log: who did what to which record (services/audit.js, /admin/audit).
+ *
+ * - Append-only: events are written once and never edited.
+ * - actor / target keep an email or title next to the id, so an event still
+ *   reads correctly after the user or course is deleted.
+ * - changes: before / after of the fields that changed (never passwords or tokens).
+ * - expiresAt is only set with AUDIT_RETENTION_DAYS; without it events are kept.
+ */
+
+import mongoose from "mongoose";
+
+// action → label (filters on /admin/audit). "<area>.<what happened>"
+export const AUDIT_ACTIONS = {
+  "auth.login": "Logged in",
+  "auth.login_failed": "Failed login",
+  "auth.lockout": "Account locked by failed logins",
+  "auth.logout": "Logged out",
+  "auth.password_reset_requested": "Password reset requested",
+  "auth.password_reset": "Password reset",
+  "auth.token_issued": "API login (tokens issued)",
+  "auth.token_refreshed": "API token refreshed",
+  "auth.token_revoked": "API login revoked",
+  "auth.session_revoked": "Browser session signed out",
+  "auth.two_factor_enabled": "Two-factor turned on",
+  "auth.two_factor_disabled": "Two-factor turned off",
+  "auth.recovery_codes_created": "Recovery codes created",
+  "apikey.created": "API key created",
+  "apikey.revoked": "API key revoked",
+  "user.created": "User created",
+  "user.updated": "User updated",
+  "user.deleted": "User deleted",
+  "user.role_changed": "Role changed",
+  "user.login_unlocked": "Login unlocked",
+  "user.email_verified": "Email confirmed",
+  "user.course_linked": "Course linked",
+  "user.subscriber_linked": "Subscriber linked",
+  "course.created": "Course created",
+  "course.updated": "Course updated",
+  "course.deleted": "Course deleted",
+  "subscriber.updated": "Subscriber updated",
+  "subscriber.deleted": "Subscriber deleted",
+  "subscriber.merged": "Subscriber merged",
+};
+
+export const AUDIT_OUTCOMES = ["success", "failure"];
+
+// How the actor was signed in
+export const AUDIT_CHANNELS = ["web", "api", "api-key", "anonymous"];
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true, enum: Object.keys(AUDIT_ACTIONS) },
+    outcome: { type: String, enum: AUDIT_OUTCOMES, default: "success" },
+
+    actor: {
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      email: String,
+      via: { type: String, enum: AUDIT_CHANNELS, default: "anonymous" },
+    },
+
+    // kind: "user" | "course" | "subscriber" | "apiKey" | "session"; label: email / title
+    target: {
+      kind: String,
+      id: String,
+      label: String,
+    },
+
+    ip: String,
+    userAgent: String,
+
+    changes: { type: [changeSchema], default: undefined },
+    // Anything else worth knowing (device, counts, reason, ...)
+    details: mongoose.Schema.Types.Mixed,
+
+    expiresAt: { type: Date, index: { expireAfterSeconds: 0 } },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Newest first (utils/pagination.js), per action, per actor, per record
+auditEventSchema.index({ createdAt: -1, _id: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ "actor.user": 1, createdAt: -1 });
+auditEventSchema.index({ "target.id": 1, createdAt: -1 });
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+export default AuditEvent;
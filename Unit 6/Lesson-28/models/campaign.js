@@ -0,0 +1,88 @@
+/**
+ * @file models/campaign.js
+ * @description Newsletter campaign: what to send and to whom.
+ *
+ * - The body is Markdown or an EJS template, with merge fields (services/campaigns.js).
+ * - The segment picks confirmed subscribers by postal code, course and signup date.
+ * - Sending creates one Delivery per recipient (models/delivery.js); a background
+ *   worker (services/campaignSender.js) works through them.
+ */
+
+import mongoose from "mongoose";
+import { normalizePostalPrefix } from "../utils/postalCodes.js";
+
+// draft → queueing (deliveries being created) → sending → sent; cancelling stops the queued ones
+export const CAMPAIGN_STATUSES = ["draft", "queueing", "sending", "sent", "cancelled"];
+export const BODY_FORMATS = ["markdown", "ejs"];
+
+const segmentSchema = new mongoose.Schema(
+  {
+    // Postal code prefixes ("7" → 7000–7999, "8001" → just 8001); empty = everywhere
+    postalCodes: [
+      {
+        type: String,
+        set: (v) => normalizePostalPrefix(v) ?? String(v).trim(),
+        validate: {
+          validator: (v) => normalizePostalPrefix(v) !== null,
+          message: "Postal code prefix must be letters or digits (e.g. 7 or 8001)",
+        },
+      },
+    ],
+    // Subscribed to / enrolled in any of these courses; empty = any
+    courses: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }],
+    // Signed up (createdAt) within this range
+    signedUpFrom: Date,
+    signedUpTo: Date,
+  },
+  { _id: false }
+);
+
+const campaignSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+      trim: true,
+      maxlength: [200, "Subject is too long"],
+    },
+    body: {
+      type: String,
+      required: [true, "Body is required"],
+      maxlength: [100000, "Body is too long"],
+    },
+    format: {
+      type: String,
+      enum: BODY_FORMATS,
+      default: "markdown",
+    },
+    segment: {
+      type: segmentSchema,
+      default: () => ({}),
+    },
+
+    status: {
+      type: String,
+      enum: CAMPAIGN_STATUSES,
+      default: "draft",
+      index: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    queuedAt: Date,
+    finishedAt: Date,
+
+    // Delivery counts, refreshed by the sender
+    stats: {
+      total: { type: Number, default: 0 },
+      sent: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+// Newest-first lists and cursors (utils/pagination.js)
+campaignSchema.index({ createdAt: -1, _id: -1 });
+
+const Campaign = mongoose.model("Campaign", campaignSchema);
+export default Campaign;
@@ -5,11 +5,79 @@
  */
 
 import mongoose from "mongoose";
+import recipeSchema, { MAX_RECIPES } from "./recipe.js";
+import { postalCodeSchemaType } from "../utils/postalCodes.js";
+import postalLocation from "./postalLocation.js";
 
-// South African postal codes are 0000–9999.
-// Stored as Number → leading zeros are stripped → valid range is 0–9999.
-const ZIP_MIN = 0;
-const ZIP_MAX = 9999;
+export const MAX_CAPACITY = 1000;
+export const MAX_SESSIONS = 200;
+export const MAX_ATTACHMENTS = 20;
+
+// Free seats for a course doc or lean object (null = unlimited)
+export const seatsRemaining = (course) =>
+  course?.capacity ? Math.max(course.capacity - (course.enrolledCount || 0), 0) : null;
+
+// First session that has not ended yet (null if none)
+export const nextSession = (course, now = new Date()) =>
+  (course?.sessions || []).find((s) => new Date(s.endsAt) > now) || null;
+
+// One class meeting. Times are stored as UTC Dates.
+const sessionSchema = new mongoose.Schema(
+  {
+    startsAt: {
+      type: Date,
+      required: [true, "Session start is required"]
+    },
+    endsAt: {
+      type: Date,
+      required: [true, "Session end is required"],
+      validate: {
+        validator: function (v) {
+          return !this.startsAt || v > this.startsAt;
+        },
+        message: "Session must end after it starts"
+      }
+    },
+    location: {
+      name: { type: String, trim: true, maxlength: [120, "Venue name is too long"] },
+      address: { type: String, trim: true, maxlength: [200, "Address is too long"] }
+    },
+    // Must be an instructor or admin (checked by the controller)
+    instructor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes are too long"]
+    }
+  },
+  { timestamps: true }
+);
+
+// Uploaded files: `key`s point into services/storage.js (see services/courseFiles.js)
+const coverImageSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    thumbKey: { type: String, required: true },
+    width: Number,
+    height: Number,
+    size: Number
+  },
+  { _id: false, timestamps: { createdAt: "uploadedAt", updatedAt: false } }
+);
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    // Original file name, used for the download
+    name: { type: String, required: true, trim: true, maxlength: 200 },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true, min: 0 }
+  },
+  { timestamps: { createdAt: "uploadedAt", updatedAt: false } }
+);
 
 const courseSchema = new mongoose.Schema(
   {
@@ -24,19 +92,105 @@ const courseSchema = new mongoose.Schema(
       required: [true, "Course description is required"],
       trim: true
     },
-    items: {
-      type: [String],
-      default: []
+    // Replaced the old `items: [String]` (see scripts/migrateItemsToRecipes.js)
+    recipes: {
+      type: [recipeSchema],
+      default: [],
+      validate: {
+        validator: (arr) => arr.length <= MAX_RECIPES,
+        message: `A course can have at most ${MAX_RECIPES} recipes`
+      }
+    },
+    // Normalized string, e.g. "0002" (utils/postalCodes.js); sets `location` (postalLocation)
+    zipCode: postalCodeSchemaType(),
+    // Seats in the class; null = unlimited
+    capacity: {
+      type: Number,
+      default: null,
+      min: [1, "Capacity must be at least 1"],
+      max: [MAX_CAPACITY, `Capacity must be at most ${MAX_CAPACITY}`],
+      validate: {
+        validator: (v) => v === null || Number.isInteger(v),
+        message: "Capacity must be a whole number"
+      }
     },
-    zipCode: {
+    // Seats taken — only changed by services/enrollments.js
+    enrolledCount: {
       type: Number,
-      min: [ZIP_MIN, `Zip code must be at least ${ZIP_MIN}`],
-      max: [ZIP_MAX, `Zip code must be at most ${ZIP_MAX}`]
+      default: 0,
+      min: 0
+    },
+    coverImage: {
+      type: coverImageSchema,
+      default: null
+    },
+    // Downloadable recipe PDFs
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+      validate: {
+        validator: (arr) => arr.length <= MAX_ATTACHMENTS,
+        message: `A course can have at most ${MAX_ATTACHMENTS} files`
+      }
+    },
+    // Scheduled meetings, kept sorted by startsAt
+    sessions: {
+      type: [sessionSchema],
+      default: [],
+      validate: {
+        validator: (arr) => arr.length <= MAX_SESSIONS,
+        message: `A course can have at most ${MAX_SESSIONS} sessions`
+      }
     }
   },
   { timestamps: true }
 );
 
+courseSchema.virtual("seatsRemaining").get(function () {
+  return seatsRemaining(this);
+});
+
+/**
+ * Check recipe input (API / forms) against the schema without saving.
+ * Returns the first error message, or null when valid.
+ */
+courseSchema.statics.recipeError = function (recipes) {
+  const error = new this({ recipes }).validateSync(["recipes"]);
+  if (!error) return null;
+
+  const [path, detail] = Object.entries(error.errors)[0];
+  const field = path.replace(/^recipes\.\d+\./, "");
+  const message = detail.name === "CastError" ? `Invalid value for ${field}` : detail.message;
+  // "recipes.0.ingredients.2.unit" → "Recipe 1: …"
+  const index = /^recipes\.(\d+)/.exec(path)?.[1];
+  return index === undefined ? message : `Recipe ${Number(index) + 1}: ${message}`;
+};
+
+// GeoJSON `location` from zipCode + 2dsphere index ("near" search)
+courseSchema.plugin(postalLocation);
+
+// Upcoming-session lookups
+courseSchema.index({ "sessions.startsAt": 1 });
+
+// Newest-first lists and cursors (utils/pagination.js, "newest" sort in services/courseSearch.js)
+courseSchema.index({ createdAt: -1, _id: -1 });
+
+// Search (services/courseSearch.js). A collection can only have one text index,
+// so every searchable field is in this one; weights rank title matches first.
+courseSchema.index(
+  {
+    title: "text",
+    description: "text",
+    "recipes.title": "text",
+    "recipes.ingredients.name": "text",
+  },
+  {
+    name: "course_search",
+    weights: { title: 10, "recipes.title": 5, description: 3, "recipes.ingredients.name": 2 },
+    default_language: "english",
+  }
+);
+
 // REMOVE duplicate index to avoid Mongo warnings
 // courseSchema.index({ title: 1 }, { unique: true });
 
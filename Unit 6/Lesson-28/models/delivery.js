@@ -0,0 +1,52 @@
+/**
+ * @file models/delivery.js
+ * @description One campaign email to one subscriber.
+ *
+ * - queued: waiting for the sender (nextAttemptAt says when; null while the
+ *   campaign is still queueing, so nothing goes out before every row is in)
+ * - sending: claimed by the sender (lockedAt); stale locks are re-queued
+ * - sent / failed: done (failed after the last retry)
+ * - skipped: no longer confirmed when its turn came, or the campaign was cancelled
+ */
+
+import mongoose from "mongoose";
+
+export const DELIVERY_STATUSES = ["queued", "sending", "sent", "failed", "skipped"];
+
+const deliverySchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      required: true,
+    },
+    subscriber: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscriber",
+      required: true,
+    },
+    email: { type: String, required: true }, // address at queue time, for the record
+
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: "queued",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: Date,
+    lastError: String,
+    messageId: String,
+    sentAt: Date,
+  },
+  { timestamps: true }
+);
+
+// One email per subscriber per campaign, even if queueing runs twice
+deliverySchema.index({ campaign: 1, subscriber: 1 }, { unique: true });
+// The sender's queue
+deliverySchema.index({ status: 1, nextAttemptAt: 1 });
+deliverySchema.index({ campaign: 1, status: 1 });
+
+const Delivery = mongoose.model("Delivery", deliverySchema);
+export default Delivery;
@@ -0,0 +1,49 @@
+/**
+ * @file models/enrollment.js
+ * @description A user's place in a course: enrolled, waitlisted or cancelled.
+ *
+ * - One document per (user, course); leaving and re-joining reuses it.
+ * - Seats are counted on Course.enrolledCount (see services/enrollments.js).
+ * - User.courses mirrors the "enrolled" rows so existing views keep working.
+ */
+
+import mongoose from "mongoose";
+
+export const ENROLLMENT_STATUSES = ["enrolled", "waitlisted", "cancelled"];
+
+const enrollmentSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ENROLLMENT_STATUSES,
+      required: true,
+    },
+
+    enrolledAt: Date,
+    waitlistedAt: Date, // queue order for promotion
+    cancelledAt: Date,
+  },
+  { timestamps: true }
+);
+
+enrollmentSchema.index({ user: 1, course: 1 }, { unique: true });
+enrollmentSchema.index({ course: 1, status: 1, waitlistedAt: 1 });
+
+enrollmentSchema.virtual("isActive").get(function () {
+  return this.status !== "cancelled";
+});
+
+const Enrollment = mongoose.model("Enrollment", enrollmentSchema);
+export default Enrollment;
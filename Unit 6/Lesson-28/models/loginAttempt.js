@@ -0,0 +1,32 @@
+/**
+ * @file models/loginAttempt.js
+ * @description Failed-login counters for services/loginAttempts.js (Mongo store).
+ *
+ * - One document per key: "account:<email>" or "ip:<address>".
+ * - MongoDB removes a counter once it expires (TTL index); the store also ignores
+ *   expired ones, as the TTL monitor only runs about once a minute.
+ */
+
+import mongoose from "mongoose";
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+
+    failures: { type: Number, default: 0, min: 0 },
+    // Next attempt allowed at (progressive delay)
+    blockedUntil: Date,
+    // Locked out until (after too many failures)
+    lockedUntil: Date,
+
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+export default LoginAttempt;
@@ -0,0 +1,55 @@
+/**
+ * @file models/postalLocation.js
+ * @description Schema plugin: a GeoJSON `location` kept in step with `zipCode`.
+ *
+ * - Filled from the postal code (utils/geo.js) on save and on update queries that
+ *   set or unset `zipCode`, so no caller has to remember it.
+ * - No point for a missing / unknown code; the 2dsphere index skips those documents.
+ * - Existing documents: scripts/backfillLocations.js
+ */
+
+import mongoose from "mongoose";
+import { locatePostalCode } from "../utils/geo.js";
+
+export const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], required: true },
+    // [longitude, latitude]
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+
+const UPDATE_HOOKS = ["findOneAndUpdate", "updateOne", "updateMany"];
+
+// Update queries: `zipCode` may be top-level ({ zipCode }), in $set or in $unset
+const locateUpdate = (update) => {
+  if (!update || Array.isArray(update)) return;
+
+  if (update.$unset && Object.hasOwn(update.$unset, "zipCode")) {
+    update.$unset.location = 1;
+    return;
+  }
+
+  const target = update.$set && Object.hasOwn(update.$set, "zipCode") ? update.$set : update;
+  if (!Object.hasOwn(target, "zipCode")) return;
+
+  const point = locatePostalCode(target.zipCode);
+  if (point) target.location = point;
+  else update.$unset = { ...update.$unset, location: 1 };
+};
+
+export default function postalLocation(schema) {
+  schema.add({ location: { type: pointSchema, default: undefined } });
+  schema.index({ location: "2dsphere" });
+
+  schema.pre("validate", function () {
+    if (this.isNew || this.isModified("zipCode")) {
+      this.location = locatePostalCode(this.zipCode) ?? undefined;
+    }
+  });
+
+  schema.pre(UPDATE_HOOKS, function () {
+    locateUpdate(this.getUpdate());
+  });
+}
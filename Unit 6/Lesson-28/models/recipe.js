@@ -0,0 +1,94 @@
+/**
+ * @file models/recipe.js
+ * @description Recipe sub-schema, embedded in Course.recipes (not its own collection).
+ *
+ * - Ingredients carry a numeric quantity + unit so they can be scaled
+ *   (see utils/recipes.js). quantity null = "to taste", "a handful", ...
+ * - Steps are plain strings; array order is the cooking order.
+ */
+
+import mongoose from "mongoose";
+
+export const MAX_RECIPES = 20;
+export const MAX_SERVINGS = 100;
+export const MAX_INGREDIENTS = 100;
+export const MAX_STEPS = 50;
+
+// "" = no unit ("3 eggs")
+export const UNITS = ["", "g", "kg", "ml", "l", "tsp", "tbsp", "cup", "pinch", "clove", "slice", "can", "bunch", "piece"];
+
+export const DIETARY_TAGS = [
+  "vegetarian",
+  "vegan",
+  "gluten-free",
+  "dairy-free",
+  "nut-free",
+  "halal",
+  "kosher",
+  "low-carb",
+];
+
+const ingredientSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Ingredient name is required"],
+      trim: true,
+      maxlength: [120, "Ingredient name is too long"],
+    },
+    quantity: {
+      type: Number,
+      default: null,
+      min: [0, "Quantity cannot be negative"],
+    },
+    unit: {
+      type: String,
+      enum: { values: UNITS, message: "Unknown unit: {VALUE}" },
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const maxLength = (max, what) => ({
+  validator: (arr) => arr.length <= max,
+  message: `At most ${max} ${what}`,
+});
+
+export const recipeSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Recipe title is required"],
+      trim: true,
+      maxlength: [120, "Recipe title is too long"],
+    },
+    // Quantities are written for this many servings
+    servings: {
+      type: Number,
+      default: 4,
+      min: [1, "Servings must be at least 1"],
+      max: [MAX_SERVINGS, `Servings must be at most ${MAX_SERVINGS}`],
+      validate: { validator: Number.isInteger, message: "Servings must be a whole number" },
+    },
+    prepMinutes: { type: Number, min: [0, "Prep time cannot be negative"], max: [1440, "Prep time is too long"] },
+    cookMinutes: { type: Number, min: [0, "Cook time cannot be negative"], max: [1440, "Cook time is too long"] },
+    ingredients: {
+      type: [ingredientSchema],
+      default: [],
+      validate: maxLength(MAX_INGREDIENTS, "ingredients per recipe"),
+    },
+    steps: {
+      type: [{ type: String, trim: true, maxlength: [1000, "A step is too long"] }],
+      default: [],
+      validate: maxLength(MAX_STEPS, "steps per recipe"),
+    },
+    dietaryTags: {
+      type: [{ type: String, enum: { values: DIETARY_TAGS, message: "Unknown dietary tag: {VALUE}" } }],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+export default recipeSchema;
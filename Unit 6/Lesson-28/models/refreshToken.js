@@ -0,0 +1,60 @@
+/**
+ * @file models/refreshToken.js
+ * @description One API login per user/device.
+ *
+ * - The refresh token rotates on every /api/token/refresh; only its SHA-256 hash is stored.
+ * - Access JWTs carry this document's _id as `sid`, so revoking the document
+ *   kills the access token too (checked in verifyJWT).
+ * - Old hashes are kept so a replayed (stolen) refresh token revokes the whole login.
+ */
+
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Hashes this login already rotated away from (reuse detection)
+    previousHashes: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+
+    device: { type: String, trim: true, maxlength: 120 },
+    ip: String,
+    lastUsedAt: { type: Date, default: Date.now },
+
+    // Hard lifetime; MongoDB removes the document afterwards (TTL index)
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user", "admin", "reuse", "account-deleted"],
+    },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+export default RefreshToken;
@@ -4,6 +4,19 @@
  */
 
 import mongoose from 'mongoose';
+import { generateToken, hashToken, signValue, verifySignedValue } from '../utils/tokens.js';
+import { postalCodeSchemaType } from '../utils/postalCodes.js';
+import { DEFAULT_RADIUS_KM } from '../utils/geo.js';
+import postalLocation from './postalLocation.js';
+
+// Double opt-in:
+// - pending: asked to subscribe, confirmation email sent
+// - confirmed: clicked the confirmation link (consent given, confirmedAt)
+// - unsubscribed: left the list; kept so we remember not to mail them
+export const SUBSCRIBER_STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+
+// Confirmation links expire after this many hours
+const CONFIRM_TOKEN_TTL_HOURS = Number(process.env.SUBSCRIBE_CONFIRM_TTL_HOURS || 72);
 
 const subscriberSchema = new mongoose.Schema(
   {
@@ -20,30 +33,109 @@ const subscriberSchema = new mongoose.Schema(
       unique: true,
       match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address'],
     },
-    zipCode: {
-      type: Number,
-      min: [10000, 'Zip Code must be at least 5 digits'],
-      max: [99999, 'Zip Code cannot exceed 5 digits'],
+    // Same rules as User.zipCode (a linked user's code is copied here)
+    zipCode: postalCodeSchemaType({ index: true }),
+
+    courses: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }],
+
+    status: {
+      type: String,
+      enum: SUBSCRIBER_STATUSES,
+      default: 'pending',
       index: true,
     },
 
-    courses: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }]
+    // Consent record: when and from where the subscription was asked for and confirmed
+    source: {
+      type: String,
+      trim: true,
+      default: 'form',
+    },
+    requestedAt: Date,
+    requestIp: String,
+    confirmedAt: Date,
+    confirmIp: String,
+    unsubscribedAt: Date,
 
+    // Only the SHA-256 hash of the emailed confirmation token is stored
+    confirmationHash: {
+      type: String,
+      select: false,
+    },
+    confirmationExpires: {
+      type: Date,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Map point from zipCode + 2dsphere index (models/postalLocation.js)
+subscriberSchema.plugin(postalLocation);
+
 // Custom instance methods
-subscriberSchema.methods.findLocalSubscribers = function () {
-  return this.model('Subscriber').find({ zipCode: this.zipCode }).exec();
+
+// Subscribers within `radiusKm` of this one, nearest first (this one included).
+// Without a map point (unknown postal code) only the same postal code matches.
+subscriberSchema.methods.findLocalSubscribers = function (radiusKm = DEFAULT_RADIUS_KM) {
+  const Subscriber = this.model('Subscriber');
+  if (!this.zipCode) return Promise.resolve([]);
+  if (!this.location) return Subscriber.find({ zipCode: this.zipCode }).exec();
+  return Subscriber.find({
+    location: { $nearSphere: { $geometry: this.location, $maxDistance: radiusKm * 1000 } },
+  }).exec();
 };
 
 subscriberSchema.methods.getInfo = function () {
   return `Subscriber: ${this.name}, Email: ${this.email}, Zip Code: ${this.zipCode}`;
 };
 
+// (Re)start the opt-in: back to pending with a new confirmation token.
+// Returns the RAW token for the email link; caller must save() the document.
+subscriberSchema.methods.createConfirmationToken = function ({ ip, source } = {}) {
+  const rawToken = generateToken();
+  this.status = 'pending';
+  this.requestedAt = new Date();
+  if (ip) this.requestIp = ip;
+  if (source) this.source = source;
+  this.confirmationHash = hashToken(rawToken);
+  this.confirmationExpires = new Date(Date.now() + CONFIRM_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  return rawToken;
+};
+
+// Unsubscribe links are signed, not stored, so every email can carry one
+// and they keep working without logging in.
+subscriberSchema.methods.unsubscribeSignature = function () {
+  return signValue(`unsubscribe:${this._id}`);
+};
+
+subscriberSchema.methods.verifyUnsubscribeSignature = function (signature) {
+  return verifySignedValue(`unsubscribe:${this._id}`, signature);
+};
+
+// Atomically confirm a pending subscriber if the token matches and has not expired.
+// Returns the updated subscriber, or null for a bad / expired / used token.
+subscriberSchema.statics.confirmByToken = function (subscriberId, rawToken, { ip } = {}) {
+  return this.findOneAndUpdate(
+    {
+      _id: subscriberId,
+      status: 'pending',
+      confirmationHash: hashToken(rawToken),
+      confirmationExpires: { $gt: new Date() },
+    },
+    {
+      $set: { status: 'confirmed', confirmedAt: new Date(), ...(ip ? { confirmIp: ip } : {}) },
+      $unset: { confirmationHash: 1, confirmationExpires: 1, unsubscribedAt: 1 },
+    },
+    { new: true }
+  );
+};
+
+// Newest-first lists and cursors (utils/pagination.js)
+subscriberSchema.index({ createdAt: -1, _id: -1 });
+
 const Subscriber = mongoose.model('Subscriber', subscriberSchema);
 
 export default Subscriber;
\ No newline at end of file
@@ -11,7 +11,37 @@
 
 import mongoose from "mongoose";
 import passportLocalMongoose from "passport-local-mongoose";
-import randToken from "rand-token";
+import {
+  generateToken,
+  hashToken,
+  signValue,
+  verifySignedValue,
+  encryptValue,
+  decryptValue,
+} from "../utils/tokens.js";
+import { TOTP_DIGITS, generateTotpSecret, verifyTotp } from "../utils/totp.js";
+import { postalCodeSchemaType } from "../utils/postalCodes.js";
+import postalLocation from "./postalLocation.js";
+
+/* ---------------------------------- roles --------------------------------- */
+
+// Ordered from least to most privileged.
+// - member: default for every signup
+// - instructor: can create and manage courses
+// - admin: can manage users, subscribers and roles
+export const USER_ROLES = ["member", "instructor", "admin"];
+
+// Password reset links expire after this many minutes
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES || 60);
+// Email verification links expire after this many hours
+const VERIFY_TOKEN_TTL_HOURS = Number(process.env.VERIFY_TOKEN_TTL_HOURS || 48);
+// Invitations (imported accounts, no password yet) expire after this many days
+export const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS || 7);
+// Two-factor recovery codes handed out at a time (each works once)
+export const RECOVERY_CODE_COUNT = 10;
+
+// "A1B2C-3D4E5", "a1b2c3d4e5" and "a1b2c 3d4e5" are the same recovery code
+const recoveryCodeHash = (code) => hashToken(String(code || "").toLowerCase().replace(/[\s-]/g, ""));
 
 /* ----------------------------- schema definition ---------------------------- */
 
@@ -39,17 +69,65 @@ const userSchema = new mongoose.Schema(
       match: [/^\S+@\S+\.\S+$/, "Please enter a valid email address"],
     },
 
-    // ZA postal code: 4 digits (0000–9999). If you want to disallow 0000, we can change min to 1000.
-    zipCode: {
-      type: Number,
-      min: [0, "Postal code must be 4 digits (ZA)."],
-      max: [9999, "Postal code must be 4 digits (ZA)."],
+    // Normalized string, e.g. "0002" (ZA by default, see utils/postalCodes.js).
+    // `location` (map point) follows it: see postalLocation below.
+    zipCode: postalCodeSchemaType(),
+
+    role: {
+      type: String,
+      enum: { values: USER_ROLES, message: "Unknown role: {VALUE}" },
+      default: "member",
+      index: true,
     },
 
-    // Simple API token for query/token usage (optional)
-    apiToken: {
+    // Email ownership confirmed via /users/:id/verify/:token
+    verified: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    verifiedAt: Date,
+    // Created by an admin import; the password is set through the invitation link
+    invitedAt: Date,
+    verificationHash: {
+      type: String,
+      select: false,
+    },
+    verificationExpires: {
+      type: Date,
+      select: false,
+    },
+
+    // Password reset: only the SHA-256 hash of the emailed token is stored.
+    // Cleared on use, so every link works once.
+    resetPasswordHash: {
       type: String,
       index: true,
+      select: false,
+    },
+    resetPasswordExpires: {
+      type: Date,
+      select: false,
+    },
+
+    // Two-factor login with an authenticator app (TOTP, utils/totp.js).
+    // The secret is encrypted (utils/tokens.js), recovery codes are hashed.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: Date,
+      secret: { type: String, select: false },
+      // Shown as a QR code, not confirmed with a code yet
+      pendingSecret: { type: String, select: false },
+      // Time step of the last accepted code: each code works once
+      lastUsedStep: { type: Number, select: false },
+      recoveryCodes: { type: [String], default: undefined, select: false },
+    },
+
+    // Bumped to invalidate the private calendar feed link (/users/:id/calendar.ics?token=)
+    calendarFeedVersion: {
+      type: Number,
+      default: 0,
+      min: 0,
     },
 
     subscriberAccount: {
@@ -74,12 +152,172 @@ userSchema.virtual("fullName").get(function () {
   return `${f} ${l}`.trim();
 });
 
+// Kept for older checks such as `req.user.isAdmin`
+userSchema.virtual("isAdmin").get(function () {
+  return this.role === "admin";
+});
+
 /* --------------------------------- methods --------------------------------- */
 
+// True if the user has ANY of the given roles
+userSchema.methods.hasRole = function (...roles) {
+  return roles.flat().includes(this.role || "member");
+};
+
 userSchema.methods.getInfo = function () {
   return `User: ${this.fullName} <${this.email}>`;
 };
 
+// Creates a new reset token (replaces any previous one) and returns the RAW token.
+// Invitations use the same link with a longer ttlMinutes.
+// Caller must save() the document.
+userSchema.methods.createPasswordResetToken = function ({ ttlMinutes = RESET_TOKEN_TTL_MINUTES } = {}) {
+  const rawToken = generateToken();
+  this.resetPasswordHash = hashToken(rawToken);
+  this.resetPasswordExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return rawToken;
+};
+
+// Creates a new email verification token and returns the RAW token.
+// Caller must save() the document.
+userSchema.methods.createVerificationToken = function () {
+  const rawToken = generateToken();
+  this.verificationHash = hashToken(rawToken);
+  this.verificationExpires = new Date(Date.now() + VERIFY_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  return rawToken;
+};
+
+// Token for the private calendar feed. Signed, not stored, so the link can be
+// shown on the profile any time; resetting bumps calendarFeedVersion.
+userSchema.methods.calendarFeedToken = function () {
+  return signValue(`calendar:${this._id}:${this.calendarFeedVersion || 0}`);
+};
+
+userSchema.methods.verifyCalendarFeedToken = function (token) {
+  return verifySignedValue(`calendar:${this._id}:${this.calendarFeedVersion || 0}`, token);
+};
+
+// Starts (or restarts) two-factor setup and returns the RAW base32 secret for the QR code.
+// Two-factor stays off until enableTwoFactor() gets a matching code. Caller must save().
+userSchema.methods.startTwoFactorSetup = function () {
+  const secret = generateTotpSecret();
+  this.twoFactor.pendingSecret = encryptValue(secret);
+  return secret;
+};
+
+// The secret being set up (base32), or null. Load with .select("+twoFactor.pendingSecret").
+userSchema.methods.pendingTwoFactorSecret = function () {
+  return this.twoFactor?.pendingSecret ? decryptValue(this.twoFactor.pendingSecret) : null;
+};
+
+// Turns two-factor on if `code` matches the secret being set up.
+// Returns the RAW recovery codes (show them once) or null for a wrong code.
+// Load with .select("+twoFactor.pendingSecret"); caller must save().
+userSchema.methods.enableTwoFactor = function (code) {
+  const secret = this.pendingTwoFactorSecret();
+  const step = secret ? verifyTotp(secret, code) : null;
+  if (step === null) return null;
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  return this.createRecoveryCodes();
+};
+
+// New recovery codes (the old ones stop working); returns the RAW codes. Caller must save().
+userSchema.methods.createRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    generateToken(5).replace(/^(.{5})/, "$1-")
+  );
+  this.twoFactor.recoveryCodes = codes.map(recoveryCodeHash);
+  return codes;
+};
+
+// Caller must save()
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactor.enabled = false;
+  for (const field of ["enabledAt", "secret", "pendingSecret", "lastUsedStep", "recoveryCodes"]) {
+    this.twoFactor[field] = undefined;
+  }
+};
+
+/* --------------------------------- statics --------------------------------- */
+
+// Second login step: a code from the authenticator app (each works once) or a
+// recovery code (used up). Atomic, so one code can't log in twice in parallel.
+// Returns "app", "recovery" or null.
+userSchema.statics.useTwoFactorCode = async function (userId, code) {
+  const given = String(code || "").trim();
+
+  // Six digits: app code; anything else: recovery code
+  if (given.replace(/\s/g, "").length === TOTP_DIGITS && /^[\d\s]+$/.test(given)) {
+    const user = await this.findOne({ _id: userId, "twoFactor.enabled": true })
+      .select("+twoFactor.secret +twoFactor.lastUsedStep")
+      .lean();
+    const secret = decryptValue(user?.twoFactor?.secret);
+    const step = secret
+      ? verifyTotp(secret, given, { afterStep: user.twoFactor.lastUsedStep ?? -1 })
+      : null;
+    if (step === null) return null;
+
+    const { modifiedCount } = await this.updateOne(
+      {
+        _id: userId,
+        $or: [{ "twoFactor.lastUsedStep": { $lt: step } }, { "twoFactor.lastUsedStep": null }],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return modifiedCount ? "app" : null;
+  }
+
+  const hash = recoveryCodeHash(given);
+  const { modifiedCount } = await this.updateOne(
+    { _id: userId, "twoFactor.enabled": true, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  return modifiedCount ? "recovery" : null;
+};
+
+// Atomically mark the user verified if the token matches and has not expired.
+// Returns the updated user, or null for a bad / expired / used token.
+userSchema.statics.verifyEmailToken = function (userId, rawToken) {
+  return this.findOneAndUpdate(
+    {
+      _id: userId,
+      verificationHash: hashToken(rawToken),
+      verificationExpires: { $gt: new Date() },
+    },
+    {
+      $set: { verified: true, verifiedAt: new Date() },
+      $unset: { verificationHash: 1, verificationExpires: 1 },
+    },
+    { new: true }
+  );
+};
+
+// Look up a user by a still-valid (unexpired) reset token
+userSchema.statics.findByPasswordResetToken = function (rawToken) {
+  return this.findOne({
+    resetPasswordHash: hashToken(rawToken),
+    resetPasswordExpires: { $gt: new Date() },
+  });
+};
+
+// Atomically clear a valid reset token so it cannot be used twice.
+// Returns the user (or null if the token was invalid, expired or already used).
+userSchema.statics.consumePasswordResetToken = function (rawToken) {
+  return this.findOneAndUpdate(
+    {
+      resetPasswordHash: hashToken(rawToken),
+      resetPasswordExpires: { $gt: new Date() },
+    },
+    { $unset: { resetPasswordHash: 1, resetPasswordExpires: 1 } },
+    { new: true }
+  );
+};
+
 /* ----------------------- passport-local-mongoose plugin --------------------- */
 
 userSchema.plugin(passportLocalMongoose, {
@@ -90,16 +328,12 @@ userSchema.plugin(passportLocalMongoose, {
   },
 });
 
-/* --------------------------------- hooks ---------------------------------- */
+/* -------------------------------- location -------------------------------- */
 
-// Ensure every user has an apiToken
-userSchema.pre("save", function (next) {
-  // Only set it if missing
-  if (!this.apiToken) {
-    this.apiToken = randToken.generate(16);
-  }
-  return next();
-});
+userSchema.plugin(postalLocation);
+
+// Newest-first lists and cursors (utils/pagination.js)
+userSchema.index({ createdAt: -1, _id: -1 });
 
 /* --------------------------------- export --------------------------------- */
 
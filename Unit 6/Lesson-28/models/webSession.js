@@ -0,0 +1,43 @@
+/**
+ * @file models/webSession.js
+ * @description Browser login sessions (express-session), stored by services/webSessions.js.
+ *
+ * - _id is the session id from the cookie; pages and URLs use `key` (a hash of it)
+ *   so the id itself is never shown.
+ * - `data` is the serialized session; user / device / ip are copied out of it
+ *   so "your active sessions" can be queried.
+ * - MongoDB removes a session once it expires (TTL index).
+ */
+
+import mongoose from "mongoose";
+
+const webSessionSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+
+    key: { type: String, required: true, unique: true },
+
+    // JSON of req.session (cookie, passport, flash, ...)
+    data: { type: String, required: true },
+
+    // Set once someone logs in on this session
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    device: { type: String, trim: true, maxlength: 120 },
+    ip: String,
+    lastSeenAt: { type: Date, default: Date.now },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  { timestamps: true, collection: "sessions" }
+);
+
+const WebSession = mongoose.model("WebSession", webSessionSchema);
+export default WebSession;
@@ -34,6 +34,44 @@ document.addEventListener("DOMContentLoaded", () => {
     return token ? { Authorization: `Bearer ${token}` } : {};
   };
 
+  // Access JWTs are short-lived: on 401, trade the refresh token for a new pair
+  const refreshJWT = async () => {
+    const refreshToken = localStorage.getItem("refreshToken");
+    if (!refreshToken) return false;
+
+    const res = await fetch("/api/token/refresh", {
+      method: "POST",
+      cache: "no-store",
+      headers: { Accept: "application/json", "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    if (!res.ok) {
+      localStorage.removeItem("jwt");
+      localStorage.removeItem("refreshToken");
+      return false;
+    }
+
+    const data = await res.json();
+    localStorage.setItem("jwt", data.token);
+    localStorage.setItem("refreshToken", data.refreshToken);
+    return true;
+  };
+
+  // fetch() with the JWT attached; retries once after a successful refresh
+  const apiFetch = async (url, options = {}) => {
+    const send = () =>
+      fetch(url, {
+        cache: "no-store",
+        ...options,
+        headers: { Accept: "application/json", ...(options.headers || {}), ...authHeaders() },
+      });
+
+    const res = await send();
+    if (res.status === 401 && (await refreshJWT())) return send();
+    return res;
+  };
+
   function renderCourses(apiResponse) {
     console.log("[courses-modal] renderCourses", apiResponse);
     if (!modalBody) return;
@@ -52,13 +90,31 @@ document.addEventListener("DOMContentLoaded", () => {
         const id = escapeHtml(c?._id || "");
         const title = escapeHtml(c?.title || "(untitled)");
         const desc = escapeHtml(c?.description || "");
-        const joined = Boolean(c?.joined);
-
-        const buttonHtml = joined
-          ? `<button class="btn btn-success btn-sm" type="button" disabled>Joined</button>`
-          : `<button class="btn btn-primary btn-sm js-join" type="button" data-course-id="${id}">
-               Join
-             </button>`;
+        const status = c?.enrollmentStatus || null;
+        const seats = c?.seatsRemaining; // null = unlimited
+        const full = seats === 0;
+
+        const seatsHtml =
+          seats === null || seats === undefined
+            ? `<small class="text-muted d-block">Unlimited seats</small>`
+            : `<small class="d-block ${full ? "text-danger" : "text-muted"}">
+                 ${full ? "Full — waitlist open" : `${seats} seat${seats === 1 ? "" : "s"} left`}
+               </small>`;
+
+        const leaveHtml = `<button class="btn btn-outline-secondary btn-sm js-leave" type="button" data-course-id="${id}">
+                             Leave
+                           </button>`;
+
+        let buttonHtml;
+        if (status === "enrolled") {
+          buttonHtml = `<span class="badge bg-success me-1">Joined</span>${leaveHtml}`;
+        } else if (status === "waitlisted") {
+          buttonHtml = `<span class="badge bg-warning text-dark me-1">Waitlisted</span>${leaveHtml}`;
+        } else {
+          buttonHtml = `<button class="btn ${full ? "btn-outline-primary" : "btn-primary"} btn-sm js-join" type="button" data-course-id="${id}">
+                          ${full ? "Join waitlist" : "Join"}
+                        </button>`;
+        }
 
         return `
           <li class="list-group-item d-flex justify-content-between align-items-start gap-3">
@@ -66,8 +122,9 @@ document.addEventListener("DOMContentLoaded", () => {
               <strong>${title}</strong><br>
               <small class="text-muted">${desc}</small>
             </div>
-            <div class="text-end">
+            <div class="text-end text-nowrap">
               ${buttonHtml}
+              ${seatsHtml}
             </div>
           </li>`;
       })
@@ -103,13 +160,10 @@ document.addEventListener("DOMContentLoaded", () => {
     console.log("[courses-modal] Fetching:", url);
 
     try {
-      const res = await fetch(url, {
-        cache: "no-store",
+      const res = await apiFetch(url, {
         headers: {
-          Accept: "application/json",
           "Cache-Control": "no-cache",
           Pragma: "no-cache",
-          ...authHeaders(), // ✅ adds Authorization: Bearer <token>
         },
       });
 
@@ -157,17 +211,11 @@ document.addEventListener("DOMContentLoaded", () => {
     buttonEl.disabled = true;
     buttonEl.textContent = "Joining…";
 
-    const url = `/api/courses/${encodeURIComponent(courseId)}/join`;
+    const url = `/api/v1/courses/${encodeURIComponent(courseId)}/enrollment`;
     console.log("[courses-modal] Joining course:", url);
 
     try {
-      const res = await fetch(url, {
-        cache: "no-store",
-        headers: {
-          Accept: "application/json",
-          ...authHeaders(), // ✅ adds Authorization: Bearer <token>
-        },
-      });
+      const res = await apiFetch(url, { method: "POST" });
 
       console.log("[courses-modal] Join response status:", res.status);
 
@@ -175,20 +223,26 @@ document.addEventListener("DOMContentLoaded", () => {
         throw new Error("HTTP 401 (Missing/expired JWT)");
       }
 
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-      const data = await res.json();
+      const data = await res.json().catch(() => ({}));
 
-      // Your join controller sets res.locals.success = true
-      // and respondJSON wraps it inside { status, data }
-      const success = Boolean(data?.data?.success || data?.data?.success === true);
+      // v1 envelope: { success, data } or { success: false, error: { code, message } }
+      if (!res.ok || !data?.success) {
+        throw new Error(data?.error?.message || `HTTP ${res.status}`);
+      }
 
-      if (!success) throw new Error("Join failed");
+      // Reload so seat counts and status are current
+      await loadCourses();
 
-      buttonEl.classList.remove("btn-primary");
-      buttonEl.classList.add("btn-success");
-      buttonEl.textContent = "Joined";
-      buttonEl.disabled = true;
+      if (data.data?.status === "waitlisted" && modalBody) {
+        const position = data.data.waitlistPosition;
+        modalBody.insertAdjacentHTML(
+          "afterbegin",
+          `<div class="alert alert-info" role="alert">
+             The course is full — you are on the waitlist${position ? ` (#${position})` : ""}.
+             We'll email you if a seat opens up.
+           </div>`
+        );
+      }
     } catch (err) {
       console.error("[courses-modal] Error joining course:", err);
       buttonEl.disabled = false;
@@ -204,19 +258,55 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  async function leaveCourse(courseId, buttonEl) {
+    if (!courseId || !buttonEl) return;
+
+    buttonEl.disabled = true;
+    buttonEl.textContent = "Leaving…";
+
+    const url = `/api/v1/courses/${encodeURIComponent(courseId)}/enrollment`;
+
+    try {
+      const res = await apiFetch(url, { method: "DELETE" });
+
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data?.error?.message || `HTTP ${res.status}`);
+      }
+
+      await loadCourses();
+    } catch (err) {
+      console.error("[courses-modal] Error leaving course:", err);
+      buttonEl.disabled = false;
+      buttonEl.textContent = "Leave";
+
+      if (modalBody) {
+        modalBody.insertAdjacentHTML(
+          "afterbegin",
+          `<div class="alert alert-warning" role="alert">Leave failed: ${escapeHtml(err.message)}.</div>`
+        );
+      }
+    }
+  }
+
   // Load courses when modal is about to be shown
   modal.addEventListener("show.bs.modal", () => {
     console.log("[courses-modal] Modal show event fired");
     loadCourses();
   });
 
-  // Handle Join button clicks inside the modal (event delegation)
+  // Handle Join / Leave button clicks inside the modal (event delegation)
   modal.addEventListener("click", (e) => {
     const joinBtn = e.target.closest(".js-join");
-    if (!joinBtn) return;
+    if (joinBtn) {
+      joinCourse(joinBtn.getAttribute("data-course-id"), joinBtn);
+      return;
+    }
 
-    const courseId = joinBtn.getAttribute("data-course-id");
-    joinCourse(courseId, joinBtn);
+    const leaveBtn = e.target.closest(".js-leave");
+    if (leaveBtn && confirm("Leave this course? Your seat goes to the next person on the waitlist.")) {
+      leaveCourse(leaveBtn.getAttribute("data-course-id"), leaveBtn);
+    }
   });
 
   console.log("[courses-modal] Initialized OK");
@@ -0,0 +1,71 @@
+// public/js/password-strength.js
+// Strength meter for views/partials/_passwordStrength.ejs: asks the server
+// (POST /users/password-check) after each pause in typing, so the feedback
+// follows the same policy as the form submit. Name / email fields on the same
+// form are sent along (a password must not contain them).
+document.addEventListener("DOMContentLoaded", () => {
+  const DEBOUNCE_MS = 300;
+  const BAR_CLASSES = ["bg-danger", "bg-danger", "bg-warning", "bg-info", "bg-success"];
+  const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content || "";
+
+  document.querySelectorAll("[data-password-strength]").forEach((meter) => {
+    const input = document.getElementById(meter.dataset.input);
+    if (!input) return;
+
+    const form = input.form;
+    const bar = meter.querySelector("[data-strength-bar]");
+    const label = meter.querySelector("[data-strength-label]");
+    const list = meter.querySelector("[data-strength-problems]");
+    const field = (name) => form?.elements.namedItem(name)?.value || undefined;
+
+    let timer = null;
+    let latest = 0;
+
+    const show = ({ score, label: text, problems }) => {
+      meter.hidden = false;
+      bar.style.width = `${((score + 1) / 5) * 100}%`;
+      bar.className = `progress-bar ${BAR_CLASSES[score] || "bg-danger"}`;
+      label.textContent = `Strength: ${text}`;
+      // textContent only: the messages never become HTML
+      list.replaceChildren(
+        ...problems.map((problem) => {
+          const item = document.createElement("li");
+          item.textContent = problem;
+          return item;
+        })
+      );
+    };
+
+    const check = async () => {
+      const password = input.value;
+      if (!password) {
+        meter.hidden = true;
+        return;
+      }
+
+      const request = ++latest;
+      try {
+        const res = await fetch("/users/password-check", {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "X-CSRF-Token": csrfToken },
+          body: JSON.stringify({
+            password,
+            email: field("email"),
+            first: field("first"),
+            last: field("last"),
+          }),
+        });
+        // Rate-limited or offline: the form submit still checks everything
+        if (!res.ok || request !== latest) return;
+        show(await res.json());
+      } catch (err) {
+        console.warn("[password-strength] check failed", err);
+      }
+    };
+
+    input.addEventListener("input", () => {
+      clearTimeout(timer);
+      timer = setTimeout(check, DEBOUNCE_MS);
+    });
+  });
+});
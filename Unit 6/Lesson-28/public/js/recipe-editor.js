@@ -0,0 +1,36 @@
+// public/js/recipe-editor.js
+// Add / remove recipe blocks on the course forms.
+// Expects: [data-recipes] (the list, with data-next-index and data-max),
+// <template id="recipeTemplate"> (one block using "__INDEX__") and [data-recipe-add].
+document.addEventListener("DOMContentLoaded", () => {
+  const list = document.querySelector("[data-recipes]");
+  const template = document.getElementById("recipeTemplate");
+  const addBtn = document.querySelector("[data-recipe-add]");
+  if (!list || !template || !addBtn) return;
+
+  const max = Number(list.dataset.max) || 20;
+  // Keep indexes small and increasing: gaps are skipped server-side, huge ones get dropped
+  let nextIndex = Number(list.dataset.nextIndex) || 0;
+
+  const count = () => list.querySelectorAll("[data-recipe]").length;
+  const refresh = () => {
+    addBtn.disabled = count() >= max;
+  };
+
+  addBtn.addEventListener("click", () => {
+    if (count() >= max) return;
+    const html = template.innerHTML.replace(/__INDEX__/g, String(nextIndex++));
+    list.insertAdjacentHTML("beforeend", html);
+    list.lastElementChild?.querySelector("input[type=text]")?.focus();
+    refresh();
+  });
+
+  list.addEventListener("click", (event) => {
+    const btn = event.target.closest("[data-recipe-remove]");
+    if (!btn) return;
+    btn.closest("[data-recipe]")?.remove();
+    refresh();
+  });
+
+  refresh();
+});
@@ -34,9 +34,8 @@ let addJoinButtonListener = () => {
     const $button = $(event.target);
     const courseId = $button.data("id");
 
-    $.get(`/api/courses/${courseId}/join`, (results = {}) => {
-      const data = results.data;
-      if (data && data.success) {
+    $.post(`/api/v1/courses/${courseId}/enrollment`, (results = {}) => {
+      if (results.success) {
         $button
           .text("Joined")
           .addClass("joined-button")
@@ -0,0 +1,46 @@
+// routes/admin.js
+// Admin tools: CSV import / export, duplicate subscribers / users, audit log
+
+import express from "express";
+import { ensureAdmin } from "../middlewares/auth.js";
+import { uploadCsv } from "../middlewares/uploads.js";
+import csvController from "../controllers/csvController.js";
+import identityController from "../controllers/identityController.js";
+import auditController from "../controllers/auditController.js";
+
+const router = express.Router();
+
+/* -----------------------------------------
+   ADMIN (ADMIN ROLE REQUIRED)
+   Mounted at /admin
+----------------------------------------- */
+router.use(ensureAdmin);
+
+// GET /admin/import – upload form (?kind=subscribers|users|courses)
+router.get("/import", csvController.showImport);
+
+// POST /admin/import – dry-run report, or import with commit=1
+router.post("/import", uploadCsv, csvController.importCsv);
+
+// GET /admin/export/:kind – CSV download (subscribers, users, courses)
+router.get("/export/:kind", csvController.exportList);
+
+// GET /admin/identities – likely duplicates and linked accounts out of sync
+router.get("/identities", identityController.index);
+
+// POST /admin/identities/sync – copy each user's name / postal code to its subscriber
+router.post("/identities/sync", identityController.syncAll, identityController.redirectView);
+
+// GET /admin/merge?keep=<kind>:<id>&merge=subscriber:<id> – pick the values to keep
+router.get("/merge", identityController.showMerge, identityController.redirectView);
+
+// POST /admin/merge – merge two subscribers, or a subscriber into a user
+router.post("/merge", identityController.merge, identityController.redirectView);
+
+// GET /admin/audit – audit log (?action=&actor=&target=&outcome=&ip=&from=&to=)
+router.get("/audit", auditController.index);
+
+// GET /admin/audit/export – the filtered audit log as CSV
+router.get("/audit/export", auditController.exportEvents);
+
+export default router;
@@ -4,37 +4,76 @@
 import express from "express";
 import userController from "../controllers/userController.js";
 import courseController from "../controllers/courseController.js";
+import apiKeyController from "../controllers/apiKeyController.js";
+import apiV1Routes from "./apiV1Routes.js";
+import { createApiDocs, groupOperations } from "../utils/openapi.js";
+import { API_INFO, API_COMPONENTS, API_OPERATIONS } from "../services/apiSpec.js";
 
 const router = express.Router();
 
+// OpenAPI document for both routers (see services/apiSpec.js)
+export const apiDocs = createApiDocs({
+  info: API_INFO,
+  components: API_COMPONENTS,
+  operations: API_OPERATIONS,
+  mounts: [
+    { prefix: "/api", router, defaultResponse: "LegacyError" },
+    { prefix: "/api/v1", router: apiV1Routes, defaultResponse: "Error" },
+  ],
+});
+
+// Check responses against the spec: "warn" (default outside production), "strict" or "off"
+const RESPONSE_CHECK =
+  process.env.API_VALIDATE_RESPONSES ||
+  (process.env.NODE_ENV === "production" ? "off" : "warn");
+
+router.use(apiDocs.checkResponses(RESPONSE_CHECK === "off" ? null : RESPONSE_CHECK));
+
+/* -----------------------------
+   VERSIONED API
+------------------------------ */
+
+// /api/v1/* — REST resources (has its own 404 + error handler)
+router.use("/v1", apiV1Routes);
+
 /* -----------------------------
    AUTH (JSON)
 ------------------------------ */
 
-// POST /api/authenticate — returns JWT + user info (JSON)
+// POST /api/authenticate — returns access JWT + refresh token + user info (JSON)
 router.post("/authenticate", userController.apiAuthenticate);
 
+// POST /api/authenticate/two-factor — second step for accounts with two-factor on
+router.post("/authenticate/two-factor", userController.apiAuthenticateTwoFactor);
+
+// POST /api/token/refresh — rotate refresh token, get a new access JWT
+router.post("/token/refresh", userController.apiRefreshToken);
+
+// POST /api/logout — revoke this device (or { all: true } for every device)
+router.post("/logout", userController.verifyJWT, userController.apiLogout);
+
+// GET /api/sessions — list active API logins for the current user
+router.get("/sessions", userController.verifyJWT, userController.apiListSessions);
+
+// DELETE /api/sessions/:id — revoke one API login of the current user
+router.delete("/sessions/:id", userController.verifyJWT, userController.apiRevokeSession);
+
 /* -----------------------------
    COURSES (JSON for modal + actions)
 ------------------------------ */
 
 // GET /api/courses — list courses for modal (JSON)
-// Protected by JWT (e.g., Authorization: Bearer <token>)
+// Protected by JWT (Authorization: Bearer <token>)
+// or an API key with "courses:read" (Authorization: ApiKey <key>)
 router.get(
   "/courses",
-  userController.verifyJWT,
+  apiKeyController.verifyApiAccess("courses:read"),
   courseController.apiIndex,
   courseController.filterUserCourses,
   courseController.respondJSON
 );
 
-// GET /api/courses/:id/join — join course (JSON)
-router.get(
-  "/courses/:id/join",
-  userController.verifyJWT,
-  courseController.join,
-  courseController.respondJSON
-);
+// Joining moved to POST/DELETE /api/v1/courses/:id/enrollment
 
 /* -----------------------------
    HEALTH CHECK
@@ -49,6 +88,22 @@ router.get("/health", (_req, res) => {
   });
 });
 
+/* -----------------------------
+   DOCS
+------------------------------ */
+
+// GET /api/openapi.json — machine-readable contract
+router.get("/openapi.json", (_req, res) => res.json(apiDocs.document()));
+
+// GET /api/docs — browsable docs (HTML)
+router.get("/docs", (_req, res) => {
+  res.render("api_docs", {
+    title: "API Docs — My Recipe Web",
+    info: API_INFO,
+    groups: groupOperations(apiDocs.document()),
+  });
+});
+
 /* -----------------------------
    API ERROR HANDLER (must be last)
 ------------------------------ */
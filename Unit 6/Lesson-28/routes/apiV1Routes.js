@@ -0,0 +1,349 @@
+// routes/apiV1Routes.js
+// Versioned JSON API (/api/v1). Every response uses the envelope in utils/apiResponse.js.
+//
+// Auth: Authorization: Bearer <jwt>  or  Authorization: ApiKey <key> (scoped)
+
+import express from "express";
+import { body, param, query } from "express-validator";
+import apiKeyController from "../controllers/apiKeyController.js";
+import apiV1Controller from "../controllers/apiV1Controller.js";
+import { USER_ROLES } from "../models/user.js";
+import Course, { MAX_CAPACITY } from "../models/course.js";
+import { DIETARY_TAGS, MAX_RECIPES, MAX_SERVINGS } from "../models/recipe.js";
+import { validate, apiErrorHandler } from "../utils/apiResponse.js";
+import { MAX_LIMIT, decodeCursor } from "../utils/pagination.js";
+import { AVAILABILITY, SORTS, WHEN } from "../services/courseSearch.js";
+import { checkPostalCode, isPostalArea } from "../utils/postalCodes.js";
+import { MAX_RADIUS_KM, isLocatablePostalCode } from "../utils/geo.js";
+import { IMPORT_KINDS, MAX_IMPORT_BYTES } from "../services/csvImport.js";
+import { EXPORT_KINDS } from "../services/csvExport.js";
+
+const router = express.Router();
+
+const { verifyApiAccess } = apiKeyController;
+const { requireApiRole } = apiV1Controller;
+
+/* ------------------ guards ------------------ */
+
+// Scope check (API keys) + role check (all logins)
+const asMember = (scope) => [verifyApiAccess(scope), requireApiRole()];
+const asCourseManager = [verifyApiAccess("courses:write"), requireApiRole("instructor", "admin")];
+const asAdmin = [verifyApiAccess("admin"), requireApiRole("admin")];
+
+/* ------------------ validators ------------------ */
+
+const validateId = [param("id").isMongoId().withMessage("Invalid id.")];
+
+// Numbered pages or cursors from meta.nextCursor / meta.prevCursor (utils/pagination.js)
+const validatePaging = [
+  query("page").optional().isInt({ min: 1 }).withMessage("page must be >= 1.").toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`limit must be between 1 and ${MAX_LIMIT}.`)
+    .toInt(),
+  query(["after", "before"])
+    .optional()
+    .custom((cursor) => decodeCursor(cursor) !== null)
+    .withMessage("Invalid cursor; use meta.nextCursor / meta.prevCursor of a previous page."),
+];
+
+// null clears the postal code; the stored value is normalized ("0002")
+const validateZip = (optional = true) => {
+  const chain = body("zipCode");
+  return checkPostalCode(optional ? chain.optional({ values: "null" }) : chain);
+};
+
+// One check for the whole array: the schema knows every recipe rule
+const validateRecipes = body("recipes")
+  .optional()
+  .isArray({ max: MAX_RECIPES })
+  .withMessage(`recipes must be an array of at most ${MAX_RECIPES} recipes.`)
+  .bail()
+  .custom((recipes) => {
+    if (recipes.some((r) => r?.id !== undefined && !/^[a-f0-9]{24}$/i.test(String(r.id)))) {
+      throw new Error("recipes[].id must be the id of an existing recipe.");
+    }
+    const error = Course.recipeError(recipes);
+    if (error) throw new Error(error);
+    return true;
+  });
+
+// Deprecated: plain ingredient names, turned into one recipe when `recipes` is absent
+const validateItems = body("items")
+  .optional()
+  .isArray({ max: 100 })
+  .withMessage("items must be an array of strings.")
+  .bail()
+  .custom((arr) => arr.every((i) => typeof i === "string"))
+  .withMessage("items must be an array of strings.");
+
+// Search + facets (services/courseSearch.js)
+const validateCourseSearch = [
+  query("q").optional().trim().isLength({ max: 100 }).withMessage("q is too long."),
+  query("tags")
+    .optional()
+    .customSanitizer((v) => [].concat(v).flatMap((t) => String(t).split(",")))
+    .custom((tags) => tags.every((t) => DIETARY_TAGS.includes(t)))
+    .withMessage(`tags must be among: ${DIETARY_TAGS.join(", ")}.`),
+  query("area")
+    .optional()
+    .custom(isPostalArea)
+    .withMessage("area must be the first character of a postal code (e.g. 7)."),
+  query("when")
+    .optional()
+    .isIn(Object.keys(WHEN))
+    .withMessage(`when must be one of: ${Object.keys(WHEN).join(", ")}.`),
+  query("availability")
+    .optional()
+    .isIn(Object.keys(AVAILABILITY))
+    .withMessage(`availability must be one of: ${Object.keys(AVAILABILITY).join(", ")}.`),
+  query("near")
+    .optional()
+    .custom(isLocatablePostalCode)
+    .withMessage("near must be a postal code we have a location for (e.g. 8001)."),
+  query("radius")
+    .optional()
+    .isFloat({ min: 1, max: MAX_RADIUS_KM })
+    .withMessage(`radius must be between 1 and ${MAX_RADIUS_KM} km.`)
+    .toFloat(),
+  query("sort")
+    .optional()
+    .isIn(Object.keys(SORTS))
+    .withMessage(`sort must be one of: ${Object.keys(SORTS).join(", ")}.`)
+    .bail()
+    .custom((sort, { req }) => sort !== "distance" || req.query.near)
+    .withMessage("sort=distance needs near."),
+];
+
+// null = unlimited seats
+const validateCapacity = body("capacity")
+  .optional({ values: "null" })
+  .isInt({ min: 1, max: MAX_CAPACITY })
+  .withMessage(`capacity must be between 1 and ${MAX_CAPACITY} (or null for unlimited).`);
+
+const validateCourseCreate = [
+  body("title").isString().trim().notEmpty().withMessage("title is required."),
+  body("description").isString().trim().notEmpty().withMessage("description is required."),
+  validateRecipes,
+  validateItems,
+  validateZip(),
+  validateCapacity,
+];
+
+const validateCourseUpdate = [
+  body("title").optional().isString().trim().notEmpty().withMessage("title cannot be empty."),
+  body("description")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("description cannot be empty."),
+  validateRecipes,
+  validateItems,
+  validateZip(),
+  validateCapacity,
+];
+
+const validateNameUpdate = [
+  body("first").optional().isString().trim().notEmpty().withMessage("first cannot be empty."),
+  body("last").optional().isString().trim().notEmpty().withMessage("last cannot be empty."),
+  validateZip(),
+];
+
+const validateSubscriber = (partial) => [
+  partial
+    ? body("name").optional().isString().trim().notEmpty().withMessage("name cannot be empty.")
+    : body("name").isString().trim().notEmpty().withMessage("name is required."),
+  (partial ? body("email").optional() : body("email"))
+    .isEmail()
+    .withMessage("Valid email is required.")
+    .normalizeEmail(),
+  validateZip(),
+];
+
+/* -----------------------------
+   COURSES
+------------------------------ */
+
+// GET /api/v1/courses?q=&tags=&area=&when=&availability=&near=&radius=&sort=&page=&limit=
+router.get(
+  "/courses",
+  asMember("courses:read"),
+  [...validateCourseSearch, ...validatePaging],
+  validate,
+  apiV1Controller.listCourses
+);
+
+// GET /api/v1/courses/:id
+router.get("/courses/:id", asMember("courses:read"), validateId, validate, apiV1Controller.getCourse);
+
+// GET /api/v1/courses/:id/recipes/:recipeId?servings=N
+router.get(
+  "/courses/:id/recipes/:recipeId",
+  asMember("courses:read"),
+  [
+    ...validateId,
+    param("recipeId").isMongoId().withMessage("Invalid recipe id."),
+    query("servings")
+      .optional()
+      .isInt({ min: 1, max: MAX_SERVINGS })
+      .withMessage(`servings must be between 1 and ${MAX_SERVINGS}.`)
+      .toInt(),
+  ],
+  validate,
+  apiV1Controller.getRecipe
+);
+
+// POST /api/v1/courses (instructor/admin)
+router.post("/courses", asCourseManager, validateCourseCreate, validate, apiV1Controller.createCourse);
+
+// PATCH /api/v1/courses/:id (instructor/admin)
+router.patch(
+  "/courses/:id",
+  asCourseManager,
+  validateId,
+  validateCourseUpdate,
+  validate,
+  apiV1Controller.updateCourse
+);
+
+// DELETE /api/v1/courses/:id (instructor/admin)
+router.delete("/courses/:id", asCourseManager, validateId, validate, apiV1Controller.deleteCourse);
+
+/* -----------------------------
+   ENROLLMENT
+------------------------------ */
+
+// POST /api/v1/courses/:id/enrollment — join (waitlist when full)
+router.post(
+  "/courses/:id/enrollment",
+  asMember("courses:join"),
+  validateId,
+  validate,
+  apiV1Controller.enroll
+);
+
+// DELETE /api/v1/courses/:id/enrollment — leave (promotes the next waitlisted user)
+router.delete(
+  "/courses/:id/enrollment",
+  asMember("courses:join"),
+  validateId,
+  validate,
+  apiV1Controller.unenroll
+);
+
+/* -----------------------------
+   USERS — SELF (before /users/:id)
+------------------------------ */
+
+// GET /api/v1/users/me
+router.get("/users/me", asMember("profile:read"), apiV1Controller.getMe);
+
+// PATCH /api/v1/users/me
+router.patch(
+  "/users/me",
+  asMember("profile:write"),
+  validateNameUpdate,
+  validate,
+  apiV1Controller.updateMe
+);
+
+// GET /api/v1/users/me/enrollments
+router.get("/users/me/enrollments", asMember("profile:read"), apiV1Controller.listMyEnrollments);
+
+/* -----------------------------
+   USERS — ADMIN
+------------------------------ */
+
+// GET /api/v1/users?role=&page=&limit=
+router.get(
+  "/users",
+  asAdmin,
+  [query("role").optional().isIn(USER_ROLES).withMessage("Unknown role."), ...validatePaging],
+  validate,
+  apiV1Controller.listUsers
+);
+
+// GET /api/v1/users/:id
+router.get("/users/:id", asAdmin, validateId, validate, apiV1Controller.getUser);
+
+// PATCH /api/v1/users/:id
+router.patch(
+  "/users/:id",
+  asAdmin,
+  validateId,
+  [...validateNameUpdate, body("role").optional().isIn(USER_ROLES).withMessage("Unknown role.")],
+  validate,
+  apiV1Controller.updateUser
+);
+
+// DELETE /api/v1/users/:id
+router.delete("/users/:id", asAdmin, validateId, validate, apiV1Controller.deleteUser);
+
+/* -----------------------------
+   SUBSCRIBERS — ADMIN
+------------------------------ */
+
+// GET /api/v1/subscribers?page=&limit=
+router.get("/subscribers", asAdmin, validatePaging, validate, apiV1Controller.listSubscribers);
+
+// GET /api/v1/subscribers/:id
+router.get("/subscribers/:id", asAdmin, validateId, validate, apiV1Controller.getSubscriber);
+
+// POST /api/v1/subscribers
+router.post(
+  "/subscribers",
+  asAdmin,
+  validateSubscriber(false),
+  validate,
+  apiV1Controller.createSubscriber
+);
+
+// PATCH /api/v1/subscribers/:id
+router.patch(
+  "/subscribers/:id",
+  asAdmin,
+  validateId,
+  validateSubscriber(true),
+  validate,
+  apiV1Controller.updateSubscriber
+);
+
+// DELETE /api/v1/subscribers/:id
+router.delete("/subscribers/:id", asAdmin, validateId, validate, apiV1Controller.deleteSubscriber);
+
+/* -----------------------------
+   CSV IMPORT / EXPORT — ADMIN
+------------------------------ */
+
+// POST /api/v1/imports/:kind?dryRun=false – body is the CSV file (text/csv)
+router.post(
+  "/imports/:kind",
+  asAdmin,
+  express.text({ type: ["text/csv", "text/plain"], limit: MAX_IMPORT_BYTES }),
+  [
+    param("kind").isIn(Object.keys(IMPORT_KINDS)).withMessage("Unknown import."),
+    query("dryRun").optional().isBoolean().withMessage("dryRun must be true or false.").toBoolean(),
+  ],
+  validate,
+  apiV1Controller.importCsv
+);
+
+// GET /api/v1/exports/:kind – CSV download
+router.get(
+  "/exports/:kind",
+  asAdmin,
+  param("kind").isIn(Object.keys(EXPORT_KINDS)).withMessage("Unknown export."),
+  validate,
+  apiV1Controller.exportList
+);
+
+/* -----------------------------
+   FALLBACKS (must be last)
+------------------------------ */
+
+router.use(apiV1Controller.unknownRoute);
+router.use(apiErrorHandler);
+
+export default router;
@@ -0,0 +1,55 @@
+// routes/campaigns.js
+// Newsletter campaigns (admin only)
+
+import express from "express";
+import { param } from "express-validator";
+import { ensureAdmin } from "../middlewares/auth.js";
+import campaignController from "../controllers/campaignController.js";
+
+const router = express.Router();
+
+/* -----------------------------------------
+   VALIDATORS
+----------------------------------------- */
+const validateId = [param("id").isMongoId().withMessage("Invalid campaign id")];
+
+/* -----------------------------------------
+   ADMIN (ADMIN ROLE REQUIRED)
+   Mounted at /campaigns
+----------------------------------------- */
+router.use(ensureAdmin);
+
+// GET /campaigns – list (supports ?page=&limit=)
+router.get("/", campaignController.index);
+
+// GET /campaigns/new – compose form
+router.get("/new", campaignController.newCampaign);
+
+// POST /campaigns – save draft
+router.post("/", campaignController.create, campaignController.redirectView);
+
+// GET /campaigns/:id – details, preview, test send, delivery stats
+router.get("/:id", validateId, campaignController.show, campaignController.redirectView);
+
+// GET /campaigns/:id/preview – rendered email for a sample subscriber
+router.get("/:id/preview", validateId, campaignController.preview, campaignController.redirectView);
+
+// GET /campaigns/:id/edit – edit draft
+router.get("/:id/edit", validateId, campaignController.edit, campaignController.redirectView);
+
+// PUT /campaigns/:id – update draft
+router.put("/:id", validateId, campaignController.update, campaignController.redirectView);
+
+// POST /campaigns/:id/test – send one [TEST] copy
+router.post("/:id/test", validateId, campaignController.sendTest, campaignController.redirectView);
+
+// POST /campaigns/:id/send – queue deliveries for the background sender
+router.post("/:id/send", validateId, campaignController.send, campaignController.redirectView);
+
+// POST /campaigns/:id/cancel – skip deliveries not sent yet
+router.post("/:id/cancel", validateId, campaignController.cancel, campaignController.redirectView);
+
+// DELETE /campaigns/:id – delete draft
+router.delete("/:id", validateId, campaignController.destroy, campaignController.redirectView);
+
+export default router;
@@ -1,8 +1,13 @@
 // routes/courses.js
 import express from "express";
 import { body, param, query, validationResult } from "express-validator";
-import { ensureAuthenticated } from "../middlewares/auth.js";
+import { ensureRole } from "../middlewares/auth.js";
+import { uploadCourseFiles } from "../middlewares/uploads.js";
 import courseController from "../controllers/courseController.js";
+import calendarController from "../controllers/calendarController.js";
+import { MAX_CAPACITY } from "../models/course.js";
+import { MAX_SERVINGS } from "../models/recipe.js";
+import { checkPostalCode } from "../utils/postalCodes.js";
 
 const router = express.Router();
 
@@ -35,6 +40,25 @@ const validateIndexQuery = [
   query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
 ];
 
+// Seats: empty = unlimited
+const validateCapacity = body("capacity")
+  .optional({ values: "falsy" })
+  .isInt({ min: 1, max: MAX_CAPACITY })
+  .withMessage(`Seats must be a whole number from 1 to ${MAX_CAPACITY}`);
+
+// Session form (times are checked again in the controller)
+const validateSession = [
+  body("startsAt").trim().isISO8601().withMessage("Start date/time is required"),
+  body("endsAt").trim().isISO8601().withMessage("End date/time is required"),
+  body("instructor").optional({ values: "falsy" }).isMongoId().withMessage("Invalid instructor"),
+  body("locationName").optional().trim().isLength({ max: 120 }).withMessage("Venue name is too long"),
+  body("locationAddress").optional().trim().isLength({ max: 200 }).withMessage("Address is too long"),
+  body("notes").optional().trim().isLength({ max: 500 }).withMessage("Notes are too long"),
+];
+
+// Only instructors and admins may create or change courses
+const ensureCourseManager = ensureRole("instructor", "admin");
+
 /* ------------------ routes ------------------ */
 // LIST (GET /courses)
 router.get(
@@ -47,28 +71,57 @@ router.get(
 // CREATE FORM (GET /courses/new)
 router.get(
   "/new",
-  ensureAuthenticated,
+  ensureCourseManager,
   courseController.showCreateCourseForm
 );
 
 // CREATE (POST /courses)
 router.post(
   "/",
-  ensureAuthenticated,
+  ensureCourseManager,
+  uploadCourseFiles, // multipart: fills req.body before the checks below
   [
     body("title").trim().notEmpty().withMessage("Course title is required"),
     body("description").trim().notEmpty().withMessage("Course description is required"),
-    body("zipCode").optional().isPostalCode("ZA").withMessage("Invalid postal code"),
+    checkPostalCode(body("zipCode").optional({ values: "falsy" })),
+    validateCapacity,
   ],
   handleValidation,
   courseController.createCourse,
   courseController.redirectView
 );
 
+// CALENDAR FEED (GET /courses/:id/calendar.ics) – public
+router.get("/:id/calendar.ics", calendarController.courseCalendar);
+
+// RECIPE (GET /courses/:id/recipes/:recipeId?servings=N) – public
+router.get(
+  "/:id/recipes/:recipeId",
+  validateId,
+  [
+    param("recipeId").isMongoId().withMessage("Invalid recipe id"),
+    query("servings")
+      .optional({ values: "falsy" })
+      .isInt({ min: 1, max: MAX_SERVINGS })
+      .withMessage(`Servings must be a whole number from 1 to ${MAX_SERVINGS}`),
+  ],
+  handleValidation,
+  courseController.showRecipe
+);
+
+// DOWNLOAD FILE (GET /courses/:id/attachments/:attachmentId) – public
+router.get(
+  "/:id/attachments/:attachmentId",
+  validateId,
+  [param("attachmentId").isMongoId().withMessage("Invalid file id")],
+  handleValidation,
+  courseController.downloadAttachment
+);
+
 // EDIT FORM (GET /courses/:id/edit)
 router.get(
   "/:id/edit",
-  ensureAuthenticated,
+  ensureCourseManager,
   validateId,
   handleValidation,
   courseController.showEditCourseForm
@@ -77,12 +130,14 @@ router.get(
 // UPDATE (PUT /courses/:id)
 router.put(
   "/:id",
-  ensureAuthenticated,
+  ensureCourseManager,
   validateId,
+  uploadCourseFiles,
   [
     body("title").optional().trim().notEmpty(),
     body("description").optional().trim().notEmpty(),
-    body("zipCode").optional().isPostalCode("ZA").withMessage("Invalid postal code"),
+    checkPostalCode(body("zipCode").optional({ values: "falsy" })),
+    validateCapacity,
   ],
   handleValidation,
   courseController.updateCourse,
@@ -92,11 +147,44 @@ router.put(
 // DELETE (DELETE /courses/:id)
 router.delete(
   "/:id",
-  ensureAuthenticated,
+  ensureCourseManager,
   validateId,
   handleValidation,
   courseController.deleteCourse,
   courseController.redirectView
 );
 
+// REMOVE FILE (DELETE /courses/:id/attachments/:attachmentId)
+router.delete(
+  "/:id/attachments/:attachmentId",
+  ensureCourseManager,
+  validateId,
+  [param("attachmentId").isMongoId().withMessage("Invalid file id")],
+  handleValidation,
+  courseController.removeAttachment,
+  courseController.redirectView
+);
+
+// ADD SESSION (POST /courses/:id/sessions)
+router.post(
+  "/:id/sessions",
+  ensureCourseManager,
+  validateId,
+  validateSession,
+  handleValidation,
+  courseController.addSession,
+  courseController.redirectView
+);
+
+// REMOVE SESSION (DELETE /courses/:id/sessions/:sessionId)
+router.delete(
+  "/:id/sessions/:sessionId",
+  ensureCourseManager,
+  validateId,
+  [param("sessionId").isMongoId().withMessage("Invalid session id")],
+  handleValidation,
+  courseController.removeSession,
+  courseController.redirectView
+);
+
 export default router;
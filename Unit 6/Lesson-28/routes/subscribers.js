@@ -3,7 +3,7 @@
 
 import express from "express";
 import { body, param, query } from "express-validator";
-import { ensureAuthenticated } from "../middlewares/auth.js";
+import { ensureAdmin } from "../middlewares/auth.js";
 import { limitPublicPosts } from "../middlewares/ratelimit.js"; // optional
 import subscriberController from "../controllers/subscribersController.js";
 
@@ -44,20 +44,42 @@ router.post(
   subscriberController.redirectView
 );
 
+// GET /subscribers/:id/confirm/:token – double opt-in (link from the confirmation email)
+router.get(
+  "/:id/confirm/:token",
+  [param("token").trim().isHexadecimal().isLength({ min: 64, max: 64 })],
+  subscriberController.confirmSubscription,
+  subscriberController.redirectView
+);
+
+// GET /subscribers/:id/unsubscribe?sig= – signed link in every subscriber email
+router.get(
+  "/:id/unsubscribe",
+  subscriberController.showUnsubscribe,
+  subscriberController.redirectView
+);
+
+// POST /subscribers/:id/unsubscribe?sig= – confirm button or mail-client one-click
+router.post(
+  "/:id/unsubscribe",
+  subscriberController.unsubscribe,
+  subscriberController.redirectView
+);
+
 /* -----------------------------------------
-   ADMIN (AUTH REQUIRED)
+   ADMIN (ADMIN ROLE REQUIRED)
 ----------------------------------------- */
 
 // GET /subscribers – list subscribers (supports ?page=&limit=)
-router.get("/", ensureAuthenticated, validateIndexQuery, subscriberController.showSubscribers);
+router.get("/", ensureAdmin, validateIndexQuery, subscriberController.showSubscribers);
 
 // GET /subscribers/:id/edit – edit form
-router.get("/:id/edit", ensureAuthenticated, validateId, subscriberController.showEditSubscriberForm);
+router.get("/:id/edit", ensureAdmin, validateId, subscriberController.showEditSubscriberForm);
 
 // PUT /subscribers/:id/update – update
 router.put(
   "/:id/update",
-  ensureAuthenticated,
+  ensureAdmin,
   validateId,
   [
     body("name").optional().trim().notEmpty().withMessage("Name cannot be empty"),
@@ -70,7 +92,7 @@ router.put(
 // DELETE /subscribers/:id/delete – delete
 router.delete(
   "/:id/delete",
-  ensureAuthenticated,
+  ensureAdmin,
   validateId,
   subscriberController.deleteSubscriber,
   subscriberController.redirectView
@@ -4,6 +4,14 @@
 import express from "express";
 import { body, param } from "express-validator";
 import userController from "../controllers/userController.js";
+import apiKeyController from "../controllers/apiKeyController.js";
+import calendarController from "../controllers/calendarController.js";
+import sessionController from "../controllers/sessionController.js";
+import twoFactorController from "../controllers/twoFactorController.js";
+import { ensureAdmin, ensureSelfOrAdmin } from "../middlewares/auth.js";
+import { USER_ROLES } from "../models/user.js";
+import { limitPublicPosts, limitPasswordChecks } from "../middlewares/ratelimit.js";
+import { isAcceptablePassword } from "../utils/passwordPolicy.js";
 
 const router = express.Router();
 
@@ -42,11 +50,23 @@ router.post(
   ensureGuest,
   [
     body("email").trim().isEmail().withMessage("Valid email required."),
-    body("password").isLength({ min: 6 }).withMessage("Password too short."),
+    // Only new passwords follow the policy (older accounts may have shorter ones)
+    body("password").notEmpty().withMessage("Password required."),
   ],
   userController.authenticate
 );
 
+// GET /users/login/two-factor – second step for accounts with two-factor on
+router.get("/login/two-factor", ensureGuest, userController.showTwoFactorLogin);
+
+// POST /users/login/two-factor – code from the authenticator app (or a recovery code)
+router.post(
+  "/login/two-factor",
+  ensureGuest,
+  [body("code").trim().notEmpty().withMessage("Enter the code from your app.")],
+  userController.verifyTwoFactorLogin
+);
+
 // GET /users/new – show signup page
 router.get("/new", ensureGuest, userController.showCreateUserForm);
 
@@ -58,47 +78,162 @@ router.post(
     body("first").trim().notEmpty().withMessage("First name required."),
     body("last").trim().notEmpty().withMessage("Last name required."),
     body("email").trim().isEmail().withMessage("Valid email required."),
-    body("password")
-      .isLength({ min: 6 })
-      .withMessage("Password must be at least 6 characters."),
+    body("password").custom(isAcceptablePassword),
   ],
   userController.createUser,
   userController.redirectView
 );
 
-// GET /users/logout – log out
-router.get("/logout", ensureAuth, userController.logout, userController.redirectView);
+// GET /users/:id/verify/:token – confirm email (link from the signup email)
+router.get(
+  "/:id/verify/:token",
+  validateUserId,
+  [param("token").trim().isHexadecimal().isLength({ min: 64, max: 64 })],
+  userController.verifyEmail,
+  userController.redirectView
+);
+
+// GET /users/forgot-password – request a reset link
+router.get("/forgot-password", ensureGuest, userController.showForgotPasswordForm);
+
+// POST /users/forgot-password – email a single-use reset link
+router.post(
+  "/forgot-password",
+  ensureGuest,
+  limitPublicPosts,
+  [body("email").trim().isEmail().withMessage("Valid email required.")],
+  userController.sendPasswordReset,
+  userController.redirectView
+);
+
+// GET /users/reset-password/:token – choose a new password
+router.get(
+  "/reset-password/:token",
+  ensureGuest,
+  [param("token").trim().isHexadecimal().isLength({ min: 64, max: 64 })],
+  userController.showResetPasswordForm,
+  userController.redirectView
+);
+
+// POST /users/reset-password/:token – set the new password
+router.post(
+  "/reset-password/:token",
+  ensureGuest,
+  limitPublicPosts,
+  [
+    param("token").trim().isHexadecimal().isLength({ min: 64, max: 64 }),
+    body("password").custom(isAcceptablePassword),
+  ],
+  userController.resetPassword,
+  userController.redirectView
+);
+
+// POST /users/password-check – strength meter on the signup, edit and reset forms
+// (JSON { password, email?, first?, last? }; the CSRF token goes in X-CSRF-Token)
+router.post("/password-check", limitPasswordChecks, userController.checkPasswordStrength);
+
+// GET /users/:id/calendar.ics?token= – enrolled sessions for calendar apps
+// (token from the profile page; the owner's own login also works)
+router.get("/:id/calendar.ics", calendarController.userCalendar);
+
+// POST /users/logout – log out (a POST with the CSRF token, so other sites can't log you out)
+router.post("/logout", ensureAuth, userController.logout, userController.redirectView);
 
 /* -----------------------------------------
    PROTECTED (LOGIN REQUIRED)
+   - list / delete / linking: admins only
+   - edit / update: the account owner or an admin
 ----------------------------------------- */
 
 // GET /users – list all users
-router.get("/", ensureAuth, userController.showUsers);
+router.get("/", ensureAdmin, userController.showUsers);
+
+// GET /users/:id – profile (incl. API keys)
+router.get("/:id", ensureSelfOrAdmin, validateUserId, userController.showUser);
 
 // GET /users/:id/edit – show edit form
-router.get("/:id/edit", ensureAuth, validateUserId, userController.showEditUserForm);
+router.get("/:id/edit", ensureSelfOrAdmin, validateUserId, userController.showEditUserForm);
 
 // PUT /users/:id – update user (your edit form posts to /users/:id with ?_method=PUT)
 router.put(
   "/:id",
-  ensureAuth,
+  ensureSelfOrAdmin,
   validateUserId,
   [
     body("first").optional().trim().notEmpty(),
     body("last").optional().trim().notEmpty(),
     body("email").optional().trim().isEmail().withMessage("Valid email required."),
     body("zipCode").optional().trim(),
-    body("password").optional().isLength({ min: 6 }).withMessage("Password too short."),
+    body("password").optional({ values: "falsy" }).custom(isAcceptablePassword),
+    body("currentPassword")
+      .if(body("password").notEmpty())
+      .notEmpty()
+      .withMessage("Current password required."),
   ],
   userController.updateUser,
   userController.redirectView
 );
 
+// POST /users/:id/verify/resend – send a new confirmation link
+router.post(
+  "/:id/verify/resend",
+  ensureSelfOrAdmin,
+  validateUserId,
+  limitPublicPosts,
+  userController.resendVerification,
+  userController.redirectView
+);
+
+// POST /users/:id/calendar/reset – new calendar feed link (old one stops working)
+router.post(
+  "/:id/calendar/reset",
+  ensureSelfOrAdmin,
+  validateUserId,
+  calendarController.resetCalendarFeed,
+  userController.redirectView
+);
+
+// PUT /users/:id/role – change a user's role (admin only)
+router.put(
+  "/:id/role",
+  ensureAdmin,
+  validateUserId,
+  [body("role").trim().isIn(USER_ROLES).withMessage("Unknown role.")],
+  userController.updateRole,
+  userController.redirectView
+);
+
+// POST /users/:id/api-sessions/revoke – kill all API logins of a user (admin only)
+router.post(
+  "/:id/api-sessions/revoke",
+  ensureAdmin,
+  validateUserId,
+  userController.revokeUserApiSessions,
+  userController.redirectView
+);
+
+// POST /users/:id/unlock – lift a lock from failed logins (admin only)
+router.post(
+  "/:id/unlock",
+  ensureAdmin,
+  validateUserId,
+  userController.unlockLogin,
+  userController.redirectView
+);
+
+// POST /users/:id/sessions/revoke – force-logout: every browser + API client (admin only)
+router.post(
+  "/:id/sessions/revoke",
+  ensureAdmin,
+  validateUserId,
+  sessionController.forceLogout,
+  userController.redirectView
+);
+
 // POST /users/:id/delete – delete user (matches your users.ejs form)
 router.post(
   "/:id/delete",
-  ensureAuth,
+  ensureAdmin,
   validateUserId,
   userController.deleteUser,
   userController.redirectView
@@ -107,20 +242,122 @@ router.post(
 // (Optional) RESTful DELETE /users/:id (if you later switch your form to ?_method=DELETE)
 router.delete(
   "/:id",
-  ensureAuth,
+  ensureAdmin,
   validateUserId,
   userController.deleteUser,
   userController.redirectView
 );
 
 /* -----------------------------------------
-   USER RELATIONSHIPS (PROTECTED)
+   API KEYS (PROFILE)
+----------------------------------------- */
+
+// POST /users/:id/api-keys – create a key; renders the profile with the key shown once
+router.post(
+  "/:id/api-keys",
+  ensureSelfOrAdmin,
+  validateUserId,
+  [
+    body("name").trim().notEmpty().isLength({ max: 60 }).withMessage("Key name is required."),
+    body("scopes").exists().withMessage("Choose at least one scope."),
+  ],
+  apiKeyController.createApiKey,
+  userController.showUser
+);
+
+// POST /users/:id/api-keys/:keyId/revoke – revoke a key
+router.post(
+  "/:id/api-keys/:keyId/revoke",
+  ensureSelfOrAdmin,
+  validateUserId,
+  [param("keyId").isMongoId().withMessage("Invalid key id.")],
+  apiKeyController.revokeApiKey,
+  userController.redirectView
+);
+
+/* -----------------------------------------
+   ACTIVE SESSIONS (PROFILE)
+----------------------------------------- */
+
+// GET /users/:id/sessions – browsers signed in to the account
+router.get("/:id/sessions", ensureSelfOrAdmin, validateUserId, sessionController.showSessions);
+
+// POST /users/:id/sessions/revoke-others – sign out everywhere except this browser
+router.post(
+  "/:id/sessions/revoke-others",
+  ensureSelfOrAdmin,
+  validateUserId,
+  sessionController.revokeOtherSessions,
+  userController.redirectView
+);
+
+// POST /users/:id/sessions/:key/revoke – sign one browser out
+router.post(
+  "/:id/sessions/:key/revoke",
+  ensureSelfOrAdmin,
+  validateUserId,
+  [param("key").trim().isHexadecimal().isLength({ min: 64, max: 64 })],
+  sessionController.revokeSession,
+  userController.redirectView
+);
+
+/* -----------------------------------------
+   TWO-FACTOR AUTHENTICATION (PROFILE)
+   - setup / recovery codes: the owner only
+   - turn off: the owner (with a code) or an admin
+----------------------------------------- */
+
+// GET /users/:id/two-factor – status, QR code while setting up
+router.get("/:id/two-factor", ensureSelfOrAdmin, validateUserId, twoFactorController.showTwoFactor);
+
+// POST /users/:id/two-factor/setup – new secret to scan
+router.post(
+  "/:id/two-factor/setup",
+  ensureSelfOrAdmin,
+  validateUserId,
+  twoFactorController.startSetup,
+  userController.redirectView
+);
+
+// POST /users/:id/two-factor/enable – confirm with a code; renders the recovery codes once
+router.post(
+  "/:id/two-factor/enable",
+  ensureSelfOrAdmin,
+  validateUserId,
+  limitPublicPosts,
+  [body("code").trim().notEmpty().withMessage("Enter the code from your app.")],
+  twoFactorController.enableTwoFactor,
+  twoFactorController.showTwoFactor
+);
+
+// POST /users/:id/two-factor/recovery-codes – replace the recovery codes (needs a code)
+router.post(
+  "/:id/two-factor/recovery-codes",
+  ensureSelfOrAdmin,
+  validateUserId,
+  limitPublicPosts,
+  twoFactorController.regenerateRecoveryCodes,
+  twoFactorController.showTwoFactor
+);
+
+// POST /users/:id/two-factor/disable – turn off
+router.post(
+  "/:id/two-factor/disable",
+  ensureSelfOrAdmin,
+  validateUserId,
+  limitPublicPosts,
+  twoFactorController.disableTwoFactor,
+  userController.redirectView
+);
+
+/* -----------------------------------------
+   USER RELATIONSHIPS (ADMIN)
 ----------------------------------------- */
 
 // POST /users/:id/link-course – link user to course (matches users.ejs)
 router.post(
   "/:id/link-course",
-  ensureAuth,
+  ensureAdmin,
   validateUserId,
   [body("courseId").trim().notEmpty().withMessage("courseId is required.")],
   userController.linkCourse,
@@ -130,7 +367,7 @@ router.post(
 // POST /users/:id/link-subscriber – link user to subscriber by email (matches users.ejs)
 router.post(
   "/:id/link-subscriber",
-  ensureAuth,
+  ensureAdmin,
   validateUserId,
   [body("email").trim().isEmail().withMessage("Valid email required.")],
   userController.linkSubscriberByEmail,
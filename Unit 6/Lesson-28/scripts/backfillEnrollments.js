@@ -0,0 +1,49 @@
+// scripts/backfillEnrollments.js
+// One-off migration: create Enrollment rows for courses users already joined
+// (User.courses) and recount Course.enrolledCount. Safe to run more than once.
+// Existing courses keep capacity = null (unlimited) until an instructor sets one.
+// Usage: node scripts/backfillEnrollments.js
+
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import Course from "../models/course.js";
+import Enrollment from "../models/enrollment.js";
+
+const MONGO_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/recipe_db";
+
+await mongoose.connect(MONGO_URI);
+await Enrollment.syncIndexes();
+
+let created = 0;
+const users = User.find({ "courses.0": { $exists: true } }).select("courses createdAt").lean().cursor();
+
+for await (const user of users) {
+  for (const courseId of user.courses) {
+    const result = await Enrollment.updateOne(
+      { user: user._id, course: courseId },
+      { $setOnInsert: { status: "enrolled", enrolledAt: user.createdAt || new Date() } },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+}
+
+// Seats taken = enrolled rows
+const counts = await Enrollment.aggregate([
+  { $match: { status: "enrolled" } },
+  { $group: { _id: "$course", n: { $sum: 1 } } },
+]);
+const byCourse = new Map(counts.map((c) => [String(c._id), c.n]));
+
+let recounted = 0;
+for await (const course of Course.find({}).select("_id").lean().cursor()) {
+  await Course.updateOne(
+    { _id: course._id },
+    { $set: { enrolledCount: byCourse.get(String(course._id)) || 0 } }
+  );
+  recounted += 1;
+}
+
+console.log(`Done. Created ${created} enrollments, recounted ${recounted} courses.`);
+await mongoose.disconnect();
+process.exit(0);
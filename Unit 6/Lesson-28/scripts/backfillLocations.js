@@ -0,0 +1,57 @@
+// scripts/backfillLocations.js
+// One-off (safe to re-run): sets the GeoJSON `location` of users, subscribers and
+// courses from their postal code (models/postalLocation.js does this on every save
+// from now on) and builds the 2dsphere indexes. Re-run after adding codes to
+// data/postalCentroids.js or changing POSTAL_COUNTRIES.
+// Usage: node scripts/backfillLocations.js
+
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import Subscriber from "../models/subscribers.js";
+import Course from "../models/course.js";
+import { locatePostalCode } from "../utils/geo.js";
+
+const MONGO_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/recipe_db";
+const BATCH = 500;
+
+await mongoose.connect(MONGO_URI);
+
+const backfill = async (Model) => {
+  const name = Model.collection.collectionName;
+  await Model.createIndexes();
+
+  let located = 0;
+  let unknown = 0;
+  let ops = [];
+  const flush = async () => {
+    if (!ops.length) return;
+    await Model.collection.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
+
+  const cursor = Model.collection.find(
+    { $or: [{ zipCode: { $exists: true } }, { location: { $exists: true } }] },
+    { projection: { zipCode: 1 } }
+  );
+  for await (const { _id, zipCode } of cursor) {
+    const point = locatePostalCode(zipCode);
+    if (point) located += 1;
+    else if (zipCode) unknown += 1;
+
+    ops.push({
+      updateOne: { filter: { _id }, update: point ? { $set: { location: point } } : { $unset: { location: "" } } },
+    });
+    if (ops.length >= BATCH) await flush();
+  }
+  await flush();
+
+  console.log(`${name}: ${located} located, ${unknown} postal codes without a location`);
+};
+
+for (const Model of [User, Subscriber, Course]) {
+  await backfill(Model);
+}
+
+console.log("Done. Unknown postal codes can be added to data/postalCentroids.js.");
+await mongoose.disconnect();
+process.exit(0);
@@ -0,0 +1,186 @@
+// scripts/checkApiSpec.js
+// Check the OpenAPI document against the routers (run before committing API changes):
+// - every /api route has an entry in services/apiSpec.js (and no entry is stale)
+// - every documented response schema compiles
+// - real handlers (login, course list / detail) answer with bodies that match the spec;
+//   the database calls they make are replaced with sample data, so no MongoDB is needed
+// Usage: node scripts/checkApiSpec.js [--out openapi.json]
+
+import fs from "fs";
+import express from "express";
+import mongoose from "mongoose";
+import apiRoutes, { apiDocs } from "../routes/apiRoutes.js";
+import User from "../models/user.js";
+import Course from "../models/course.js";
+import RefreshToken from "../models/refreshToken.js";
+import AuditEvent from "../models/auditEvent.js";
+
+const problems = [];
+const { undocumented, stale } = apiDocs.coverage();
+
+undocumented.forEach((key) => problems.push(`Route has no docs: ${key}`));
+stale.forEach((key) => problems.push(`Docs for a missing route: ${key}`));
+
+const doc = apiDocs.document();
+for (const [path, item] of Object.entries(doc.paths)) {
+  for (const [method, op] of Object.entries(item)) {
+    for (const status of Object.keys(op.responses)) {
+      try {
+        // Compiles (and caches) the schema; the sample body doesn't matter here
+        apiDocs.validateResponse(method, path, status, {});
+      } catch (e) {
+        problems.push(`${method.toUpperCase()} ${path} ${status}: ${e.message}`);
+      }
+    }
+  }
+}
+
+/* -----------------------------
+   SAMPLE RESPONSES
+------------------------------ */
+
+// Any database call that is not stubbed below fails at once instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+process.env.LOGIN_ATTEMPT_STORE = "memory";
+
+// Mongoose-like query: chainable, resolves to `value`
+const query = (value) => {
+  const q = {
+    select: () => q,
+    sort: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return q;
+};
+
+const PASSWORD = "sample-Password-42";
+const user = new User({
+  name: { first: "Sample", last: "Member" },
+  email: "member@example.com",
+  zipCode: "2000",
+  role: "member",
+  verified: true,
+});
+user.authenticate = async (password) =>
+  password === PASSWORD ? { user } : { user: false, error: new Error("Password or username is incorrect") };
+
+const now = new Date();
+const course = {
+  ...new Course({
+    title: "Sample Course",
+    description: "A course to check the API responses against the spec.",
+    zipCode: "2000",
+    capacity: 12,
+    recipes: [
+      {
+        title: "Tomato Soup",
+        servings: 4,
+        ingredients: [{ name: "tomatoes", quantity: 800, unit: "g" }, { name: "salt" }],
+        steps: ["Simmer the tomatoes.", "Blend and season."],
+        dietaryTags: ["vegetarian"],
+      },
+    ],
+  }).toObject(),
+  enrolledCount: 3,
+  createdAt: now,
+  updatedAt: now,
+};
+
+User.findOne = ({ email }) => query(email === user.email ? user : null);
+User.findById = (id) =>
+  query(String(id) === String(user._id) ? { _id: user._id, role: user.role, verified: true } : null);
+RefreshToken.create = async (doc) => new RefreshToken(doc);
+RefreshToken.findOne = ({ user: userId }) => query(String(userId) === String(user._id) ? { _id: userId } : null);
+Course.findById = (id) => query(String(id) === String(course._id) ? course : null);
+Course.aggregate = async () => [
+  { results: [course], total: [{ n: 1 }], tags: [{ _id: "vegetarian", count: 1 }], areas: [], when: [], availability: [] },
+];
+AuditEvent.create = async () => ({});
+
+const app = express();
+app.use(express.json());
+app.use("/api", apiRoutes);
+
+// route: the documented path the response is checked against
+const samples = [
+  { method: "post", url: "/api/authenticate", route: "/api/authenticate", body: {}, status: 400 },
+  {
+    method: "post",
+    url: "/api/authenticate",
+    route: "/api/authenticate",
+    body: { email: user.email, password: "wrong-password" },
+    status: 401,
+  },
+  {
+    method: "post",
+    url: "/api/authenticate",
+    route: "/api/authenticate",
+    body: { email: user.email, password: PASSWORD },
+    status: 200,
+    keepToken: true,
+  },
+  { method: "get", url: "/api/v1/courses", route: "/api/v1/courses", status: 401 },
+  { method: "get", url: "/api/v1/courses", route: "/api/v1/courses", status: 200, auth: true },
+  { method: "get", url: "/api/v1/courses?q=soup", route: "/api/v1/courses", status: 200, auth: true },
+  { method: "get", url: "/api/v1/courses?page=0", route: "/api/v1/courses", status: 422, auth: true },
+  { method: "get", url: `/api/v1/courses/${course._id}`, route: "/api/v1/courses/:id", status: 200, auth: true },
+  {
+    method: "get",
+    url: `/api/v1/courses/${new mongoose.Types.ObjectId()}`,
+    route: "/api/v1/courses/:id",
+    status: 404,
+    auth: true,
+  },
+];
+
+const server = await new Promise((resolve) => {
+  const s = app.listen(0, "127.0.0.1", () => resolve(s));
+});
+const base = `http://127.0.0.1:${server.address().port}`;
+let token = null;
+
+for (const sample of samples) {
+  const label = `${sample.method.toUpperCase()} ${sample.url}`;
+  try {
+    const res = await fetch(`${base}${sample.url}`, {
+      method: sample.method.toUpperCase(),
+      headers: {
+        ...(sample.body && { "Content-Type": "application/json" }),
+        ...(sample.auth && token && { Authorization: `Bearer ${token}` }),
+      },
+      body: sample.body ? JSON.stringify(sample.body) : undefined,
+    });
+    const body = await res.json();
+
+    if (res.status !== sample.status) {
+      problems.push(`${label}: expected ${sample.status}, got ${res.status} ${JSON.stringify(body)}`);
+      continue;
+    }
+    const mismatches = apiDocs.validateResponse(sample.method, sample.route, res.status, body);
+    if (mismatches) problems.push(`${label} → ${res.status} does not match the spec:\n  ${mismatches.join("\n  ")}`);
+    if (sample.keepToken) token = body.token;
+  } catch (e) {
+    problems.push(`${label}: ${e.message}`);
+  }
+}
+
+server.close();
+
+const outIndex = process.argv.indexOf("--out");
+if (outIndex !== -1 && process.argv[outIndex + 1]) {
+  fs.writeFileSync(process.argv[outIndex + 1], `${JSON.stringify(doc, null, 2)}\n`);
+  console.log(`Wrote ${process.argv[outIndex + 1]}`);
+}
+
+const count = Object.values(doc.paths).reduce((n, item) => n + Object.keys(item).length, 0);
+const checked = `${count} operations documented, ${samples.length} sample responses checked`;
+
+if (problems.length) {
+  console.error(problems.join("\n"));
+  console.error(`\n${problems.length} problem(s); ${checked}.`);
+  process.exit(1);
+}
+
+console.log(`OpenAPI OK: ${checked}.`);
+process.exit(0);
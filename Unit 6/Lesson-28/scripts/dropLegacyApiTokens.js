@@ -0,0 +1,30 @@
+// scripts/dropLegacyApiTokens.js
+// One-off migration: remove the old plaintext `apiToken` field from users.
+// API access now uses hashed, scoped keys (models/apiKey.js) created from
+// each user's profile page. Nothing is printed except counts.
+// Usage: node scripts/dropLegacyApiTokens.js
+
+import mongoose from "mongoose";
+import User from "../models/user.js";
+
+const MONGO_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/recipe_db";
+
+await mongoose.connect(MONGO_URI);
+
+// Raw collection: `apiToken` is no longer in the schema, so Mongoose would strip the $unset
+const result = await User.collection.updateMany(
+  { apiToken: { $exists: true } },
+  { $unset: { apiToken: "" } }
+);
+
+// The old single-field index is no longer needed
+try {
+  await User.collection.dropIndex("apiToken_1");
+  console.log("Dropped index apiToken_1.");
+} catch {
+  // index did not exist
+}
+
+console.log(`Done. Removed apiToken from ${result.modifiedCount} users.`);
+await mongoose.disconnect();
+process.exit(0);
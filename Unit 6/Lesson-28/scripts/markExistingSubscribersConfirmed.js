@@ -0,0 +1,27 @@
+// scripts/markExistingSubscribersConfirmed.js
+// One-off migration: subscribers added before double opt-in have no `status`.
+// They signed up through the old form, so keep them on the list as confirmed,
+// with source "legacy" so their consent can be told apart from a clicked link.
+// Usage: node scripts/markExistingSubscribersConfirmed.js
+
+import mongoose from "mongoose";
+import Subscriber from "../models/subscribers.js";
+
+const MONGO_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/recipe_db";
+
+await mongoose.connect(MONGO_URI);
+
+const result = await Subscriber.updateMany({ status: { $exists: false } }, [
+  {
+    $set: {
+      status: "confirmed",
+      source: "legacy",
+      requestedAt: "$createdAt",
+      confirmedAt: "$createdAt",
+    },
+  },
+]);
+
+console.log(`Done. Marked ${result.modifiedCount} existing subscribers as confirmed.`);
+await mongoose.disconnect();
+process.exit(0);
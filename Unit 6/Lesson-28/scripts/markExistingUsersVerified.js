@@ -0,0 +1,20 @@
+// scripts/markExistingUsersVerified.js
+// One-off migration: accounts created before email verification existed
+// have no `verified` field. Treat them as verified so they keep API access.
+// Usage: node scripts/markExistingUsersVerified.js
+
+import mongoose from "mongoose";
+import User from "../models/user.js";
+
+const MONGO_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/recipe_db";
+
+await mongoose.connect(MONGO_URI);
+
+const result = await User.updateMany(
+  { verified: { $exists: false } },
+  { $set: { verified: true, verifiedAt: new Date() } }
+);
+
+console.log(`Done. Marked ${result.modifiedCount} existing users as verified.`);
+await mongoose.disconnect();
+process.exit(0);
@@ -0,0 +1,42 @@
+// scripts/migrateItemsToRecipes.js
+// One-off migration: Course.items (plain strings) → Course.recipes.
+// Each course with items gets one recipe named after the course; lines such as
+// "200 g flour" keep their quantity and unit. Then `items` is removed.
+// Courses that already have recipes only lose `items`. Safe to run more than once.
+// Usage: node scripts/migrateItemsToRecipes.js
+
+import mongoose from "mongoose";
+import Course from "../models/course.js";
+import { recipesFromItems } from "../utils/recipes.js";
+
+const MONGO_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/recipe_db";
+
+await mongoose.connect(MONGO_URI);
+
+// `items` is no longer in the schema, so read the raw documents
+let migrated = 0;
+let cleaned = 0;
+const courses = Course.collection.find(
+  { items: { $exists: true } },
+  { projection: { title: 1, items: 1, recipes: 1 } }
+);
+
+for await (const course of courses) {
+  const update = { $unset: { items: "" } };
+
+  if (!course.recipes?.length) {
+    // Cast through the model for _ids and defaults (servings, units, ...)
+    const { recipes } = new Course({
+      recipes: recipesFromItems(course.title, course.items || []),
+    }).toObject();
+    update.$set = { recipes };
+    if (recipes.length) migrated += 1;
+  }
+
+  await Course.collection.updateOne({ _id: course._id }, update);
+  cleaned += 1;
+}
+
+console.log(`Done. Converted ${migrated} courses to recipes, removed items from ${cleaned}.`);
+await mongoose.disconnect();
+process.exit(0);
@@ -0,0 +1,72 @@
+// scripts/migratePostalCodesToStrings.js
+// One-off (safe to re-run): postal codes used to be Numbers on users, subscribers and
+// courses, so "0002" was stored as 2. Rewrites every zipCode as the normalized string
+// from utils/postalCodes.js (numbers padded back: 2 → "0002").
+// Codes that aren't valid for POSTAL_COUNTRIES are stored as text and listed;
+// pass --unset-invalid to remove them instead.
+// Usage: node scripts/migratePostalCodesToStrings.js [--unset-invalid]
+
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import Subscriber from "../models/subscribers.js";
+import Course from "../models/course.js";
+import { normalizePostalCode } from "../utils/postalCodes.js";
+
+const MONGO_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/recipe_db";
+const UNSET_INVALID = process.argv.includes("--unset-invalid");
+const BATCH = 500;
+
+await mongoose.connect(MONGO_URI);
+
+// Raw collection: the schema setter would otherwise hide what's stored
+const migrate = async (Model) => {
+  const name = Model.collection.collectionName;
+  let updated = 0;
+  const invalid = [];
+  let ops = [];
+
+  const flush = async () => {
+    if (!ops.length) return;
+    await Model.collection.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
+
+  const cursor = Model.collection.find(
+    { zipCode: { $exists: true } },
+    { projection: { zipCode: 1 } }
+  );
+  for await (const { _id, zipCode } of cursor) {
+    const code = normalizePostalCode(zipCode);
+
+    let update;
+    if (code === "") update = { $unset: { zipCode: "" } };
+    else if (code !== null) update = { $set: { zipCode: code } };
+    else {
+      invalid.push(`${_id}: ${JSON.stringify(zipCode)}`);
+      update = UNSET_INVALID ? { $unset: { zipCode: "" } } : { $set: { zipCode: String(zipCode).trim() } };
+    }
+
+    // Already a normalized string: nothing to write
+    if (update.$set?.zipCode === zipCode) continue;
+
+    ops.push({ updateOne: { filter: { _id }, update } });
+    updated += 1;
+    if (ops.length >= BATCH) await flush();
+  }
+  await flush();
+
+  console.log(`${name}: ${updated} updated, ${invalid.length} invalid`);
+  invalid.forEach((line) => console.log(`  ${line}`));
+  return invalid.length;
+};
+
+let invalidTotal = 0;
+for (const Model of [User, Subscriber, Course]) {
+  invalidTotal += await migrate(Model);
+}
+
+console.log(
+  `Done. ${invalidTotal} invalid postal codes ${UNSET_INVALID ? "removed" : "kept as text (see above)"}.`
+);
+await mongoose.disconnect();
+process.exit(0);
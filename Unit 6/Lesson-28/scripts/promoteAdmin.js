@@ -0,0 +1,40 @@
+// scripts/promoteAdmin.js
+// Promote an existing account to admin (bootstraps the first admin).
+// Usage: node scripts/promoteAdmin.js you@example.com
+//        ADMIN_EMAIL=you@example.com node scripts/promoteAdmin.js
+
+import mongoose from "mongoose";
+import User from "../models/user.js";
+
+const MONGO_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/recipe_db";
+const email = String(process.argv[2] || process.env.ADMIN_EMAIL || "")
+  .trim()
+  .toLowerCase();
+
+if (!email) {
+  console.error("Usage: node scripts/promoteAdmin.js <email>");
+  process.exit(1);
+}
+
+await mongoose.connect(MONGO_URI);
+
+const user = await User.findOne({ email });
+
+if (!user) {
+  console.error(`No user found with email ${email}. Sign up first, then re-run.`);
+  await mongoose.disconnect();
+  process.exit(1);
+}
+
+if (user.role === "admin") {
+  console.log(`${email} is already an admin.`);
+} else {
+  user.role = "admin";
+  await user.save();
+  console.log(`[role-set] ${email}: admin`);
+}
+
+const admins = await User.countDocuments({ role: "admin" });
+console.log(`Done. ${admins} admin(s) in total.`);
+await mongoose.disconnect();
+process.exit(0);
@@ -0,0 +1,32 @@
+// scripts/syncLinkedSubscribers.js
+// One-off (safe to re-run): links made before services/identities.js let a user and
+// its subscriber drift apart. Copies each user's name and postal code to the linked
+// subscriber, drops links to deleted subscribers, then links verified users to the
+// subscriber with the same email.
+// Same as "Sync all" on /admin/identities, plus the email links.
+// Usage: node scripts/syncLinkedSubscribers.js
+
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import identities from "../services/identities.js";
+
+const MONGO_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/recipe_db";
+
+await mongoose.connect(MONGO_URI);
+
+const { checked, synced, unlinked } = await identities.syncAllLinked();
+
+let linked = 0;
+const unlinkedUsers = User.find({ verified: true, subscriberAccount: null })
+  .select("name email zipCode verified subscriberAccount")
+  .cursor();
+for await (const user of unlinkedUsers) {
+  if (await identities.linkByEmail(user)) linked += 1;
+}
+
+console.log(
+  `Done. Checked ${checked} links: ${synced} subscribers updated, ${unlinked} broken links removed. ` +
+    `Linked ${linked} more users by email.`
+);
+await mongoose.disconnect();
+process.exit(0);
@@ -1,14 +1,15 @@
 // seed.js  (run: node seed.js)
 // Requires: models already set up with passport-local-mongoose on User
 
+import "dotenv/config";
 import mongoose from "mongoose";
-import dotenv from "dotenv";
 
 import User from "./models/user.js";
 import Course from "./models/course.js";
 import Subscriber from "./models/subscribers.js";
-
-dotenv.config();
+import Enrollment from "./models/enrollment.js";
+import { enroll } from "./services/enrollments.js";
+import { getStorage } from "./services/storage.js";
 
 const MONGO_URL = process.env.MONGO_URL || "mongodb://127.0.0.1:27017/recipe_db";
 const CLEAN = (process.env.CLEAN || "false").toLowerCase() === "true";
@@ -21,7 +22,7 @@ try {
   log("Connected.");
 
   // Ensure indexes (unique constraints, etc.)
-  await Promise.all([User.init(), Course.init(), Subscriber.init()]);
+  await Promise.all([User.init(), Course.init(), Subscriber.init(), Enrollment.init()]);
 
   if (CLEAN) {
     log("CLEAN=true → wiping collections…");
@@ -29,6 +30,9 @@ try {
       User.deleteMany({}),
       Course.deleteMany({}),
       Subscriber.deleteMany({}),
+      Enrollment.deleteMany({}),
+      // Cover images / PDFs of the wiped courses
+      getStorage().removePrefix("courses"),
     ]);
   }
 
@@ -38,8 +42,29 @@ try {
     {
       title: "Node.js Fundamentals",
       description: "Learn routes, controllers, MongoDB",
-      items: ["routes", "controllers", "mongoose"],
-      zipCode: 12345,
+      recipes: [
+        {
+          title: "Tomato pasta",
+          servings: 4,
+          prepMinutes: 10,
+          cookMinutes: 20,
+          dietaryTags: ["vegetarian"],
+          ingredients: [
+            { name: "spaghetti", quantity: 400, unit: "g" },
+            { name: "chopped tomatoes", quantity: 1, unit: "can" },
+            { name: "garlic", quantity: 2, unit: "clove" },
+            { name: "olive oil", quantity: 2, unit: "tbsp" },
+            { name: "salt to taste", quantity: null, unit: "" },
+          ],
+          steps: [
+            "Boil the spaghetti in salted water.",
+            "Fry the garlic in the olive oil, add the tomatoes and simmer for 10 minutes.",
+            "Toss the pasta with the sauce.",
+          ],
+        },
+      ],
+      zipCode: "8001",
+      capacity: 12,
     },
     { upsert: true, new: true, setDefaultsOnInsert: true }
   );
@@ -48,7 +73,14 @@ try {
   // ---------- Upsert a Subscriber ----------
   const sub1 = await Subscriber.findOneAndUpdate(
     { email: "jon@jonwexler.com" },
-    { name: "Jon", email: "jon@jonwexler.com", zipCode: 12345 },
+    {
+      name: "Jon",
+      email: "jon@jonwexler.com",
+      zipCode: "8001",
+      status: "confirmed",
+      source: "seed",
+      confirmedAt: new Date(),
+    },
     { upsert: true, new: true, setDefaultsOnInsert: true }
   );
 
@@ -68,22 +100,25 @@ try {
       doc: {
         name: { first: "Jon", last: "Wexler" },
         email: "jon@jonwexler.com",
-        zipCode: 12345,
-        courses: [course1._id],
+        zipCode: "8001",
+        role: "admin", // demo admin (use scripts/promoteAdmin.js on real data)
+        verified: true,
       },
       password: "secret123", // demo
+      joinCourse: true,
     },
     {
       doc: {
         name: { first: "Ada", last: "Lovelace" },
         email: "ada@example.com",
-        zipCode: 54321,
+        zipCode: "0002",
+        verified: true,
       },
       password: "secret123",
     },
   ];
 
-  for (const { doc, password } of usersToRegister) {
+  for (const { doc, password, joinCourse } of usersToRegister) {
     // If a user already exists (from prior runs), skip registering to avoid UserExistsError
     const existing = await User.findOne({ email: doc.email });
     if (existing) {
@@ -94,6 +129,12 @@ try {
     const created = await User.register(new User(doc), password);
     log("Registered:", created.email);
 
+    // Join through the enrollment service so the seat count stays right
+    if (joinCourse) {
+      await enroll(created._id, course1._id);
+      log("Enrolled in course:", created.email);
+    }
+
     // Auto-link subscriber if emails match
     const sub = await Subscriber.findOne({ email: created.email }).lean();
     if (sub) {
@@ -106,6 +147,29 @@ try {
     }
   }
 
+  // ---------- Schedule sessions (only if none yet) ----------
+  const instructor = await User.findOne({ email: "jon@jonwexler.com" }).select("_id").lean();
+  const weeksFromNow = (weeks, hourUtc) => {
+    const d = new Date();
+    d.setUTCDate(d.getUTCDate() + 7 * weeks);
+    d.setUTCHours(hourUtc, 0, 0, 0);
+    return d;
+  };
+  const scheduled = await Course.updateOne(
+    { _id: course1._id, "sessions.0": { $exists: false } },
+    {
+      $push: {
+        sessions: [1, 2, 3].map((week) => ({
+          startsAt: weeksFromNow(week, 16),
+          endsAt: weeksFromNow(week, 18),
+          location: { name: "Main Kitchen", address: "12 Long Street, Cape Town" },
+          instructor: instructor?._id,
+        })),
+      },
+    }
+  );
+  if (scheduled.modifiedCount) log("Scheduled 3 sessions for:", course1.title);
+
   // ---------- Show results ----------
   const users = await User.find().lean();
   log("Users in DB:", users.map(u => ({
@@ -0,0 +1,970 @@
+/**
+ * @file services/apiSpec.js
+ * @description What the routers can't say about themselves: summaries, tags
+ * and response schemas for every /api operation.
+ *
+ * Paths, parameters, request fields and auth are read from the routers
+ * (utils/openapi.js). Keys here are "METHOD /full/express/path"; run
+ * `node scripts/checkApiSpec.js` to list routes missing from this file.
+ */
+
+import { USER_ROLES } from "../models/user.js";
+import { SUBSCRIBER_STATUSES } from "../models/subscribers.js";
+import { IMPORT_KINDS, MAX_IMPORT_BYTES, MAX_IMPORT_ROWS } from "./csvImport.js";
+import { ENROLLMENT_STATUSES } from "../models/enrollment.js";
+import { DIETARY_TAGS, MAX_RECIPES, MAX_SERVINGS, UNITS } from "../models/recipe.js";
+import { DEFAULT_RADIUS_KM } from "../utils/geo.js";
+
+export const API_INFO = {
+  title: "My Recipe Web API",
+  version: "1.0.0",
+  description:
+    "JSON API for courses, enrollments, users and subscribers. " +
+    "Authenticate with `Authorization: Bearer <jwt>` from POST /api/authenticate, " +
+    "or `Authorization: ApiKey <key>` created on your profile page.",
+};
+
+/* -------------------------------- helpers --------------------------------- */
+
+const dateTime = { type: "string", format: "date-time" };
+const nullableInt = { type: ["integer", "null"] };
+// Stored normalized ("0002"); the accepted formats are in the request schemas
+const nullablePostalCode = { type: ["string", "null"], description: "Postal code, e.g. \"0002\"" };
+const objectId = { type: "string", pattern: "^[a-fA-F0-9]{24}$" };
+
+// RFC 8288 pagination links on list responses
+const linkHeader = {
+  Link: {
+    description: 'Pages of the same list, e.g. <https://…/api/v1/users?after=…>; rel="next"',
+    schema: { type: "string" },
+  },
+};
+
+// Refused login attempts (services/loginAttempts.js)
+const retryAfterHeader = {
+  "Retry-After": { description: "Seconds until the next attempt is allowed", schema: { type: "integer" } },
+};
+
+// v1 success envelope
+const data = (schema, { paged = false } = {}) => ({
+  type: "object",
+  required: ["success", "data", ...(paged ? ["meta"] : [])],
+  properties: {
+    success: { const: true },
+    data: schema,
+    ...(paged && { meta: { $ref: "#/components/schemas/PageMeta" } }),
+  },
+});
+
+const list = (name) => data({ type: "array", items: { $ref: `#/components/schemas/${name}` } }, { paged: true });
+const one = (name) => data({ $ref: `#/components/schemas/${name}` });
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } } },
+});
+
+const created = (name) => ({
+  description: "Created",
+  schema: one(name),
+  headers: { Location: { schema: { type: "string" }, description: "URL of the new resource" } },
+});
+
+const noContent = { description: "No Content" };
+
+/* ------------------------------- components ------------------------------- */
+
+export const API_COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+    apiKeyAuth: {
+      type: "apiKey",
+      in: "header",
+      name: "Authorization",
+      description: "`ApiKey <key>`. Scopes listed on an operation are required on the key.",
+    },
+  },
+
+  schemas: {
+    Error: {
+      type: "object",
+      required: ["code", "message"],
+      properties: {
+        code: { type: "string" },
+        message: { type: "string" },
+        details: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["message"],
+            properties: {
+              field: { type: "string" },
+              location: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+
+    ErrorResponse: {
+      type: "object",
+      required: ["success", "error"],
+      properties: {
+        success: { const: false },
+        error: { $ref: "#/components/schemas/Error" },
+      },
+    },
+
+    // Unversioned /api routes: plain string errors; 500s from errorJSON
+    LegacyErrorResponse: {
+      oneOf: [
+        {
+          type: "object",
+          required: ["success", "error"],
+          properties: {
+            success: { const: false },
+            error: { oneOf: [{ type: "string" }, { $ref: "#/components/schemas/Error" }] },
+          },
+        },
+        {
+          type: "object",
+          required: ["status", "message"],
+          properties: { status: { type: "integer" }, message: { type: "string" } },
+        },
+      ],
+    },
+
+    PageMeta: {
+      type: "object",
+      required: ["page", "limit", "total", "pages", "nextCursor", "prevCursor", "hasNext", "hasPrev"],
+      description:
+        "Pass nextCursor as ?after= (or prevCursor as ?before=) for the next (previous) page. " +
+        "The same links are in the Link header (rel first, prev, next, last).",
+      properties: {
+        page: { type: ["integer", "null"], minimum: 1, description: "null when paging by cursor" },
+        limit: { type: "integer", minimum: 1 },
+        total: { type: ["integer", "null"], minimum: 0, description: "null when paging by cursor (not counted)" },
+        pages: { type: ["integer", "null"], minimum: 1, description: "null when paging by cursor" },
+        nextCursor: { type: ["string", "null"] },
+        prevCursor: { type: ["string", "null"], description: "null also for lists without cursors (search sorts)" },
+        hasNext: { type: "boolean" },
+        hasPrev: { type: "boolean" },
+      },
+    },
+
+    /* ---- search ---- */
+
+    FacetValue: {
+      type: "object",
+      required: ["value", "label", "count", "selected"],
+      additionalProperties: false,
+      properties: {
+        value: { type: "string", description: "Pass back as the query parameter" },
+        label: { type: "string" },
+        count: { type: "integer", minimum: 0, description: "Courses matching the other filters and this value" },
+        selected: { type: "boolean" },
+      },
+    },
+
+    SearchFacets: {
+      type: "object",
+      required: ["tags", "area", "when", "availability"],
+      additionalProperties: false,
+      properties: {
+        tags: { type: "array", items: { $ref: "#/components/schemas/FacetValue" } },
+        area: { type: "array", items: { $ref: "#/components/schemas/FacetValue" } },
+        when: { type: "array", items: { $ref: "#/components/schemas/FacetValue" } },
+        availability: { type: "array", items: { $ref: "#/components/schemas/FacetValue" } },
+      },
+    },
+
+    SearchHighlights: {
+      type: "object",
+      required: ["title", "description"],
+      description: "Escaped HTML; matched words are wrapped in <mark>",
+      properties: {
+        title: { type: "string" },
+        description: { type: "string", description: "Excerpt around the first match" },
+      },
+    },
+
+    /* ---- auth ---- */
+
+    ApiUser: {
+      type: "object",
+      required: ["id", "first", "last", "email"],
+      properties: {
+        id: objectId,
+        first: { type: "string" },
+        last: { type: "string" },
+        email: { type: "string", format: "email" },
+      },
+    },
+
+    TokenResponse: {
+      type: "object",
+      required: ["success", "token", "refreshToken", "expiresIn", "user"],
+      properties: {
+        success: { const: true },
+        token: { type: "string", description: "Access JWT" },
+        refreshToken: { type: "string", description: "Single-use; rotate via /api/token/refresh" },
+        expiresIn: { type: ["string", "integer"] },
+        user: { $ref: "#/components/schemas/ApiUser" },
+      },
+    },
+
+    TwoFactorChallenge: {
+      type: "object",
+      required: ["success", "twoFactorRequired", "challengeToken", "expiresIn"],
+      properties: {
+        success: { const: true },
+        twoFactorRequired: { const: true },
+        challengeToken: { type: "string", description: "Send to /api/authenticate/two-factor with the code" },
+        expiresIn: { type: "string" },
+      },
+    },
+
+    LoginResponse: {
+      oneOf: [
+        { $ref: "#/components/schemas/TokenResponse" },
+        { $ref: "#/components/schemas/TwoFactorChallenge" },
+      ],
+    },
+
+    ApiSession: {
+      type: "object",
+      required: ["id", "device", "current"],
+      properties: {
+        id: objectId,
+        device: { type: "string" },
+        ip: { type: ["string", "null"] },
+        createdAt: dateTime,
+        lastUsedAt: dateTime,
+        expiresAt: dateTime,
+        current: { type: "boolean" },
+      },
+    },
+
+    /* ---- legacy course list (modal) ---- */
+
+    LegacyCourse: {
+      type: "object",
+      required: ["_id", "title", "description"],
+      properties: {
+        _id: objectId,
+        title: { type: "string" },
+        description: { type: "string" },
+        recipes: { type: "array", items: { type: "object" } },
+        zipCode: { type: "string" },
+        capacity: nullableInt,
+        enrolledCount: { type: "integer", minimum: 0 },
+        seatsRemaining: { ...nullableInt, description: "null = unlimited" },
+        joined: { type: "boolean" },
+        enrollmentStatus: { enum: [...ENROLLMENT_STATUSES, null] },
+        highlights: { $ref: "#/components/schemas/SearchHighlights" },
+        distanceKm: { type: "number", minimum: 0, description: "Kilometres from ?near= (only with near)" },
+        location: {
+          type: "object",
+          description: "GeoJSON point from the postal code (approximate); absent if unknown",
+          properties: { type: { const: "Point" }, coordinates: { type: "array", items: { type: "number" } } },
+        },
+        sessions: { type: "array", items: { type: "object" } },
+        createdAt: dateTime,
+        updatedAt: dateTime,
+      },
+    },
+
+    LegacyCourseList: {
+      type: "object",
+      required: ["status", "data"],
+      properties: {
+        status: { const: 200 },
+        data: {
+          type: "object",
+          required: ["courses", "pagination"],
+          additionalProperties: false,
+          properties: {
+            courses: { type: "array", items: { $ref: "#/components/schemas/LegacyCourse" } },
+            search: { type: "string" },
+            facets: { $ref: "#/components/schemas/SearchFacets" },
+            pagination: { $ref: "#/components/schemas/PageMeta" },
+          },
+        },
+      },
+    },
+
+    /* ---- v1 resources ---- */
+
+    CourseSession: {
+      type: "object",
+      required: ["id", "startsAt", "endsAt", "location", "instructorId", "notes"],
+      additionalProperties: false,
+      properties: {
+        id: objectId,
+        startsAt: dateTime,
+        endsAt: dateTime,
+        location: {
+          type: "object",
+          properties: {
+            name: { type: ["string", "null"] },
+            address: { type: ["string", "null"] },
+          },
+        },
+        instructorId: { ...objectId, type: ["string", "null"] },
+        notes: { type: ["string", "null"] },
+      },
+    },
+
+    Ingredient: {
+      type: "object",
+      required: ["name", "quantity", "unit"],
+      additionalProperties: false,
+      properties: {
+        name: { type: "string", maxLength: 120 },
+        quantity: { type: ["number", "null"], minimum: 0, description: "null = to taste / unmeasured" },
+        unit: { enum: UNITS, description: '"" = no unit (e.g. 3 eggs)' },
+      },
+    },
+
+    Recipe: {
+      type: "object",
+      required: ["id", "title", "servings", "prepMinutes", "cookMinutes", "dietaryTags", "ingredients", "steps"],
+      additionalProperties: false,
+      properties: {
+        id: objectId,
+        title: { type: "string" },
+        servings: { type: "integer", minimum: 1, maximum: MAX_SERVINGS, description: "Quantities are for this many" },
+        baseServings: { type: "integer", description: "Servings as written (scaled recipes only)" },
+        prepMinutes: nullableInt,
+        cookMinutes: nullableInt,
+        dietaryTags: { type: "array", items: { enum: DIETARY_TAGS } },
+        ingredients: { type: "array", items: { $ref: "#/components/schemas/Ingredient" } },
+        steps: { type: "array", items: { type: "string" }, description: "In cooking order" },
+      },
+    },
+
+    CourseAttachment: {
+      type: "object",
+      required: ["id", "name", "contentType", "size", "url"],
+      additionalProperties: false,
+      properties: {
+        id: objectId,
+        name: { type: "string", description: "Original file name" },
+        contentType: { type: "string" },
+        size: { type: "integer", minimum: 0, description: "Bytes" },
+        url: { type: "string", description: "Download link (relative to the site)" },
+      },
+    },
+
+    Course: {
+      type: "object",
+      required: ["id", "title", "description", "recipes", "items", "zipCode", "coverImage", "attachments", "sessions"],
+      additionalProperties: false,
+      properties: {
+        id: objectId,
+        title: { type: "string" },
+        description: { type: "string" },
+        recipes: { type: "array", items: { $ref: "#/components/schemas/Recipe" } },
+        items: {
+          type: "array",
+          items: { type: "string" },
+          deprecated: true,
+          description: "Ingredient names of all recipes; use `recipes`",
+        },
+        zipCode: nullablePostalCode,
+        capacity: { ...nullableInt, description: "Seats; null = unlimited" },
+        seatsRemaining: { ...nullableInt, description: "null = unlimited" },
+        coverImage: {
+          type: ["object", "null"],
+          required: ["url", "thumbnailUrl"],
+          properties: { url: { type: "string" }, thumbnailUrl: { type: "string" } },
+          description: "WebP images (relative to the site); null without a cover",
+        },
+        attachments: { type: "array", items: { $ref: "#/components/schemas/CourseAttachment" } },
+        sessions: {
+          type: "array",
+          items: { $ref: "#/components/schemas/CourseSession" },
+          description: "Scheduled meetings, earliest first. Feed: /courses/{id}/calendar.ics",
+        },
+        score: { type: "number", description: "Search relevance (only with ?q=)" },
+        highlights: { $ref: "#/components/schemas/SearchHighlights" },
+        distanceKm: { type: "number", minimum: 0, description: "Kilometres from ?near= (only with near)" },
+        createdAt: dateTime,
+        updatedAt: dateTime,
+      },
+    },
+
+    Enrollment: {
+      type: "object",
+      required: ["id", "courseId", "status", "enrolledAt", "waitlistedAt", "waitlistPosition"],
+      properties: {
+        id: objectId,
+        courseId: objectId,
+        status: { enum: ENROLLMENT_STATUSES },
+        enrolledAt: { type: ["string", "null"], format: "date-time" },
+        waitlistedAt: { type: ["string", "null"], format: "date-time" },
+        waitlistPosition: { type: ["integer", "null"], minimum: 1 },
+      },
+    },
+
+    EnrollmentWithCourse: {
+      allOf: [
+        { $ref: "#/components/schemas/Enrollment" },
+        {
+          type: "object",
+          required: ["course"],
+          properties: { course: { $ref: "#/components/schemas/Course" } },
+        },
+      ],
+    },
+
+    User: {
+      type: "object",
+      required: ["id", "first", "last", "email", "role", "verified", "courses"],
+      additionalProperties: false,
+      properties: {
+        id: objectId,
+        first: { type: "string" },
+        last: { type: "string" },
+        email: { type: "string", format: "email" },
+        role: { enum: USER_ROLES },
+        verified: { type: "boolean" },
+        zipCode: nullablePostalCode,
+        subscriberAccount: { type: ["string", "null"] },
+        courses: { type: "array", items: objectId },
+        createdAt: dateTime,
+        updatedAt: dateTime,
+      },
+    },
+
+    Subscriber: {
+      type: "object",
+      required: ["id", "name", "email", "status", "courses"],
+      additionalProperties: false,
+      properties: {
+        id: objectId,
+        name: { type: "string" },
+        email: { type: "string", format: "email" },
+        zipCode: nullablePostalCode,
+        status: {
+          enum: SUBSCRIBER_STATUSES,
+          description: "pending until the emailed confirmation link is clicked (double opt-in)",
+        },
+        confirmedAt: { type: ["string", "null"], format: "date-time", description: "When consent was given" },
+        unsubscribedAt: { type: ["string", "null"], format: "date-time" },
+        courses: { type: "array", items: objectId },
+        createdAt: dateTime,
+        updatedAt: dateTime,
+      },
+    },
+
+    ImportReport: {
+      type: "object",
+      required: ["kind", "dryRun", "headers", "ignoredColumns", "counts", "imported", "rows"],
+      properties: {
+        kind: { enum: Object.keys(IMPORT_KINDS) },
+        dryRun: { type: "boolean", description: "true = checked only, nothing saved" },
+        error: { type: "null" },
+        headers: { type: "array", items: { type: "string" } },
+        missingColumns: { type: "array", items: { type: "string" } },
+        ignoredColumns: { type: "array", items: { type: "string" } },
+        counts: {
+          type: "object",
+          required: ["total", "create", "skip", "error"],
+          properties: {
+            total: { type: "integer" },
+            create: { type: "integer", description: "Valid rows (created unless dryRun)" },
+            skip: { type: "integer", description: "Already there (email on the list / account exists)" },
+            error: { type: "integer" },
+          },
+        },
+        imported: { type: "integer" },
+        rows: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["line", "action", "messages"],
+            properties: {
+              line: { type: "integer", description: "Line in the file (1 = header)" },
+              key: { type: "string", description: "Email or course title" },
+              action: { enum: ["create", "skip", "error"] },
+              messages: { type: "array", items: { type: "string" } },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  responses: {
+    UnsupportedMediaType: errorResponse("Wrong Content-Type for the body"),
+    Unauthorized: errorResponse("Missing, invalid or revoked credentials"),
+    Forbidden: errorResponse("Missing scope or role, or email not confirmed"),
+    NotFound: errorResponse("Not found"),
+    Conflict: errorResponse("Conflicts with existing data"),
+    ValidationFailed: errorResponse("Invalid input; details lists each field"),
+    Error: errorResponse("Error"),
+    LegacyError: {
+      description: "Error",
+      content: {
+        "application/json": { schema: { $ref: "#/components/schemas/LegacyErrorResponse" } },
+      },
+    },
+  },
+};
+
+/* ------------------------------- operations ------------------------------- */
+
+// Recipes in a request body: like Recipe, but only title is required and id is optional
+const recipeInput = {
+  type: "object",
+  required: ["title"],
+  properties: {
+    id: { ...objectId, description: "Keep an existing recipe (and its links)" },
+    title: { type: "string", maxLength: 120 },
+    servings: { type: "integer", minimum: 1, maximum: MAX_SERVINGS, default: 4 },
+    prepMinutes: { type: "integer", minimum: 0, maximum: 1440 },
+    cookMinutes: { type: "integer", minimum: 0, maximum: 1440 },
+    dietaryTags: { type: "array", items: { enum: DIETARY_TAGS } },
+    ingredients: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string", maxLength: 120 },
+          quantity: { type: ["number", "null"], minimum: 0 },
+          unit: { enum: UNITS },
+        },
+      },
+    },
+    steps: { type: "array", items: { type: "string", maxLength: 1000 } },
+  },
+};
+
+const recipesBody = {
+  recipes: {
+    type: "array",
+    items: recipeInput,
+    maxItems: MAX_RECIPES,
+    description: "Replaces all recipes of the course",
+  },
+  items: {
+    type: "array",
+    items: { type: "string" },
+    maxItems: 100,
+    deprecated: true,
+    description: "Ingredient names, stored as one recipe; ignored when `recipes` is sent",
+  },
+};
+
+export const API_OPERATIONS = {
+  /* ---- auth ---- */
+
+  "POST /api/authenticate": {
+    tags: ["Auth"],
+    summary: "Log in and get an access JWT + refresh token",
+    requestBody: {
+      required: true,
+      content: {
+        "application/json": {
+          schema: {
+            type: "object",
+            required: ["email", "password"],
+            properties: {
+              email: { type: "string", format: "email" },
+              password: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    description:
+      "Failed logins are limited per account and per IP address: after a few, each attempt " +
+      "must wait longer (the 401 then carries `Retry-After`), and too many lock the account " +
+      "for a while. Attempts made too early get 429. " +
+      "Accounts with two-factor authentication get a challenge token instead of tokens; " +
+      "finish with POST /api/authenticate/two-factor.",
+    responses: {
+      200: { description: "Logged in, or a two-factor challenge", schema: "LoginResponse" },
+      429: {
+        description: "Too many failed logins; try again after `Retry-After` seconds",
+        schema: "LegacyErrorResponse",
+        headers: retryAfterHeader,
+      },
+    },
+  },
+
+  "POST /api/authenticate/two-factor": {
+    tags: ["Auth"],
+    summary: "Second login step: code from the authenticator app",
+    description:
+      "A recovery code works instead of the app code, once. Wrong codes count as failed logins.",
+    requestBody: {
+      required: true,
+      content: {
+        "application/json": {
+          schema: {
+            type: "object",
+            required: ["challengeToken", "code"],
+            properties: {
+              challengeToken: { type: "string" },
+              code: { type: "string", examples: ["123456", "a1b2c-3d4e5"] },
+              device: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    responses: {
+      200: { description: "Logged in", schema: "TokenResponse" },
+      429: {
+        description: "Too many failed logins; try again after `Retry-After` seconds",
+        schema: "LegacyErrorResponse",
+        headers: retryAfterHeader,
+      },
+    },
+  },
+
+  "POST /api/token/refresh": {
+    tags: ["Auth"],
+    summary: "Rotate a refresh token",
+    description: "The old refresh token stops working. Replaying it revokes the whole login.",
+    requestBody: {
+      required: true,
+      content: {
+        "application/json": {
+          schema: {
+            type: "object",
+            required: ["refreshToken"],
+            properties: { refreshToken: { type: "string" } },
+          },
+        },
+      },
+    },
+    responses: {
+      200: { description: "New token pair", schema: "TokenResponse" },
+    },
+  },
+
+  "POST /api/logout": {
+    tags: ["Auth"],
+    summary: "Revoke this login (or every login with { all: true })",
+    requestBody: {
+      content: {
+        "application/json": {
+          schema: { type: "object", properties: { all: { type: "boolean" } } },
+        },
+      },
+    },
+    responses: {
+      200: {
+        description: "Logged out",
+        schema: {
+          type: "object",
+          required: ["success", "revoked"],
+          properties: { success: { const: true }, revoked: { type: "integer" } },
+        },
+      },
+    },
+  },
+
+  "GET /api/sessions": {
+    tags: ["Auth"],
+    summary: "List your active API logins",
+    responses: {
+      200: {
+        description: "Active logins",
+        schema: {
+          type: "object",
+          required: ["success", "sessions"],
+          properties: {
+            success: { const: true },
+            sessions: { type: "array", items: { $ref: "#/components/schemas/ApiSession" } },
+          },
+        },
+      },
+    },
+  },
+
+  "DELETE /api/sessions/:id": {
+    tags: ["Auth"],
+    summary: "Sign out one of your devices",
+    responses: {
+      200: {
+        description: "Revoked",
+        schema: { type: "object", required: ["success"], properties: { success: { const: true } } },
+      },
+    },
+  },
+
+  /* ---- legacy + meta ---- */
+
+  "GET /api/courses": {
+    tags: ["Courses"],
+    summary: "Course list for the courses modal",
+    description: "Prefer GET /api/v1/courses. `joined` is set for the current user.",
+    responses: {
+      200: { description: "Courses", schema: "LegacyCourseList", headers: linkHeader },
+    },
+  },
+
+  "GET /api/health": {
+    tags: ["Meta"],
+    summary: "API heartbeat",
+    responses: {
+      200: {
+        description: "OK",
+        schema: {
+          type: "object",
+          required: ["success", "status", "timestamp"],
+          properties: {
+            success: { const: true },
+            status: { const: "ok" },
+            timestamp: dateTime,
+          },
+        },
+      },
+    },
+  },
+
+  "GET /api/openapi.json": {
+    tags: ["Meta"],
+    summary: "This OpenAPI document",
+    responses: {
+      200: { description: "OpenAPI 3.1 document", schema: { type: "object", required: ["openapi", "paths"] } },
+    },
+  },
+
+  "GET /api/docs": {
+    tags: ["Meta"],
+    summary: "Browsable API documentation (HTML)",
+    responses: {
+      200: { description: "HTML page", content: { "text/html": { schema: { type: "string" } } } },
+    },
+  },
+
+  /* ---- v1: courses ---- */
+
+  "GET /api/v1/courses": {
+    tags: ["Courses"],
+    summary: "Search courses, with facet counts",
+    description:
+      "`q` searches titles, descriptions, recipe titles and ingredients (whole words, " +
+      "best matches first). Filters: `tags` (dietary, comma-separated, all must match), " +
+      "`area` (first character of the postal code), `when` (next session) and `availability`. " +
+      "`near` (a postal code) with `radius` (km, default " + DEFAULT_RADIUS_KM + ") keeps courses " +
+      "within that distance, adds `distanceKm` and sorts nearest first unless `q` or `sort` is given. " +
+      "Locations are approximate: the centre of the postal code. " +
+      "`meta.facets` lists the values of each filter with how many courses they would return.",
+    responses: {
+      200: {
+        description: "Page of courses",
+        headers: linkHeader,
+        schema: {
+          ...list("Course"),
+          properties: {
+            ...list("Course").properties,
+            meta: {
+              allOf: [
+                { $ref: "#/components/schemas/PageMeta" },
+                {
+                  type: "object",
+                  required: ["facets"],
+                  properties: { facets: { $ref: "#/components/schemas/SearchFacets" } },
+                },
+              ],
+            },
+          },
+        },
+      },
+    },
+  },
+
+  "GET /api/v1/courses/:id": {
+    tags: ["Courses"],
+    summary: "Get a course",
+    responses: { 200: { description: "Course", schema: one("Course") }, 404: "NotFound" },
+  },
+
+  "GET /api/v1/courses/:id/recipes/:recipeId": {
+    tags: ["Courses"],
+    summary: "Get a recipe, with quantities scaled to ?servings=",
+    responses: { 200: { description: "Recipe", schema: one("Recipe") }, 404: "NotFound" },
+  },
+
+  "POST /api/v1/courses": {
+    tags: ["Courses"],
+    summary: "Create a course",
+    body: recipesBody,
+    responses: { 201: created("Course"), 409: "Conflict" },
+  },
+
+  "PATCH /api/v1/courses/:id": {
+    tags: ["Courses"],
+    summary: "Update some fields of a course",
+    body: recipesBody,
+    responses: {
+      200: { description: "Updated course", schema: one("Course") },
+      404: "NotFound",
+      409: "Conflict",
+    },
+  },
+
+  "DELETE /api/v1/courses/:id": {
+    tags: ["Courses"],
+    summary: "Delete a course",
+    responses: { 204: noContent, 404: "NotFound" },
+  },
+
+  /* ---- v1: enrollment ---- */
+
+  "POST /api/v1/courses/:id/enrollment": {
+    tags: ["Enrollment"],
+    summary: "Join a course",
+    description: "When the course is full you are put on its waitlist (status `waitlisted`).",
+    responses: {
+      200: { description: "Already enrolled or waitlisted", schema: one("Enrollment") },
+      201: { description: "Enrolled or waitlisted", schema: one("Enrollment") },
+      404: "NotFound",
+    },
+  },
+
+  "DELETE /api/v1/courses/:id/enrollment": {
+    tags: ["Enrollment"],
+    summary: "Leave a course or its waitlist",
+    description: "A freed seat goes to the first person on the waitlist.",
+    responses: { 204: noContent, 404: "NotFound" },
+  },
+
+  /* ---- v1: users (self) ---- */
+
+  "GET /api/v1/users/me": {
+    tags: ["Users"],
+    summary: "Your profile",
+    responses: { 200: { description: "Profile", schema: one("User") } },
+  },
+
+  "PATCH /api/v1/users/me": {
+    tags: ["Users"],
+    summary: "Update your name or postal code",
+    responses: { 200: { description: "Updated profile", schema: one("User") } },
+  },
+
+  "GET /api/v1/users/me/enrollments": {
+    tags: ["Enrollment"],
+    summary: "Courses you joined or are waitlisted for",
+    responses: {
+      200: {
+        description: "Enrollments",
+        schema: data({ type: "array", items: { $ref: "#/components/schemas/EnrollmentWithCourse" } }),
+      },
+    },
+  },
+
+  /* ---- v1: users (admin) ---- */
+
+  "GET /api/v1/users": {
+    tags: ["Users"],
+    summary: "List users",
+    responses: { 200: { description: "Page of users", schema: list("User"), headers: linkHeader } },
+  },
+
+  "GET /api/v1/users/:id": {
+    tags: ["Users"],
+    summary: "Get a user",
+    responses: { 200: { description: "User", schema: one("User") }, 404: "NotFound" },
+  },
+
+  "PATCH /api/v1/users/:id": {
+    tags: ["Users"],
+    summary: "Update a user's name, postal code or role",
+    responses: {
+      200: { description: "Updated user", schema: one("User") },
+      404: "NotFound",
+      409: "Conflict",
+    },
+  },
+
+  "DELETE /api/v1/users/:id": {
+    tags: ["Users"],
+    summary: "Delete a user",
+    responses: { 204: noContent, 404: "NotFound", 409: "Conflict" },
+  },
+
+  /* ---- v1: subscribers (admin) ---- */
+
+  "GET /api/v1/subscribers": {
+    tags: ["Subscribers"],
+    summary: "List subscribers",
+    responses: { 200: { description: "Page of subscribers", schema: list("Subscriber"), headers: linkHeader } },
+  },
+
+  "GET /api/v1/subscribers/:id": {
+    tags: ["Subscribers"],
+    summary: "Get a subscriber",
+    responses: { 200: { description: "Subscriber", schema: one("Subscriber") }, 404: "NotFound" },
+  },
+
+  "POST /api/v1/subscribers": {
+    tags: ["Subscribers"],
+    summary: "Add a subscriber",
+    description: "Creates a pending subscriber and emails them a confirmation link.",
+    responses: { 201: created("Subscriber"), 409: "Conflict" },
+  },
+
+  "PATCH /api/v1/subscribers/:id": {
+    tags: ["Subscribers"],
+    summary: "Update a subscriber",
+    description:
+      "A subscriber linked to a user account takes its name and postal code from the user " +
+      "(copied whenever the user changes), so changing them here is a 409.",
+    responses: {
+      200: { description: "Updated subscriber", schema: one("Subscriber") },
+      404: "NotFound",
+      409: "Conflict",
+    },
+  },
+
+  "DELETE /api/v1/subscribers/:id": {
+    tags: ["Subscribers"],
+    summary: "Delete a subscriber",
+    responses: { 204: noContent, 404: "NotFound" },
+  },
+
+  /* ---- v1: CSV import / export (admin) ---- */
+
+  "POST /api/v1/imports/:kind": {
+    tags: ["Import / export"],
+    summary: "Check or import a CSV file",
+    description:
+      "The body is the CSV file (header row first). A dry run (the default) reports what each row " +
+      "would do and saves nothing; `dryRun=false` creates the valid rows. Columns: " +
+      Object.entries(IMPORT_KINDS)
+        .map(([kind, def]) => `${kind}: ${[...def.columns.required, ...def.columns.optional.map((c) => `[${c}]`)].join(", ")}`)
+        .join("; ") +
+      `. At most ${MAX_IMPORT_ROWS} rows / ${MAX_IMPORT_BYTES / (1024 * 1024)} MB. ` +
+      "New subscribers are emailed a confirmation link, new users an invitation to set a password.",
+    requestBody: {
+      required: true,
+      content: { "text/csv": { schema: { type: "string" } } },
+    },
+    responses: {
+      200: { description: "Row-by-row report", schema: one("ImportReport") },
+      415: "UnsupportedMediaType",
+      422: "ValidationFailed",
+    },
+  },
+
+  "GET /api/v1/exports/:kind": {
+    tags: ["Import / export"],
+    summary: "Download a list as CSV",
+    description: "Streamed; the columns can be imported again (extra ones are ignored).",
+    responses: {
+      200: { description: "CSV file", content: { "text/csv": { schema: { type: "string" } } } },
+    },
+  },
+};
+
+export default { API_INFO, API_COMPONENTS, API_OPERATIONS };
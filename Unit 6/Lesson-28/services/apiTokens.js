@@ -0,0 +1,189 @@
+/**
+ * @file services/apiTokens.js
+ * @description Short-lived access JWTs + rotating refresh tokens for /api.
+ *
+ * Env:
+ * - JWT_SECRET (required in production; a development default otherwise)
+ * - JWT_ACCESS_EXPIRES_IN (default "15m")
+ * - JWT_REFRESH_TTL_DAYS  (default 30)
+ *
+ * Accounts with two-factor login first get a short-lived challenge token
+ * (issueTwoFactorChallenge); tokens are only issued once a code checks out.
+ */
+
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/refreshToken.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+// How many rotated-away hashes to remember per login
+const MAX_PREVIOUS_HASHES = 20;
+// Time to send the second-factor code after the password
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = "5m";
+const TWO_FACTOR_CHALLENGE_TYPE = "2fa-challenge";
+
+/* --------------------------------- settings -------------------------------- */
+
+// One secret for signing and verifying. The public default only outside production,
+// where a forgeable token would be a hole rather than a convenience.
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === "production") {
+  throw new Error("JWT_SECRET is required in production");
+}
+const JWT_SECRET = process.env.JWT_SECRET || "dev_secret_change_me";
+
+const ACCESS_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TTL_DAYS = Number(process.env.JWT_REFRESH_TTL_DAYS || 30);
+
+/* --------------------------------- helpers --------------------------------- */
+
+const signAccessToken = (user, login) =>
+  jwt.sign({ sub: String(user._id), email: user.email, sid: String(login._id) }, JWT_SECRET, {
+    expiresIn: ACCESS_EXPIRES_IN,
+  });
+
+const tokenResponse = (user, login, rawRefreshToken) => ({
+  accessToken: signAccessToken(user, login),
+  refreshToken: rawRefreshToken,
+  expiresIn: ACCESS_EXPIRES_IN,
+  sessionId: String(login._id),
+});
+
+// Payload of a validly signed, unexpired token (throws otherwise); verifyJWT checks the sid too
+export const verifyAccessToken = (token) => jwt.verify(String(token || ""), JWT_SECRET);
+
+/* --------------------------------- actions --------------------------------- */
+
+/**
+ * Start a new API login for a user/device.
+ * @returns {Promise<{ accessToken, refreshToken, expiresIn, sessionId }>}
+ */
+export const issueTokens = async (user, { device, ip } = {}) => {
+  const rawRefreshToken = generateToken(48);
+
+  const login = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(rawRefreshToken),
+    device,
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return tokenResponse(user, login, rawRefreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ * The presented refresh token stops working immediately.
+ * @param {string} rawRefreshToken
+ * @param {(userId) => Promise<object|null>} loadUser - returns the user (or null to refuse)
+ * @returns {Promise<object|null>} null when the token is invalid, expired, revoked or replayed
+ */
+export const rotateRefreshToken = async (rawRefreshToken, loadUser, { ip } = {}) => {
+  const presentedHash = hashToken(rawRefreshToken);
+  const nextRawToken = generateToken(48);
+
+  // Atomic swap: two concurrent refreshes with the same token cannot both win
+  const login = await RefreshToken.findOneAndUpdate(
+    {
+      tokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: { tokenHash: hashToken(nextRawToken), lastUsedAt: new Date(), ip },
+      $push: { previousHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_HASHES } },
+    },
+    { new: true }
+  );
+
+  if (!login) {
+    // An already-rotated token is being replayed → assume theft, kill that login
+    const replayed = await RefreshToken.findOneAndUpdate(
+      { previousHashes: presentedHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "reuse" } }
+    );
+    if (replayed) {
+      console.warn(`Refresh token reuse detected; revoked login ${replayed._id}`);
+    }
+    return null;
+  }
+
+  const user = await loadUser(login.user);
+  if (!user) {
+    await revokeLogin(login._id, { reason: "account-deleted" });
+    return null;
+  }
+
+  return { ...tokenResponse(user, login, nextRawToken), user };
+};
+
+/**
+ * Password checked, code still needed: a token that only /api/authenticate/two-factor accepts.
+ * It carries no `sid`, so verifyJWT refuses it as an access token.
+ */
+export const issueTwoFactorChallenge = (user) =>
+  jwt.sign({ sub: String(user._id), email: user.email, typ: TWO_FACTOR_CHALLENGE_TYPE }, JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+  });
+
+// { userId, email } from a valid, unexpired challenge token, or null
+export const readTwoFactorChallenge = (token) => {
+  try {
+    const payload = jwt.verify(String(token || ""), JWT_SECRET);
+    return payload?.typ === TWO_FACTOR_CHALLENGE_TYPE ? { userId: payload.sub, email: payload.email } : null;
+  } catch (_err) {
+    return null;
+  }
+};
+
+// Active (not revoked, not expired) login for an access token's sid/sub
+export const findActiveLogin = (sessionId, userId) =>
+  RefreshToken.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("_id")
+    .lean();
+
+/**
+ * Revoke one login. Pass `userId` to make sure it belongs to that user.
+ * @returns {Promise<boolean>} true if something was revoked
+ */
+export const revokeLogin = async (sessionId, { userId, reason = "logout" } = {}) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  const result = await RefreshToken.updateOne(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount > 0;
+};
+
+// Revoke every API login of a user (logout everywhere / admin kill switch)
+export const revokeAllLogins = async (userId, { reason = "logout" } = {}) => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Active logins of a user, newest first (for GET /api/sessions)
+export const listActiveLogins = (userId) =>
+  RefreshToken.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("device ip lastUsedAt createdAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+export default {
+  verifyAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  issueTwoFactorChallenge,
+  readTwoFactorChallenge,
+  findActiveLogin,
+  revokeLogin,
+  revokeAllLogins,
+  listActiveLogins,
+};
@@ -0,0 +1,262 @@
+/**
+ * @file services/audit.js
+ * @description Writing and reading the audit log (models/auditEvent.js).
+ *
+ * Controllers call recordAudit(req, action, { target, before, after, details }):
+ * - the actor, IP and user agent come from the request (req.user for the site,
+ *   req.apiUser for /api; pass `actor` while nobody is logged in yet, e.g. at login)
+ * - before / after are auditSnapshot()s; only the fields that differ are stored
+ * - a failed write is logged and swallowed: the action itself already happened
+ *
+ * Admins read the log at /admin/audit (filters: readAuditFilter) and download
+ * the filtered events as CSV (exportAuditCsv).
+ */
+
+import mongoose from "mongoose";
+import AuditEvent, { AUDIT_ACTIONS, AUDIT_OUTCOMES } from "../models/auditEvent.js";
+import { streamCsv } from "../utils/csv.js";
+import { escapeRegExp } from "../utils/search.js";
+
+// Long values (course descriptions, user agents) are cut to this many characters
+const MAX_VALUE_LENGTH = 500;
+
+// "auth", "user", ... in the order of AUDIT_ACTIONS
+export const AUDIT_AREAS = [...new Set(Object.keys(AUDIT_ACTIONS).map((a) => a.split(".")[0]))];
+
+/* -------------------------------- snapshots ------------------------------- */
+
+// The fields worth comparing per kind of record (never hashes, salts or tokens)
+const SNAPSHOTS = {
+  user: (u) => ({
+    first: u.name?.first,
+    last: u.name?.last,
+    email: u.email,
+    zipCode: u.zipCode,
+    role: u.role,
+    verified: u.verified,
+  }),
+  course: (c) => ({
+    title: c.title,
+    description: c.description,
+    zipCode: c.zipCode,
+    capacity: c.capacity,
+    recipes: (c.recipes || []).map((r) => r.title),
+    // Storage key: a new upload shows up as a change
+    coverImage: c.coverImage?.key,
+    attachments: (c.attachments || []).map((a) => a.name),
+  }),
+  subscriber: (s) => ({
+    name: s.name,
+    email: s.email,
+    zipCode: s.zipCode,
+    status: s.status,
+  }),
+};
+
+const LABELS = {
+  user: (u) => u.email,
+  course: (c) => c.title,
+  subscriber: (s) => s.email,
+};
+
+// Stored as plain JSON: dates as ISO strings, ids as strings, long text cut
+const plain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Array.isArray(value)) return value.map(plain);
+  if (typeof value === "string" && value.length > MAX_VALUE_LENGTH) return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+  return value;
+};
+
+/**
+ * The audited fields of a record, to diff later (null for no record).
+ * @param {"user"|"course"|"subscriber"} kind
+ * @param {object|null} doc document or lean object
+ */
+export const auditSnapshot = (kind, doc) =>
+  doc ? Object.fromEntries(Object.entries(SNAPSHOTS[kind](doc)).map(([field, value]) => [field, plain(value)])) : null;
+
+/**
+ * What an event is about: { kind, id, label }.
+ * For a record: auditTarget("course", course); for an email without a record:
+ * auditTarget("user", null, { label: email }).
+ */
+export const auditTarget = (kind, doc, { label } = {}) => ({
+  kind,
+  id: doc?._id ? String(doc._id) : undefined,
+  label: label ?? (doc && LABELS[kind] ? LABELS[kind](doc) : undefined),
+});
+
+/**
+ * Fields that differ between two snapshots (either may be null: created / deleted).
+ * @returns {{ field: string, before: *, after: * }[]}
+ */
+export const auditChanges = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .map((field) => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }))
+    .filter((c) => JSON.stringify(c.before) !== JSON.stringify(c.after));
+};
+
+/* --------------------------------- writing -------------------------------- */
+
+const isApiRequest = (req) => String(req.originalUrl || "").startsWith("/api");
+
+// { user, email, via } for the one acting: `user` if given, else whoever the request is logged in as
+const actorOf = (req, user) => {
+  const who = user || req.user || req.apiUser;
+  if (!who) return { via: "anonymous" };
+  let via = "web";
+  if (req.apiUser?.apiKeyId) via = "api-key";
+  else if (isApiRequest(req)) via = "api";
+  return { user: who._id, email: who.email, via };
+};
+
+const retentionEnd = () => {
+  const days = Number.parseInt(process.env.AUDIT_RETENTION_DAYS, 10);
+  return days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined;
+};
+
+/**
+ * Add one event to the audit log.
+ * @param {import("express").Request} req
+ * @param {keyof AUDIT_ACTIONS} action
+ * @param {{
+ *   target?: ReturnType<typeof auditTarget>,
+ *   before?: object|null, after?: object|null,
+ *   details?: object,
+ *   outcome?: "success"|"failure",
+ *   actor?: { _id, email } }} [event]
+ */
+export const recordAudit = async (req, action, { target, before, after, details, outcome = "success", actor } = {}) => {
+  try {
+    const changes = before || after ? auditChanges(before, after) : undefined;
+    await AuditEvent.create({
+      action,
+      outcome,
+      actor: actorOf(req, actor),
+      target,
+      ip: req.ip,
+      userAgent: plain(req.get?.("user-agent")) || undefined,
+      changes: changes?.length ? changes : undefined,
+      details,
+      expiresAt: retentionEnd(),
+    });
+  } catch (e) {
+    console.error(`Failed to write audit event ${action}:`, e);
+  }
+};
+
+/* --------------------------------- reading -------------------------------- */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2025-03-01" → Date (UTC midnight), null otherwise
+const readDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const day = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(day.getTime()) ? null : day;
+};
+
+/**
+ * ?action=&actor=&target=&outcome=&ip=&from=&to= → Mongo filter (+ the cleaned values for the form).
+ * - action: one action ("user.deleted") or a whole area ("auth")
+ * - actor: user id or email; target: record id, or its email / title (any case)
+ * - from / to: YYYY-MM-DD (UTC), both days included
+ */
+export const readAuditFilter = (query = {}) => {
+  const text = (name) => String(query[name] ?? "").trim().slice(0, 200);
+  const values = {
+    action: text("action"),
+    actor: text("actor"),
+    target: text("target"),
+    outcome: text("outcome"),
+    ip: text("ip"),
+    from: text("from"),
+    to: text("to"),
+  };
+
+  const and = [];
+  if (AUDIT_ACTIONS[values.action]) and.push({ action: values.action });
+  else if (AUDIT_AREAS.includes(values.action)) {
+    and.push({ action: { $in: Object.keys(AUDIT_ACTIONS).filter((a) => a.startsWith(`${values.action}.`)) } });
+  } else values.action = "";
+
+  if (values.actor) {
+    and.push(
+      mongoose.isObjectIdOrHexString(values.actor)
+        ? { "actor.user": values.actor }
+        : { "actor.email": values.actor.toLowerCase() }
+    );
+  }
+  if (values.target) {
+    and.push(
+      mongoose.isObjectIdOrHexString(values.target)
+        ? { "target.id": values.target }
+        : { "target.label": new RegExp(`^${escapeRegExp(values.target)}$`, "i") }
+    );
+  }
+
+  if (AUDIT_OUTCOMES.includes(values.outcome)) and.push({ outcome: values.outcome });
+  else values.outcome = "";
+  if (values.ip) and.push({ ip: values.ip });
+
+  const from = readDay(values.from);
+  const to = readDay(values.to);
+  if (!from) values.from = "";
+  if (!to) values.to = "";
+  if (from || to) {
+    and.push({
+      createdAt: {
+        ...(from && { $gte: from }),
+        ...(to && { $lt: new Date(to.getTime() + DAY_MS) }),
+      },
+    });
+  }
+
+  return { filter: and.length ? { $and: and } : {}, values };
+};
+
+/* --------------------------------- export --------------------------------- */
+
+const describeChanges = (changes = []) =>
+  changes.map((c) => `${c.field}: ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`).join("; ");
+
+export const AUDIT_CSV_COLUMNS = [
+  { header: "time", value: (e) => e.createdAt },
+  { header: "action", value: (e) => e.action },
+  { header: "outcome", value: (e) => e.outcome },
+  { header: "actorId", value: (e) => e.actor?.user },
+  { header: "actorEmail", value: (e) => e.actor?.email },
+  { header: "via", value: (e) => e.actor?.via },
+  { header: "targetKind", value: (e) => e.target?.kind },
+  { header: "targetId", value: (e) => e.target?.id },
+  { header: "target", value: (e) => e.target?.label },
+  { header: "ip", value: (e) => e.ip },
+  { header: "userAgent", value: (e) => e.userAgent },
+  { header: "changes", value: (e) => describeChanges(e.changes) },
+  { header: "details", value: (e) => (e.details ? JSON.stringify(e.details) : "") },
+];
+
+/**
+ * Stream the matching events (newest first) as "audit-YYYY-MM-DD.csv".
+ * @param {import("express").Response} res
+ * @param {object} filter from readAuditFilter()
+ */
+export const exportAuditCsv = (res, filter) => {
+  const filename = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+  const cursor = AuditEvent.find(filter).sort({ createdAt: -1, _id: -1 }).lean().cursor();
+  return streamCsv(res, filename, AUDIT_CSV_COLUMNS, cursor);
+};
+
+export default {
+  AUDIT_AREAS,
+  AUDIT_CSV_COLUMNS,
+  auditSnapshot,
+  auditTarget,
+  auditChanges,
+  recordAudit,
+  readAuditFilter,
+  exportAuditCsv,
+};
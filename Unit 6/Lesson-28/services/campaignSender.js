@@ -0,0 +1,133 @@
+/**
+ * @file services/campaignSender.js
+ * @description Background sender for campaign deliveries (models/delivery.js).
+ *
+ * - Every CAMPAIGN_POLL_SECONDS it sends up to CAMPAIGN_BATCH_SIZE queued deliveries,
+ *   at most CAMPAIGN_RATE_PER_MINUTE, so the SMTP server is never flooded.
+ * - A delivery is claimed with one atomic update, so several app instances can run it.
+ * - Failures are retried with a growing delay (1, 2, 4, 8 ... minutes) up to
+ *   CAMPAIGN_MAX_ATTEMPTS; a subscriber who left the list in the meantime is skipped.
+ * - Links in the emails use APP_URL; without it the sender doesn't start, since every
+ *   email must carry a working unsubscribe link.
+ *
+ * Started from main.js once MongoDB is connected; CAMPAIGN_SENDER=off disables it.
+ */
+
+import Campaign from "../models/campaign.js";
+import Delivery from "../models/delivery.js";
+import Subscriber from "../models/subscribers.js";
+import { refreshStats, sendCampaignTo } from "./campaigns.js";
+import { HAS_APP_URL } from "../utils/appUrl.js";
+
+const MINUTE = 60 * 1000;
+
+const POLL_MS = Number(process.env.CAMPAIGN_POLL_SECONDS || 15) * 1000;
+const BATCH_SIZE = Number(process.env.CAMPAIGN_BATCH_SIZE || 50);
+const RATE_PER_MINUTE = Number(process.env.CAMPAIGN_RATE_PER_MINUTE || 60);
+const MAX_ATTEMPTS = Number(process.env.CAMPAIGN_MAX_ATTEMPTS || 5);
+// A "sending" row older than this belongs to a crashed sender
+const LOCK_MS = 10 * MINUTE;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* --------------------------------- queue ---------------------------------- */
+
+const claimNext = (now) =>
+  Delivery.findOneAndUpdate(
+    { status: "queued", nextAttemptAt: { $lte: now } },
+    { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+const releaseStaleLocks = (now) =>
+  Delivery.updateMany(
+    { status: "sending", lockedAt: { $lt: new Date(now.getTime() - LOCK_MS) } },
+    { $set: { status: "queued", nextAttemptAt: now }, $unset: { lockedAt: 1 } }
+  );
+
+const finish = (delivery, fields) =>
+  Delivery.updateOne({ _id: delivery._id }, { $set: fields, $unset: { lockedAt: 1 } });
+
+/* --------------------------------- sending -------------------------------- */
+
+const deliver = async (delivery, campaign) => {
+  if (campaign?.status !== "sending") {
+    return finish(delivery, { status: "skipped", lastError: "Campaign is not sending" });
+  }
+
+  const subscriber = await Subscriber.findById(delivery.subscriber);
+  if (subscriber?.status !== "confirmed") {
+    return finish(delivery, { status: "skipped", lastError: "No longer subscribed" });
+  }
+
+  try {
+    const info = await sendCampaignTo(campaign, subscriber);
+    return finish(delivery, { status: "sent", sentAt: new Date(), messageId: info?.messageId, lastError: null });
+  } catch (e) {
+    const lastError = String(e?.message || e).slice(0, 500);
+    if (delivery.attempts >= MAX_ATTEMPTS) return finish(delivery, { status: "failed", lastError });
+
+    const retryIn = 2 ** (delivery.attempts - 1) * MINUTE;
+    return finish(delivery, { status: "queued", nextAttemptAt: new Date(Date.now() + retryIn), lastError });
+  }
+};
+
+/**
+ * Send one batch of due deliveries.
+ * @returns {Promise<number>} deliveries handled
+ */
+export const runBatch = async () => {
+  const gap = MINUTE / Math.max(RATE_PER_MINUTE, 1);
+  await releaseStaleLocks(new Date());
+
+  const campaigns = new Map();
+  let handled = 0;
+
+  while (handled < BATCH_SIZE) {
+    const delivery = await claimNext(new Date());
+    if (!delivery) break;
+
+    const key = String(delivery.campaign);
+    if (!campaigns.has(key)) campaigns.set(key, await Campaign.findById(delivery.campaign));
+
+    await deliver(delivery, campaigns.get(key));
+    handled += 1;
+    if (handled < BATCH_SIZE) await sleep(gap);
+  }
+
+  // Also finishes campaigns whose last deliveries were just sent
+  for (const campaign of campaigns.values()) if (campaign) await refreshStats(campaign._id);
+  return handled;
+};
+
+/* --------------------------------- worker --------------------------------- */
+
+let timer = null;
+
+export const startCampaignSender = () => {
+  if (timer || (process.env.CAMPAIGN_SENDER || "on").toLowerCase() === "off") return;
+  if (!HAS_APP_URL) {
+    console.warn("✉ [campaigns] Sender not started: set APP_URL so unsubscribe links work");
+    return;
+  }
+
+  const tick = async () => {
+    try {
+      const handled = await runBatch();
+      if (handled) console.log(`✉ [campaigns] ${handled} deliveries processed`);
+    } catch (e) {
+      console.error("Campaign sender error:", e);
+    }
+    // Next run only after this one finishes, so batches never overlap
+    if (timer) timer = setTimeout(tick, POLL_MS).unref();
+  };
+
+  timer = setTimeout(tick, POLL_MS).unref();
+};
+
+export const stopCampaignSender = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+export default { runBatch, startCampaignSender, stopCampaignSender };
@@ -0,0 +1,290 @@
+/**
+ * @file services/campaigns.js
+ * @description Newsletter campaigns: segments, merge fields, preview, test send, queueing.
+ *
+ * - Only confirmed subscribers (double opt-in) are ever mailed.
+ * - Merge fields ({{name}}, {{info}}, ...) work in the subject and in both body formats.
+ *   Values are HTML-escaped in the body; an EJS body also gets them as locals.
+ * - Every message goes through sendToSubscriber(), so it carries the unsubscribe link,
+ *   and over the "bulk" mail transport (services/mailer.js).
+ * - Queueing only writes Delivery rows; services/campaignSender.js sends them.
+ */
+
+import ejs from "ejs";
+import { marked } from "marked";
+import Campaign from "../models/campaign.js";
+import Delivery from "../models/delivery.js";
+import Subscriber from "../models/subscribers.js";
+import User from "../models/user.js";
+import Enrollment from "../models/enrollment.js";
+import { renderEmail } from "./mailer.js";
+import { sendToSubscriber, unsubscribeUrl } from "./subscriptions.js";
+import { HAS_APP_URL } from "../utils/appUrl.js";
+import { escapeHtml, escapeRegExp } from "../utils/search.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const QUEUE_BATCH = 500;
+
+// Shown next to the body field
+export const MERGE_FIELDS = {
+  name: "Subscriber's name",
+  email: "Subscriber's email",
+  zipCode: "Postal code (empty when unknown)",
+  info: "One-line summary (Subscriber#getInfo)",
+  unsubscribeUrl: "Their unsubscribe link (also added to the footer)",
+};
+
+/* --------------------------------- segment -------------------------------- */
+
+/**
+ * Segment → Subscriber filter. Always confirmed subscribers only.
+ * Courses match the subscriber's own list or an enrollment of their linked user.
+ */
+export const segmentFilter = async (segment = {}) => {
+  const and = [{ status: "confirmed" }];
+
+  // Postal codes are normalized strings, so a prefix is an anchored (index-friendly) regex
+  const prefixes = (segment.postalCodes || []).filter(Boolean);
+  if (prefixes.length) {
+    and.push({ zipCode: { $regex: `^(?:${prefixes.map(escapeRegExp).join("|")})` } });
+  }
+
+  const courses = segment.courses || [];
+  if (courses.length) {
+    const userIds = await Enrollment.distinct("user", { course: { $in: courses }, status: "enrolled" });
+    const linked = userIds.length
+      ? await User.distinct("subscriberAccount", { _id: { $in: userIds }, subscriberAccount: { $ne: null } })
+      : [];
+    and.push({ $or: [{ courses: { $in: courses } }, { _id: { $in: linked } }] });
+  }
+
+  const createdAt = {};
+  if (segment.signedUpFrom) createdAt.$gte = new Date(segment.signedUpFrom);
+  // The "to" date is a whole day
+  if (segment.signedUpTo) createdAt.$lt = new Date(new Date(segment.signedUpTo).getTime() + DAY);
+  if (Object.keys(createdAt).length) and.push({ createdAt });
+
+  return { $and: and };
+};
+
+export const countRecipients = async (segment) => Subscriber.countDocuments(await segmentFilter(segment));
+
+/* -------------------------------- rendering ------------------------------- */
+
+const mergeData = (subscriber) => ({
+  name: subscriber.name || "",
+  email: subscriber.email || "",
+  zipCode: subscriber.zipCode ?? "",
+  info: subscriber.getInfo(),
+  unsubscribeUrl: unsubscribeUrl(subscriber),
+});
+
+// {{ field }} → value; unknown fields are left as typed so mistakes show in the preview
+const fillMergeFields = (text, data, escape = String) =>
+  String(text ?? "").replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    Object.hasOwn(data, key) ? escape(String(data[key])) : match
+  );
+
+// Plain-text part for EJS bodies
+const htmlToText = (html) =>
+  html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>|<\/(p|div|h\d|li|tr)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * One subscriber's copy of a campaign.
+ * @returns {Promise<{ subject: string, html: string, text: string }>} html = body only (no footer)
+ */
+export const renderCampaign = async (campaign, subscriber) => {
+  const data = mergeData(subscriber);
+  const subject = fillMergeFields(campaign.subject, data);
+
+  if (campaign.format === "ejs") {
+    // Admin-written template; merge fields are filled after rendering so
+    // subscriber data is never compiled as EJS
+    const rendered = await ejs.render(
+      campaign.body,
+      { ...data, subscriber: subscriber.toObject?.() ?? subscriber },
+      { async: true }
+    );
+    const html = fillMergeFields(rendered, data, escapeHtml);
+    return { subject, html, text: htmlToText(html) };
+  }
+
+  return {
+    subject,
+    html: await marked.parse(fillMergeFields(campaign.body, data, escapeHtml)),
+    text: fillMergeFields(campaign.body, data),
+  };
+};
+
+// First subscriber in the segment, or a made-up one when it is empty
+const sampleSubscriber = async (segment) =>
+  (await Subscriber.findOne(await segmentFilter(segment)).sort({ createdAt: 1 })) ||
+  new Subscriber({ name: "Sample Subscriber", email: "subscriber@example.com", status: "confirmed" });
+
+/**
+ * Full email as a recipient would see it (body + unsubscribe footer).
+ * @returns {Promise<{ subject: string, html: string, text: string, sample: object }>}
+ */
+export const previewCampaign = async (campaign) => {
+  const sample = await sampleSubscriber(campaign.segment);
+  const { subject, html, text } = await renderCampaign(campaign, sample);
+  return {
+    subject,
+    html: await renderEmail("campaign", { bodyHtml: html, subscriber: sample, unsubscribeUrl: unsubscribeUrl(sample) }),
+    text,
+    sample,
+  };
+};
+
+/* --------------------------------- sending -------------------------------- */
+
+/** Send a campaign's copy to one subscriber (unsubscribe link + "bulk" transport). */
+export const sendCampaignTo = async (campaign, subscriber, { subjectPrefix = "" } = {}) => {
+  const { subject, html, text } = await renderCampaign(campaign, subscriber);
+  return sendToSubscriber(subscriber, {
+    subject: subjectPrefix + subject,
+    template: "campaign",
+    text,
+    data: { bodyHtml: html },
+    transport: "bulk",
+  });
+};
+
+/**
+ * Test send: the segment's sample data, to any address, marked [TEST].
+ * Nothing is recorded as a delivery.
+ */
+export const sendTest = async (campaign, to) => {
+  const sample = await sampleSubscriber(campaign.segment);
+  const recipient = new Subscriber({ ...sample.toObject(), _id: sample._id, email: to });
+  return sendCampaignTo(campaign, recipient, { subjectPrefix: "[TEST] " });
+};
+
+/**
+ * Draft → queueing → sending: one queued Delivery per recipient.
+ * Deliveries are held (no nextAttemptAt) until the last batch is in, so the sender
+ * can't finish the campaign while later batches are still being written.
+ * Returns the campaign, or null if it was not a draft (already queued by someone else).
+ * Refuses without APP_URL: the unsubscribe links would point nowhere.
+ */
+export const queueCampaign = async (campaignId) => {
+  if (!HAS_APP_URL) throw new Error("APP_URL must be set to send campaigns (unsubscribe links)");
+
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: campaignId, status: "draft" },
+    { $set: { status: "queueing", queuedAt: new Date() } },
+    { new: true }
+  );
+  if (!campaign) return null;
+
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    // Unique (campaign, subscriber): duplicates are skipped, the rest still go in
+    await Delivery.insertMany(batch, { ordered: false }).catch((e) => {
+      if (e?.code !== 11000 && !e?.writeErrors?.every((w) => w.code === 11000)) throw e;
+    });
+    batch = [];
+  };
+
+  try {
+    const filter = await segmentFilter(campaign.segment);
+    for await (const s of Subscriber.find(filter).select("_id email").lean().cursor()) {
+      batch.push({ campaign: campaign._id, subscriber: s._id, email: s.email, nextAttemptAt: null });
+      if (batch.length >= QUEUE_BATCH) await flush();
+    }
+    await flush();
+  } catch (e) {
+    // Back to a draft that can be sent again; nothing has gone out yet
+    await Delivery.deleteMany({ campaign: campaign._id });
+    await Campaign.updateOne(
+      { _id: campaign._id, status: "queueing" },
+      { $set: { status: "draft" }, $unset: { queuedAt: 1 } }
+    );
+    throw e;
+  }
+
+  // Release every delivery at once; if the campaign was cancelled meanwhile, skip them instead
+  const started = await Campaign.updateOne(
+    { _id: campaign._id, status: "queueing" },
+    { $set: { status: "sending" } }
+  );
+  await Delivery.updateMany(
+    { campaign: campaign._id, status: "queued", nextAttemptAt: null },
+    started.modifiedCount
+      ? { $set: { nextAttemptAt: new Date() } }
+      : { $set: { status: "skipped", lastError: "Campaign cancelled" } }
+  );
+
+  return refreshStats(campaign._id);
+};
+
+// Stop a queueing or sending campaign: queued deliveries are skipped, sent ones stay sent
+export const cancelCampaign = async (campaignId) => {
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: campaignId, status: { $in: ["queueing", "sending"] } },
+    { $set: { status: "cancelled", finishedAt: new Date() } },
+    { new: true }
+  );
+  if (!campaign) return null;
+
+  await Delivery.updateMany(
+    { campaign: campaign._id, status: "queued" },
+    { $set: { status: "skipped", lastError: "Campaign cancelled" } }
+  );
+  return refreshStats(campaign._id);
+};
+
+/**
+ * Recount deliveries onto Campaign.stats; a sending campaign with nothing
+ * left to do becomes "sent".
+ */
+export const refreshStats = async (campaignId) => {
+  const rows = await Delivery.aggregate([
+    { $match: { campaign: campaignId } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const counts = Object.fromEntries(rows.map((r) => [r._id, r.count]));
+  const total = rows.reduce((sum, r) => sum + r.count, 0);
+  const pending = (counts.queued || 0) + (counts.sending || 0);
+
+  const stats = {
+    total,
+    sent: counts.sent || 0,
+    failed: counts.failed || 0,
+    skipped: counts.skipped || 0,
+  };
+
+  await Campaign.updateOne({ _id: campaignId }, { $set: { stats } });
+  if (!pending) {
+    await Campaign.updateOne(
+      { _id: campaignId, status: "sending" },
+      { $set: { status: "sent", finishedAt: new Date() } }
+    );
+  }
+  return Campaign.findById(campaignId);
+};
+
+export default {
+  MERGE_FIELDS,
+  segmentFilter,
+  countRecipients,
+  renderCampaign,
+  previewCampaign,
+  sendCampaignTo,
+  sendTest,
+  queueCampaign,
+  cancelCampaign,
+  refreshStats,
+};
@@ -0,0 +1,165 @@
+/**
+ * @file services/courseFiles.js
+ * @description Cover images and recipe PDFs for courses.
+ *
+ * Two steps so a bad upload never leaves files behind:
+ *   1. prepare(files) — decode / resize in memory, collect errors
+ *   2. save(courseId, prepared) — write to storage, return the model fields
+ * If the course then fails to save, remove(keysOf(stored)) undoes step 2.
+ *
+ * Files live under "courses/<courseId>/", so deleting a course removes the folder.
+ */
+
+import crypto from "crypto";
+import sharp from "sharp";
+import { getStorage } from "./storage.js";
+
+const COVER_MAX_WIDTH = 1600;
+const THUMB_SIZE = { width: 480, height: 320 };
+// Refuse decompression bombs (≈ 8000 × 5000)
+const MAX_INPUT_PIXELS = 40_000_000;
+
+const courseFolder = (courseId) => `courses/${courseId}`;
+const randomName = () => crypto.randomBytes(12).toString("hex");
+
+/* --------------------------------- prepare -------------------------------- */
+
+// Re-encoding to WebP also drops EXIF data (camera, GPS, ...)
+const renderCover = async (buffer) => {
+  const image = sharp(buffer, { failOn: "error", limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  const [cover, thumb] = await Promise.all([
+    image
+      .clone()
+      .resize({ width: COVER_MAX_WIDTH, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true }),
+    image
+      .clone()
+      .resize(THUMB_SIZE.width, THUMB_SIZE.height, { fit: "cover" })
+      .webp({ quality: 75 })
+      .toBuffer(),
+  ]);
+
+  return { cover: cover.data, thumb, width: cover.info.width, height: cover.info.height };
+};
+
+/**
+ * Process uploads from middlewares/uploads.js in memory.
+ * @returns {Promise<{ errors: object, cover: object|null, attachments: Array }>}
+ */
+export const prepare = async (files = {}) => {
+  const prepared = { errors: {}, cover: null, attachments: files.attachments || [] };
+
+  const coverFile = files.coverImage?.[0];
+  if (coverFile) {
+    try {
+      prepared.cover = await renderCover(coverFile.buffer);
+    } catch (e) {
+      console.error("Cover image rejected:", e.message);
+      prepared.errors.coverImage = `Cover image "${coverFile.originalname}" could not be read.`;
+    }
+  }
+
+  return prepared;
+};
+
+/* ---------------------------------- save ---------------------------------- */
+
+/**
+ * Write prepared files for a course.
+ * @returns {Promise<{ coverImage: object|null, attachments: Array }>} model fields
+ */
+export const save = async (courseId, prepared) => {
+  const storage = getStorage();
+  const folder = courseFolder(courseId);
+  const stored = { coverImage: null, attachments: [] };
+
+  try {
+    if (prepared.cover) {
+      const name = randomName();
+      const key = `${folder}/cover-${name}.webp`;
+      const thumbKey = `${folder}/cover-${name}-thumb.webp`;
+      await storage.save(key, prepared.cover.cover, { contentType: "image/webp" });
+      stored.coverImage = {
+        key,
+        thumbKey,
+        width: prepared.cover.width,
+        height: prepared.cover.height,
+        size: prepared.cover.cover.length,
+      };
+      await storage.save(thumbKey, prepared.cover.thumb, { contentType: "image/webp" });
+    }
+
+    for (const file of prepared.attachments) {
+      const key = `${folder}/files/${randomName()}.pdf`;
+      await storage.save(key, file.buffer, { contentType: file.mimetype });
+      stored.attachments.push({
+        key,
+        name: String(file.originalname || "recipe.pdf").slice(0, 200),
+        contentType: file.mimetype,
+        size: file.size,
+      });
+    }
+  } catch (e) {
+    await remove(keysOf(stored));
+    throw e;
+  }
+
+  return stored;
+};
+
+/* --------------------------------- cleanup -------------------------------- */
+
+// Every storage key referenced by { coverImage, attachments }
+export const keysOf = ({ coverImage, attachments = [] } = {}) =>
+  [coverImage?.key, coverImage?.thumbKey, ...attachments.map((a) => a.key)].filter(Boolean);
+
+// Best effort: a missing file must not fail the request
+export const remove = async (keys = []) => {
+  const storage = getStorage();
+  await Promise.all(
+    keys.map((key) =>
+      storage.remove(key).catch((e) => console.error(`Failed to remove stored file ${key}:`, e))
+    )
+  );
+};
+
+// Course deleted: drop its whole folder
+export const removeCourse = async (courseId) => {
+  try {
+    await getStorage().removePrefix(courseFolder(courseId));
+  } catch (e) {
+    console.error(`Failed to remove files of course ${courseId}:`, e);
+  }
+};
+
+/* ---------------------------------- links --------------------------------- */
+
+// { url, thumbnailUrl } for views / API (null without a cover)
+export const coverUrls = (course) => {
+  if (!course?.coverImage?.key) return null;
+  const storage = getStorage();
+  return {
+    url: storage.url(course.coverImage.key),
+    thumbnailUrl: storage.url(course.coverImage.thumbKey),
+  };
+};
+
+// Readable stream of a stored file
+export const open = (key) => getStorage().read(key);
+
+// Downloads go through the app so the original file name is kept
+export const attachmentUrl = (course, attachment) =>
+  `/courses/${course._id}/attachments/${attachment._id}`;
+
+export default {
+  prepare,
+  save,
+  keysOf,
+  remove,
+  removeCourse,
+  open,
+  coverUrls,
+  attachmentUrl,
+};
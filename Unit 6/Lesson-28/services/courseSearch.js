@@ -0,0 +1,283 @@
+/**
+ * @file services/courseSearch.js
+ * @description Course search for the HTML list, /api/courses and /api/v1/courses.
+ *
+ * - Words go through the "course_search" text index (models/course.js), ranked by
+ *   relevance; the raw ?q= is never used as a regex.
+ * - Facets: dietary tags (from recipes), postal area (first character), next session
+ *   date and seat availability. Each facet counts courses matching every *other*
+ *   filter, so picking a value never hides the alternatives.
+ * - Near: ?near=<postal code>&radius=<km> keeps courses within the radius (2dsphere
+ *   index on `location`) and adds `distanceKm`. $geoWithin rather than $geoNear,
+ *   because $geoNear can't be combined with $text.
+ * - One aggregation returns the page, the total and all facet counts.
+ * - Paging (utils/pagination.js): cursors for "newest", numbered pages for other sorts.
+ */
+
+import Course from "../models/course.js";
+import { DIETARY_TAGS } from "../models/recipe.js";
+import { highlight, normalizeQuery, searchTerms, snippet } from "../utils/search.js";
+import { cursorFilter, cursorSort, pageOf } from "../utils/pagination.js";
+import { normalizePostalCode, postalAreas } from "../utils/postalCodes.js";
+import {
+  DEFAULT_RADIUS_KM,
+  distanceKmExpression,
+  locatePostalCode,
+  readRadius,
+  withinRadius,
+} from "../utils/geo.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const SORTS = {
+  relevance: "Best match",
+  newest: "Newest",
+  title: "Title (A–Z)",
+  soonest: "Next session",
+  // Only with ?near=
+  distance: "Nearest",
+};
+
+// Next upcoming session, by start date
+export const WHEN = {
+  week: "Next 7 days",
+  month: "In 8–30 days",
+  later: "Later",
+  none: "No dates yet",
+};
+
+export const AVAILABILITY = {
+  open: "Seats available",
+  full: "Full (waitlist)",
+};
+
+
+/* --------------------------------- params --------------------------------- */
+
+const list = (v) =>
+  []
+    .concat(v ?? [])
+    .flatMap((s) => String(s).split(","))
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/**
+ * Query string → search params. Unknown values are ignored, so old links keep working.
+ * `near` is kept even when we have no point for it (origin null), so the view can say so.
+ * @returns {{ q: string, terms: string[], tags: string[], area: string|null,
+ *   when: string|null, availability: string|null, near: string|null, radius: number,
+ *   origin: object|null, sort: string }}
+ */
+export const parseSearchParams = (query = {}) => {
+  const q = normalizeQuery(query.q);
+  const pick = (value, options) => (Object.hasOwn(options, value) ? value : null);
+  const near = normalizePostalCode(query.near) || null;
+  const origin = near && locatePostalCode(near);
+  let sort = pick(String(query.sort || ""), SORTS) || (q ? "relevance" : origin ? "distance" : "newest");
+  // Distance only exists with a point to measure from
+  if (sort === "distance" && !origin) sort = q ? "relevance" : "newest";
+
+  return {
+    q,
+    terms: searchTerms(q),
+    tags: [...new Set(list(query.tags).filter((t) => DIETARY_TAGS.includes(t)))],
+    // Postal areas: first character of the code ("7" → 7000–7999 for ZA)
+    area: pick(String(query.area ?? "").toUpperCase(), postalAreas()),
+    when: pick(String(query.when || ""), WHEN),
+    availability: pick(String(query.availability || ""), AVAILABILITY),
+    near,
+    radius: readRadius(query.radius),
+    origin: origin || null,
+    // Relevance only exists with search words
+    sort: sort === "relevance" && !q ? "newest" : sort,
+  };
+};
+
+/* -------------------------------- pipeline -------------------------------- */
+
+// Derived fields every filter / facet works on (all start with "_")
+const deriveFields = (now) => [
+  {
+    $addFields: {
+      _tags: {
+        $reduce: {
+          input: { $ifNull: ["$recipes.dietaryTags", []] },
+          initialValue: [],
+          in: { $setUnion: ["$$value", { $ifNull: ["$$this", []] }] },
+        },
+      },
+      _area: {
+        $cond: [{ $eq: [{ $type: "$zipCode" }, "string"] }, { $substrCP: ["$zipCode", 0, 1] }, null],
+      },
+      _availability: {
+        $cond: [
+          {
+            $or: [
+              { $eq: [{ $ifNull: ["$capacity", null] }, null] },
+              { $lt: [{ $ifNull: ["$enrolledCount", 0] }, "$capacity"] },
+            ],
+          },
+          "open",
+          "full",
+        ],
+      },
+      _nextStart: {
+        $min: {
+          $filter: {
+            input: { $ifNull: ["$sessions.startsAt", []] },
+            cond: { $gte: ["$$this", now] },
+          },
+        },
+      },
+    },
+  },
+  {
+    $addFields: {
+      _when: {
+        $switch: {
+          branches: [
+            { case: { $eq: [{ $ifNull: ["$_nextStart", null] }, null] }, then: "none" },
+            { case: { $lt: ["$_nextStart", new Date(now.getTime() + 7 * DAY)] }, then: "week" },
+            { case: { $lt: ["$_nextStart", new Date(now.getTime() + 30 * DAY)] }, then: "month" },
+          ],
+          default: "later",
+        },
+      },
+    },
+  },
+];
+
+// Facet filters as $match conditions; `except` leaves one out (for its own counts)
+const filterStage = (params, except = null) => {
+  const match = {};
+  if (except !== "tags" && params.tags.length) match._tags = { $all: params.tags };
+  if (except !== "area" && params.area) match._area = params.area;
+  if (except !== "when" && params.when) match._when = params.when;
+  if (except !== "availability" && params.availability) match._availability = params.availability;
+  return { $match: match };
+};
+
+const SORT_STAGES = {
+  relevance: { _score: -1, createdAt: -1, _id: 1 },
+  // newest: cursorSort() from utils/pagination.js
+  title: { title: 1, _id: 1 },
+  // Courses without dates go last
+  soonest: { _noDates: 1, _nextStart: 1, _id: 1 },
+  distance: { _distance: 1, _id: 1 },
+};
+
+const countBy = (field) => [{ $group: { _id: `$${field}`, count: { $sum: 1 } } }];
+
+// [{ value, label, count, selected }] in the order of `options`, empty ones dropped
+const facetList = (rows, options, selected) => {
+  const counts = new Map(rows.map((r) => [String(r._id), r.count]));
+  const isSelected = (value) => (Array.isArray(selected) ? selected.includes(value) : selected === value);
+  return Object.entries(options)
+    .map(([value, label]) => ({ value, label, count: counts.get(value) || 0, selected: isSelected(value) }))
+    .filter((f) => f.count > 0 || f.selected);
+};
+
+/* --------------------------------- search --------------------------------- */
+
+// Only the date order has cursors (readPaging(query, { cursors: usesCursors(params) }))
+export const usesCursors = (params) => params.sort === "newest";
+
+/**
+ * Run a search.
+ * @param {ReturnType<typeof parseSearchParams>} params
+ * @param {ReturnType<import("../utils/pagination.js").readPaging>} paging
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<{ courses: object[], pagination: object, facets: object }>}
+ *   courses are plain objects (like .lean()), plus `score` when searching words and
+ *   `distanceKm` with a located ?near=
+ */
+export const searchCourses = async (params, paging, { now = new Date() } = {}) => {
+  const cursors = usesCursors(params);
+  const { origin } = params;
+  const pipeline = [
+    {
+      $match: {
+        ...(params.q ? { $text: { $search: params.q } } : {}),
+        ...(origin ? { location: withinRadius(origin, params.radius) } : {}),
+      },
+    },
+    ...(params.q ? [{ $addFields: { _score: { $meta: "textScore" } } }] : []),
+    ...(origin ? [{ $addFields: { _distance: distanceKmExpression(origin) } }] : []),
+    ...deriveFields(now),
+    {
+      $facet: {
+        results: [
+          filterStage(params),
+          ...(cursors ? [{ $match: cursorFilter(paging) }] : []),
+          ...(params.sort === "soonest"
+            ? [{ $addFields: { _noDates: { $eq: [{ $ifNull: ["$_nextStart", null] }, null] } } }]
+            : []),
+          { $sort: cursors ? cursorSort(paging) : SORT_STAGES[params.sort] },
+          { $skip: paging.skip },
+          // One extra row tells whether there is a next page
+          { $limit: paging.limit + 1 },
+          ...(params.q ? [{ $addFields: { score: "$_score" } }] : []),
+          ...(origin ? [{ $addFields: { distanceKm: { $round: ["$_distance", 1] } } }] : []),
+          {
+            $project: {
+              _tags: 0, _area: 0, _availability: 0, _nextStart: 0, _when: 0, _score: 0, _noDates: 0, _distance: 0,
+            },
+          },
+        ],
+        total: [filterStage(params), { $count: "n" }],
+        tags: [filterStage(params, "tags"), { $unwind: "$_tags" }, ...countBy("_tags")],
+        areas: [filterStage(params, "area"), ...countBy("_area")],
+        when: [filterStage(params, "when"), ...countBy("_when")],
+        availability: [filterStage(params, "availability"), ...countBy("_availability")],
+      },
+    },
+  ];
+
+  const [out] = await Course.aggregate(pipeline);
+  const { items, pagination } = pageOf(out.results, paging, out.total[0]?.n || 0, { cursors });
+
+  return {
+    courses: items,
+    pagination,
+    facets: {
+      tags: facetList(out.tags, Object.fromEntries(DIETARY_TAGS.map((t) => [t, t])), params.tags),
+      area: facetList(out.areas, postalAreas(), params.area),
+      when: facetList(out.when, WHEN, params.when),
+      availability: facetList(out.availability, AVAILABILITY, params.availability),
+    },
+  };
+};
+
+// Title + description excerpt with <mark>ed matches (escaped HTML), for the APIs
+export const highlightsFor = (course, terms) => ({
+  title: highlight(course.title, terms),
+  description: snippet(course.description, terms),
+});
+
+/**
+ * Query string for a link with some params changed (null / [] removes them).
+ * Page is dropped: a new filter starts at page 1.
+ */
+export const searchHref = (params, changes = {}) => {
+  const next = { ...params, ...changes };
+  const qs = new URLSearchParams();
+  if (next.q) qs.set("q", next.q);
+  for (const tag of next.tags || []) qs.append("tags", tag);
+  for (const key of ["area", "when", "availability", "near"]) if (next[key]) qs.set(key, next[key]);
+  if (next.near && next.radius && next.radius !== DEFAULT_RADIUS_KM) qs.set("radius", next.radius);
+  const defaultSort = next.q ? "relevance" : next.origin ? "distance" : "newest";
+  if (next.sort && next.sort !== defaultSort) qs.set("sort", next.sort);
+  const s = qs.toString();
+  return s ? `?${s}` : "?";
+};
+
+export default {
+  SORTS,
+  WHEN,
+  AVAILABILITY,
+  parseSearchParams,
+  usesCursors,
+  searchCourses,
+  highlightsFor,
+  searchHref,
+};
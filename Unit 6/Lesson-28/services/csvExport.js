@@ -0,0 +1,85 @@
+/**
+ * @file services/csvExport.js
+ * @description CSV downloads of subscribers, users and courses (admin).
+ *
+ * Rows are streamed from a Mongo cursor (utils/csv.js streamCsv), so a big list is
+ * never loaded into memory. Column headers match services/csvImport.js, so an
+ * export can be edited and imported again (extra columns are ignored).
+ */
+
+import Subscriber from "../models/subscribers.js";
+import User from "../models/user.js";
+import Course from "../models/course.js";
+import { streamCsv } from "../utils/csv.js";
+
+const id = (doc) => String(doc._id);
+
+export const EXPORT_KINDS = {
+  subscribers: {
+    columns: [
+      { header: "id", value: id },
+      { header: "name", value: (s) => s.name },
+      { header: "email", value: (s) => s.email },
+      { header: "zipCode", value: (s) => s.zipCode },
+      { header: "status", value: (s) => s.status || "pending" },
+      { header: "source", value: (s) => s.source },
+      { header: "confirmedAt", value: (s) => s.confirmedAt },
+      { header: "unsubscribedAt", value: (s) => s.unsubscribedAt },
+      { header: "createdAt", value: (s) => s.createdAt },
+    ],
+    cursor: () => Subscriber.find().sort({ createdAt: 1, _id: 1 }).lean().cursor(),
+  },
+
+  // Never the password hash / salt or any token
+  users: {
+    columns: [
+      { header: "id", value: id },
+      { header: "first", value: (u) => u.name?.first },
+      { header: "last", value: (u) => u.name?.last },
+      { header: "email", value: (u) => u.email },
+      { header: "zipCode", value: (u) => u.zipCode },
+      { header: "role", value: (u) => u.role || "member" },
+      { header: "verified", value: (u) => Boolean(u.verified) },
+      { header: "courses", value: (u) => (u.courses || []).length },
+      { header: "createdAt", value: (u) => u.createdAt },
+    ],
+    cursor: () =>
+      User.find()
+        .select("name email zipCode role verified courses createdAt")
+        .sort({ createdAt: 1, _id: 1 })
+        .lean()
+        .cursor(),
+  },
+
+  courses: {
+    columns: [
+      { header: "id", value: id },
+      { header: "title", value: (c) => c.title },
+      { header: "description", value: (c) => c.description },
+      { header: "zipCode", value: (c) => c.zipCode },
+      { header: "capacity", value: (c) => c.capacity },
+      { header: "enrolled", value: (c) => c.enrolledCount || 0 },
+      { header: "recipes", value: (c) => (c.recipes || []).map((r) => r.title).join("; ") },
+      { header: "createdAt", value: (c) => c.createdAt },
+    ],
+    cursor: () =>
+      Course.find()
+        .select("title description zipCode capacity enrolledCount recipes.title createdAt")
+        .sort({ createdAt: 1, _id: 1 })
+        .lean()
+        .cursor(),
+  },
+};
+
+/**
+ * Stream one list as "<kind>-YYYY-MM-DD.csv".
+ * @param {import("express").Response} res
+ * @param {keyof EXPORT_KINDS} kind
+ */
+export const exportCsv = (res, kind) => {
+  const def = EXPORT_KINDS[kind];
+  const filename = `${kind}-${new Date().toISOString().slice(0, 10)}.csv`;
+  return streamCsv(res, filename, def.columns, def.cursor());
+};
+
+export default { EXPORT_KINDS, exportCsv };
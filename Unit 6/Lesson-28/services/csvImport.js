@@ -0,0 +1,222 @@
+/**
+ * @file services/csvImport.js
+ * @description Bulk CSV import of subscribers, users and courses (admin).
+ *
+ * - Every import is checked first: runImport(..., { dryRun: true }) returns a report
+ *   with one line per row (create / skip / error) and writes nothing.
+ * - Rows use the same rules as the forms (utils/validation.js), the same duplicate
+ *   checks (email, course title) and the model validators.
+ * - Committing creates the valid rows and reports the rest; rows are re-checked,
+ *   so an import that went stale since the dry run can't create duplicates.
+ * - Subscribers go through double opt-in (services/subscriptions.js) and users get an
+ *   invitation to choose a password: nobody is added without hearing about it.
+ */
+
+import Subscriber from "../models/subscribers.js";
+import User, { INVITE_TTL_DAYS, USER_ROLES } from "../models/user.js";
+import Course, { MAX_CAPACITY } from "../models/course.js";
+import { renderEmail, sendMail } from "./mailer.js";
+import subscriptions from "./subscriptions.js";
+import { emailUrl } from "../utils/appUrl.js";
+import { parseCsv } from "../utils/csv.js";
+import { isValidEmail, parseCapacity } from "../utils/validation.js";
+import { normalizePostalCode, postalCodeError } from "../utils/postalCodes.js";
+
+export const MAX_IMPORT_ROWS = 5000;
+export const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+/* --------------------------------- helpers -------------------------------- */
+
+// Mongoose validation errors → messages (the rules the forms can't see)
+const modelErrors = (doc) => Object.values(doc.validateSync()?.errors || {}).map((e) => e.message);
+
+const zipOf = (v) => normalizePostalCode(v) || undefined;
+const zipInvalid = (v) => normalizePostalCode(v) === null;
+
+const sendInvitation = async (user, rawToken) => {
+  const inviteUrl = emailUrl(`/users/reset-password/${rawToken}`);
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "You're invited to My Recipe Web",
+      text: `Hi ${user.name?.first || ""},\n\nAn account has been created for you on My Recipe Web. Choose a password here (valid for ${INVITE_TTL_DAYS} days, one use only):\n${inviteUrl}\n\nIf you weren't expecting this, you can ignore this email.`,
+      html: await renderEmail("invitation", { user, inviteUrl, days: INVITE_TTL_DAYS }),
+    });
+  } catch (e) {
+    console.error("Failed to send invitation email:", e);
+  }
+};
+
+/* ---------------------------------- kinds --------------------------------- */
+
+/**
+ * Per kind:
+ * - columns: required / optional headers (lowercase)
+ * - key(values): duplicate key within the file
+ * - existing(keys): keys already in the database
+ * - check(values, exists) → { messages, skip?, fields }
+ * - create(req, fields)
+ */
+export const IMPORT_KINDS = {
+  subscribers: {
+    label: "Subscribers",
+    columns: { required: ["name", "email"], optional: ["zipcode"] },
+    keyLabel: "email",
+    key: (v) => v.email.toLowerCase(),
+    existing: async (keys) => new Set(await Subscriber.distinct("email", { email: { $in: keys } })),
+    check: (v, exists) => {
+      const fields = { name: v.name, email: v.email.toLowerCase(), zipCode: zipOf(v.zipcode) };
+      const messages = [];
+      if (!fields.name) messages.push("Name is required.");
+      if (!fields.email) messages.push("Email is required.");
+      else if (!isValidEmail(fields.email)) messages.push("Enter a valid email address.");
+      if (zipInvalid(v.zipcode)) messages.push(postalCodeError());
+      if (!messages.length) messages.push(...modelErrors(new Subscriber(fields)));
+      // Never re-add someone who unsubscribed, or re-send to someone pending
+      if (!messages.length && exists) return { skip: true, messages: ["This email is already on the list."] };
+      return { messages, fields };
+    },
+    create: (req, fields) => subscriptions.subscribe(req, { ...fields, source: "import" }),
+  },
+
+  users: {
+    label: "Users",
+    columns: { required: ["first", "last", "email"], optional: ["zipcode", "role"] },
+    keyLabel: "email",
+    key: (v) => v.email.toLowerCase(),
+    existing: async (keys) => new Set(await User.distinct("email", { email: { $in: keys } })),
+    check: (v, exists) => {
+      const fields = {
+        name: { first: v.first, last: v.last },
+        email: v.email.toLowerCase(),
+        zipCode: zipOf(v.zipcode),
+        role: (v.role || "member").toLowerCase(),
+      };
+      const messages = [];
+      if (!v.first) messages.push("First name is required.");
+      if (!v.last) messages.push("Last name is required.");
+      if (!fields.email) messages.push("Email is required.");
+      else if (!isValidEmail(fields.email)) messages.push("Enter a valid email address.");
+      if (zipInvalid(v.zipcode)) messages.push(postalCodeError());
+      if (!USER_ROLES.includes(fields.role)) messages.push(`Role must be one of: ${USER_ROLES.join(", ")}.`);
+      if (!messages.length) messages.push(...modelErrors(new User(fields)));
+      if (!messages.length && exists) return { skip: true, messages: ["A user with this email already exists."] };
+      return { messages, fields };
+    },
+    // No password: the invitation link sets one (and confirms the email)
+    create: async (req, fields) => {
+      const user = new User({ ...fields, invitedAt: new Date() });
+      const rawToken = user.createPasswordResetToken({ ttlMinutes: INVITE_TTL_DAYS * 24 * 60 });
+      await user.save();
+      await sendInvitation(user, rawToken);
+    },
+  },
+
+  courses: {
+    label: "Courses",
+    columns: { required: ["title", "description"], optional: ["zipcode", "capacity"] },
+    keyLabel: "title",
+    key: (v) => v.title,
+    existing: async (keys) => new Set(await Course.distinct("title", { title: { $in: keys } })),
+    check: (v, exists) => {
+      const capacity = parseCapacity(v.capacity, MAX_CAPACITY);
+      const fields = { title: v.title, description: v.description, zipCode: zipOf(v.zipcode), capacity };
+      const messages = [];
+      if (!fields.title) messages.push("Title is required.");
+      if (!fields.description) messages.push("Description is required.");
+      if (zipInvalid(v.zipcode)) messages.push(postalCodeError());
+      if (capacity === undefined) {
+        messages.push(`Seats must be a whole number from 1 to ${MAX_CAPACITY} (empty = unlimited).`);
+      }
+      if (!messages.length) messages.push(...modelErrors(new Course(fields)));
+      // Same as the course form: titles are unique, so this is an error, not a skip
+      if (!messages.length && exists) messages.push("A course with this title already exists.");
+      return { messages, fields };
+    },
+    create: (_req, fields) => Course.create(fields),
+  },
+};
+
+/* --------------------------------- import --------------------------------- */
+
+/**
+ * Check (and unless dryRun, import) a CSV file.
+ * @param {import("express").Request} req for links in emails
+ * @param {keyof IMPORT_KINDS} kind
+ * @param {string} csvText
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<{ kind: string, dryRun: boolean, error: string|null, headers: string[],
+ *   missingColumns: string[], ignoredColumns: string[],
+ *   counts: { total: number, create: number, skip: number, error: number }, imported: number,
+ *   rows: Array<{ line: number, key: string, action: "create"|"skip"|"error", messages: string[] }> }>}
+ */
+export const runImport = async (req, kind, csvText, { dryRun = true } = {}) => {
+  const def = IMPORT_KINDS[kind];
+  const report = {
+    kind,
+    dryRun,
+    error: null,
+    headers: [],
+    missingColumns: [],
+    ignoredColumns: [],
+    counts: { total: 0, create: 0, skip: 0, error: 0 },
+    imported: 0,
+    rows: [],
+  };
+
+  let parsed;
+  try {
+    parsed = parseCsv(csvText, { maxRows: MAX_IMPORT_ROWS });
+  } catch (e) {
+    report.error = e.message;
+    return report;
+  }
+
+  const known = [...def.columns.required, ...def.columns.optional];
+  report.headers = parsed.headers;
+  report.missingColumns = def.columns.required.filter((c) => !parsed.headers.includes(c));
+  report.ignoredColumns = parsed.headers.filter((h) => h && !known.includes(h));
+  if (report.missingColumns.length) {
+    report.error = `Missing column(s): ${report.missingColumns.join(", ")}.`;
+    return report;
+  }
+  if (!parsed.rows.length) {
+    report.error = "The file has no rows.";
+    return report;
+  }
+
+  const keys = parsed.rows.map((r) => def.key(r.values)).filter(Boolean);
+  const existing = await def.existing(keys);
+  const firstLine = new Map();
+
+  for (const { line, values } of parsed.rows) {
+    const key = def.key(values);
+    const result = def.check(values, existing.has(key));
+    const row = { line, key, action: "create", messages: result.messages };
+
+    if (result.skip) row.action = "skip";
+    else if (key && firstLine.has(key)) {
+      row.messages = [...row.messages, `Same ${def.keyLabel} as line ${firstLine.get(key)}.`];
+    }
+    if (row.action === "create" && row.messages.length) row.action = "error";
+    if (key && !firstLine.has(key)) firstLine.set(key, line);
+
+    if (!dryRun && row.action === "create") {
+      try {
+        await def.create(req, result.fields);
+        report.imported += 1;
+      } catch (e) {
+        row.action = "error";
+        row.messages = [e?.code === 11000 ? `Duplicate ${def.keyLabel}.` : String(e?.message || e)];
+      }
+    }
+
+    report.counts[row.action] += 1;
+    report.rows.push(row);
+  }
+  report.counts.total = report.rows.length;
+
+  return report;
+};
+
+export default { IMPORT_KINDS, MAX_IMPORT_ROWS, MAX_IMPORT_BYTES, runImport };
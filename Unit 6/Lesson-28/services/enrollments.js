@@ -0,0 +1,212 @@
+/**
+ * @file services/enrollments.js
+ * @description Join / leave courses with seat limits and a waitlist.
+ *
+ * - Course.capacity (null = unlimited) and Course.enrolledCount hold the seats.
+ *   A seat is taken with one conditional $inc, so two people can't get the last one.
+ * - Joining a full course puts you on the waitlist (first come, first served).
+ * - Leaving (or a capacity increase) promotes waitlisted users into free seats
+ *   and emails them.
+ */
+
+import Course from "../models/course.js";
+import User from "../models/user.js";
+import Subscriber from "../models/subscribers.js";
+import Enrollment from "../models/enrollment.js";
+import { sendMail, renderEmail } from "./mailer.js";
+import { emailUrl } from "../utils/appUrl.js";
+
+/* --------------------------------- seats ---------------------------------- */
+
+// Take a seat if one is free; true on success
+const claimSeat = async (courseId) => {
+  const result = await Course.updateOne(
+    {
+      _id: courseId,
+      $or: [{ capacity: null }, { $expr: { $lt: ["$enrolledCount", "$capacity"] } }],
+    },
+    { $inc: { enrolledCount: 1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const releaseSeat = (courseId) =>
+  Course.updateOne({ _id: courseId, enrolledCount: { $gt: 0 } }, { $inc: { enrolledCount: -1 } });
+
+// Keep User.courses in step with "enrolled" rows
+const addToUser = (userId, courseId) =>
+  User.updateOne({ _id: userId }, { $addToSet: { courses: courseId } });
+
+const pullFromUser = (userId, courseId) =>
+  User.updateOne({ _id: userId }, { $pull: { courses: courseId } });
+
+/* -------------------------------- helpers --------------------------------- */
+
+// 1-based place in the queue (null unless waitlisted)
+export const waitlistPosition = async (enrollment) => {
+  if (enrollment?.status !== "waitlisted") return null;
+  const ahead = await Enrollment.countDocuments({
+    course: enrollment.course?._id || enrollment.course,
+    status: "waitlisted",
+    waitlistedAt: { $lt: enrollment.waitlistedAt },
+  });
+  return ahead + 1;
+};
+
+// { courseId: status } for the user's active enrollments in `courseIds`
+export const statusesForUser = async (userId, courseIds) => {
+  const rows = await Enrollment.find({
+    user: userId,
+    course: { $in: courseIds },
+    status: { $ne: "cancelled" },
+  })
+    .select("course status")
+    .lean();
+
+  return Object.fromEntries(rows.map((r) => [String(r.course), r.status]));
+};
+
+const notifyPromoted = async (enrollment) => {
+  try {
+    const [user, course] = await Promise.all([
+      User.findById(enrollment.user).select("name email").lean(),
+      Course.findById(enrollment.course).select("title").lean(),
+    ]);
+    if (!user || !course) return;
+
+    const coursesUrl = emailUrl("/courses");
+    await sendMail({
+      to: user.email,
+      subject: `You're in: ${course.title}`,
+      text: `Hi ${user.name?.first || ""},\n\nA seat opened up and you have been moved from the waitlist into "${course.title}".\n\n${coursesUrl}\n\nIf you can no longer attend, please leave the course so someone else can take your seat.`,
+      html: await renderEmail("waitlist_promoted", { user, course, coursesUrl }),
+    });
+  } catch (e) {
+    console.error("Failed to send waitlist promotion email:", e);
+  }
+};
+
+/* -------------------------------- actions --------------------------------- */
+
+/**
+ * Promote waitlisted users (oldest first) while seats are free.
+ * @returns {Promise<Array>} promoted enrollments
+ */
+export const fillSeats = async (courseId) => {
+  const promoted = [];
+
+  for (;;) {
+    const next = await Enrollment.findOne({ course: courseId, status: "waitlisted" })
+      .sort({ waitlistedAt: 1, _id: 1 })
+      .select("_id")
+      .lean();
+    if (!next) break;
+    if (!(await claimSeat(courseId))) break;
+
+    const enrollment = await Enrollment.findOneAndUpdate(
+      { _id: next._id, status: "waitlisted" },
+      { $set: { status: "enrolled", enrolledAt: new Date() } },
+      { new: true }
+    );
+
+    // They left (or were promoted elsewhere) in the meantime: give the seat back
+    if (!enrollment) {
+      await releaseSeat(courseId);
+      continue;
+    }
+
+    await addToUser(enrollment.user, courseId);
+    promoted.push(enrollment);
+  }
+
+  await Promise.all(promoted.map(notifyPromoted));
+  return promoted;
+};
+
+/**
+ * Join a course: a seat if one is free, otherwise the waitlist.
+ * @returns {Promise<{ enrollment, created: boolean }|null>} null if the course doesn't exist
+ */
+export const enroll = async (userId, courseId) => {
+  if (!(await Course.exists({ _id: courseId }))) return null;
+
+  const existing = await Enrollment.findOne({ user: userId, course: courseId });
+  if (existing?.isActive) return { enrollment: existing, created: false };
+
+  const seated = await claimSeat(courseId);
+  const now = new Date();
+  const update = seated
+    ? { $set: { status: "enrolled", enrolledAt: now }, $unset: { waitlistedAt: 1, cancelledAt: 1 } }
+    : { $set: { status: "waitlisted", waitlistedAt: now }, $unset: { enrolledAt: 1, cancelledAt: 1 } };
+
+  // Re-joining reuses the cancelled row
+  let enrollment = await Enrollment.findOneAndUpdate(
+    { user: userId, course: courseId, status: "cancelled" },
+    update,
+    { new: true }
+  );
+
+  if (!enrollment) {
+    try {
+      enrollment = await Enrollment.create({ user: userId, course: courseId, ...update.$set });
+    } catch (e) {
+      // Joined twice at once: keep the first, give the seat back
+      if (e?.code !== 11000) throw e;
+      if (seated) await releaseSeat(courseId);
+      return { enrollment: await Enrollment.findOne({ user: userId, course: courseId }), created: false };
+    }
+  }
+
+  if (seated) await addToUser(userId, courseId);
+  return { enrollment, created: true };
+};
+
+/**
+ * Leave a course (or its waitlist). Frees the seat for the next in line.
+ * @returns {Promise<object|null>} the enrollment as it was, or null if not active
+ */
+export const leave = async (userId, courseId) => {
+  const previous = await Enrollment.findOneAndUpdate(
+    { user: userId, course: courseId, status: { $ne: "cancelled" } },
+    { $set: { status: "cancelled", cancelledAt: new Date() } }
+  );
+  if (!previous) return null;
+
+  if (previous.status === "enrolled") {
+    await pullFromUser(userId, courseId);
+    await releaseSeat(courseId);
+    await fillSeats(courseId);
+  }
+  return previous;
+};
+
+// Account deleted: leave every course so the seats go to the waitlist
+export const leaveAll = async (userId) => {
+  const active = await Enrollment.find({ user: userId, status: { $ne: "cancelled" } })
+    .select("course")
+    .lean();
+
+  for (const { course } of active) {
+    await leave(userId, course);
+  }
+  return active.length;
+};
+
+// Course deleted: drop its enrollments and the references from users and subscribers
+export const removeCourse = async (courseId) => {
+  await Promise.all([
+    Enrollment.deleteMany({ course: courseId }),
+    User.updateMany({ courses: courseId }, { $pull: { courses: courseId } }),
+    Subscriber.updateMany({ courses: courseId }, { $pull: { courses: courseId } }),
+  ]);
+};
+
+export default {
+  enroll,
+  leave,
+  leaveAll,
+  fillSeats,
+  removeCourse,
+  statusesForUser,
+  waitlistPosition,
+};
@@ -0,0 +1,347 @@
+/**
+ * @file services/identities.js
+ * @description Keeps a User and its linked Subscriber (User.subscriberAccount) in step,
+ * finds likely duplicates and merges them (admin).
+ *
+ * Rules:
+ * - The user account is the source of truth for name and postal code; the linked
+ *   subscriber is updated whenever the user changes (syncFromUser).
+ * - Emails are never copied: one is the login, the other the address that gave
+ *   consent to the newsletter. They may differ when an admin linked the records.
+ * - An automatic link (same email, verified) is dropped when the user changes email
+ *   and made again once the new address is verified (relinkAfterEmailChange).
+ * - Merging two subscribers keeps one; the consent record (status, dates) goes with
+ *   the email that is kept. Merging a subscriber into a user links them and can
+ *   enroll the user in the subscriber's courses.
+ */
+
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import Subscriber from "../models/subscribers.js";
+import { enroll } from "./enrollments.js";
+
+/* --------------------------------- helpers -------------------------------- */
+
+const fullName = (user) => `${user?.name?.first || ""} ${user?.name?.last || ""}`.trim();
+
+const sameId = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+// "Jane van der Merwe" → { first: "Jane van der", last: "Merwe" }; one word → first only
+export const splitName = (name) => {
+  const words = String(name || "").trim().split(/\s+/).filter(Boolean);
+  if (words.length < 2) return { first: words[0] || "", last: "" };
+  return { first: words.slice(0, -1).join(" "), last: words[words.length - 1] };
+};
+
+// Same mailbox: case, "+tags" and (for Gmail) dots don't matter
+export const emailKey = (email) => {
+  const [local = "", domain = ""] = String(email || "").trim().toLowerCase().split("@");
+  let box = local.split("+")[0];
+  let host = domain;
+  if (host === "googlemail.com") host = "gmail.com";
+  if (host === "gmail.com") box = box.replace(/\./g, "");
+  return box && host ? `${box}@${host}` : "";
+};
+
+// Same person: name without case, accents or extra spaces, plus the postal code
+export const nameKey = (name, zipCode) => {
+  const n = String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+  return n && zipCode != null && zipCode !== "" ? `${n}|${zipCode}` : "";
+};
+
+/* ---------------------------------- sync ---------------------------------- */
+
+/**
+ * Copy the user's name and postal code to the linked subscriber.
+ * @returns {Promise<boolean>} true if the subscriber changed
+ */
+export const syncFromUser = async (user) => {
+  if (!user?.subscriberAccount) return false;
+  const result = await Subscriber.updateOne(
+    { _id: user.subscriberAccount._id || user.subscriberAccount },
+    user.zipCode == null
+      ? { $set: { name: fullName(user) }, $unset: { zipCode: 1 } }
+      : { $set: { name: fullName(user), zipCode: user.zipCode } },
+    { runValidators: true }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Link a subscriber to a user (replacing any earlier link on either side) and sync it.
+ * @param {import("mongoose").Document} user
+ * @param {import("mongoose").Types.ObjectId|string} subscriberId
+ */
+export const linkSubscriber = async (user, subscriberId) => {
+  // One subscriber belongs to one user
+  await User.updateMany(
+    { _id: { $ne: user._id }, subscriberAccount: subscriberId },
+    { $unset: { subscriberAccount: 1 } }
+  );
+  user.subscriberAccount = subscriberId;
+  await User.updateOne({ _id: user._id }, { $set: { subscriberAccount: subscriberId } });
+  await syncFromUser(user);
+};
+
+/**
+ * Automatic link: the subscriber with the user's (verified) email, if there is one.
+ * A link an admin made to another subscriber is left alone.
+ */
+export const linkByEmail = async (user) => {
+  if (!user?.verified) return null;
+  const sub = await Subscriber.findOne({ email: user.email }).select("_id").lean();
+  if (!sub) return null;
+
+  if (user.subscriberAccount && !sameId(user.subscriberAccount, sub._id)) {
+    const current = await Subscriber.exists({ _id: user.subscriberAccount });
+    if (current) return null;
+  }
+  await linkSubscriber(user, sub._id);
+  return sub;
+};
+
+/**
+ * After a user changes email: drop a link that only existed because the old
+ * address matched. linkByEmail runs again when the new address is verified.
+ * @param {import("mongoose").Document} user (already saved with the new email)
+ * @param {string} previousEmail
+ */
+export const relinkAfterEmailChange = async (user, previousEmail) => {
+  if (!user.subscriberAccount) return;
+  const sub = await Subscriber.findById(user.subscriberAccount).select("email").lean();
+  if (sub && sub.email !== previousEmail) return;
+
+  user.subscriberAccount = undefined;
+  await User.updateOne({ _id: user._id }, { $unset: { subscriberAccount: 1 } });
+};
+
+/**
+ * Sync every linked pair and drop links to deleted subscribers.
+ * @returns {Promise<{ checked: number, synced: number, unlinked: number }>}
+ */
+export const syncAllLinked = async () => {
+  const stats = { checked: 0, synced: 0, unlinked: 0 };
+  const cursor = User.find({ subscriberAccount: { $ne: null } })
+    .select("name zipCode subscriberAccount")
+    .cursor();
+
+  for await (const user of cursor) {
+    stats.checked += 1;
+    if (!(await Subscriber.exists({ _id: user.subscriberAccount }))) {
+      await User.updateOne({ _id: user._id }, { $unset: { subscriberAccount: 1 } });
+      stats.unlinked += 1;
+    } else if (await syncFromUser(user)) {
+      stats.synced += 1;
+    }
+  }
+  return stats;
+};
+
+/* ------------------------------- duplicates ------------------------------- */
+
+const userEntry = (u) => ({
+  kind: "user",
+  id: String(u._id),
+  name: fullName(u),
+  email: u.email,
+  zipCode: u.zipCode ?? null,
+  linkedTo: u.subscriberAccount ? String(u.subscriberAccount) : null,
+  createdAt: u.createdAt,
+});
+
+const subscriberEntry = (s) => ({
+  kind: "subscriber",
+  id: String(s._id),
+  name: s.name,
+  email: s.email,
+  zipCode: s.zipCode ?? null,
+  status: s.status || "pending",
+  createdAt: s.createdAt,
+});
+
+const keepFirst = (x, y) =>
+  (x.kind === "user" ? 0 : 1) - (y.kind === "user" ? 0 : 1) || new Date(x.createdAt) - new Date(y.createdAt);
+
+/**
+ * Likely duplicates, as pairs that can be merged (subscriber + subscriber, or
+ * user + subscriber that aren't linked to each other). Two user accounts are
+ * never paired: each has its own login.
+ * Also returns linked pairs whose name or postal code differ.
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<{ pairs: Array<{ a: object, b: object, reasons: string[] }>,
+ *   drifted: Array<{ user: object, subscriber: object, fields: string[] }> }>}
+ */
+export const findDuplicates = async ({ limit = 200 } = {}) => {
+  const groups = new Map();
+  const subscribers = new Map();
+  const add = (type, value, entry) => {
+    if (!value) return;
+    const key = `${type}:${value}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  };
+
+  for await (const s of Subscriber.find().select("name email zipCode status createdAt").lean().cursor()) {
+    const entry = subscriberEntry(s);
+    subscribers.set(entry.id, entry);
+    add("email", emailKey(s.email), entry);
+    add("name", nameKey(s.name, s.zipCode), entry);
+  }
+
+  const drifted = [];
+  for await (const u of User.find().select("name email zipCode subscriberAccount createdAt").lean().cursor()) {
+    const entry = userEntry(u);
+    add("email", emailKey(u.email), entry);
+    add("name", nameKey(entry.name, u.zipCode), entry);
+
+    const sub = entry.linkedTo && subscribers.get(entry.linkedTo);
+    if (sub) {
+      const fields = [];
+      if (sub.name !== entry.name) fields.push("name");
+      if ((sub.zipCode ?? null) !== entry.zipCode) fields.push("zipCode");
+      if (fields.length) drifted.push({ user: entry, subscriber: sub, fields });
+    }
+  }
+
+  const pairs = new Map();
+  scan: for (const [key, entries] of groups) {
+    if (entries.length < 2) continue;
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        if (pairs.size >= limit) break scan;
+        // `a` is the one to keep: the user, otherwise the older subscriber
+        const [a, b] = [entries[i], entries[j]].sort(keepFirst);
+        if (a.kind === "user" && b.kind === "user") continue;
+        if (a.linkedTo === b.id) continue;
+
+        let reason;
+        if (key.startsWith("name:")) reason = "same name and postal code";
+        else reason = a.email === b.email ? "same email" : "similar email";
+
+        const id = `${a.kind}:${a.id}|${b.kind}:${b.id}`;
+        if (!pairs.has(id)) pairs.set(id, { a, b, reasons: [] });
+        pairs.get(id).reasons.push(reason);
+      }
+    }
+  }
+
+  return {
+    pairs: [...pairs.values()],
+    drifted: drifted.slice(0, limit),
+  };
+};
+
+/* ---------------------------------- merge --------------------------------- */
+
+// Consent fields travel with the email they were given for
+const CONSENT_FIELDS = [
+  "status",
+  "source",
+  "requestedAt",
+  "requestIp",
+  "confirmedAt",
+  "confirmIp",
+  "unsubscribedAt",
+];
+
+/**
+ * Merge `dropId` into `keepId` (two subscribers). `picks` chooses, per field,
+ * whose value to keep ("keep" or "drop"); course lists are combined and users
+ * linked to the dropped subscriber move to the kept one.
+ * @param {{ name?: "keep"|"drop", email?: "keep"|"drop", zipCode?: "keep"|"drop" }} picks
+ * @returns {Promise<import("mongoose").Document>} the kept subscriber
+ * @throws {Error} with .status 404 / 422
+ */
+export const mergeSubscribers = async (keepId, dropId, picks = {}) => {
+  if (sameId(keepId, dropId)) throw Object.assign(new Error("Pick two different subscribers."), { status: 422 });
+
+  const [keep, drop] = await Promise.all([Subscriber.findById(keepId), Subscriber.findById(dropId)]);
+  if (!keep || !drop) throw Object.assign(new Error("Subscriber not found."), { status: 404 });
+
+  if (picks.name === "drop") keep.name = drop.name;
+  if (picks.zipCode === "drop") keep.zipCode = drop.zipCode;
+  if (picks.email === "drop") {
+    keep.email = drop.email;
+    for (const field of CONSENT_FIELDS) keep.set(field, drop.get(field));
+  }
+  const courses = new Set([...keep.courses, ...drop.courses].map(String));
+  keep.courses = [...courses].map((id) => new mongoose.Types.ObjectId(id));
+
+  const invalid = keep.validateSync();
+  if (invalid) throw Object.assign(new Error(Object.values(invalid.errors)[0].message), { status: 422 });
+
+  // No transaction (standalone MongoDB has none), so every step leaves both records
+  // readable: the dropped one is only deleted once the kept one is saved and linked.
+  // Its unique email is freed first by parking it on an undeliverable .invalid address
+  // that still contains the original.
+  const takesEmail = picks.email === "drop";
+  const setDropEmail = (email) => Subscriber.updateOne({ _id: drop._id }, { $set: { email } });
+  if (takesEmail) await setDropEmail(`${drop.email}.merged-${drop._id}.invalid`);
+
+  try {
+    await keep.save();
+  } catch (e) {
+    if (takesEmail) await setDropEmail(drop.email);
+    throw e;
+  }
+
+  await User.updateMany({ subscriberAccount: drop._id }, { $set: { subscriberAccount: keep._id } });
+  await drop.deleteOne();
+  return keep;
+};
+
+/**
+ * Merge a subscriber into a user: link them, take the picked name / postal code
+ * (saved on the user, then synced) and enroll the user in `enrollIn` courses
+ * (same seat / waitlist rules as joining).
+ * @param {{ name?: "user"|"subscriber", zipCode?: "user"|"subscriber" }} picks
+ * @param {string[]} [enrollIn] course ids from the subscriber's list
+ * @returns {Promise<{ user: import("mongoose").Document, enrolled: number, waitlisted: number }>}
+ * @throws {Error} with .status 404 / 422
+ */
+export const mergeSubscriberIntoUser = async (userId, subscriberId, picks = {}, enrollIn = []) => {
+  const [user, sub] = await Promise.all([User.findById(userId), Subscriber.findById(subscriberId)]);
+  if (!user || !sub) throw Object.assign(new Error("User or subscriber not found."), { status: 404 });
+
+  if (picks.name === "subscriber") {
+    const { first, last } = splitName(sub.name);
+    user.name.first = first || user.name.first;
+    user.name.last = last || user.name.last;
+  }
+  if (picks.zipCode === "subscriber") user.zipCode = sub.zipCode;
+
+  const invalid = user.validateSync();
+  if (invalid) throw Object.assign(new Error(Object.values(invalid.errors)[0].message), { status: 422 });
+  await user.save();
+  await linkSubscriber(user, sub._id);
+
+  const result = { user, enrolled: 0, waitlisted: 0 };
+  const allowed = new Set(sub.courses.map(String));
+  for (const courseId of enrollIn) {
+    if (!allowed.has(String(courseId))) continue;
+    const joined = await enroll(user._id, courseId);
+    if (!joined) continue;
+    if (joined.enrollment.status === "waitlisted") result.waitlisted += 1;
+    else result.enrolled += 1;
+  }
+  return result;
+};
+
+export default {
+  splitName,
+  emailKey,
+  nameKey,
+  syncFromUser,
+  linkSubscriber,
+  linkByEmail,
+  relinkAfterEmailChange,
+  syncAllLinked,
+  findDuplicates,
+  mergeSubscribers,
+  mergeSubscriberIntoUser,
+};
@@ -0,0 +1,270 @@
+/**
+ * @file services/loginAttempts.js
+ * @description Brute-force protection shared by the login form and POST /api/authenticate.
+ *
+ * Failed logins are counted per account (email) and per IP address:
+ * - after a few free attempts each failure makes the next attempt wait longer
+ *   (1s, 2s, 4s, ... up to LOGIN_POLICY.maxDelayMs);
+ * - after `lockAfter` failures the key is locked for `lockMs`;
+ * - a successful login clears the account counter (not the IP one), and so do
+ *   a password reset and an admin unlock.
+ * Unknown emails are counted like real ones, so answers don't reveal which exist.
+ *
+ * Counters live in a store, any object with:
+ *
+ *   get(key)              → { failures, blockedUntil?, lockedUntil?, expiresAt } | null (expired)
+ *   increment(key, expiresAt)
+ *                         → the record after one more failure (a fresh one if expired)
+ *   update(key, fields)   sets failures / blockedUntil / lockedUntil / expiresAt
+ *   reset(key)            forgets the key
+ *
+ * LOGIN_ATTEMPT_STORE=memory keeps them in this process (tests, single instance);
+ * the default is MongoDB (models/loginAttempt.js), shared by every app process.
+ * Tests can swap the store with setAttemptStore().
+ */
+
+import LoginAttempt from "../models/loginAttempt.js";
+
+const MINUTE = 60 * 1000;
+
+export const LOGIN_POLICY = {
+  account: { freeAttempts: 3, lockAfter: 10, lockMs: 15 * MINUTE, windowMs: 60 * MINUTE },
+  // One address may try many accounts (or sit behind a shared NAT): more room
+  ip: { freeAttempts: 10, lockAfter: 50, lockMs: 15 * MINUTE, windowMs: 60 * MINUTE },
+  baseDelayMs: 1000,
+  maxDelayMs: MINUTE,
+};
+
+/* --------------------------------- stores --------------------------------- */
+
+const isFuture = (date, now = Date.now()) => Boolean(date) && new Date(date).getTime() > now;
+
+// In this process only; expired keys are dropped as they are met (and on a sweep)
+export const createMemoryAttemptStore = ({ sweepEvery = 1000 } = {}) => {
+  const records = new Map();
+  let writes = 0;
+
+  const live = (key) => {
+    const record = records.get(key);
+    if (record && !isFuture(record.expiresAt)) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  const sweep = () => {
+    writes += 1;
+    if (writes % sweepEvery) return;
+    for (const key of records.keys()) live(key);
+  };
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const record = live(key);
+      return record ? { ...record } : null;
+    },
+
+    async increment(key, expiresAt) {
+      sweep();
+      const record = live(key) || { failures: 0 };
+      const next = { ...record, failures: record.failures + 1, expiresAt: new Date(expiresAt) };
+      records.set(key, next);
+      return { ...next };
+    },
+
+    async update(key, fields) {
+      const record = live(key);
+      if (record) records.set(key, { ...record, ...fields });
+    },
+
+    async reset(key) {
+      records.delete(key);
+    },
+
+    // For tests
+    clear() {
+      records.clear();
+    },
+  };
+};
+
+// MongoDB (models/loginAttempt.js): counts survive restarts and are shared by processes
+export const createMongoAttemptStore = () => ({
+  name: "mongo",
+
+  get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } })
+      .select("failures blockedUntil lockedUntil expiresAt")
+      .lean();
+  },
+
+  // One atomic update: concurrent failures can't overwrite each other's count
+  increment(key, expiresAt) {
+    const expired = { $not: [{ $gt: ["$expiresAt", "$$NOW"] }] };
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            failures: { $cond: [expired, 1, { $add: [{ $ifNull: ["$failures", 0] }, 1] }] },
+            blockedUntil: { $cond: [expired, null, "$blockedUntil"] },
+            lockedUntil: { $cond: [expired, null, "$lockedUntil"] },
+            expiresAt: new Date(expiresAt),
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    )
+      .select("failures blockedUntil lockedUntil expiresAt")
+      .lean();
+  },
+
+  async update(key, fields) {
+    await LoginAttempt.updateOne({ key }, { $set: fields });
+  },
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  },
+});
+
+let store = null;
+
+export const getAttemptStore = () => {
+  if (!store) {
+    store =
+      (process.env.LOGIN_ATTEMPT_STORE || "mongo").toLowerCase() === "memory"
+        ? createMemoryAttemptStore()
+        : createMongoAttemptStore();
+  }
+  return store;
+};
+
+export const setAttemptStore = (nextStore) => {
+  store = nextStore;
+};
+
+/* --------------------------------- helpers -------------------------------- */
+
+export const normalizeLoginEmail = (email) => String(email || "").trim().toLowerCase();
+
+const accountKey = (email) => `account:${normalizeLoginEmail(email)}`;
+
+// The counters a login touches: [{ scope, key, rule }]
+const countersFor = ({ email, ip }) =>
+  [
+    normalizeLoginEmail(email) && { scope: "account", key: accountKey(email), rule: LOGIN_POLICY.account },
+    ip && { scope: "ip", key: `ip:${ip}`, rule: LOGIN_POLICY.ip },
+  ].filter(Boolean);
+
+const delayAfter = (failures, rule) => {
+  const extra = failures - rule.freeAttempts;
+  if (extra <= 0) return 0;
+  return Math.min(LOGIN_POLICY.baseDelayMs * 2 ** (extra - 1), LOGIN_POLICY.maxDelayMs);
+};
+
+const later = (a, b) => (a && b ? new Date(Math.max(a, b)) : a || b || null);
+
+const waitText = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
+
+// Text for a refused attempt (same for known and unknown emails)
+const refusal = (reason, retryAfterMs) => {
+  const wait = waitText(retryAfterMs);
+  const message = {
+    "account-locked": `Too many failed logins. This account is locked; try again in ${wait} or reset your password.`,
+    "ip-locked": `Too many failed logins from your network. Try again in ${wait}.`,
+    "slow-down": `Too many failed logins. Please wait ${wait} before trying again.`,
+  }[reason];
+  return { allowed: false, reason, retryAfterMs, message };
+};
+
+/* --------------------------------- actions -------------------------------- */
+
+/**
+ * May this login be attempted now? Call before checking the password.
+ * @param {{ email?: string, ip?: string }} attempt
+ * @returns {Promise<{ allowed: true } | { allowed: false, reason: string, retryAfterMs: number, message: string }>}
+ */
+export const checkLogin = async (attempt) => {
+  const now = Date.now();
+  let refused = null;
+
+  for (const { scope, key } of countersFor(attempt)) {
+    const record = await getAttemptStore().get(key);
+    const locked = isFuture(record?.lockedUntil, now);
+    const until = locked ? record.lockedUntil : record?.blockedUntil;
+    if (!isFuture(until, now)) continue;
+
+    const retryAfterMs = new Date(until).getTime() - now;
+    const reason = locked ? `${scope}-locked` : "slow-down";
+    if (!refused || retryAfterMs > refused.retryAfterMs) refused = refusal(reason, retryAfterMs);
+  }
+  return refused || { allowed: true };
+};
+
+/**
+ * Count a failed login (wrong password or unknown email).
+ * @returns {Promise<{ accountLockedUntil: Date|null, refusal: object|null }>}
+ *   accountLockedUntil is set only when this failure locked the account (send the notice);
+ *   refusal describes the wait that now applies, if any.
+ */
+export const recordFailedLogin = async (attempt) => {
+  const now = Date.now();
+  let accountLockedUntil = null;
+
+  for (const { scope, key, rule } of countersFor(attempt)) {
+    const record = await getAttemptStore().increment(key, new Date(now + rule.windowMs));
+
+    if (record.failures >= rule.lockAfter && !isFuture(record.lockedUntil, now)) {
+      // Start counting again once the lock is over
+      const lockedUntil = new Date(now + rule.lockMs);
+      await getAttemptStore().update(key, {
+        failures: 0,
+        blockedUntil: null,
+        lockedUntil,
+        expiresAt: later(lockedUntil, record.expiresAt),
+      });
+      if (scope === "account") accountLockedUntil = lockedUntil;
+    } else {
+      const delay = delayAfter(record.failures, rule);
+      if (delay) await getAttemptStore().update(key, { blockedUntil: new Date(now + delay) });
+    }
+  }
+
+  const status = await checkLogin(attempt);
+  return { accountLockedUntil, refusal: status.allowed ? null : status };
+};
+
+// Successful login: the account starts with a clean slate (the IP counter stays)
+export const recordSuccessfulLogin = ({ email }) => getAttemptStore().reset(accountKey(email));
+
+// Admin unlock / password reset
+export const unlockAccount = (email) => getAttemptStore().reset(accountKey(email));
+
+// Date the account is locked until, or null
+export const accountLockedUntil = async (email) => {
+  const record = await getAttemptStore().get(accountKey(email));
+  return isFuture(record?.lockedUntil) ? new Date(record.lockedUntil) : null;
+};
+
+export default {
+  LOGIN_POLICY,
+  createMemoryAttemptStore,
+  createMongoAttemptStore,
+  getAttemptStore,
+  setAttemptStore,
+  normalizeLoginEmail,
+  checkLogin,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  accountLockedUntil,
+};
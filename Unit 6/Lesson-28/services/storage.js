@@ -0,0 +1,106 @@
+/**
+ * @file services/storage.js
+ * @description Where uploaded files live. Callers only see a small interface:
+ *
+ *   save(key, buffer, { contentType })  → key
+ *   remove(key) / removePrefix(prefix)   (missing files are ignored)
+ *   read(key)                            → readable stream
+ *   url(key)                             → public URL for <img src>
+ *   serve()                              → middleware for publicPath (or null)
+ *   origin                               → extra CSP imgSrc origin (or null)
+ *
+ * Keys are POSIX-style relative paths such as "courses/<id>/cover-<rand>.webp".
+ * STORAGE_DRIVER picks the backend; only "local" (UPLOADS_DIR on disk) exists today.
+ */
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import express from "express";
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/* ---------------------------------- local --------------------------------- */
+
+/**
+ * Files on local disk under `root`, served by Express at `publicPath`.
+ * @param {{ root: string, publicPath?: string }} options
+ */
+export const createLocalStorage = ({ root, publicPath = "/uploads" }) => {
+  const base = path.resolve(root);
+
+  // Keys come from our code, but never let one escape the uploads folder
+  const resolveKey = (key) => {
+    const full = path.resolve(base, String(key || ""));
+    if (!full.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return full;
+  };
+
+  return {
+    driver: "local",
+    origin: null,
+
+    async save(key, buffer) {
+      const full = resolveKey(key);
+      await fsp.mkdir(path.dirname(full), { recursive: true });
+      // "wx": keys are random, so an existing file means a bug — don't overwrite
+      await fsp.writeFile(full, buffer, { flag: "wx" });
+      return key;
+    },
+
+    async remove(key) {
+      try {
+        await fsp.unlink(resolveKey(key));
+      } catch (e) {
+        if (e?.code !== "ENOENT") throw e;
+      }
+    },
+
+    async removePrefix(prefix) {
+      await fsp.rm(resolveKey(prefix), { recursive: true, force: true });
+    },
+
+    read(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    url(key) {
+      return `${publicPath}/${String(key).split("/").map(encodeURIComponent).join("/")}`;
+    },
+
+    // Keys never change content, so browsers may cache for a long time
+    serve() {
+      return express.static(base, {
+        index: false,
+        dotfiles: "deny",
+        maxAge: "30d",
+        immutable: true,
+      });
+    },
+
+    publicPath,
+  };
+};
+
+/* --------------------------------- factory -------------------------------- */
+
+let instance = null;
+
+/**
+ * The configured storage (created on first use).
+ * Env: STORAGE_DRIVER (default "local"), UPLOADS_DIR (default ./uploads)
+ */
+export const getStorage = () => {
+  if (instance) return instance;
+
+  const driver = process.env.STORAGE_DRIVER || "local";
+  if (driver !== "local") throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+
+  instance = createLocalStorage({
+    root: path.resolve(PROJECT_ROOT, process.env.UPLOADS_DIR || "uploads"),
+  });
+  return instance;
+};
+
+export default getStorage;
@@ -0,0 +1,121 @@
+/**
+ * @file services/subscriptions.js
+ * @description Newsletter consent: double opt-in and unsubscribe.
+ *
+ * - subscribe() starts (or restarts) the opt-in and emails a confirmation link;
+ *   nobody is mailed anything else until they click it.
+ * - Everything sent to a subscriber goes through sendToSubscriber(), which adds the
+ *   signed unsubscribe link to the body and the List-Unsubscribe headers
+ *   (RFC 8058 one-click: mail clients POST to the same URL).
+ */
+
+import Subscriber from "../models/subscribers.js";
+import { emailUrl } from "../utils/appUrl.js";
+import { renderEmail, sendMail } from "./mailer.js";
+
+/* ---------------------------------- links --------------------------------- */
+
+export const unsubscribeUrl = (subscriber) =>
+  emailUrl(`/subscribers/${subscriber._id}/unsubscribe?sig=${subscriber.unsubscribeSignature()}`);
+
+export const confirmUrl = (subscriber, rawToken) =>
+  emailUrl(`/subscribers/${subscriber._id}/confirm/${rawToken}`);
+
+/* --------------------------------- sending -------------------------------- */
+
+/**
+ * Send one message to a subscriber, with the unsubscribe link.
+ * The template gets `subscriber` and `unsubscribeUrl` besides `data`.
+ * @param {import("mongoose").Document} subscriber
+ * @param {{ subject: string, template: string, text: string, data?: object, transport?: string }} message
+ *   transport: mailer transport name ("bulk" for newsletters)
+ */
+export const sendToSubscriber = async (subscriber, { subject, template, text, data = {}, transport }) => {
+  const url = unsubscribeUrl(subscriber);
+  return sendMail(
+    {
+      to: subscriber.email,
+      subject,
+      text: `${text}\n\n--\nUnsubscribe: ${url}`,
+      html: await renderEmail(template, { ...data, subscriber, unsubscribeUrl: url }),
+      headers: {
+        "List-Unsubscribe": `<${url}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    },
+    { transport }
+  );
+};
+
+const sendConfirmation = async (subscriber, rawToken) => {
+  const url = confirmUrl(subscriber, rawToken);
+  try {
+    await sendToSubscriber(subscriber, {
+      subject: "Confirm your My Recipe Web subscription",
+      template: "confirm_subscription",
+      text: `Hi ${subscriber.name || ""},\n\nPlease confirm that you want to receive emails from My Recipe Web:\n${url}\n\nIf you did not ask for this, you can ignore this email.`,
+      data: { confirmUrl: url },
+    });
+  } catch (e) {
+    console.error("Failed to send subscription confirmation:", e);
+  }
+};
+
+/* ---------------------------------- flow ---------------------------------- */
+
+/**
+ * Ask to subscribe. New, pending and unsubscribed addresses get a fresh
+ * confirmation email; confirmed ones are left alone.
+ * @param {{ name: string, email: string, zipCode?: number, source?: string }} fields
+ * @returns {Promise<{ subscriber: object, sent: boolean }>}
+ */
+export const subscribe = async (req, { name, email, zipCode, source = "form" }) => {
+  const subscriber = (await Subscriber.findOne({ email })) || new Subscriber({ email });
+  if (subscriber.status === "confirmed") return { subscriber, sent: false };
+
+  subscriber.name = name;
+  if (zipCode !== undefined) subscriber.zipCode = zipCode;
+  const rawToken = subscriber.createConfirmationToken({ ip: req?.ip, source });
+  await subscriber.save();
+
+  await sendConfirmation(subscriber, rawToken);
+  return { subscriber, sent: true };
+};
+
+// Confirmation link → confirmed subscriber, or null (bad / expired / used link)
+export const confirm = (req, subscriberId, rawToken) =>
+  Subscriber.confirmByToken(subscriberId, rawToken, { ip: req?.ip });
+
+// Signed unsubscribe link → subscriber, or null for a bad link
+export const findByUnsubscribeLink = async (subscriberId, signature) => {
+  const subscriber = await Subscriber.findById(subscriberId);
+  return subscriber?.verifyUnsubscribeSignature(signature) ? subscriber : null;
+};
+
+/**
+ * Signed unsubscribe link → unsubscribed subscriber, or null for a bad link.
+ * Repeating it is harmless (the first unsubscribedAt is kept).
+ */
+export const unsubscribe = async (subscriberId, signature) => {
+  const subscriber = await findByUnsubscribeLink(subscriberId, signature);
+  if (!subscriber) return null;
+
+  if (subscriber.status !== "unsubscribed") {
+    subscriber.status = "unsubscribed";
+    subscriber.unsubscribedAt = new Date();
+    subscriber.confirmationHash = undefined;
+    subscriber.confirmationExpires = undefined;
+    await subscriber.save();
+  }
+  return subscriber;
+};
+
+export default {
+  unsubscribeUrl,
+  confirmUrl,
+  sendToSubscriber,
+  subscribe,
+  confirm,
+  findByUnsubscribeLink,
+  unsubscribe,
+};
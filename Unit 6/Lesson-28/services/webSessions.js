@@ -0,0 +1,134 @@
+/**
+ * @file services/webSessions.js
+ * @description express-session store on the app's mongoose connection
+ * (models/webSession.js) + "your active sessions" helpers.
+ *
+ * - Sessions survive restarts and are shared by every app process.
+ * - MongoDB drops expired sessions itself (TTL index on expiresAt).
+ * - Signing a session out deletes its document; its cookie then finds nothing
+ *   and the browser is logged out on its next request.
+ * - Who / where (user, device, ip) is recorded in the session by
+ *   middlewares/sessionInfo.js and copied to top-level fields on save.
+ */
+
+import session from "express-session";
+import WebSession from "../models/webSession.js";
+import { hashToken } from "../utils/tokens.js";
+
+// Sessions without a cookie expiry (browser-session cookies) are kept this long
+const DEFAULT_TTL_MS = 1000 * 60 * 60 * 24;
+// "Last seen" is written at most this often per session
+const TOUCH_EVERY_MS = 1000 * 60;
+
+/* --------------------------------- helpers -------------------------------- */
+
+const expiryOf = (sess) =>
+  sess?.cookie?.expires ? new Date(sess.cookie.expires) : new Date(Date.now() + DEFAULT_TTL_MS);
+
+// Public id of a session (pages, URLs); the real id stays in the cookie
+export const sessionKey = (sid) => hashToken(sid);
+
+/* ---------------------------------- store --------------------------------- */
+
+export class MongooseSessionStore extends session.Store {
+  get(sid, callback) {
+    WebSession.findOne({ _id: sid, expiresAt: { $gt: new Date() } })
+      .select("data")
+      .lean()
+      .then((doc) => callback(null, doc ? JSON.parse(doc.data) : null))
+      .catch((err) => callback(err));
+  }
+
+  set(sid, sess, callback = () => {}) {
+    const now = new Date();
+    const fields = {
+      data: JSON.stringify(sess),
+      expiresAt: expiryOf(sess),
+      lastSeenAt: now,
+    };
+    const update = { $set: fields, $setOnInsert: { key: sessionKey(sid) } };
+
+    if (sess.userId) {
+      Object.assign(fields, { user: sess.userId, device: sess.client?.device, ip: sess.client?.ip });
+    } else {
+      // Logged out (or never logged in): no longer listed as anyone's session
+      update.$unset = { user: "", device: "", ip: "" };
+    }
+
+    WebSession.updateOne({ _id: sid }, update, { upsert: true })
+      .then(() => callback(null))
+      .catch((err) => callback(err));
+  }
+
+  // Unchanged session seen again: slide the expiry, note the visit (throttled)
+  touch(sid, sess, callback = () => {}) {
+    const now = new Date();
+    WebSession.updateOne(
+      { _id: sid, lastSeenAt: { $lt: new Date(now.getTime() - TOUCH_EVERY_MS) } },
+      { $set: { expiresAt: expiryOf(sess), lastSeenAt: now } }
+    )
+      .then(() => callback(null))
+      .catch((err) => callback(err));
+  }
+
+  destroy(sid, callback = () => {}) {
+    WebSession.deleteOne({ _id: sid })
+      .then(() => callback(null))
+      .catch((err) => callback(err));
+  }
+
+  length(callback) {
+    WebSession.countDocuments({ expiresAt: { $gt: new Date() } })
+      .then((count) => callback(null, count))
+      .catch((err) => callback(err));
+  }
+
+  clear(callback = () => {}) {
+    WebSession.deleteMany({})
+      .then(() => callback(null))
+      .catch((err) => callback(err));
+  }
+}
+
+/* ---------------------------------- users --------------------------------- */
+
+/**
+ * A user's signed-in browsers, most recent first.
+ * @param {string} userId
+ * @param {string} [currentSid] req.sessionID, marked `current: true`
+ */
+export const listSessions = async (userId, currentSid) => {
+  const currentKey = currentSid ? sessionKey(currentSid) : null;
+  const sessions = await WebSession.find({ user: userId, expiresAt: { $gt: new Date() } })
+    .select("key device ip lastSeenAt createdAt")
+    .sort({ lastSeenAt: -1 })
+    .lean();
+  return sessions.map(({ _id, ...rest }) => ({ ...rest, current: rest.key === currentKey }));
+};
+
+// Sign out one session of a user (by its public key); true if there was one
+export const signOutSession = async (userId, key) => {
+  const { deletedCount } = await WebSession.deleteOne({ user: userId, key: String(key) });
+  return deletedCount > 0;
+};
+
+/**
+ * Sign a user out of every browser.
+ * @param {string} userId
+ * @param {{ except?: string }} [options] session id to keep (the one making the request)
+ * @returns {Promise<number>} sessions signed out
+ */
+export const signOutSessions = async (userId, { except } = {}) => {
+  const filter = { user: userId };
+  if (except) filter._id = { $ne: except };
+  const { deletedCount } = await WebSession.deleteMany(filter);
+  return deletedCount;
+};
+
+export default {
+  MongooseSessionStore,
+  sessionKey,
+  listSessions,
+  signOutSession,
+  signOutSessions,
+};
@@ -0,0 +1,60 @@
+// utils/apiResponse.js
+// One response envelope for /api/v1:
+//   success → { success: true, data, meta? }
+//   failure → { success: false, error: { code, message, details? } }
+
+import { validationResult } from "express-validator";
+
+export const sendData = (res, data, { status = 200, meta } = {}) => {
+  const body = { success: true, data };
+  if (meta) body.meta = meta;
+  return res.status(status).json(body);
+};
+
+export const sendError = (res, status, code, message, details) => {
+  const error = { code, message };
+  if (details) error.details = details;
+  return res.status(status).json({ success: false, error });
+};
+
+// Run after express-validator chains: 422 with one entry per invalid field
+export const validate = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) return next();
+
+  const details = result.array().map((e) => ({
+    field: e.path ?? e.param,
+    location: e.location,
+    message: e.msg,
+  }));
+  return sendError(res, 422, "validation_failed", "Validation failed.", details);
+};
+validate.openapi = { responses: { 422: "ValidationFailed" } };
+
+// Last middleware on the v1 router: map common Mongo/Mongoose errors
+export const apiErrorHandler = (err, req, res, _next) => {
+  if (err?.name === "ValidationError") {
+    const details = Object.values(err.errors || {}).map((e) => ({
+      field: e.path,
+      location: "body",
+      message: e.message,
+    }));
+    return sendError(res, 422, "validation_failed", "Validation failed.", details);
+  }
+  if (err?.name === "CastError") {
+    return sendError(res, 400, "bad_request", `Invalid value for ${err.path}.`);
+  }
+  // body-parser: malformed JSON, body too large (e.g. a CSV import), ...
+  if (err?.expose && err.status >= 400 && err.status < 500) {
+    const code = err.type === "entity.too.large" ? "payload_too_large" : "bad_request";
+    return sendError(res, err.status, code, err.message);
+  }
+  if (err?.code === 11000) {
+    const field = Object.keys(err.keyValue || {})[0];
+    return sendError(res, 409, "conflict", `Duplicate ${field || "value"}.`);
+  }
+
+  console.error("API error:", err);
+  const isDev = req.app.get("env") !== "production";
+  return sendError(res, 500, "server_error", isDev ? err?.message || "Server error" : "Something went wrong");
+};
@@ -0,0 +1,27 @@
+// utils/appUrl.js
+// Absolute links. APP_URL (e.g. https://myrecipeweb.co.za) keeps them correct behind proxies.
+
+const APP_URL = process.env.APP_URL;
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+
+// Newsletters need it even in development: a localhost unsubscribe link is a dead link
+export const HAS_APP_URL = Boolean(APP_URL);
+
+/**
+ * Link that goes out by email (reset, verification, invitation, unsubscribe, ...).
+ * Only ever APP_URL: the Host header is whatever the client sent, so a reset link built
+ * from it could hand the token to someone else's server. Required in production;
+ * development falls back to http://localhost:PORT.
+ */
+export const emailUrl = (pathname = "/") => {
+  if (!APP_URL && IS_PRODUCTION) throw new Error("APP_URL is required in production (links in emails)");
+  return new URL(pathname, APP_URL || `http://localhost:${process.env.PORT || 3000}`).toString();
+};
+
+// Link for the response to this request (feeds, pagination): the request host is fine here
+const appUrl = (req, pathname = "/") => {
+  const base = APP_URL || `${req?.protocol || "http"}://${req?.get?.("host") || "localhost:3000"}`;
+  return new URL(pathname, base).toString();
+};
+
+export default appUrl;
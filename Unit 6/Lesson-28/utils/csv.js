@@ -0,0 +1,116 @@
+// utils/csv.js
+// CSV (RFC 4180) for imports and exports:
+// - parseCsv(): quoted fields, "" escapes, CRLF / LF, line breaks inside quotes, BOM
+// - csvLine(): one escaped row; text starting with = + - @ is prefixed with '
+//   so spreadsheets don't run it as a formula
+// - streamCsv(): header + rows from a Mongo cursor, written as they arrive
+
+export const CSV_TYPE = "text/csv; charset=utf-8";
+
+/**
+ * CSV text → { headers, rows }.
+ * Headers are trimmed and matched case-insensitively (lowercased);
+ * each row is { line, values: { header: string } }. Blank lines are skipped.
+ * @throws {Error} on an unterminated quote or more than `maxRows` rows
+ */
+export const parseCsv = (text, { maxRows = Infinity } = {}) => {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0].trim() !== "") records.push({ line: recordLine, fields: record });
+    if (records.length > maxRows + 1) throw new Error(`Too many rows (at most ${maxRows}).`);
+    record = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      endField();
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${recordLine}.`);
+  if (field !== "" || record.length) endRecord();
+
+  const [head, ...body] = records;
+  const headers = (head?.fields || []).map((h) => h.trim().toLowerCase());
+  const rows = body.map(({ line: rowLine, fields }) => ({
+    line: rowLine,
+    values: Object.fromEntries(headers.map((h, i) => [h, (fields[i] ?? "").trim()])),
+  }));
+  return { headers, rows };
+};
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV row (with the line break)
+export const csvLine = (values) => `${values.map(escapeField).join(",")}\r\n`;
+
+// Resolves on "drain" or "close", whichever comes first, and removes both listeners
+const drainOrClose = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+/**
+ * Stream a download: header row, then one row per document.
+ * @param {import("express").Response} res
+ * @param {string} filename
+ * @param {Array<{ header: string, value: (doc: object) => unknown }>} columns
+ * @param {AsyncIterable<object>} docs e.g. Model.find().lean().cursor()
+ */
+export const streamCsv = async (res, filename, columns, docs) => {
+  res.type(CSV_TYPE);
+  res.attachment(filename);
+  res.write(csvLine(columns.map((c) => c.header)));
+
+  for await (const doc of docs) {
+    // Client went away: leaving the loop closes the cursor
+    if (res.destroyed) return;
+    // Wait for the client when its buffer is full instead of piling rows up in memory
+    if (!res.write(csvLine(columns.map((c) => c.value(doc))))) await drainOrClose(res);
+  }
+  res.end();
+};
+
+export default { CSV_TYPE, parseCsv, csvLine, streamCsv };
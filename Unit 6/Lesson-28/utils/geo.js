@@ -0,0 +1,128 @@
+// utils/geo.js
+// Postal code → map point, for "courses near me" and local subscribers.
+// - Points are GeoJSON ({ type: "Point", coordinates: [lng, lat] }), what a
+//   2dsphere index expects (models/postalLocation.js).
+// - Offline lookup in data/postalCentroids.js; codes without an entry of their own
+//   use the closest listed code with the same first digits (approximate).
+
+import CENTROIDS from "../data/postalCentroids.js";
+import { POSTAL_FORMATS, normalizePostalCode, postalCountries } from "./postalCodes.js";
+
+export const EARTH_RADIUS_KM = 6371;
+export const DEFAULT_RADIUS_KM = 25;
+export const MAX_RADIUS_KM = 500;
+// Choices for the radius <select> on /courses
+export const RADIUS_OPTIONS_KM = [5, 10, 25, 50, 100];
+
+// A listed code must share at least this many leading characters to stand in
+const MIN_SHARED_PREFIX = 2;
+
+const toPoint = ([lat, lng]) => ({ type: "Point", coordinates: [lng, lat] });
+
+const sharedPrefix = (a, b) => {
+  let n = 0;
+  while (n < a.length && a[n] === b[n]) n += 1;
+  return n;
+};
+
+// Listed code with the longest shared prefix; ties go to the numerically closest
+const closestListed = (table, code) => {
+  let best = null;
+  for (const listed of Object.keys(table)) {
+    const shared = sharedPrefix(code, listed);
+    if (shared < MIN_SHARED_PREFIX) continue;
+    const gap = Math.abs(Number.parseInt(listed, 36) - Number.parseInt(code, 36));
+    if (!best || shared > best.shared || (shared === best.shared && gap < best.gap)) {
+      best = { listed, shared, gap };
+    }
+  }
+  return best ? table[best.listed] : null;
+};
+
+// Configured countries whose format fits the code and that have a table
+const tablesFor = (code) =>
+  postalCountries()
+    .filter((country) => CENTROIDS[country])
+    .filter((country) => new RegExp(`^(?:${POSTAL_FORMATS[country].pattern})$`).test(code))
+    .map((country) => CENTROIDS[country]);
+
+/**
+ * Map point for a postal code (null if unknown or invalid).
+ * @param {unknown} value any form of the code ("8001", 8001, " 8001 ")
+ * @returns {{ type: "Point", coordinates: [number, number] }|null}
+ */
+export const locatePostalCode = (value) => {
+  const code = normalizePostalCode(value);
+  if (!code) return null;
+
+  const tables = tablesFor(code);
+  for (const table of tables) {
+    if (Object.hasOwn(table, code)) return toPoint(table[code]);
+  }
+  for (const table of tables) {
+    const nearby = closestListed(table, code);
+    if (nearby) return toPoint(nearby);
+  }
+  return null;
+};
+
+// express-validator check for ?near= (utils/openapi.js reads `.openapi`)
+export const isLocatablePostalCode = (value) => locatePostalCode(value) !== null;
+isLocatablePostalCode.openapi = () => ({
+  type: "string",
+  examples: [POSTAL_FORMATS[postalCountries()[0]].example],
+});
+
+// ?radius= in km → number in 1..MAX_RADIUS_KM (default for anything else)
+export const readRadius = (value) => {
+  const km = Number(value);
+  if (!Number.isFinite(km) || km < 1) return DEFAULT_RADIUS_KM;
+  return Math.min(km, MAX_RADIUS_KM);
+};
+
+/**
+ * Great-circle distance in km as an aggregation expression (haversine).
+ * Used next to $geoWithin, which (unlike $geoNear) works together with $text.
+ * @param {{ coordinates: [number, number] }} origin
+ * @param {string} [field] path of the GeoJSON point
+ */
+export const distanceKmExpression = (origin, field = "$location") => {
+  const [lng, lat] = origin.coordinates;
+  const rad = (v) => ({ $degreesToRadians: v });
+  const lat2 = { $arrayElemAt: [`${field}.coordinates`, 1] };
+  const lng2 = { $arrayElemAt: [`${field}.coordinates`, 0] };
+  const halfSin = (a, b) => ({ $pow: [{ $sin: { $divide: [{ $subtract: [rad(a), rad(b)] }, 2] } }, 2] });
+
+  return {
+    $multiply: [
+      2 * EARTH_RADIUS_KM,
+      {
+        $asin: {
+          $sqrt: {
+            $add: [
+              halfSin(lat2, lat),
+              { $multiply: [Math.cos((lat * Math.PI) / 180), { $cos: rad(lat2) }, halfSin(lng2, lng)] },
+            ],
+          },
+        },
+      },
+    ],
+  };
+};
+
+// Query condition: points within `radiusKm` of `origin` (uses the 2dsphere index)
+export const withinRadius = (origin, radiusKm) => ({
+  $geoWithin: { $centerSphere: [origin.coordinates, radiusKm / EARTH_RADIUS_KM] },
+});
+
+export default {
+  EARTH_RADIUS_KM,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  RADIUS_OPTIONS_KM,
+  locatePostalCode,
+  isLocatablePostalCode,
+  readRadius,
+  distanceKmExpression,
+  withinRadius,
+};
@@ -0,0 +1,91 @@
+// utils/ical.js
+// Minimal iCalendar (RFC 5545) writer for the course session feeds.
+// Times are written in UTC ("...Z"), so calendar apps show them in the reader's zone.
+
+const CRLF = "\r\n";
+
+// Commas, semicolons, backslashes and newlines must be escaped in TEXT values
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// 2026-10-19T18:00:00.000Z → 20261019T180000Z
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines over 75 octets are folded: CRLF + one space, never inside a UTF-8 character
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    // Continuation lines start with a space, which counts toward the 75
+    if (size + n > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+const property = (name, value) => foldLine(`${name}:${value}`);
+
+const buildEvent = (event, stamp) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    property("UID", event.uid),
+    property("DTSTAMP", stamp),
+    property("DTSTART", formatDate(event.start)),
+    property("DTEND", formatDate(event.end)),
+    property("SUMMARY", escapeText(event.summary)),
+  ];
+
+  if (event.description) lines.push(property("DESCRIPTION", escapeText(event.description)));
+  if (event.location) lines.push(property("LOCATION", escapeText(event.location)));
+  if (event.url) lines.push(property("URL", event.url));
+  if (event.updatedAt) lines.push(property("LAST-MODIFIED", formatDate(event.updatedAt)));
+
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document.
+ * @param {{ name: string, description?: string, events: Array<{
+ *   uid: string, start: Date, end: Date, summary: string,
+ *   description?: string, location?: string, url?: string, updatedAt?: Date
+ * }> }} calendar
+ * @returns {string} text/calendar body (CRLF line endings)
+ */
+export const buildCalendar = ({ name, description, events = [] }) => {
+  const stamp = formatDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//My Recipe Web//Course Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    property("X-WR-CALNAME", escapeText(name)),
+    // Ask subscribed apps to refresh a few times a day
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+  ];
+  if (description) lines.push(property("X-WR-CALDESC", escapeText(description)));
+
+  for (const event of events) lines.push(...buildEvent(event, stamp));
+
+  lines.push("END:VCALENDAR");
+  return lines.join(CRLF) + CRLF;
+};
+
+export default buildCalendar;
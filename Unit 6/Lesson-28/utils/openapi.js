@@ -0,0 +1,350 @@
+// utils/openapi.js
+// Build an OpenAPI 3.1 document from Express routers.
+//
+// - Paths, methods and path/query/body fields come from the routers and their
+//   express-validator chains, so the spec follows the code.
+// - Middlewares may carry an `openapi` property ({ security, responses, "x-roles" })
+//   that is merged into every operation they guard (see verifyApiAccess, validate).
+// - Summaries, tags and response schemas come from the `operations` map
+//   ("METHOD /full/path" → metadata), see services/apiSpec.js.
+// - checkResponses validates outgoing JSON against the documented schema (Ajv).
+
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+// express-validator location → OpenAPI parameter "in"
+const PARAM_IN = { params: "path", query: "query", headers: "header", cookies: "cookie" };
+
+/* --------------------------------- helpers -------------------------------- */
+
+// "/courses/:id" → "/courses/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const joinPath = (prefix, path) => `${prefix}${path === "/" ? "" : path}` || "/";
+
+// Component name → $ref (leave objects as they are)
+const ref = (kind, nameOrSchema) =>
+  typeof nameOrSchema === "string" ? { $ref: `#/components/${kind}/${nameOrSchema}` } : nameOrSchema;
+
+// One express-validator step → JSON Schema keywords
+const schemaForStep = (step) => {
+  const name = step.validator?.name;
+  const [opts] = step.options || [];
+
+  if (step.negated) {
+    return name === "isEmpty" ? { minLength: 1 } : {};
+  }
+  // Custom validators can describe themselves (e.g. utils/postalCodes.js)
+  if (typeof step.validator?.openapi === "function") return step.validator.openapi();
+
+  switch (name) {
+    case "isMongoId":
+      return { type: "string", pattern: "^[a-fA-F0-9]{24}$" };
+    case "isInt":
+      return {
+        type: "integer",
+        ...(opts?.min !== undefined && { minimum: opts.min }),
+        ...(opts?.max !== undefined && { maximum: opts.max }),
+      };
+    case "isFloat":
+      return {
+        type: "number",
+        ...(opts?.min !== undefined && { minimum: opts.min }),
+        ...(opts?.max !== undefined && { maximum: opts.max }),
+      };
+    case "isNumeric":
+      return { type: "number" };
+    case "isBoolean":
+      return { type: "boolean" };
+    case "isEmail":
+      return { type: "string", format: "email" };
+    case "isURL":
+      return { type: "string", format: "uri" };
+    case "isISO8601":
+      return { type: "string", format: "date-time" };
+    case "isLength":
+      return {
+        ...(opts?.min !== undefined && { minLength: opts.min }),
+        ...(opts?.max !== undefined && { maxLength: opts.max }),
+      };
+    case "isIn":
+      return { enum: opts };
+    default:
+      return {};
+  }
+};
+
+// A validation chain → [{ name, in, required, schema }]
+const fieldsFromChain = (chain) => {
+  const context = chain.builder.build();
+  const schema = Object.assign({}, ...context.stack.map(schemaForStep));
+  if (!schema.type && !schema.enum) schema.type = "string";
+  if (context.optional === "null") schema.type = [schema.type || "string", "null"];
+
+  return context.fields.flatMap((name) =>
+    context.locations.map((location) => ({
+      name,
+      in: location,
+      required: context.optional === false,
+      schema: { ...schema },
+    }))
+  );
+};
+
+const mergeOpenApi = (target, extra = {}) => {
+  if (extra.security) target.security = extra.security;
+  if (extra["x-roles"]?.length) target["x-roles"] = extra["x-roles"];
+  Object.assign(target.responses, extra.responses);
+};
+
+// Walk one router's own routes (mounted sub-routers are passed separately)
+const describeRouter = (prefix, router) =>
+  router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) =>
+      METHODS.filter((m) => layer.route.methods[m]).map((method) => {
+        const op = { method, path: joinPath(prefix, layer.route.path), fields: [], extra: {} };
+        op.extra.responses = {};
+
+        for (const { handle } of layer.route.stack) {
+          if (handle.builder) op.fields.push(...fieldsFromChain(handle));
+          if (handle.openapi) mergeOpenApi(op.extra, handle.openapi);
+        }
+        return op;
+      })
+    );
+
+// Normalise the shorthand { 200: { description, schema } } into OpenAPI responses
+const buildResponses = (responses = {}) =>
+  Object.fromEntries(
+    Object.entries(responses).map(([status, r]) => {
+      if (typeof r === "string") return [status, ref("responses", r)];
+      const out = { description: r.description || "" };
+      if (r.schema) out.content = { "application/json": { schema: ref("schemas", r.schema) } };
+      if (r.content) out.content = r.content;
+      if (r.headers) out.headers = r.headers;
+      return [status, out];
+    })
+  );
+
+// "#/components/responses/NotFound" → "NotFound"
+const refName = (obj) => obj?.$ref?.split("/").pop();
+
+/**
+ * Flatten a document for the HTML docs page:
+ * [{ tag, operations: [{ method, path, summary, auth, roles, parameters, body, responses }] }]
+ */
+export const groupOperations = (doc) => {
+  const groups = new Map();
+
+  for (const [path, item] of Object.entries(doc.paths)) {
+    for (const [method, op] of Object.entries(item)) {
+      const tag = op.tags?.[0] || "Other";
+      const bodySchema = op.requestBody?.content?.["application/json"]?.schema;
+
+      const entry = {
+        method: method.toUpperCase(),
+        path,
+        summary: op.summary,
+        description: op.description,
+        auth: (op.security || []).map((s) => {
+          const [scheme, scopes] = Object.entries(s)[0];
+          return scopes.length ? `${scheme} (${scopes.join(", ")})` : scheme;
+        }),
+        roles: op["x-roles"] || [],
+        parameters: op.parameters || [],
+        body: Object.entries(bodySchema?.properties || {}).map(([name, schema]) => ({
+          name,
+          schema,
+          required: (bodySchema.required || []).includes(name),
+        })),
+        responses: Object.entries(op.responses).map(([status, r]) => {
+          const response = r.$ref ? doc.components?.responses?.[refName(r)] || r : r;
+          const schema = response.content?.["application/json"]?.schema;
+          return {
+            status,
+            description: response.description || refName(r),
+            schema: refName(schema) || (schema ? "inline" : ""),
+          };
+        }),
+      };
+
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push(entry);
+    }
+  }
+
+  return [...groups].map(([tag, operations]) => ({ tag, operations }));
+};
+
+/* --------------------------------- factory -------------------------------- */
+
+/**
+ * @param {object} options
+ * @param {object} options.info         OpenAPI info block
+ * @param {Array<{prefix, router, defaultResponse?}>} options.mounts
+ * @param {object} options.components   OpenAPI components (schemas, responses, securitySchemes)
+ * @param {object} options.operations   "METHOD /path" → { summary, tags, description, body, responses }
+ */
+export const createApiDocs = ({ info, mounts, components, operations }) => {
+  let cached = null;
+
+  const collect = () =>
+    mounts.flatMap(({ prefix, router, defaultResponse }) =>
+      describeRouter(prefix, router).map((op) => ({ ...op, defaultResponse }))
+    );
+
+  const buildOperation = (op) => {
+    const meta = operations[`${op.method.toUpperCase()} ${op.path}`] || {};
+
+    const parameters = op.fields
+      .filter((f) => PARAM_IN[f.in])
+      .map((f) => ({
+        name: f.name,
+        in: PARAM_IN[f.in],
+        required: f.in === "params" || f.required,
+        schema: f.schema,
+      }));
+
+    // Path params without a validator still need declaring
+    for (const [, name] of op.path.matchAll(/:(\w+)/g)) {
+      if (!parameters.some((p) => p.in === "path" && p.name === name)) {
+        parameters.push({ name, in: "path", required: true, schema: { type: "string" } });
+      }
+    }
+
+    const bodyFields = op.fields.filter((f) => f.in === "body");
+    let requestBody = meta.requestBody;
+    if (!requestBody && (bodyFields.length || meta.body)) {
+      const properties = {};
+      const required = new Set();
+      for (const f of bodyFields) {
+        properties[f.name] = { ...properties[f.name], ...f.schema };
+        if (f.required) required.add(f.name);
+      }
+      // Types express-validator can't express (arrays, custom checks)
+      Object.assign(properties, meta.body);
+
+      requestBody = {
+        required: required.size > 0,
+        content: {
+          "application/json": {
+            schema: { type: "object", properties, ...(required.size && { required: [...required] }) },
+          },
+        },
+      };
+    }
+
+    const responses = buildResponses({ ...op.extra.responses, ...meta.responses });
+    if (op.defaultResponse && !responses.default) {
+      responses.default = ref("responses", op.defaultResponse);
+    }
+
+    return {
+      operationId: meta.operationId,
+      summary: meta.summary || `${op.method.toUpperCase()} ${op.path}`,
+      description: meta.description,
+      tags: meta.tags,
+      ...(op.extra.security && { security: op.extra.security }),
+      ...(op.extra["x-roles"] && { "x-roles": op.extra["x-roles"] }),
+      ...(parameters.length && { parameters }),
+      ...(requestBody && { requestBody }),
+      responses: Object.keys(responses).length ? responses : { 200: { description: "OK" } },
+    };
+  };
+
+  // The OpenAPI document (built once; routers don't change at runtime)
+  const document = () => {
+    if (cached) return cached;
+
+    const paths = {};
+    for (const op of collect()) {
+      const key = toOpenApiPath(op.path);
+      paths[key] = paths[key] || {};
+      paths[key][op.method] = JSON.parse(JSON.stringify(buildOperation(op)));
+    }
+
+    cached = { openapi: "3.1.0", info, paths, components };
+    return cached;
+  };
+
+  // Routes with no metadata, and metadata with no route (for scripts/checkApiSpec.js)
+  const coverage = () => {
+    const routeKeys = collect().map((op) => `${op.method.toUpperCase()} ${op.path}`);
+    return {
+      undocumented: routeKeys.filter((k) => !operations[k]),
+      stale: Object.keys(operations).filter((k) => !routeKeys.includes(k)),
+    };
+  };
+
+  /* ------------------------- response validation ------------------------- */
+
+  const ajv = new Ajv2020({ strict: false, allErrors: true });
+  addFormats(ajv);
+  const validators = new Map();
+
+  // Response object for (method, route path, status), following $refs into components
+  const findResponse = (method, routePath, status) => {
+    const op = document().paths[toOpenApiPath(routePath)]?.[method];
+    if (!op) return null;
+
+    let response = op.responses[status] || op.responses.default;
+    if (response?.$ref) {
+      response = components.responses?.[response.$ref.split("/").pop()];
+    }
+    return response || null;
+  };
+
+  /**
+   * Validate a JSON body against the documented response.
+   * @returns {string[]|null} problems, or null when it matches
+   */
+  const validateResponse = (method, routePath, status, body) => {
+    const response = findResponse(method, routePath, String(status));
+    if (!response) return [`${status} is not documented for ${method.toUpperCase()} ${routePath}`];
+
+    const schema = response.content?.["application/json"]?.schema;
+    if (!schema) return null;
+
+    const key = `${method} ${routePath} ${status}`;
+    if (!validators.has(key)) validators.set(key, ajv.compile({ ...schema, components }));
+
+    const validateFn = validators.get(key);
+    if (validateFn(JSON.parse(JSON.stringify(body)))) return null;
+    return validateFn.errors.map((e) => `${e.instancePath || "(body)"} ${e.message}`);
+  };
+
+  /**
+   * Middleware: check every res.json() from matched routes against the spec.
+   * mode "warn" logs mismatches; "strict" replaces the response with a 500.
+   */
+  const checkResponses = (mode) => (req, res, next) => {
+    if (!mode) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!req.route) return json(body);
+
+      const routePath = `${req.baseUrl}${req.route.path}`;
+      const problems = validateResponse(req.method.toLowerCase(), routePath, res.statusCode, body);
+      if (!problems) return json(body);
+
+      const label = `${req.method} ${routePath} → ${res.statusCode}`;
+      console.warn(`[openapi] Response does not match the spec: ${label}\n  ${problems.join("\n  ")}`);
+
+      if (mode !== "strict") return json(body);
+      res.status(500);
+      return json({
+        success: false,
+        error: { code: "spec_mismatch", message: label, details: problems },
+      });
+    };
+    return next();
+  };
+
+  return { document, coverage, validateResponse, checkResponses };
+};
+
+export default createApiDocs;
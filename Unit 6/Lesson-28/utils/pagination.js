@@ -0,0 +1,170 @@
+// utils/pagination.js
+// Shared paging for list pages and list endpoints.
+//
+// Two ways to ask for a page, both newest first ({ createdAt: -1, _id: -1 }):
+//   ?page=3&limit=25       numbered pages (skip), needed for "page X of Y"
+//   ?after=<cursor>        the page after / before a row (keyset): stays fast
+//   ?before=<cursor>       on big collections and doesn't shift when rows are added
+// Every page returns next/prev cursors, so clients can switch to cursors at any point;
+// Link headers and pagers keep the mode the request used.
+// Only numbered pages count the matching rows (total / pages); cursor pages skip the
+// count so they stay cheap, and report total: null. Paged models index { createdAt: -1, _id: -1 }.
+// Lists sorted by something else (e.g. search relevance) use numbered pages only.
+
+import mongoose from "mongoose";
+import appUrl from "./appUrl.js";
+
+export const DEFAULT_LIMIT = 25;
+export const MAX_LIMIT = 100;
+
+/* --------------------------------- cursors -------------------------------- */
+
+// Opaque to clients: base64url of [createdAt ms, id]
+export const encodeCursor = (doc) =>
+  Buffer.from(JSON.stringify([new Date(doc.createdAt).getTime(), String(doc._id)])).toString("base64url");
+
+// null when missing or tampered with
+export const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== "string") return null;
+  try {
+    const [ms, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Number.isFinite(ms) || !mongoose.isObjectIdOrHexString(id)) return null;
+    return { createdAt: new Date(ms), _id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+/* --------------------------------- params --------------------------------- */
+
+/**
+ * ?page=&limit=&after=&before= → paging.
+ * `cursors: false` ignores after/before (lists not sorted by date).
+ * @returns {{ limit: number, page: number|null, skip: number, after: object|null, before: object|null }}
+ */
+export const readPaging = (query = {}, { cursors = true, defaultLimit = DEFAULT_LIMIT } = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_LIMIT);
+  const after = cursors ? decodeCursor(query.after) : null;
+  const before = cursors && !after ? decodeCursor(query.before) : null;
+  const page = after || before ? null : Math.max(parseInt(query.page, 10) || 1, 1);
+  return { limit, page, skip: page ? (page - 1) * limit : 0, after, before };
+};
+
+/* ---------------------------------- query --------------------------------- */
+
+// Rows after / before the cursor (for find() or $match)
+export const cursorFilter = ({ after, before }) => {
+  const cursor = after || before;
+  if (!cursor) return {};
+  const op = after ? "$lt" : "$gt";
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+    ],
+  };
+};
+
+// "before" walks backwards from the cursor; pageOf() puts the rows back in order
+export const cursorSort = ({ before }) => (before ? { createdAt: 1, _id: 1 } : { createdAt: -1, _id: -1 });
+
+/**
+ * Newest-first page of a Mongoose query.
+ * @param {import("mongoose").Model} Model
+ * @param {object} filter
+ * @param {ReturnType<typeof readPaging>} paging
+ * @param {(query: import("mongoose").Query) => import("mongoose").Query} [refine] populate / select
+ * @returns {Promise<{ items: object[], pagination: object }>}
+ */
+export const paginate = async (Model, filter, paging, refine = (q) => q) => {
+  const [rows, total] = await Promise.all([
+    refine(
+      Model.find({ $and: [filter, cursorFilter(paging)] })
+        .sort(cursorSort(paging))
+        .skip(paging.skip)
+        .limit(paging.limit + 1)
+    ).lean(),
+    // "Page X of Y" needs it; cursor pages don't
+    paging.page ? Model.countDocuments(filter) : null,
+  ]);
+  return pageOf(rows, paging, total);
+};
+
+/**
+ * Rows fetched with limit + 1 → { items, pagination }.
+ * `total` null when it wasn't counted (pages is then null too).
+ * `cursors: false` for lists not sorted newest first (no cursors in the meta).
+ */
+export const pageOf = (rows, paging, total, { cursors = true } = {}) => {
+  const more = rows.length > paging.limit;
+  const items = rows.slice(0, paging.limit);
+  if (paging.before) items.reverse();
+
+  const hasNext = paging.before ? true : more;
+  const hasPrev = paging.before ? more : Boolean(paging.after) || paging.page > 1;
+  const withCursor = cursors && items.length;
+
+  return {
+    items,
+    pagination: {
+      page: paging.page,
+      limit: paging.limit,
+      total,
+      pages: total === null ? null : Math.max(1, Math.ceil(total / paging.limit)),
+      nextCursor: withCursor && hasNext ? encodeCursor(items[items.length - 1]) : null,
+      prevCursor: withCursor && hasPrev ? encodeCursor(items[0]) : null,
+      hasNext,
+      hasPrev,
+    },
+  };
+};
+
+/* ---------------------------------- links --------------------------------- */
+
+/**
+ * first / prev / next / last URLs (relative) for the current request,
+ * keeping its other query parameters. Missing = no such page.
+ */
+export const pageLinks = (req, pagination) => {
+  const href = (changes) => {
+    const url = new URL(req.originalUrl, "http://localhost");
+    for (const key of ["page", "after", "before"]) url.searchParams.delete(key);
+    for (const [key, value] of Object.entries(changes)) url.searchParams.set(key, value);
+    return url.pathname + url.search;
+  };
+
+  const { page, pages, nextCursor, prevCursor, hasNext, hasPrev } = pagination;
+  const links = { first: href({}) };
+
+  // Stay in the mode the client asked for: numbered pages or cursors
+  if (page) {
+    if (hasPrev) links.prev = href({ page: Math.min(page - 1, pages) });
+    if (hasNext) links.next = href({ page: page + 1 });
+    links.last = href({ page: pages });
+  } else {
+    if (hasPrev && prevCursor) links.prev = href({ before: prevCursor });
+    if (hasNext && nextCursor) links.next = href({ after: nextCursor });
+  }
+
+  return links;
+};
+
+// RFC 8288 Link header (absolute URLs) for API responses
+export const setLinkHeader = (req, res, pagination) => {
+  const links = pageLinks(req, pagination);
+  res.links(Object.fromEntries(Object.entries(links).map(([rel, href]) => [rel, appUrl(req, href)])));
+};
+
+export default {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  readPaging,
+  cursorFilter,
+  cursorSort,
+  paginate,
+  pageOf,
+  pageLinks,
+  setLinkHeader,
+};
@@ -0,0 +1,154 @@
+// utils/passwordPolicy.js
+// Password rules: one set for signup, profile edits, password resets and the
+// strength meter on those forms (POST /users/password-check).
+// - Length: PASSWORD_MIN_LENGTH (default 10) to PASSWORD_MAX_LENGTH (default 128;
+//   hashing very long inputs is slow, so there is a cap).
+// - Not on the block-list: data/commonPasswords.txt, or PASSWORD_BLOCKLIST_FILE
+//   (one password per line, "#" comments). Checked offline; nothing is sent anywhere.
+// - Not built from the user's own name or email.
+// - Read on every call (not at import), so values from .env apply; the list is
+//   loaded once per file.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_BLOCKLIST = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "commonPasswords.txt");
+
+// Shorter name / email parts ("al", "jo") would block too much
+const MIN_PERSONAL_PART = 3;
+// "aaaaaaaaaaaa", "abababababab"
+const MIN_DISTINCT_CHARACTERS = 5;
+
+export const STRENGTH_LABELS = ["Very weak", "Weak", "Fair", "Strong", "Very strong"];
+
+/* ------------------------------- configuration ------------------------------ */
+
+const readNumber = (value, fallback) => {
+  const n = Number.parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+export const passwordPolicy = () => {
+  const minLength = readNumber(process.env.PASSWORD_MIN_LENGTH, 10);
+  return {
+    minLength,
+    maxLength: Math.max(minLength, readNumber(process.env.PASSWORD_MAX_LENGTH, 128)),
+    blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || DEFAULT_BLOCKLIST,
+  };
+};
+
+const blocklists = new Map();
+
+const blocklist = (file) => {
+  if (!blocklists.has(file)) {
+    const words = fs
+      .readFileSync(file, "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith("#"));
+    blocklists.set(file, new Set(words));
+  }
+  return blocklists.get(file);
+};
+
+/* ---------------------------------- checks --------------------------------- */
+
+// "Summer2024!" → ["summer2024!", "summer"]: the password, and without what was added at the end
+const commonForms = (password) => {
+  const lower = password.toLowerCase();
+  const stem = lower.replace(/[\d\W_]+$/, "");
+  return stem && stem !== lower ? [lower, stem] : [lower];
+};
+
+// Name and email-box parts worth checking ("jane.van-der-merwe@x.co" → jane, van, der, merwe, ...)
+const personalParts = ({ email, first, last } = {}) => {
+  const box = String(email || "").toLowerCase().split("@")[0];
+  return [box, ...box.split(/[^a-z0-9]+/), ...[first, last].flatMap((n) => String(n || "").toLowerCase().split(/\s+/))]
+    .map((part) => part.trim())
+    .filter((part) => part.length >= MIN_PERSONAL_PART);
+};
+
+/**
+ * Everything wrong with a password (empty array = acceptable).
+ * @param {string} password
+ * @param {{ email?: string, first?: string, last?: string }} [person] whose password it is
+ * @returns {string[]}
+ */
+export const passwordProblems = (password, person) => {
+  const value = String(password ?? "");
+  const { minLength, maxLength, blocklistFile } = passwordPolicy();
+  const problems = [];
+
+  if (value.length < minLength) problems.push(`Password must be at least ${minLength} characters.`);
+  if (value.length > maxLength) problems.push(`Password must be at most ${maxLength} characters.`);
+  if (!value) return problems;
+
+  const lower = value.toLowerCase();
+  if (commonForms(value).some((form) => blocklist(blocklistFile).has(form))) {
+    problems.push("This password is too common (it appears in lists of leaked passwords).");
+  }
+  if (personalParts(person).some((part) => lower.includes(part))) {
+    problems.push("Password must not contain your name or email address.");
+  }
+  if (new Set(lower).size < MIN_DISTINCT_CHARACTERS) {
+    problems.push("Password uses too few different characters.");
+  }
+  return problems;
+};
+
+// First problem as one message (null if none), for form errors
+export const passwordError = (password, person) => passwordProblems(password, person)[0] || null;
+
+/**
+ * Rough strength for the meter: 0 (very weak) … 4 (very strong).
+ * Any policy problem caps it at 1; otherwise it grows with length and character variety.
+ */
+export const passwordStrength = (password, person) => {
+  const value = String(password ?? "");
+  const problems = passwordProblems(value, person);
+
+  const pool =
+    (/[a-z]/.test(value) ? 26 : 0) +
+    (/[A-Z]/.test(value) ? 26 : 0) +
+    (/\d/.test(value) ? 10 : 0) +
+    (/[^a-zA-Z\d]/.test(value) ? 33 : 0);
+  const bits = value.length * Math.log2(Math.max(pool, 1));
+  let score = bits < 28 ? 0 : bits < 45 ? 1 : bits < 60 ? 2 : bits < 80 ? 3 : 4;
+  if (problems.length) score = Math.min(score, 1);
+
+  return { ok: problems.length === 0, score, label: STRENGTH_LABELS[score], problems };
+};
+
+// express-validator check: body("password").custom(isAcceptablePassword)
+export const isAcceptablePassword = (value, { req }) => {
+  const error = passwordError(value, {
+    email: req.body?.email ?? req.user?.email,
+    first: req.body?.first ?? req.user?.name?.first,
+    last: req.body?.last ?? req.user?.name?.last,
+  });
+  if (error) throw new Error(error);
+  return true;
+};
+
+/* ---------------------------------- views ---------------------------------- */
+
+// For password <input>s: <input minlength="<%= passwordRules.minLength %>" ...>
+export const passwordInput = () => {
+  const { minLength, maxLength } = passwordPolicy();
+  return {
+    minLength,
+    maxLength,
+    hint: `at least ${minLength} characters; not a common password or your name / email`,
+  };
+};
+
+export default {
+  STRENGTH_LABELS,
+  passwordPolicy,
+  passwordProblems,
+  passwordError,
+  passwordStrength,
+  isAcceptablePassword,
+  passwordInput,
+};
@@ -0,0 +1,182 @@
+// utils/postalCodes.js
+// Postal codes: one set of rules for schemas, form / API validation and views.
+// - Stored as normalized strings ("0002", not 2): a Number drops leading zeros.
+// - Accepted countries come from POSTAL_COUNTRIES (comma list, default "ZA").
+//   A code is valid if it fits any of them; it isn't tied to one country.
+// - Read on every call (not at import), so values from .env apply.
+
+// Formats we know. `digits`: codes are exactly this many digits (legacy numbers are
+// padded back to it); `normalize`: canonical spacing when the default (no spaces) is wrong.
+export const POSTAL_FORMATS = {
+  ZA: { name: "South Africa", pattern: "\\d{4}", hint: "4 digits", example: "2000", digits: 4 },
+  NA: { name: "Namibia", pattern: "\\d{5}", hint: "5 digits", example: "10005", digits: 5 },
+  LS: { name: "Lesotho", pattern: "\\d{3}", hint: "3 digits", example: "100", digits: 3 },
+  SZ: { name: "Eswatini", pattern: "[A-Z]\\d{3}", hint: "a letter and 3 digits", example: "H100" },
+  US: { name: "United States", pattern: "\\d{5}(?:-\\d{4})?", hint: "5 digits or ZIP+4", example: "10001" },
+  GB: {
+    name: "United Kingdom",
+    pattern: "[A-Z]{1,2}\\d[A-Z\\d]? \\d[A-Z]{2}",
+    hint: "like SW1A 1AA",
+    example: "SW1A 1AA",
+    // The last three characters are the inward code: "sw1a1aa" → "SW1A 1AA"
+    normalize: (s) => (s.length > 3 ? `${s.slice(0, -3)} ${s.slice(-3)}` : s),
+  },
+};
+
+const DEFAULT_COUNTRIES = ["ZA"];
+
+/* ------------------------------- configuration ------------------------------ */
+
+// Configured country codes, in order (the first is the default)
+export const postalCountries = () => {
+  const codes = String(process.env.POSTAL_COUNTRIES || "")
+    .split(",")
+    .map((c) => c.trim().toUpperCase())
+    .filter((c) => Object.hasOwn(POSTAL_FORMATS, c));
+  return codes.length ? [...new Set(codes)] : DEFAULT_COUNTRIES;
+};
+
+const formats = () => postalCountries().map((country) => ({ country, ...POSTAL_FORMATS[country] }));
+
+const matches = (format, code) => new RegExp(`^(?:${format.pattern})$`).test(code);
+
+/* ------------------------------- normalizing ------------------------------- */
+
+/**
+ * Canonical form of a postal code.
+ * - "" for an empty value (no postal code)
+ * - null if it isn't valid for any configured country
+ * Numbers (old data, JSON clients) are padded to the default country's length: 2 → "0002".
+ * @param {unknown} value
+ * @returns {string|null}
+ */
+export const normalizePostalCode = (value) => {
+  if (value === undefined || value === null) return "";
+
+  if (typeof value === "number") {
+    if (!Number.isInteger(value) || value < 0) return null;
+    const { digits } = formats()[0];
+    value = digits ? String(value).padStart(digits, "0") : String(value);
+  }
+
+  const text = String(value).trim().toUpperCase().replace(/\s+/g, " ");
+  if (!text) return "";
+
+  const compact = text.replace(/ /g, "");
+  for (const format of formats()) {
+    const code = format.normalize ? format.normalize(compact) : compact;
+    if (matches(format, code)) return code;
+  }
+  return null;
+};
+
+// True for a non-empty, valid code
+export const isValidPostalCode = (value) => Boolean(normalizePostalCode(value));
+
+// "Postal code must be 4 digits (ZA)." / "Enter a valid postal code (ZA: 4 digits; NA: 5 digits)."
+export const postalCodeError = () => {
+  const list = formats();
+  if (list.length === 1) return `Postal code must be ${list[0].hint} (${list[0].country}).`;
+  return `Enter a valid postal code (${list.map((f) => `${f.country}: ${f.hint}`).join("; ")}).`;
+};
+
+/* --------------------------------- schemas -------------------------------- */
+
+/**
+ * Mongoose path options for a postal code: normalized on set, validated on save.
+ * An invalid value is kept as typed so the validator can report it.
+ */
+export const postalCodeSchemaType = (extra = {}) => ({
+  type: String,
+  set: (v) => {
+    const code = normalizePostalCode(v);
+    if (code === null) return String(v).trim();
+    return code || undefined;
+  },
+  validate: {
+    validator: (v) => v === undefined || v === null || isValidPostalCode(v),
+    message: () => postalCodeError(),
+  },
+  ...extra,
+});
+
+// JSON Schema for API docs (utils/openapi.js reads `.openapi` off validators)
+export const postalCodeJsonSchema = () => ({
+  type: "string",
+  pattern: `^(?:${formats().map((f) => f.pattern).join("|")})$`,
+  examples: formats().map((f) => f.example),
+});
+
+const isPostalCode = (value) => {
+  if (!isValidPostalCode(value)) throw new Error(postalCodeError());
+  return true;
+};
+isPostalCode.openapi = postalCodeJsonSchema;
+
+/**
+ * Add the postal code check to an express-validator chain, then normalize the value:
+ *   checkPostalCode(body("zipCode").optional({ values: "falsy" }))
+ */
+export const checkPostalCode = (chain) =>
+  chain.custom(isPostalCode).customSanitizer((v) => normalizePostalCode(v) || undefined);
+
+/* ---------------------------------- views --------------------------------- */
+
+/**
+ * Attributes for a postal code <input> (res.locals.postal):
+ * HTML pattern (only when every format is digits), maxlength, placeholder, hint.
+ */
+export const postalInput = () => {
+  const list = formats();
+  const numeric = list.every((f) => f.digits);
+  return {
+    pattern: numeric ? list.map((f) => f.pattern).join("|") : null,
+    maxlength: numeric ? Math.max(...list.map((f) => f.digits)) : 10,
+    inputmode: numeric ? "numeric" : "text",
+    placeholder: `e.g. ${list[0].example}`,
+    hint: list.map((f) => `${f.country} ${f.hint}`).join(", "),
+    error: postalCodeError(),
+  };
+};
+
+/* --------------------------------- areas ---------------------------------- */
+
+/**
+ * Search facet "area": the first character of the code → label.
+ * ZA alone: "7" → "7000–7999".
+ */
+export const postalAreas = () => {
+  const list = formats();
+  const numeric = list.every((f) => f.digits);
+  const keys = [..."0123456789", ...(numeric ? [] : "ABCDEFGHIJKLMNOPQRSTUVWXYZ")];
+  const single = list.length === 1 && list[0].digits;
+  const label = single
+    ? (k) => `${k}${"0".repeat(single - 1)}–${k}${"9".repeat(single - 1)}`
+    : (k) => `Starting with ${k}`;
+  return Object.fromEntries(keys.map((k) => [k, label(k)]));
+};
+
+// express-validator check for the "area" query param
+export const isPostalArea = (value) => Object.hasOwn(postalAreas(), value);
+isPostalArea.openapi = () => ({ enum: Object.keys(postalAreas()) });
+
+// Campaign segments: a code or the start of one ("7", "80", "SW1A")
+export const normalizePostalPrefix = (value) => {
+  const text = String(value ?? "").trim().toUpperCase().replace(/\s+/g, "");
+  return /^[0-9A-Z-]{1,10}$/.test(text) ? text : null;
+};
+
+export default {
+  POSTAL_FORMATS,
+  postalCountries,
+  normalizePostalCode,
+  isValidPostalCode,
+  postalCodeError,
+  postalCodeSchemaType,
+  postalCodeJsonSchema,
+  checkPostalCode,
+  postalInput,
+  postalAreas,
+  isPostalArea,
+  normalizePostalPrefix,
+};
@@ -0,0 +1,215 @@
+// utils/recipes.js
+// Recipe helpers that don't touch the database:
+// - scaling ingredient quantities to a number of servings
+// - the text format used by the course forms ("1 1/2 cup flour", one per line)
+
+import { DIETARY_TAGS, MAX_RECIPES, MAX_SERVINGS } from "../models/recipe.js";
+
+/* -------------------------------- quantities ------------------------------ */
+
+const UNICODE_FRACTIONS = { "½": 0.5, "⅓": 1 / 3, "⅔": 2 / 3, "¼": 0.25, "¾": 0.75, "⅛": 0.125 };
+
+// Shown as fractions when a quantity is this close to one
+const DISPLAY_FRACTIONS = [
+  [1 / 8, "1/8"],
+  [1 / 4, "1/4"],
+  [1 / 3, "1/3"],
+  [1 / 2, "1/2"],
+  [2 / 3, "2/3"],
+  [3 / 4, "3/4"],
+];
+
+// Cooks don't weigh 3.3333 g: 2 decimals below 10, 1 decimal above
+export const roundQuantity = (q) => (q < 10 ? Math.round(q * 100) / 100 : Math.round(q * 10) / 10);
+
+// 1.5 → "1 1/2", 0.333 → "1/3", 2.2 → "2.2"
+export const formatQuantity = (q) => {
+  if (q === null || q === undefined) return "";
+  const whole = Math.floor(q + 1e-9);
+  const rest = q - whole;
+  if (rest < 0.02) return String(whole);
+
+  const match = DISPLAY_FRACTIONS.find(([value]) => Math.abs(rest - value) < 0.02);
+  if (!match) return String(roundQuantity(q));
+  return whole ? `${whole} ${match[1]}` : match[1];
+};
+
+// "1 1/2", "3/4", "1.5", "1,5", "½", "1½" → number (null if not a quantity)
+export const parseQuantity = (text) => {
+  const raw = String(text || "").trim();
+  let m;
+  if ((m = /^(\d+)\s+(\d+)\/(\d+)$/.exec(raw))) return +m[1] + +m[2] / +m[3] || null;
+  if ((m = /^(\d+)\/(\d+)$/.exec(raw))) return +m[2] ? +m[1] / +m[2] : null;
+  if ((m = /^(\d+)?\s*([½⅓⅔¼¾⅛])$/.exec(raw))) return (+m[1] || 0) + UNICODE_FRACTIONS[m[2]];
+  if (/^\d+([.,]\d+)?$/.test(raw)) return Number(raw.replace(",", "."));
+  return null;
+};
+
+/* ---------------------------------- units --------------------------------- */
+
+// What people type → stored unit
+const UNIT_ALIASES = {
+  g: ["g", "gram", "grams", "gr"],
+  kg: ["kg", "kilo", "kilos", "kilogram", "kilograms"],
+  ml: ["ml", "millilitre", "millilitres", "milliliter", "milliliters"],
+  l: ["l", "litre", "litres", "liter", "liters"],
+  tsp: ["tsp", "teaspoon", "teaspoons"],
+  tbsp: ["tbsp", "tbs", "tablespoon", "tablespoons"],
+  cup: ["cup", "cups"],
+  pinch: ["pinch", "pinches"],
+  clove: ["clove", "cloves"],
+  slice: ["slice", "slices"],
+  can: ["can", "cans", "tin", "tins"],
+  bunch: ["bunch", "bunches"],
+  piece: ["piece", "pieces", "pc", "pcs"],
+};
+
+const UNIT_LOOKUP = new Map(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map((a) => [a, unit]))
+);
+
+// Plural labels for display ("2 cups flour")
+const UNIT_PLURALS = {
+  cup: "cups",
+  pinch: "pinches",
+  clove: "cloves",
+  slice: "slices",
+  can: "cans",
+  bunch: "bunches",
+  piece: "pieces",
+};
+
+export const unitLabel = (unit, quantity) =>
+  quantity > 1 && UNIT_PLURALS[unit] ? UNIT_PLURALS[unit] : unit || "";
+
+/* -------------------------------- ingredients ----------------------------- */
+
+// Leading quantity, optionally glued to the unit ("200g"); ranges ("1-2") are left as text
+const LINE_PATTERN = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d*\s*[½⅓⅔¼¾⅛]|\d+(?:[.,]\d+)?)(?=\s|[a-zA-Z]|$)\s*(.*)$/;
+
+/**
+ * "1 1/2 cups flour" → { quantity: 1.5, unit: "cup", name: "flour" }
+ * "salt to taste"    → { quantity: null, unit: "", name: "salt to taste" }
+ */
+export const parseIngredientLine = (line) => {
+  const text = String(line || "").trim();
+  const m = LINE_PATTERN.exec(text);
+  const quantity = m ? parseQuantity(m[1]) : null;
+  if (quantity === null) return { quantity: null, unit: "", name: text };
+
+  const rest = m[2].trim();
+  const [word = "", ...others] = rest.split(/\s+/);
+  const unit = UNIT_LOOKUP.get(word.toLowerCase().replace(/\.$/, ""));
+  if (unit && others.length) return { quantity, unit, name: others.join(" ") };
+
+  return { quantity, unit: "", name: rest || text };
+};
+
+export const formatIngredient = ({ quantity, unit, name }) =>
+  [formatQuantity(quantity), unitLabel(unit, quantity), name].filter(Boolean).join(" ");
+
+/* --------------------------------- scaling -------------------------------- */
+
+/**
+ * Copy of a (plain) recipe with quantities for `servings` people.
+ * Invalid / missing servings keep the recipe as written.
+ */
+export const scaleRecipe = (recipe, servings) => {
+  const base = recipe.servings || 1;
+  const target = Number.parseInt(servings, 10);
+  const wanted = Number.isInteger(target) && target >= 1 && target <= MAX_SERVINGS ? target : base;
+  const factor = wanted / base;
+
+  return {
+    ...recipe,
+    servings: wanted,
+    baseServings: base,
+    ingredients: (recipe.ingredients || []).map((i) => ({
+      ...i,
+      quantity: i.quantity === null || i.quantity === undefined ? null : roundQuantity(i.quantity * factor),
+    })),
+  };
+};
+
+/* ----------------------------------- forms -------------------------------- */
+
+const lines = (text) =>
+  String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+const optionalInt = (v) => {
+  const raw = String(v ?? "").trim();
+  return raw === "" ? undefined : Number(raw);
+};
+
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+/**
+ * Form fields (recipes[i][id], [title], [servings], [prepMinutes], [cookMinutes],
+ * [dietaryTags][], [ingredients] and [steps] as one-per-line text)
+ * → recipe objects for Course.recipes. Blank blocks are skipped.
+ * The hidden id keeps an edited recipe's _id, so links to it keep working.
+ * Returns { recipes } or { error }; the schema checks the rest (Course.recipeError).
+ */
+export const parseRecipesForm = (input) => {
+  const blocks = (Array.isArray(input) ? input : Object.values(input || {})).filter(
+    (b) => b && typeof b === "object"
+  );
+  const recipes = [];
+
+  for (const block of blocks) {
+    const title = String(block.title || "").trim();
+    const ingredients = lines(block.ingredients).map(parseIngredientLine);
+    const steps = lines(block.steps);
+    if (!title && !ingredients.length && !steps.length) continue;
+    if (!title) return { error: `Recipe ${recipes.length + 1} needs a title.` };
+
+    recipes.push({
+      ...(OBJECT_ID.test(String(block.id || "")) && { _id: String(block.id) }),
+      title,
+      servings: optionalInt(block.servings),
+      prepMinutes: optionalInt(block.prepMinutes),
+      cookMinutes: optionalInt(block.cookMinutes),
+      dietaryTags: [].concat(block.dietaryTags || []).filter((t) => DIETARY_TAGS.includes(t)),
+      ingredients,
+      steps,
+    });
+  }
+
+  if (recipes.length > MAX_RECIPES) return { error: `A course can have at most ${MAX_RECIPES} recipes.` };
+  return { recipes };
+};
+
+// Stored recipes → the values the form shows
+export const recipesToForm = (recipes = []) =>
+  recipes.map((r) => ({
+    id: r._id ? String(r._id) : "",
+    title: r.title,
+    servings: r.servings ?? "",
+    prepMinutes: r.prepMinutes ?? "",
+    cookMinutes: r.cookMinutes ?? "",
+    dietaryTags: r.dietaryTags || [],
+    ingredients: (r.ingredients || []).map(formatIngredient).join("\n"),
+    steps: (r.steps || []).join("\n"),
+  }));
+
+// Posted blocks → form values again (for re-rendering after an error)
+export const formRecipes = (input) =>
+  (Array.isArray(input) ? input : Object.values(input || {}))
+    .filter((b) => b && typeof b === "object")
+    .map((b) => ({ ...b, dietaryTags: [].concat(b.dietaryTags || []) }));
+
+/* --------------------------------- legacy --------------------------------- */
+
+// Old `items: [String]` → one recipe with those as ingredients (migration, API v1)
+export const recipesFromItems = (title, items = []) => {
+  const ingredients = items.map((i) => String(i).trim()).filter(Boolean).map(parseIngredientLine);
+  return ingredients.length ? [{ title: title || "Recipe", ingredients }] : [];
+};
+
+// The reverse, for clients still reading `items`
+export const itemsFromRecipes = (recipes = []) => [
+  ...new Set(recipes.flatMap((r) => (r.ingredients || []).map((i) => i.name))),
+];
@@ -0,0 +1,83 @@
+// utils/search.js
+// Search text helpers that don't touch the database:
+// - turning a raw ?q= into something safe for MongoDB $text
+// - highlighting the matched words for views / API (HTML with <mark>)
+
+export const MAX_QUERY_LENGTH = 100;
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#039;" };
+
+export const escapeHtml = (text = "") => String(text).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+
+export const escapeRegExp = (text = "") => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Raw ?q= → plain words for $text.
+ * Quotes ("exact phrase") and a leading "-" (exclude word) mean something to
+ * $text; users type them by accident, so they are dropped.
+ */
+export const normalizeQuery = (q) =>
+  String(q ?? "")
+    .replace(/[\u0000-\u001f"\\]/g, " ")
+    .replace(/(^|\s)-+/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+
+/**
+ * Words to highlight. $text matches stems ("tomatoes" finds "tomato"),
+ * so common English endings are cut and any word starting with the rest is marked.
+ */
+export const searchTerms = (q) => {
+  const words = normalizeQuery(q)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= 2);
+
+  const stems = words.map((w) => {
+    const stem = w.replace(/(ing|es|s)$/, "");
+    return stem.length >= 3 ? stem : w;
+  });
+  return [...new Set(stems)];
+};
+
+const termPattern = (terms) =>
+  terms.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`, "giu")
+    : null;
+
+/**
+ * Escaped HTML with matched words wrapped in <mark>.
+ * Safe to print unescaped (<%- %>).
+ */
+export const highlight = (text, terms = []) => {
+  const source = String(text ?? "");
+  const pattern = termPattern(terms);
+  if (!pattern) return escapeHtml(source);
+
+  let html = "";
+  let last = 0;
+  for (const m of source.matchAll(pattern)) {
+    html += `${escapeHtml(source.slice(last, m.index))}<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return html + escapeHtml(source.slice(last));
+};
+
+/**
+ * Up to `length` characters around the first match, highlighted.
+ * Long text without a match is cut from the start.
+ */
+export const snippet = (text, terms = [], length = 160) => {
+  const source = String(text ?? "");
+  if (source.length <= length) return highlight(source, terms);
+
+  const pattern = termPattern(terms);
+  const first = pattern ? pattern.exec(source)?.index ?? 0 : 0;
+  // Start a little before the match, on a word boundary
+  let start = Math.max(0, Math.min(first - Math.floor(length / 4), source.length - length));
+  if (start > 0) start = source.indexOf(" ", start) + 1 || start;
+  const end = Math.min(source.length, start + length);
+
+  return `${start > 0 ? "…" : ""}${highlight(source.slice(start, end).trim(), terms)}${end < source.length ? "…" : ""}`;
+};
@@ -0,0 +1,53 @@
+// utils/tokens.js
+// Random tokens for email links (reset, verification, ...).
+// Only the SHA-256 hash is stored; the raw token goes out in the link once.
+
+import crypto from "crypto";
+
+// 32 random bytes → 64 hex chars (URL safe)
+export const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+export const hashToken = (rawToken) =>
+  crypto.createHash("sha256").update(String(rawToken || "")).digest("hex");
+
+const SIGNING_SECRET = process.env.TOKEN_SECRET || process.env.SESSION_SECRET || "change-me";
+
+// HMAC-SHA256 of `value` (base64url). For links that must be shown again,
+// so the token can't be stored as a one-way hash.
+export const signValue = (value) =>
+  crypto.createHmac("sha256", SIGNING_SECRET).update(String(value)).digest("base64url");
+
+// Constant-time check of a signature made by signValue()
+export const verifySignedValue = (value, signature) => {
+  const expected = Buffer.from(signValue(value));
+  const given = Buffer.from(String(signature || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// AES-256-GCM with a key derived from the signing secret. For secrets the app must
+// read back (two-factor keys), so a database dump alone doesn't reveal them.
+// Changing TOKEN_SECRET / SESSION_SECRET makes existing values unreadable.
+const encryptionKey = () =>
+  crypto.createHmac("sha256", SIGNING_SECRET).update("encryption-key").digest();
+
+// → "iv.tag.ciphertext" (base64url parts)
+export const encryptValue = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64url")).join(".");
+};
+
+// Plain text, or null if the value was altered or encrypted with another secret
+export const decryptValue = (encrypted) => {
+  const [iv, tag, data] = String(encrypted || "").split(".").map((part) => Buffer.from(part, "base64url"));
+  if (!iv?.length || !tag?.length || !data) return null;
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  } catch {
+    return null;
+  }
+};
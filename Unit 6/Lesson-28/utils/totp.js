@@ -0,0 +1,122 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s), what
+// Google Authenticator, Authy, 1Password etc. expect from an otpauth:// QR code.
+// - Secrets are 20 random bytes, shown to apps as base32 (RFC 4648, no padding).
+// - verifyTotp() accepts one step either side for clock drift and returns the
+//   matched step, so callers can refuse a code that was already used.
+
+import crypto from "crypto";
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+const DRIFT_STEPS = 1;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/* --------------------------------- base32 --------------------------------- */
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+};
+
+// Lenient: any case, spaces and padding are ignored; null for other characters
+export const base32Decode = (text) => {
+  const clean = String(text || "").toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) return null;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/* ---------------------------------- codes --------------------------------- */
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step for a moment (ms since epoch)
+export const totpStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+// RFC 4226 HOTP for one counter value
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const number = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(number % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * The code an authenticator app shows.
+ * @param {string} secret base32
+ * @param {{ time?: number }} [options] ms since epoch (default now)
+ */
+export const totp = (secret, { time = Date.now() } = {}) => hotp(base32Decode(secret), totpStep(time));
+
+/**
+ * Check a code from the user.
+ * @param {string} secret base32
+ * @param {string} code "123456" or "123 456"
+ * @param {{ time?: number, afterStep?: number }} [options] afterStep: last step already used
+ * @returns {number|null} the matched time step
+ */
+export const verifyTotp = (secret, code, { time = Date.now(), afterStep = -1 } = {}) => {
+  const given = String(code || "").replace(/\s/g, "");
+  const key = base32Decode(secret);
+  if (!key?.length || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(given)) return null;
+
+  const now = totpStep(time);
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step += 1) {
+    if (step <= afterStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(given))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI for the QR code ("Issuer:account" label, issuer repeated as a parameter)
+export const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  // %20, not "+": some authenticator apps show a "+" literally
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: TOTP_DIGITS,
+    period: TOTP_STEP_SECONDS,
+  })
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+  return `otpauth://totp/${label}?${params}`;
+};
+
+export default {
+  TOTP_DIGITS,
+  TOTP_STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  totpStep,
+  totp,
+  verifyTotp,
+  otpauthUri,
+};
@@ -0,0 +1,35 @@
+// utils/userAgent.js
+// "Chrome on Windows" from a User-Agent header, for session lists.
+// Order matters: Edge and Opera also say "Chrome", Chrome also says "Safari".
+
+const BROWSERS = [
+  [/Edg(?:e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/SamsungBrowser\//, "Samsung Internet"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Safari\//, "Safari"],
+  [/curl\/|Wget\/|python-requests|node-fetch|axios/i, "Script"],
+];
+
+const SYSTEMS = [
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+const match = (ua, list) => list.find(([pattern]) => pattern.test(ua))?.[1] || null;
+
+export const describeUserAgent = (userAgent) => {
+  const ua = String(userAgent || "");
+  if (!ua) return "Unknown device";
+  const browser = match(ua, BROWSERS);
+  const system = match(ua, SYSTEMS);
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || ua.slice(0, 120);
+};
+
+export default describeUserAgent;
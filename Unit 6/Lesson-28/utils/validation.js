@@ -0,0 +1,19 @@
+// utils/validation.js
+// Field rules shared by the HTML forms, the API and CSV imports,
+// so a row that imports would also pass the form (and the other way round).
+// Postal codes have their own module: utils/postalCodes.js
+
+export const isValidEmail = (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v || "").trim());
+
+/**
+ * Seats field: "" = unlimited (null), otherwise a whole number 1..max.
+ * Returns undefined when invalid.
+ */
+export const parseCapacity = (v, max) => {
+  const raw = String(v ?? "").trim();
+  if (!raw) return null;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 1 && n <= max ? n : undefined;
+};
+
+export default { isValidEmail, parseCapacity };